@@ -5,6 +5,9 @@ import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Node.js 內建模組只在 Node.js 執行環境中動態載入（見 src/runtime/environment.ts），不打包進瀏覽器 bundle
+const NODE_BUILTINS = ['node:*'];
+
 async function build() {
   console.log('\n🚀 建構 WebASRCore 統一版本...\n');
 
@@ -199,7 +202,7 @@ export * from './index.js';
     loader: {
       '.ts': 'ts'
     },
-    external: [],  // Worker 需要包含所有依賴
+    external: NODE_BUILTINS,  // Worker 需要包含所有依賴
     plugins: [],
     define: {
       'process.env.NODE_ENV': '"production"'
@@ -207,6 +210,36 @@ export * from './index.js';
   });
   console.log('  ✓ 建立 onnx-inference.worker.js');
 
+  await esbuild.build({
+    entryPoints: ['src/workers/audio-pipeline.worker.ts'],
+    bundle: true,
+    format: 'iife',
+    platform: 'browser',
+    target: 'es2020',
+    outfile: 'dist/audio-pipeline.worker.js',
+    external: NODE_BUILTINS,  // Worker 需要包含所有依賴
+    define: {
+      'process.env.NODE_ENV': '"production"',
+      'import.meta.url': 'undefined'
+    }
+  });
+  console.log('  ✓ 建立 audio-pipeline.worker.js');
+
+  await esbuild.build({
+    entryPoints: ['src/workers/whisper.worker.ts'],
+    bundle: true,
+    format: 'iife',
+    platform: 'browser',
+    target: 'es2020',
+    outfile: 'dist/whisper.worker.js',
+    external: NODE_BUILTINS,  // Worker 需要包含所有依賴（含 transformers.js）
+    define: {
+      'process.env.NODE_ENV': '"production"',
+      'import.meta.url': 'undefined'
+    }
+  });
+  console.log('  ✓ 建立 whisper.worker.js');
+
   try {
     // 建立主要 bundle
     console.log('\n📦 建構主要 Bundle...');
@@ -218,7 +251,7 @@ export * from './index.js';
       platform: 'browser',
       target: 'es2020',
       outfile: 'dist/web-asr-core.js',
-      external: [],  // 包含所有依賴
+      external: NODE_BUILTINS,  // 包含所有依賴
       define: {
         'process.env.NODE_ENV': '"production"',
         'import.meta.url': 'undefined'
@@ -239,7 +272,7 @@ export * from './index.js';
       platform: 'browser',
       target: 'es2020',
       outfile: 'dist/web-asr-core.min.js',
-      external: [],
+      external: NODE_BUILTINS,
       minify: true,
       define: {
         'process.env.NODE_ENV': '"production"',
@@ -261,7 +294,7 @@ export * from './index.js';
       platform: 'browser',
       target: 'es2020',
       outfile: 'dist/web-asr-core.bundle.js',
-      external: [],
+      external: NODE_BUILTINS,
       define: {
         'process.env.NODE_ENV': '"production"',
         'import.meta.url': 'undefined'
@@ -288,6 +321,8 @@ export * from './index.js';
   console.log('  - dist/web-asr-core.min.js     (壓縮版)');
   console.log('  - dist/web-asr-core.bundle.js  (相容性)');
   console.log('  - dist/onnx-inference.worker.js');
+  console.log('  - dist/audio-pipeline.worker.js');
+  console.log('  - dist/whisper.worker.js');
   console.log('  - dist/*.wasm (WASM 檔案)');
   console.log('\n使用方式：');
   console.log('  CDN: <script src="https://unpkg.com/web-asr-core/dist/web-asr-core.min.js"></script>');
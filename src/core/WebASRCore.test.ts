@@ -0,0 +1,201 @@
+/**
+ * WebASRCore 狀態機測試
+ *
+ * 以假服務驅動協調器，確認各作用中狀態的管線錯誤都會進入 error 狀態，
+ * 以及重試與載入中停止的狀態轉換
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { WebASRCore } from './WebASRCore';
+import { AssistantEvents, VadEvents, WakewordEvents } from '../types/events';
+import type { AssistantState } from '../types/assistant';
+
+/**
+ * 建立以假服務組成的協調器
+ */
+function createCore() {
+  const capture = {
+    // 以陣列保存回調，重複註冊會讓同一區塊被處理多次
+    listeners: [] as Array<(audio: Float32Array) => void>,
+    onData(audio: Float32Array) { capture.listeners.forEach(listener => listener(audio)); },
+    onAudioData(callback: (audio: Float32Array) => void) { capture.listeners.push(callback); },
+    offAudioData(callback: (audio: Float32Array) => void) {
+      capture.listeners = capture.listeners.filter(listener => listener !== callback);
+    },
+    async startCapture() {},
+    stopCapture() {},
+    pause() {},
+    resume() {}
+  };
+
+  const vad = Object.assign(new EventEmitter(), {
+    initialize: async () => {},
+    createState: () => ({}),
+    createParams: () => ({}),
+    reset() {},
+    process: async (state: unknown) => ({ state })
+  });
+
+  const wakeword = Object.assign(new EventEmitter(), {
+    initialize: async () => {},
+    createState: () => ({}),
+    createParams: () => ({}),
+    reset() {},
+    process: async (state: unknown) => ({ state })
+  });
+
+  const whisper = {
+    initialize: async () => {},
+    transcribe: async (_audio: Float32Array): Promise<{ text: string }> => ({ text: '' })
+  };
+
+  const timer = { createTimer() {}, start() {}, stop() {} };
+
+  const core = new WebASRCore({
+    services: { audioCapture: capture, vad, wakeword, whisper, timer } as any
+  });
+
+  return { core, capture, vad, wakeword, whisper };
+}
+
+/**
+ * 等待協調器進入指定狀態
+ */
+function waitForState(core: WebASRCore, state: AssistantState): Promise<void> {
+  return new Promise(resolve => {
+    const handler = ({ to }: { to: AssistantState }) => {
+      if (to === state) {
+        core.off(AssistantEvents.STATE_CHANGED, handler);
+        resolve();
+      }
+    };
+    core.on(AssistantEvents.STATE_CHANGED, handler);
+  });
+}
+
+/**
+ * 啟動協調器並前進到指定狀態
+ */
+async function advanceTo(fixture: ReturnType<typeof createCore>, state: AssistantState): Promise<void> {
+  const { core, vad, wakeword } = fixture;
+  await core.initialize();
+  await core.start();
+  if (state === 'listening') return;
+
+  wakeword.emit(WakewordEvents.WAKEWORD_DETECTED, {});
+  if (state === 'waking') return;
+
+  vad.emit(VadEvents.SPEECH_START, {});
+  if (state === 'recording') return;
+
+  core.transition('VAD_SILENCE');
+}
+
+test('listening 狀態的管線錯誤會進入 error', async () => {
+  const fixture = createCore();
+  await advanceTo(fixture, 'listening');
+  fixture.wakeword.process = async () => { throw new Error('wakeword failed'); };
+
+  const errored = waitForState(fixture.core, 'error');
+  fixture.capture.onData(new Float32Array(4096));
+  await errored;
+  assert.equal(fixture.core.getState(), 'error');
+});
+
+test('waking 狀態的管線錯誤會進入 error', async () => {
+  const fixture = createCore();
+  await advanceTo(fixture, 'waking');
+  assert.equal(fixture.core.getState(), 'waking');
+  fixture.vad.process = async () => { throw new Error('vad failed'); };
+
+  const errored = waitForState(fixture.core, 'error');
+  fixture.capture.onData(new Float32Array(4096));
+  await errored;
+  assert.equal(fixture.core.getState(), 'error');
+});
+
+test('recording 狀態的管線錯誤會進入 error', async () => {
+  const fixture = createCore();
+  await advanceTo(fixture, 'recording');
+  assert.equal(fixture.core.getState(), 'recording');
+  fixture.vad.process = async () => { throw new Error('vad failed'); };
+
+  const errored = waitForState(fixture.core, 'error');
+  fixture.capture.onData(new Float32Array(4096));
+  await errored;
+  assert.equal(fixture.core.getState(), 'error');
+});
+
+test('transcribing 狀態的管線錯誤會進入 error', async () => {
+  const fixture = createCore();
+  // 轉錄維持進行中，讓錯誤發生在 transcribing 狀態
+  fixture.whisper.transcribe = () => new Promise(() => {});
+  await advanceTo(fixture, 'recording');
+
+  // 錄音中送出的區塊在轉入 transcribing 之後才失敗
+  let fail: (error: Error) => void = () => {};
+  fixture.vad.process = () => new Promise((_, reject) => { fail = reject; });
+  fixture.capture.onData(new Float32Array(512));
+  await new Promise(resolve => setImmediate(resolve));
+
+  fixture.core.transition('VAD_SILENCE');
+  assert.equal(fixture.core.getState(), 'transcribing');
+
+  const errored = waitForState(fixture.core, 'error');
+  fail(new Error('vad failed'));
+  await errored;
+  assert.equal(fixture.core.getState(), 'error');
+});
+
+test('transcribing 狀態的 Whisper 錯誤會進入 error', async () => {
+  const fixture = createCore();
+  fixture.whisper.transcribe = async () => { throw new Error('asr failed'); };
+
+  const errored = waitForState(fixture.core, 'error');
+  await advanceTo(fixture, 'transcribing');
+  await errored;
+  assert.equal(fixture.core.getState(), 'error');
+});
+
+test('重試後每個音訊區塊只處理一次', async () => {
+  const fixture = createCore();
+  await advanceTo(fixture, 'listening');
+
+  let calls = 0;
+  fixture.wakeword.process = async () => { throw new Error('wakeword failed'); };
+  const errored = waitForState(fixture.core, 'error');
+  fixture.capture.onData(new Float32Array(1280));
+  await errored;
+
+  fixture.wakeword.process = async (state: unknown) => { calls++; return { state }; };
+  await fixture.core.retry();
+  assert.equal(fixture.core.getState(), 'listening');
+
+  // 單一喚醒詞、單一區塊只應推論一次
+  fixture.capture.onData(new Float32Array(1280));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(fixture.capture.listeners.length, 1);
+  assert.equal(calls, 1);
+});
+
+test('載入中 stop() 回到 idle 並放棄該次載入', async () => {
+  const fixture = createCore();
+  let finishLoad: () => void = () => {};
+  fixture.whisper.initialize = () => new Promise<void>(resolve => { finishLoad = resolve; });
+
+  const ready: unknown[] = [];
+  fixture.core.on(AssistantEvents.READY, data => ready.push(data));
+
+  const loading = fixture.core.initialize();
+  assert.equal(fixture.core.getState(), 'loading');
+
+  fixture.core.stop();
+  assert.equal(fixture.core.getState(), 'idle');
+
+  finishLoad();
+  await loading;
+  assert.equal(fixture.core.getState(), 'idle');
+  assert.deepEqual(ready, []);
+});
@@ -0,0 +1,556 @@
+/**
+ * WebASRCore - 語音助理狀態機協調器（Event Architecture v2）
+ *
+ * 將 AudioCapture、VadService、WakewordService、WhisperService、
+ * TimerService 與 SpeechService 串接成完整的語音助理管線，
+ * 並依照規格書 §3 的有限狀態機強制執行狀態轉換
+ */
+
+import { BusEnabledEventEmitter, type BusIntegrationOptions } from './BusEnabledEventEmitter';
+import { AssistantEvents, SpeechEvents, VadEvents, WakewordEvents } from '../types/events';
+import { ASSISTANT_TRANSITIONS } from '../types/assistant';
+import type { AssistantState, AssistantTrigger, WebASRCoreEvents } from '../types/assistant';
+import type { VadState, VadParams, WakewordState, WhisperOptions, WhisperLoadOptions } from '../types';
+import { AudioChunker } from '../utils/AudioChunker';
+import { ConfigManager } from '../utils/config-manager';
+import { AudioCapture, type AudioCaptureOptions } from '../services/audio-capture';
+import { VadService, type VadServiceOptions } from '../services/VadService';
+import { WakewordService, type WakewordServiceOptions } from '../services/WakewordService';
+import { WhisperService, type WhisperServiceOptions } from '../services/WhisperService';
+import { TimerService } from '../services/TimerService';
+import { SpeechService } from '../services/SpeechService';
+import type { STTParams } from '../services/speech';
+
+/**
+ * WebASRCore 協調器選項
+ */
+export interface WebASRCoreOptions {
+  /** 要監聽的喚醒詞列表（預設 ['hey-jarvis']） */
+  wakewords?: string[];
+  /** VAD 模型 URL（可選） */
+  vadModelUrl?: string;
+  /** Whisper 模型 ID（可選） */
+  whisperModelId?: string;
+  /** Whisper 載入選項 */
+  whisperLoadOptions?: WhisperLoadOptions;
+  /** 每次轉錄使用的 Whisper 選項 */
+  transcribeOptions?: WhisperOptions;
+  /** 麥克風擷取選項 */
+  capture?: AudioCaptureOptions;
+  /** 各服務選項 */
+  vad?: VadServiceOptions;
+  wakeword?: WakewordServiceOptions;
+  whisper?: WhisperServiceOptions;
+  /** 喚醒後等待使用者開口的時間（毫秒，預設 audio.timer.wakewordTimeout） */
+  wakewordTimeout?: number;
+  /** 語音結束後判定靜音的等待時間（毫秒，預設 audio.timer.vadSilenceTimeout） */
+  vadSilenceTimeout?: number;
+  /** 最長錄音時間（毫秒，預設 audio.timer.maxRecordingDuration） */
+  maxRecordingDuration?: number;
+  /** Whisper 失敗時是否降級到 Web Speech API（預設 false） */
+  webSpeechFallback?: boolean;
+  /** Web Speech API 識別參數 */
+  webSpeechParams?: STTParams;
+  /** EventBus 整合選項 */
+  bus?: BusIntegrationOptions;
+  /** 自訂服務實例（未提供則自動建立） */
+  services?: {
+    audioCapture?: AudioCapture;
+    vad?: VadService;
+    wakeword?: WakewordService;
+    whisper?: WhisperService;
+    timer?: TimerService;
+    speech?: SpeechService;
+  };
+}
+
+/** 協調器內部使用的計時器 ID */
+const WAKE_TIMER_ID = 'webasr-wake-timeout';
+const SILENCE_TIMER_ID = 'webasr-vad-silence';
+const MAX_RECORDING_TIMER_ID = 'webasr-max-recording';
+
+/**
+ * WebASRCore - 語音助理狀態機協調器
+ *
+ * @example
+ * ```typescript
+ * const core = new WebASRCore({ wakewords: ['hey-jarvis'] });
+ *
+ * core.on(AssistantEvents.STATE_CHANGED, ({ from, to, trigger }) => {
+ *   console.log(`${from} -> ${to} (${trigger})`);
+ * });
+ *
+ * core.on(AssistantEvents.TRANSCRIPT, ({ text, source }) => {
+ *   console.log(`[${source}] ${text}`);
+ * });
+ *
+ * await core.initialize();
+ * await core.start();
+ * ```
+ */
+export class WebASRCore extends BusEnabledEventEmitter<WebASRCoreEvents> {
+  private state: AssistantState = 'idle';
+  // 每次離開 loading 狀態遞增，用來放棄已被停止的模型載入
+  private loadGeneration = 0;
+  private config = ConfigManager.getInstance();
+  private options: WebASRCoreOptions;
+
+  private audioCapture: AudioCapture;
+  private vad: VadService;
+  private wakeword: WakewordService;
+  private whisper: WhisperService;
+  private timer: TimerService;
+  private speech: SpeechService | null;
+
+  private wakewords: string[];
+  private vadChunker: AudioChunker;
+  private wakewordChunker: AudioChunker;
+  private vadState: VadState | null = null;
+  private vadParams: VadParams | null = null;
+  private wakewordStates: Map<string, WakewordState> = new Map();
+
+  // 錄音緩衝
+  private recordedChunks: Float32Array[] = [];
+  private recordingStart: number | null = null;
+
+  // 音訊處理序列（確保區塊依序處理）
+  private processing: Promise<void> = Promise.resolve();
+
+  // 已註冊的服務事件處理器（dispose 時移除）
+  private readonly handleAudioData = (audioData: Float32Array) => {
+    this.processing = this.processing
+      .then(() => this.processAudio(audioData))
+      .catch(error => this.handleError(error, 'processAudio'));
+  };
+  private readonly handleWakeword = () => {
+    if (this.state === 'listening') {
+      this.transition('WAKE_DETECTED');
+    }
+  };
+  private readonly handleSpeechStart = () => {
+    if (this.state === 'waking') {
+      this.transition('VAD_SPEECH');
+    } else if (this.state === 'recording') {
+      // 使用者再次開口，取消靜音計時
+      this.timer.stop(SILENCE_TIMER_ID);
+    }
+  };
+  private readonly handleSpeechEnd = () => {
+    if (this.state === 'recording') {
+      this.startTimer(SILENCE_TIMER_ID, this.silenceTimeout, 'VAD_SILENCE');
+    }
+  };
+  private readonly handleSttResult = (data: { transcript: string; isFinal: boolean }) => {
+    if (this.state !== 'webspeech' || !data.isFinal) return;
+    this.emit(AssistantEvents.TRANSCRIPT, {
+      text: data.transcript,
+      source: 'webspeech',
+      timestamp: Date.now()
+    });
+    this.speech?.stopListening();
+    this.transition('RECOGNITION_DONE');
+  };
+  private readonly handleSttError = (data: { type: string; error: any }) => {
+    if (this.state !== 'webspeech' || data.type !== 'stt') return;
+    this.transition('RECOGNITION_ERROR');
+  };
+
+  constructor(options: WebASRCoreOptions = {}) {
+    super({ serviceName: 'WebASRCore', ...options.bus });
+    this.options = options;
+    this.wakewords = options.wakewords ?? ['hey-jarvis'];
+
+    const services = options.services ?? {};
+    this.audioCapture = services.audioCapture ?? new AudioCapture(this.config);
+    this.vad = services.vad ?? new VadService(options.vad);
+    this.wakeword = services.wakeword ?? new WakewordService(options.wakeword);
+    this.whisper = services.whisper ?? new WhisperService(options.whisper);
+    this.timer = services.timer ?? new TimerService();
+    this.speech = services.speech ?? (options.webSpeechFallback ? new SpeechService(this.config) : null);
+
+    // 使用無重疊的固定大小切塊，VAD 的上下文由 VAD 狀態自行維護
+    this.vadChunker = new AudioChunker(this.config.vad.windowSize, 0);
+    this.wakewordChunker = new AudioChunker(this.config.wakeword.common.chunkSize, 0);
+
+    // 音訊回調只註冊一次，非作用中狀態的音訊由 processAudio 忽略
+    this.audioCapture.onAudioData(this.handleAudioData);
+    this.wakeword.on(WakewordEvents.WAKEWORD_DETECTED, this.handleWakeword);
+    this.vad.on(VadEvents.SPEECH_START, this.handleSpeechStart);
+    this.vad.on(VadEvents.SPEECH_END, this.handleSpeechEnd);
+    this.speech?.on(SpeechEvents.STT_RESULT, this.handleSttResult);
+    this.speech?.on(SpeechEvents.ERROR, this.handleSttError);
+  }
+
+  /**
+   * 載入所有模型
+   * @returns Promise<void>
+   */
+  async initialize(): Promise<void> {
+    if (!this.transition('LOAD')) return;
+    const generation = this.loadGeneration;
+
+    try {
+      await Promise.all([
+        this.vad.initialize(this.options.vadModelUrl),
+        this.wakeword.initialize(this.wakewords),
+        this.whisper.initialize(this.options.whisperModelId, this.options.whisperLoadOptions)
+      ]);
+
+      // 載入期間已呼叫 stop()
+      if (generation !== this.loadGeneration) return;
+
+      this.resetDetectionState();
+      this.transition('LOADED');
+
+      this.emit(AssistantEvents.READY, {
+        wakewords: this.wakewords,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      if (generation !== this.loadGeneration) return;
+
+      this.transition('LOAD_ERROR');
+      this.emit(AssistantEvents.ERROR, {
+        error: error as Error,
+        context: 'initialize',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 請求麥克風並開始監聽喚醒詞
+   * @returns Promise<void>
+   */
+  async start(): Promise<void> {
+    if (!this.transition('START')) return;
+    await this.openMicrophone();
+  }
+
+  /**
+   * 錯誤狀態下重新請求麥克風
+   * @returns Promise<void>
+   */
+  async retry(): Promise<void> {
+    if (!this.transition('RETRY')) return;
+    await this.openMicrophone();
+  }
+
+  /**
+   * 暫停監聽（僅在 listening 狀態有效）
+   */
+  pause(): void {
+    if (this.transition('PAUSE')) {
+      this.audioCapture.pause();
+    }
+  }
+
+  /**
+   * 恢復監聽（僅在 paused 狀態有效）
+   */
+  resume(): void {
+    if (this.transition('RESUME')) {
+      this.audioCapture.resume();
+    }
+  }
+
+  /**
+   * 取消目前的錄音或 Web Speech 識別，回到監聽狀態
+   */
+  cancel(): void {
+    const wasWebSpeech = this.state === 'webspeech';
+    if (this.transition('CANCEL') && wasWebSpeech) {
+      this.speech?.stopListening();
+    }
+  }
+
+  /**
+   * 停止管線並關閉麥克風，回到 idle 狀態
+   *
+   * 模型載入中呼叫時會放棄該次載入，initialize() 不再發射 READY
+   */
+  stop(): void {
+    if (this.state === 'webspeech') {
+      this.speech?.stopListening();
+    }
+    this.audioCapture.stopCapture();
+    if (this.state !== 'idle') {
+      this.transition('STOP');
+    }
+  }
+
+  /**
+   * 從 error 或 paused 狀態重置回 idle
+   */
+  reset(): void {
+    if (this.transition('RESET')) {
+      this.audioCapture.stopCapture();
+    }
+  }
+
+  /**
+   * 獲取目前狀態
+   */
+  getState(): AssistantState {
+    return this.state;
+  }
+
+  /**
+   * 檢查觸發在目前狀態下是否合法
+   * @param trigger 觸發名稱
+   */
+  canTransition(trigger: AssistantTrigger): boolean {
+    return ASSISTANT_TRANSITIONS[this.state][trigger] !== undefined;
+  }
+
+  /**
+   * 執行狀態轉換
+   *
+   * 不合法的轉換會被拒絕並發射 TRANSITION_REJECTED 事件
+   * @param trigger 觸發名稱
+   * @returns 是否成功轉換
+   */
+  transition(trigger: AssistantTrigger): boolean {
+    const from = this.state;
+    const to = ASSISTANT_TRANSITIONS[from][trigger];
+
+    if (!to) {
+      this.emit(AssistantEvents.TRANSITION_REJECTED, {
+        state: from,
+        trigger,
+        timestamp: Date.now()
+      });
+      return false;
+    }
+
+    this.exitState(from);
+    this.state = to;
+    this.enterState(to);
+
+    this.emit(AssistantEvents.STATE_CHANGED, {
+      from,
+      to,
+      trigger,
+      timestamp: Date.now()
+    });
+
+    return true;
+  }
+
+  /**
+   * 釋放資源
+   */
+  dispose(): void {
+    this.stop();
+
+    this.audioCapture.offAudioData(this.handleAudioData);
+    this.wakeword.off(WakewordEvents.WAKEWORD_DETECTED, this.handleWakeword);
+    this.vad.off(VadEvents.SPEECH_START, this.handleSpeechStart);
+    this.vad.off(VadEvents.SPEECH_END, this.handleSpeechEnd);
+    this.speech?.off(SpeechEvents.STT_RESULT, this.handleSttResult);
+    this.speech?.off(SpeechEvents.ERROR, this.handleSttError);
+
+    this.timer.stop(WAKE_TIMER_ID);
+    this.timer.stop(SILENCE_TIMER_ID);
+    this.timer.stop(MAX_RECORDING_TIMER_ID);
+
+    this.removeAllListeners();
+  }
+
+  /**
+   * 開啟麥克風
+   */
+  private async openMicrophone(): Promise<void> {
+    try {
+      await this.audioCapture.startCapture(this.options.capture);
+      this.transition('MIC_GRANTED');
+    } catch (error) {
+      this.transition('MIC_DENIED');
+      this.emit(AssistantEvents.ERROR, {
+        error: error as Error,
+        context: 'start',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 進入狀態時的動作
+   */
+  private enterState(state: AssistantState): void {
+    switch (state) {
+      case 'listening':
+        this.resetDetectionState();
+        break;
+      case 'waking':
+        this.startTimer(WAKE_TIMER_ID, this.options.wakewordTimeout ?? this.config.audio.timer.wakewordTimeout, 'WAKE_TIMEOUT');
+        break;
+      case 'recording':
+        this.recordedChunks = [];
+        this.recordingStart = Date.now();
+        this.startTimer(
+          MAX_RECORDING_TIMER_ID,
+          this.options.maxRecordingDuration ?? this.config.audio.timer.maxRecordingDuration,
+          'MAX_DURATION'
+        );
+        break;
+      case 'transcribing':
+        void this.runTranscription();
+        break;
+      case 'webspeech':
+        this.speech?.startListening(this.options.webSpeechParams).catch(() => {
+          this.transition('RECOGNITION_ERROR');
+        });
+        break;
+    }
+  }
+
+  /**
+   * 離開狀態時的清理動作
+   */
+  private exitState(state: AssistantState): void {
+    switch (state) {
+      case 'loading':
+        this.loadGeneration++;
+        break;
+      case 'waking':
+        this.timer.stop(WAKE_TIMER_ID);
+        break;
+      case 'recording':
+        this.timer.stop(SILENCE_TIMER_ID);
+        this.timer.stop(MAX_RECORDING_TIMER_ID);
+        break;
+    }
+  }
+
+  /**
+   * 處理麥克風送來的音訊
+   */
+  private async processAudio(audioData: Float32Array): Promise<void> {
+    switch (this.state) {
+      case 'listening': {
+        for (const chunk of this.wakewordChunker.chunk(audioData)) {
+          for (const word of this.wakewords) {
+            // 檢測到喚醒詞後狀態已改變，停止處理剩餘區塊
+            if (this.state !== 'listening') return;
+            const state = this.wakewordStates.get(word) ?? this.wakeword.createState(word);
+            const result = await this.wakeword.process(state, chunk, this.wakeword.createParams(word));
+            this.wakewordStates.set(word, result.state);
+          }
+        }
+        break;
+      }
+      case 'waking':
+      case 'recording': {
+        for (const chunk of this.vadChunker.chunk(audioData)) {
+          if (!this.vadState || !this.vadParams) return;
+          const result = await this.vad.process(this.vadState, chunk, this.vadParams);
+          this.vadState = result.state;
+          // VAD_SPEECH 轉換在 process 內同步發生，觸發語音的區塊也會被錄下
+          if (this.state === 'recording') {
+            this.recordedChunks.push(chunk);
+          }
+        }
+        break;
+      }
+      default:
+        // 其他狀態不處理音訊
+        break;
+    }
+  }
+
+  /**
+   * 轉錄錄音內容
+   */
+  private async runTranscription(): Promise<void> {
+    const audio = this.concatRecording();
+    const duration = this.recordingStart ? Date.now() - this.recordingStart : undefined;
+    this.recordedChunks = [];
+    this.recordingStart = null;
+
+    try {
+      const result = await this.whisper.transcribe(audio, this.options.transcribeOptions);
+      if (this.state !== 'transcribing') return;
+
+      this.emit(AssistantEvents.TRANSCRIPT, {
+        text: result.text,
+        source: 'whisper',
+        duration,
+        timestamp: Date.now()
+      });
+      this.transition('ASR_DONE');
+    } catch (error) {
+      if (this.state !== 'transcribing') return;
+
+      this.emit(AssistantEvents.ERROR, {
+        error: error as Error,
+        context: 'transcribe',
+        timestamp: Date.now()
+      });
+      this.transition(this.speech ? 'FALLBACK' : 'ASR_ERROR');
+    }
+  }
+
+  /**
+   * 啟動一次性計時器，逾時後觸發指定轉換
+   */
+  private startTimer(id: string, duration: number, trigger: AssistantTrigger): void {
+    this.timer.createTimer(id, duration, this.config.audio.timer.tickInterval, () => {
+      this.transition(trigger);
+    });
+    this.timer.start(id);
+  }
+
+  /**
+   * 重置喚醒詞與 VAD 的偵測狀態
+   */
+  private resetDetectionState(): void {
+    // 先釋放 Worker 中舊的 VAD 串流狀態
+    this.vad.reset();
+    this.vadState = this.vad.createState();
+    this.vadParams = this.vad.createParams();
+    this.vadChunker.reset();
+    this.wakewordChunker.reset();
+    this.wakewordStates.clear();
+    for (const word of this.wakewords) {
+      this.wakeword.reset(word);
+    }
+  }
+
+  /**
+   * 合併錄音區塊
+   */
+  private concatRecording(): Float32Array {
+    const total = this.recordedChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const audio = new Float32Array(total);
+    let offset = 0;
+    for (const chunk of this.recordedChunks) {
+      audio.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return audio;
+  }
+
+  /**
+   * 處理管線錯誤
+   */
+  private handleError(error: unknown, context: string): void {
+    this.emit(AssistantEvents.ERROR, {
+      error: error as Error,
+      context,
+      timestamp: Date.now()
+    });
+    this.transition('ERROR');
+  }
+
+  /**
+   * 靜音判定時間
+   */
+  private get silenceTimeout(): number {
+    return this.options.vadSilenceTimeout ?? this.config.audio.timer.vadSilenceTimeout;
+  }
+}
+
+export default WebASRCore;
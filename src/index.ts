@@ -24,6 +24,12 @@ export {
   VadEvents,
   WakewordEvents,
   WhisperEvents,
+  SegmenterEvents,
+  SpeakerEvents,
+  RecorderEvents,
+  AssistantEvents,
+  PipelineEvents,
+  ModelStoreEvents,
   type AllEvents,
   type EventDataMap,
   getServiceEvents,
@@ -72,12 +78,44 @@ export {
 export {
   WhisperService,
   type WhisperServiceOptions,
+  type LiveTranscriptionOptions,
+  type TranscribeFileOptions,
+  type TranscriptionPriority,
+  type TranscriptionJobOptions,
+  type TranscriptionJob,
+  type LongFormTranscriptionOptions,
 } from './services/WhisperService';
 
 export {
   TimerService,
 } from './services/TimerService';
 
+export {
+  UtteranceSegmenter,
+  type UtteranceSegmenterOptions,
+} from './services/UtteranceSegmenter';
+
+export {
+  SpeakerVerificationService,
+  type SpeakerVerificationServiceOptions,
+} from './services/SpeakerVerificationService';
+
+export {
+  Recorder,
+  type RecorderOptions,
+} from './services/Recorder';
+
+export {
+  PipelineWorkerService,
+  type PipelineWorkerServiceOptions,
+} from './services/PipelineWorkerService';
+
+// 匯出語音助理狀態機協調器
+export {
+  WebASRCore,
+  type WebASRCoreOptions,
+} from './core/WebASRCore';
+
 export {
   SpeechService,
 } from './services/SpeechService';
@@ -91,8 +129,21 @@ export {
   resolveVad,
   resolveWhisper,
   getAvailableModels,
+  findRegistryModel,
+  addRegistryModel,
+  getRegistryModelFiles,
+  getRegistryModelUrls,
+  prefetchRegistryModels,
 } from './registry/registry';
 
+export {
+  loadMergedRegistry,
+  mergeRegistries,
+  validateRegistry,
+  resolveModelSources,
+  RegistryValidationError,
+} from './registry/registry-loader';
+
 // 匯出 ONNX Runtime 工具函數
 export {
   initializeOrt,
@@ -101,12 +152,29 @@ export {
   createSessions,
   getSessionMetadata,
   createTensor,
+  setOrtRuntime,
+  isNativeOrtRuntime,
 } from './runtime/ort';
+export type { OrtRuntime } from './runtime/ort';
+
+// 匯出執行環境工具函數
+export {
+  isNodeRuntime,
+  isBrowserRuntime,
+  supportsWebWorkers,
+  getHardwareConcurrency,
+  isWindowsPlatform,
+  isRemoteUrl,
+  loadResource,
+  loadTextResource,
+  resourceExists,
+} from './runtime/environment';
 
 // 匯出 ORT 優化服務
 export {
   ORTService,
   ortService,
+  type WorkerInferenceOptions,
 } from './services/ort';
 
 // 匯出 VAD 服務（無狀態函數）
@@ -125,18 +193,44 @@ export {
   detectWakewordDims,
   createWakewordState,
   processWakewordChunk,
+  processWakewordChunkMulti,
   resetWakewordState,
   createDefaultWakewordParams,
   wakewordEvents, // MVP 事件系統（保持向後相容）
 } from './services/wakeword';
 
+// 匯出少樣本喚醒詞模板（無狀態函數）
+export {
+  computeEmbeddingSequence,
+  createWakewordTemplate,
+  scoreWakewordTemplate,
+} from './services/wakeword-template';
+
+// 匯出說話者驗證服務（無狀態函數）
+export {
+  loadSpeakerResources,
+  computeFbank,
+  extractSpeakerEmbedding,
+  cosineSimilarity,
+  createSpeakerProfile,
+  verifySpeakerEmbedding,
+} from './services/speaker';
+
 // 匯出 Whisper 服務（無狀態函數）
 export {
   loadWhisperResources,
   transcribe,
+  detectLanguage,
+  getPromptIds,
   chunkAudioForTranscription,
   transcribeChunks,
+  planLongFormChunks,
+  mergeLongFormResults,
+  transcribeLongForm,
+  findAgreedPrefix,
   createDefaultWhisperOptions,
+  AbortError,
+  isAbortError,
   whisperEvents, // MVP 事件系統（保持向後相容）
 } from './services/whisper';
 
@@ -158,11 +252,49 @@ export {
   AudioRingBuffer,
 } from './utils/AudioRingBuffer';
 
+export {
+  SharedAudioRingBuffer,
+  type SharedRingBufferHandle,
+} from './utils/SharedAudioRingBuffer';
+
 export {
   AudioChunker,
   MultiChannelAudioChunker,
 } from './utils/AudioChunker';
 
+export {
+  tokenizeForAgreement,
+} from './utils/tokenize';
+
+// 匯出字幕與逐字稿工具
+export {
+  toSRT,
+  toWebVTT,
+  toPlainText,
+  toTranscriptJSON,
+  createTranscriptDocument,
+  parseSRT,
+  parseWebVTT,
+  type SubtitleCue,
+  type SubtitleExportOptions,
+  type PlainTextExportOptions,
+  type TranscriptJSONOptions,
+  type TranscriptDocument,
+} from './utils/transcript-export';
+
+// 匯出模型完整性驗證工具
+export {
+  ModelIntegrityError,
+  computeSha256,
+  verifyModelIntegrity,
+} from './utils/model-integrity';
+
+// 匯出模型下載管理器
+export {
+  ModelStore,
+  getModelStore,
+} from './utils/ModelStore';
+
 // 匯出計時器服務（無狀態函數）
 export {
   Timer,
@@ -183,6 +315,27 @@ export {
   type ResamplingOptions,
 } from './services/audio-resampler';
 
+// 匯出音訊檔案解碼工具
+export {
+  isWavBuffer,
+  decodeWav,
+  decodePcm,
+  downmixToMono,
+  decodeAudioFile,
+  loadAudioFile,
+  type DecodedAudio,
+  type PcmFormat,
+  type AudioFileLoadOptions,
+} from './services/audio-decoder';
+
+// 匯出 WAV 編碼工具
+export {
+  encodeWav,
+  encodeWavBlob,
+  type WavEncoding,
+  type WavEncodeOptions,
+} from './services/audio-encoder';
+
 // 匯出音訊擷取服務
 export {
   AudioCapture,
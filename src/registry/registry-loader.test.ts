@@ -0,0 +1,51 @@
+/**
+ * Registry loader tests (Node.js)
+ *
+ * Local sources are probed on the file system; upstream probes go through a mocked fetch
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveModelSources } from './registry-loader';
+import type { Registry } from '../types';
+
+function createRegistry(): Registry {
+  return {
+    version: '1.0.0',
+    models: [{
+      id: 'silero-vad',
+      type: 'vad',
+      name: 'Silero VAD',
+      local_path: 'github/snakers4/silero-vad/silero_vad_v6.onnx',
+      source: { platform: 'github', author: 'snakers4', repository: 'silero-vad' }
+    }]
+  } as Registry;
+}
+
+test('resolveModelSources returns a new registry without modifying its input', async () => {
+  const registry = createRegistry();
+
+  const resolved = await resolveModelSources(registry, { allowUpstream: false });
+
+  assert.equal(registry.models[0].resolved, undefined);
+  assert.equal(resolved.models[0].resolved?.kind, 'local');
+  assert.equal(resolved.models[0].resolved?.url, './models/github/snakers4/silero-vad/silero_vad_v6.onnx');
+});
+
+test('an unreachable upstream falls through to the local path', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 404 }));
+
+  const resolved = await resolveModelSources(createRegistry(), { localBasePath: './missing' });
+
+  assert.equal(fetch.mock.callCount(), 1);
+  assert.equal(fetch.mock.calls[0].arguments[0], 'https://raw.githubusercontent.com/snakers4/silero-vad/main/silero_vad_v6.onnx');
+  assert.equal(resolved.models[0].resolved?.kind, 'local');
+});
+
+test('a reachable upstream is used when no local copy exists', async t => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 200 }));
+
+  const resolved = await resolveModelSources(createRegistry(), { localBasePath: './missing' });
+
+  assert.equal(resolved.models[0].resolved?.kind, 'upstream');
+});
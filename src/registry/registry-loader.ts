@@ -0,0 +1,318 @@
+/**
+ * Merged multi-source registry loader
+ *
+ * Combines several registry documents (bundled, remote, user-supplied),
+ * validates them and resolves every model to the best available source:
+ * local first, then mirrors, then the upstream release
+ */
+
+import type {
+  Registry,
+  ModelInfo,
+  ResolvedModelSource,
+  RegistryLoadOptions
+} from '../types';
+import { resourceExists } from '../runtime/environment';
+import { loadRegistry } from './registry';
+
+const MODEL_TYPES = ['vad', 'wakeword', 'asr'];
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Registry document failed schema validation
+ */
+export class RegistryValidationError extends Error {
+  constructor(
+    /** Registry URL or a description of the in-memory document */
+    public readonly origin: string,
+    /** Every problem found in the document */
+    public readonly errors: string[]
+  ) {
+    super(`Invalid registry ${origin}: ${errors.join('; ')}`);
+    this.name = 'RegistryValidationError';
+  }
+}
+
+/**
+ * Validate a registry document
+ *
+ * @throws RegistryValidationError when the document does not match the schema
+ */
+export function validateRegistry(doc: unknown, origin = 'registry'): Registry {
+  const errors: string[] = [];
+  const registry = doc as Registry;
+
+  if (!isObject(doc)) {
+    throw new RegistryValidationError(origin, ['document must be an object']);
+  }
+  if (typeof registry.version !== 'string') {
+    errors.push('version must be a string');
+  }
+  if (registry.sources !== undefined && !isObject(registry.sources)) {
+    errors.push('sources must be an object');
+  }
+  if (!Array.isArray(registry.models)) {
+    errors.push('models must be an array');
+    throw new RegistryValidationError(origin, errors);
+  }
+
+  const ids = new Set<string>();
+  registry.models.forEach((model, index) => {
+    const at = `models[${index}]`;
+    if (!isObject(model)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    if (typeof model.id !== 'string' || model.id === '') {
+      errors.push(`${at}.id must be a non-empty string`);
+    } else if (ids.has(model.id)) {
+      errors.push(`${at}.id '${model.id}' is duplicated`);
+    } else {
+      ids.add(model.id);
+    }
+
+    if (!MODEL_TYPES.includes(model.type)) {
+      errors.push(`${at}.type must be one of ${MODEL_TYPES.join(', ')}`);
+    }
+    if (typeof model.local_path !== 'string' || model.local_path === '') {
+      errors.push(`${at}.local_path must be a non-empty string`);
+    }
+    if (model.specs !== undefined && !isObject(model.specs)) {
+      errors.push(`${at}.specs must be an object`);
+    }
+
+    const required = model.files?.required;
+    if (required !== undefined && !(Array.isArray(required) && required.every(f => typeof f === 'string'))) {
+      errors.push(`${at}.files.required must be an array of strings`);
+    }
+
+    if (model.source !== undefined && (!isObject(model.source) || typeof model.source.platform !== 'string')) {
+      errors.push(`${at}.source.platform must be a string`);
+    }
+
+    for (const [file, integrity] of Object.entries(model.integrity ?? {})) {
+      if (!isObject(integrity) || typeof integrity.sha256 !== 'string' || !SHA256_PATTERN.test(integrity.sha256)) {
+        errors.push(`${at}.integrity['${file}'].sha256 must be a hex SHA-256 digest`);
+      } else if (integrity.size !== undefined && typeof integrity.size !== 'number') {
+        errors.push(`${at}.integrity['${file}'].size must be a number`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new RegistryValidationError(origin, errors);
+  }
+  return registry;
+}
+
+/**
+ * Merge registry documents; later documents override earlier ones
+ *
+ * Models are merged by ID (specs are merged key by key, other fields are replaced),
+ * sources are merged by platform, and the version comes from the last document
+ */
+export function mergeRegistries(...registries: Registry[]): Registry {
+  const merged: Registry = { version: '', models: [], sources: {}, configs: {} };
+  const models = new Map<string, ModelInfo>();
+
+  for (const registry of registries) {
+    merged.version = registry.version;
+    merged.configs = { ...merged.configs, ...registry.configs };
+
+    for (const [platform, source] of Object.entries(registry.sources ?? {})) {
+      merged.sources![platform] = { ...merged.sources![platform], ...source };
+    }
+
+    for (const model of registry.models) {
+      const existing = models.get(model.id);
+      models.set(model.id, existing
+        ? { ...existing, ...model, specs: { ...existing.specs, ...model.specs } }
+        : model);
+    }
+  }
+
+  merged.models = Array.from(models.values());
+  return merged;
+}
+
+/**
+ * Load, validate and merge registry documents, then resolve model sources
+ *
+ * Documents are URLs or already-parsed registries. URLs that cannot be fetched
+ * (offline, blocked by a firewall) are skipped as long as one document loads;
+ * documents that fail validation are always rejected.
+ *
+ * @example
+ * ```typescript
+ * const registry = await loadMergedRegistry(
+ *   ['./models/global_registry.json', 'https://cdn.example.com/registry.json', userRegistry],
+ *   { mirrors: ['https://models.intranet.example.com'] }
+ * );
+ * const vad = resolveVad(registry);
+ * console.log(vad.modelUrl, vad.source); // e.g. 'https://models.intranet.example.com/github/...', 'mirror'
+ * ```
+ */
+export async function loadMergedRegistry(
+  documents: Array<string | Registry> = ['./models/global_registry.json'],
+  options: RegistryLoadOptions = {}
+): Promise<Registry> {
+  const registries: Registry[] = [];
+  let lastError: unknown;
+
+  for (const [index, document] of documents.entries()) {
+    if (typeof document !== 'string') {
+      registries.push(validateRegistry(document, `documents[${index}]`));
+      continue;
+    }
+
+    let loaded: Registry;
+    try {
+      loaded = await loadRegistry(document);
+    } catch (error) {
+      console.warn(`[Registry] Skipping unavailable registry ${document}:`, error);
+      lastError = error;
+      continue;
+    }
+    registries.push(validateRegistry(loaded, document));
+  }
+
+  if (registries.length === 0) {
+    throw new Error(`No registry could be loaded: ${(lastError as Error)?.message ?? 'no documents given'}`);
+  }
+
+  const registry = mergeRegistries(...registries);
+  return options.resolveSources !== false
+    ? resolveModelSources(registry, options)
+    : registry;
+}
+
+/**
+ * Resolve each model to the best available source
+ *
+ * Local, mirror and upstream candidates are probed in that order. Models with
+ * no reachable source keep their local path. The input registry is not modified;
+ * the returned copy records the chosen source in `model.resolved`.
+ */
+export async function resolveModelSources(
+  registry: Registry,
+  options: RegistryLoadOptions = {}
+): Promise<Registry> {
+  const localBase = trimSlash(options.localBasePath ?? registry.sources?.local?.base_path ?? './models');
+  const mirrors = [registry.sources?.mirror?.base_url, ...(options.mirrors ?? [])]
+    .filter((url): url is string => !!url)
+    .map(trimSlash);
+
+  const models: ModelInfo[] = [];
+  for (const model of registry.models) {
+    if (options.ids && !options.ids.includes(model.id)) {
+      models.push(model);
+      continue;
+    }
+
+    const resolved = await resolveModelSource(registry, model, localBase, mirrors, options.allowUpstream !== false);
+    models.push({ ...model, resolved });
+  }
+  return { ...registry, models };
+}
+
+async function resolveModelSource(
+  registry: Registry,
+  model: ModelInfo,
+  localBase: string,
+  mirrors: string[],
+  allowUpstream: boolean
+): Promise<ResolvedModelSource> {
+  const probePath = getProbePath(model);
+  const local: ResolvedModelSource = {
+    kind: 'local',
+    baseUrl: localBase,
+    url: `${localBase}/${model.local_path}`
+  };
+
+  if (await resourceExists(`${localBase}/${probePath}`)) {
+    return local;
+  }
+
+  for (const mirror of mirrors) {
+    if (await resourceExists(`${mirror}/${probePath}`)) {
+      return { kind: 'mirror', baseUrl: mirror, url: `${mirror}/${model.local_path}` };
+    }
+  }
+
+  // Upstream layouts do not always match local_path, so the upstream URL is probed too
+  if (allowUpstream) {
+    const upstream = getUpstreamSource(registry, model);
+    const probe = getUpstreamSource(registry, model, probePath);
+    if (upstream && probe && await resourceExists(probe.url)) {
+      return upstream;
+    }
+  }
+
+  console.warn(`[Registry] No reachable source for ${model.id}, keeping local path`);
+  return local;
+}
+
+/**
+ * File to probe for a model: the model file itself, or a required file of a model directory
+ */
+function getProbePath(model: ModelInfo): string {
+  if (model.local_path.endsWith('.onnx')) {
+    return model.local_path;
+  }
+
+  const required = model.files?.required ?? [];
+  const file = required.find(f => f.endsWith('.json')) ?? required[0];
+  return file ? `${model.local_path}/${file}` : model.local_path;
+}
+
+/**
+ * Derive the upstream download location from the model source and registry platforms
+ *
+ * @param path Path below the models directory to locate upstream (defaults to the model itself)
+ */
+function getUpstreamSource(
+  registry: Registry,
+  model: ModelInfo,
+  path: string = model.local_path
+): ResolvedModelSource | null {
+  const source = model.source;
+  if (!source?.author || !source.repository) {
+    return null;
+  }
+
+  let baseUrl: string;
+  if (source.download_url) {
+    baseUrl = trimSlash(source.download_url);
+  } else if (source.platform === 'huggingface') {
+    const host = trimSlash(registry.sources?.huggingface?.base_url ?? 'https://huggingface.co');
+    baseUrl = `${host}/${source.author}/${source.repository}/resolve/${source.release ?? 'main'}`;
+  } else if (source.platform === 'github') {
+    const github = registry.sources?.github;
+    baseUrl = source.release
+      ? `${trimSlash(github?.base_url ?? 'https://github.com')}/${source.author}/${source.repository}/releases/download/${source.release}`
+      : `${trimSlash(github?.raw_url ?? 'https://raw.githubusercontent.com')}/${source.author}/${source.repository}/main`;
+  } else {
+    return null;
+  }
+
+  // local_path mirrors the upstream layout below `<platform>/<author>/<repository>/`
+  const prefix = `${source.platform}/${source.author}/${source.repository}`;
+  const relative = path.startsWith(prefix)
+    ? path.slice(prefix.length + 1)
+    : path.substring(path.lastIndexOf('/') + 1);
+
+  return {
+    kind: 'upstream',
+    baseUrl,
+    url: relative ? `${baseUrl}/${relative}` : baseUrl
+  };
+}
+
+function trimSlash(url: string): string {
+  return url.replace(/\/+$/, '');
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -2,12 +2,28 @@
  * Model registry module for loading and resolving model configurations
  */
 
-import type { Registry, WhisperModelInfo, WakewordInfo, VadInfo } from '../types';
+import type {
+  Registry,
+  ModelInfo,
+  ModelFileIntegrity,
+  WhisperModelInfo,
+  WakewordInfo,
+  VadInfo,
+  ModelFetchOptions,
+  ModelPrefetchItem
+} from '../types';
+import { isNodeRuntime, isRemoteUrl, loadTextResource } from '../runtime/environment';
+import { getModelStore, type ModelStore } from '../utils/ModelStore';
 
 /**
  * Load registry from JSON file
  */
 export async function loadRegistry(url = './models/global_registry.json'): Promise<Registry> {
+  // Read local registry files directly from the filesystem under Node.js
+  if (isNodeRuntime() && !isRemoteUrl(url)) {
+    return JSON.parse(await loadTextResource(url));
+  }
+
   const response = await fetch(url);
   if (!response.ok) {
     throw new Error(`Failed to load registry: ${response.status}`);
@@ -29,8 +45,8 @@ export function resolveWakeword(registry: Registry, defaultId = 'hey-jarvis'): W
   // Find the chosen model
   const chosen = models.find(m => m.id === defaultId) || models[0];
   
-  // Get base path
-  const base = 'models/' + chosen.local_path;
+  // Get base path (the source picked by loadMergedRegistry, or the default local path)
+  const base = modelUrl(chosen);
   
   // Determine directory (if base is .onnx file, get its directory)
   const dir = base.endsWith('.onnx') 
@@ -45,28 +61,63 @@ export function resolveWakeword(registry: Registry, defaultId = 'hey-jarvis'): W
     throw new Error('Required embedding or melspectrogram files not found in wake word model');
   }
   
+  const detectorFile = base.substring(base.lastIndexOf('/') + 1);
+  
   return {
     id: chosen.id,
     detectorUrl: base,
     threshold: chosen.specs?.threshold ?? 0.5,
     embeddingUrl: `${dir}/${embeddingFile}`,
     melspecUrl: `${dir}/${melFile}`,
+    source: chosen.resolved?.kind,
+    integrity: chosen.integrity && {
+      detector: chosen.integrity[detectorFile],
+      embedding: chosen.integrity[embeddingFile],
+      melspec: chosen.integrity[melFile],
+    },
+    dims: resolveWakewordDims(chosen),
   };
 }
 
+/**
+ * URL of the model's local_path, honoring the resolved source
+ */
+function modelUrl(model: ModelInfo): string {
+  return model.resolved?.url ?? 'models/' + model.local_path;
+}
+
+/**
+ * Read detector dimensions declared in the model specs (both are required)
+ */
+function resolveWakewordDims(model: ModelInfo): WakewordInfo['dims'] {
+  const embeddingBufferSize = model.specs?.embedding_buffer_size;
+  const embeddingDimension = model.specs?.embedding_dimension;
+  
+  if (typeof embeddingBufferSize !== 'number' || typeof embeddingDimension !== 'number') {
+    return undefined;
+  }
+  return { embeddingBufferSize, embeddingDimension };
+}
+
 /**
  * Resolve VAD model configuration
  */
-export function resolveVad(registry: Registry): VadInfo {
-  const vad = registry.models.find(m => m.type === 'vad');
+export function resolveVad(registry: Registry, defaultId?: string): VadInfo {
+  const vads = registry.models.filter(m => m.type === 'vad');
   
-  if (!vad) {
+  if (vads.length === 0) {
     throw new Error('No VAD model found in registry');
   }
   
+  const vad = vads.find(m => m.id === defaultId) || vads[0];
+  const file = vad.local_path.substring(vad.local_path.lastIndexOf('/') + 1);
+  
   return { 
     id: vad.id, 
-    modelUrl: 'models/' + vad.local_path 
+    modelUrl: modelUrl(vad),
+    threshold: vad.specs?.threshold,
+    source: vad.resolved?.kind,
+    integrity: vad.integrity?.[file],
   };
 }
 
@@ -84,12 +135,54 @@ export function resolveWhisper(registry: Registry, defaultId = 'whisper-base'):
   
   return { 
     id: chosen.id, 
-    path: 'models/' + chosen.local_path,
+    path: modelUrl(chosen),
+    localPath: chosen.local_path,
+    localBasePath: chosen.resolved ? chosen.resolved.baseUrl + '/' : 'models/',
+    remoteId: chosen.resolved?.kind === 'upstream' && chosen.source?.platform === 'huggingface'
+      ? `${chosen.source.author}/${chosen.source.repository}`
+      : undefined,
+    source: chosen.resolved?.kind,
     quantized: chosen.specs?.quantized ?? true,
     name: chosen.name 
   };
 }
 
+/**
+ * Find a model of a specific type by ID
+ *
+ * Unlike the resolvers, this does not fall back to the first model of the type
+ */
+export function findRegistryModel(
+  registry: Registry,
+  id: string,
+  type: ModelInfo['type']
+): ModelInfo | undefined {
+  return registry.models.find(m => m.id === id && m.type === type);
+}
+
+/**
+ * Add or replace a model entry at runtime
+ *
+ * Services resolve models from the registry on every initialize, so an entry
+ * added here (e.g. a new wake word) can be loaded by ID without code changes
+ */
+export function addRegistryModel(registry: Registry, model: ModelInfo): Registry {
+  if (!model.id || !model.local_path) {
+    throw new Error('Registry model requires an id and a local_path');
+  }
+  if (!['vad', 'wakeword', 'asr'].includes(model.type)) {
+    throw new Error(`Unsupported registry model type: ${model.type}`);
+  }
+  
+  const index = registry.models.findIndex(m => m.id === model.id);
+  if (index >= 0) {
+    registry.models[index] = model;
+  } else {
+    registry.models.push(model);
+  }
+  return registry;
+}
+
 /**
  * Get all available models of a specific type
  */
@@ -97,4 +190,71 @@ export function getAvailableModels(registry: Registry, type: 'vad' | 'wakeword'
   return registry.models
     .filter(m => m.type === type)
     .map(m => ({ id: m.id, name: m.name }));
+}
+
+/**
+ * Get the ONNX files of VAD and wake word models with their integrity info
+ */
+export function getRegistryModelFiles(
+  registry: Registry,
+  ids?: string[]
+): Array<{ url: string; integrity?: ModelFileIntegrity }> {
+  const files = new Map<string, ModelFileIntegrity | undefined>();
+
+  for (const model of registry.models) {
+    if (ids && !ids.includes(model.id)) {
+      continue;
+    }
+
+    // Whisper models are fetched and cached by transformers.js
+    if (model.type === 'wakeword') {
+      const wakeword = resolveWakeword(singleModel(registry, model), model.id);
+      files.set(wakeword.detectorUrl, wakeword.integrity?.detector);
+      files.set(wakeword.melspecUrl, wakeword.integrity?.melspec);
+      files.set(wakeword.embeddingUrl, wakeword.integrity?.embedding);
+    } else if (model.type === 'vad') {
+      const vad = resolveVad(singleModel(registry, model));
+      files.set(vad.modelUrl, vad.integrity);
+    }
+  }
+
+  return Array.from(files, ([url, integrity]) => ({ url, integrity }));
+}
+
+/**
+ * Get the ONNX file URLs of VAD and wake word models
+ */
+export function getRegistryModelUrls(registry: Registry, ids?: string[]): string[] {
+  return getRegistryModelFiles(registry, ids).map(file => file.url);
+}
+
+/**
+ * Download registry models into the model store ahead of time
+ *
+ * Entries are versioned with the registry version, so bumping it
+ * re-downloads the models on the next prefetch. Files with integrity
+ * info are verified before they are stored
+ */
+export async function prefetchRegistryModels(
+  registry: Registry,
+  ids?: string[],
+  options: Omit<ModelFetchOptions, 'hash' | 'size'> = {},
+  store: ModelStore = getModelStore()
+): Promise<string[]> {
+  const files = getRegistryModelFiles(registry, ids);
+  const items: ModelPrefetchItem[] = files.map(file => ({
+    url: file.url,
+    hash: file.integrity?.sha256,
+    size: file.integrity?.size,
+  }));
+
+  await store.prefetch(items, { version: registry.version, ...options });
+  return files.map(file => file.url);
+}
+
+/**
+ * Narrow a registry to a single model so the resolvers pick exactly that one
+ */
+function singleModel(registry: Registry, model: ModelInfo): Registry {
+  return { ...registry, models: [model] };
 }
\ No newline at end of file
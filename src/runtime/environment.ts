@@ -0,0 +1,154 @@
+/**
+ * 執行環境偵測與資源載入工具
+ *
+ * 讓同一套服務可在瀏覽器、Web Worker 與 Node.js 中執行：
+ * 偵測目前環境、取得硬體資訊，並在 Node.js 中改以檔案系統載入模型。
+ *
+ * @fileoverview 執行環境工具程序
+ * @author WebASRCore Team
+ */
+
+/**
+ * 是否在 Node.js 中執行
+ *
+ * @returns boolean - Node.js（含 worker_threads）為 true，瀏覽器與 Web Worker 為 false
+ */
+export function isNodeRuntime(): boolean {
+  return typeof process !== 'undefined' &&
+    !!process.versions?.node &&
+    typeof window === 'undefined';
+}
+
+/**
+ * 是否在瀏覽器主執行緒中執行
+ */
+export function isBrowserRuntime(): boolean {
+  return typeof window !== 'undefined' && typeof document !== 'undefined';
+}
+
+/**
+ * 是否支援 Web Worker
+ */
+export function supportsWebWorkers(): boolean {
+  return typeof Worker !== 'undefined' && !isNodeRuntime();
+}
+
+/**
+ * 取得可用的 CPU 核心數
+ *
+ * @param fallback - 無法偵測時的預設值（預設 4）
+ */
+export function getHardwareConcurrency(fallback: number = 4): number {
+  if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+    return navigator.hardwareConcurrency;
+  }
+  return fallback;
+}
+
+/**
+ * 是否為 Windows 平台
+ *
+ * @description WebGPU 在 Windows 上不接受 powerPreference 選項
+ */
+export function isWindowsPlatform(): boolean {
+  if (typeof navigator !== 'undefined' && navigator.userAgent) {
+    return navigator.userAgent.includes('Windows');
+  }
+  return typeof process !== 'undefined' && process.platform === 'win32';
+}
+
+/**
+ * 判斷路徑是否需要透過網路（fetch）取得
+ *
+ * @param path - 模型或資源路徑
+ * @returns boolean - http(s)、blob 與 data URL 為 true
+ */
+export function isRemoteUrl(path: string): boolean {
+  return /^(https?:|blob:|data:)/i.test(path);
+}
+
+/**
+ * 將相對路徑解析為絕對 URL
+ *
+ * @description 以目前頁面（或 Worker 腳本）的位置為基準，讓不同寫法的相同路徑對應到同一個 URL。
+ * 模型路徑交給 Worker 前需先在主執行緒解析，Worker 的 location 是 Worker 腳本而非頁面；
+ * 沒有 location 的環境（Node.js）保留原路徑
+ * @param path - 資源路徑或 URL
+ * @returns string - 絕對 URL（無法解析時為原路徑）
+ */
+export function resolveResourceUrl(path: string): string {
+  if (typeof location === 'undefined' || isRemoteUrl(path)) {
+    return path;
+  }
+  try {
+    return new URL(path, location.href).href;
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * 載入二進位資源
+ *
+ * @description 瀏覽器與 Web Worker 使用 fetch；Node.js 中本地路徑與 file:// URL
+ * 直接從檔案系統讀取（相對路徑以 process.cwd() 為基準），遠端 URL 仍使用 fetch
+ * @param path - 資源路徑或 URL
+ * @returns Promise<ArrayBuffer> - 資源內容
+ * @throws Error - 當載入失敗時拋出錯誤
+ *
+ * @example
+ * ```typescript
+ * // 瀏覽器與 Node.js 皆可使用
+ * const model = await loadResource('./models/github/snakers4/silero-vad/silero_vad_v6.onnx');
+ * ```
+ */
+export async function loadResource(path: string): Promise<ArrayBuffer> {
+  if (isNodeRuntime() && !isRemoteUrl(path)) {
+    const { readFile } = await import('node:fs/promises');
+    const { fileURLToPath } = await import('node:url');
+    const filePath = path.startsWith('file:') ? fileURLToPath(path) : path;
+    const data = await readFile(filePath);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) as ArrayBuffer;
+  }
+
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`從 ${path} 載入資源失敗: ${response.status}`);
+  }
+  return await response.arrayBuffer();
+}
+
+/**
+ * 檢查資源是否存在
+ *
+ * @description Node.js 中本地路徑以檔案系統檢查，其他情況送出 HEAD 請求；
+ * 網路錯誤（例如離線或被防火牆阻擋）視為不存在
+ * @param path - 資源路徑或 URL
+ * @returns Promise<boolean> - 資源是否可取得
+ */
+export async function resourceExists(path: string): Promise<boolean> {
+  try {
+    if (isNodeRuntime() && !isRemoteUrl(path)) {
+      const { access } = await import('node:fs/promises');
+      const { fileURLToPath } = await import('node:url');
+      await access(path.startsWith('file:') ? fileURLToPath(path) : path);
+      return true;
+    }
+
+    const response = await fetch(path, { method: 'HEAD' });
+    // 開發伺服器常以 index.html 回應不存在的路徑
+    return response.ok && !response.headers.get('content-type')?.includes('text/html');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 載入文字資源（例如 JSON 註冊表）
+ *
+ * @param path - 資源路徑或 URL
+ * @returns Promise<string> - UTF-8 文字內容
+ */
+export async function loadTextResource(path: string): Promise<string> {
+  return new TextDecoder().decode(await loadResource(path));
+}
@@ -0,0 +1,63 @@
+/**
+ * Node.js 執行環境冒煙測試
+ *
+ * 以 onnxruntime-web（WASM 後端）在 Node.js 中從檔案系統載入儲存庫內的模型，
+ * 確認 VAD、喚醒詞與計時器不依賴 window 或 navigator
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isNodeRuntime } from './environment';
+import { loadRegistry, resolveVad } from '../registry/registry';
+import { loadVadSession, createVadState, createDefaultVadParams, processVad } from '../services/vad';
+import {
+  loadWakewordResources,
+  createWakewordState,
+  createDefaultWakewordParams,
+  processWakewordChunk
+} from '../services/wakeword';
+import { TimerManager } from '../services/timer';
+
+test('Node.js 中從註冊表載入 Silero VAD 並推論', async () => {
+  assert.equal(isNodeRuntime(), true);
+
+  const registry = await loadRegistry('./models/global_registry.json');
+  const vad = resolveVad(registry);
+  const session = await loadVadSession(vad.modelUrl, undefined, undefined, vad.integrity);
+
+  const params = createDefaultVadParams();
+  let state = createVadState();
+  for (let i = 0; i < 3; i++) {
+    const result = await processVad(session, state, new Float32Array(512), params);
+    assert.ok(result.score >= 0 && result.score <= 1, `score out of range: ${result.score}`);
+    assert.equal(result.detected, false);
+    state = result.state;
+  }
+  // LSTM 狀態隨推論前進
+  assert.ok(state.state.some(value => value !== 0));
+});
+
+test('Node.js 中以檔案系統載入喚醒詞模型並推論', async () => {
+  const resources = await loadWakewordResources('hey_jarvis');
+  const params = createDefaultWakewordParams('hey_jarvis');
+
+  let state = createWakewordState(resources.dims);
+  let score = 0;
+  for (let i = 0; i < 20; i++) {
+    const result = await processWakewordChunk(resources, state, new Float32Array(1280), params);
+    state = result.state;
+    score = result.score;
+  }
+
+  assert.ok(state.melBuffer.length > 0);
+  assert.ok(score >= 0 && score < params.threshold, `unexpected score for silence: ${score}`);
+});
+
+test('Node.js 中計時器不依賴 window', async () => {
+  const timers = new TimerManager();
+  const timedOut = new Promise<void>(resolve => {
+    timers.createTimer('smoke', { duration: 100, tickInterval: 20, onTimeout: resolve });
+  });
+  timers.startTimer('smoke');
+  await timedOut;
+});
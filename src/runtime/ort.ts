@@ -10,6 +10,8 @@
 
 // 類型定義 - 這些僅在編譯時使用，不會產生 import 語句
 import type { InferenceSession, Tensor as OrtTensor } from 'onnxruntime-web';
+import { isNodeRuntime, getHardwareConcurrency } from './environment';
+import { getModelStore } from '../utils/ModelStore';
 
 // 重新匯出類型供其他模組使用
 export type { InferenceSession, OrtTensor };
@@ -17,6 +19,40 @@ export type { InferenceSession, OrtTensor };
 // 動態獲取 ONNX Runtime 實例
 let ortInstance: typeof import('onnxruntime-web') | null = null;
 
+/**
+ * ONNX Runtime 實作介面
+ *
+ * @description onnxruntime-web 與 onnxruntime-node 共同提供的 API
+ */
+export type OrtRuntime = Pick<typeof import('onnxruntime-web'), 'InferenceSession' | 'Tensor' | 'env'>;
+
+/**
+ * 指定要使用的 ONNX Runtime 實作
+ *
+ * @description 預設使用 onnxruntime-web（瀏覽器與 Node.js 皆使用 WASM 後端）。
+ * 在 Node.js 中可注入 onnxruntime-node 以使用原生 CPU 推論，需在載入任何模型前呼叫
+ * @param runtime - ONNX Runtime 模組
+ *
+ * @example
+ * ```typescript
+ * import * as ortNode from 'onnxruntime-node';
+ * setOrtRuntime(ortNode);
+ * const vad = await loadVadSession('./models/github/snakers4/silero-vad/silero_vad_v6.onnx');
+ * ```
+ */
+export function setOrtRuntime(runtime: OrtRuntime): void {
+  ortInstance = runtime as typeof import('onnxruntime-web');
+}
+
+/**
+ * 是否使用原生 ONNX Runtime（onnxruntime-node）
+ *
+ * @description 原生執行環境不支援 'wasm' / 'webgpu' 執行提供者，需改用 'cpu'
+ */
+export function isNativeOrtRuntime(ort: OrtRuntime | null = ortInstance): boolean {
+  return !!ort && typeof (ort as any).listSupportedBackends === 'function';
+}
+
 /**
  * 獲取 ONNX Runtime 實例
  * 
@@ -35,7 +71,7 @@ let ortInstance: typeof import('onnxruntime-web') | null = null;
  * const session = await ort.InferenceSession.create(modelData);
  * ```
  */
-async function getOrt(): Promise<typeof import('onnxruntime-web')> {
+export async function getOrt(): Promise<typeof import('onnxruntime-web')> {
   // 如果已經有實例，直接返回
   if (ortInstance) {
     return ortInstance;
@@ -90,7 +126,10 @@ export async function initializeOrt(): Promise<void> {
       ort.env.wasm.wasmPaths = '/node_modules/onnxruntime-web/dist/';
       // 啟用 SIMD 和多線程
       ort.env.wasm.simd = true;
-      ort.env.wasm.numThreads = navigator.hardwareConcurrency || 4;
+      ort.env.wasm.numThreads = getHardwareConcurrency();
+    } else if (isNodeRuntime()) {
+      // Node.js 中 WASM 檔案由套件自行解析，多線程需要額外的 worker 設定
+      ort.env.wasm.numThreads = 1;
     }
   }
 }
@@ -152,8 +191,9 @@ export function createTensor(
 /**
  * 從 URL 載入 ONNX 模型
  * 
- * @description 從指定的 URL 載入 ONNX 模型檔案並返回 ArrayBuffer
- * @param url - ONNX 模型檔案的 URL
+ * @description 透過模型儲存（ModelStore）載入 ONNX 模型檔案並返回 ArrayBuffer。
+ * 瀏覽器中會持久化快取，在 Node.js 中，本地路徑會直接從檔案系統讀取
+ * @param url - ONNX 模型檔案的 URL 或檔案路徑
  * @returns Promise<ArrayBuffer> - 模型檔案的二進位資料
  * @throws Error - 當載入失敗時拋出錯誤
  * 
@@ -164,11 +204,11 @@ export function createTensor(
  * ```
  */
 export async function loadOnnxFromUrl(url: string): Promise<ArrayBuffer> {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`從 ${url} 載入模型失敗: ${response.status}`);
+  try {
+    return await getModelStore().fetchModel(url);
+  } catch (error) {
+    throw new Error(`從 ${url} 載入模型失敗: ${(error as Error).message}`);
   }
-  return await response.arrayBuffer();
 }
 
 /**
@@ -212,14 +252,14 @@ export async function createSession(
     // 載入模型資料
     const modelData = await loadOnnxFromUrl(modelUrl);
     
-    // WebAssembly 執行的預設會話選項
+    // WebAssembly 執行的預設會話選項（原生執行環境使用 CPU）
     const options: InferenceSession.SessionOptions = sessionOptions || {
-      executionProviders: ['wasm'],
+      executionProviders: [isNativeOrtRuntime(ort) ? 'cpu' : 'wasm'],
       graphOptimizationLevel: 'all',
     };
     
     // 創建並返回推論會話
-    return await ort.InferenceSession.create(modelData, options);
+    return await ort.InferenceSession.create(new Uint8Array(modelData), options);
   } catch (error) {
     throw new Error(`為 ${modelUrl} 創建會話失敗: ${error}`);
   }
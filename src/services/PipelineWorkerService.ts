@@ -0,0 +1,225 @@
+/**
+ * PipelineWorkerService - 音訊管線 Worker 服務類別（Event Architecture v2）
+ *
+ * 在專用 Worker 中執行分塊、VAD、喚醒詞與語音分段，
+ * AudioWorklet 的音訊直接送進 Worker，主執行緒只透過 EventBus 接收高階事件
+ */
+
+import { BusEnabledEventEmitter } from '../core/BusEnabledEventEmitter';
+import { ConfigManager } from '../utils/config-manager';
+import { PipelineEvents } from '../types/events';
+import type {
+  PipelineWorkerInitOptions,
+  PipelineWorkerMessage,
+  PipelineWorkerRequest
+} from '../types';
+import type { SharedAudioRingBuffer } from '../utils/SharedAudioRingBuffer';
+import type { AudioCapture } from './audio-capture';
+
+/**
+ * 音訊管線 Worker 服務選項
+ */
+export interface PipelineWorkerServiceOptions extends Omit<PipelineWorkerInitOptions, 'config'> {
+  /** Worker 腳本 URL（預設 '/dist/audio-pipeline.worker.js'） */
+  workerUrl?: string | URL;
+  /** 是否轉發事件到 EventBus（預設 true） */
+  forwardToBus?: boolean;
+}
+
+/**
+ * PipelineWorkerService - 事件驅動的音訊管線 Worker 服務
+ *
+ * @example
+ * ```typescript
+ * const pipeline = new PipelineWorkerService({ wakewords: ['hey-jarvis'] });
+ * await pipeline.initialize();
+ *
+ * await capture.startCapture();
+ * pipeline.attachCapture(capture);
+ *
+ * // 透過 EventBus 或服務本身接收事件
+ * eventBus.events$
+ *   .ofType(PipelineEvents.WAKEWORD_DETECTED)
+ *   .subscribe(({ data }) => console.log('Wake word:', data.word));
+ *
+ * pipeline.on(PipelineEvents.SEGMENT, async ({ segment }) => {
+ *   const result = await whisper.transcribe(segment.audio);
+ * });
+ * ```
+ */
+export class PipelineWorkerService extends BusEnabledEventEmitter<any> {
+  private worker: Worker | null = null;
+  private config = ConfigManager.getInstance();
+  private options: PipelineWorkerServiceOptions;
+  private readyPromise: Promise<void> | null = null;
+  private ready = false;
+
+  constructor(options: PipelineWorkerServiceOptions = {}) {
+    super({
+      serviceName: 'PipelineWorkerService',
+      enabled: options.forwardToBus ?? true
+    });
+    this.options = options;
+  }
+
+  /**
+   * 建立 Worker 並在其中載入 VAD 與喚醒詞模型
+   * @returns Promise<void> - Worker 回報 ready 後完成
+   */
+  async initialize(): Promise<void> {
+    if (this.readyPromise) {
+      return this.readyPromise;
+    }
+
+    this.readyPromise = new Promise<void>((resolve, reject) => {
+      try {
+        const { workerUrl, forwardToBus, ...initOptions } = this.options;
+        this.worker = new Worker(workerUrl ?? '/dist/audio-pipeline.worker.js');
+
+        this.worker.addEventListener('message', (event: MessageEvent<PipelineWorkerMessage>) => {
+          if (event.data?.type !== 'event') return;
+
+          const { event: name, detail } = event.data;
+          if (name === PipelineEvents.ERROR) {
+            const error = this.toError(detail.error);
+            this.emit(PipelineEvents.ERROR, { ...detail, error });
+            if (detail.context === 'worker:initialize') {
+              reject(error);
+            }
+            return;
+          }
+
+          if (name === PipelineEvents.READY) {
+            this.ready = true;
+            resolve();
+          }
+          this.emit(name, detail);
+        });
+
+        this.worker.addEventListener('error', (event: ErrorEvent) => {
+          const error = new Error(event.message || 'Pipeline worker error');
+          this.emit(PipelineEvents.ERROR, {
+            error,
+            context: 'worker',
+            timestamp: Date.now()
+          });
+          reject(error);
+        });
+
+        this.post({
+          type: 'init',
+          data: {
+            ...initOptions,
+            config: this.config.toJSON(),
+            baseUrl: initOptions.baseUrl ?? (typeof location !== 'undefined' ? location.href : undefined)
+          }
+        });
+      } catch (error) {
+        this.emit(PipelineEvents.ERROR, {
+          error: error as Error,
+          context: 'initialize',
+          timestamp: Date.now()
+        });
+        reject(error);
+      }
+    });
+
+    try {
+      await this.readyPromise;
+    } catch (error) {
+      this.readyPromise = null;
+      this.worker?.terminate();
+      this.worker = null;
+      throw error;
+    }
+  }
+
+  /**
+   * 將 AudioCapture 的 AudioWorklet 直接連到 Worker
+   * @param capture 已以 AudioWorklet 開始擷取的 AudioCapture
+   */
+  attachCapture(capture: AudioCapture): void {
+    this.attachPort(capture.createWorkerPort());
+  }
+
+  /**
+   * 將任意音訊來源 MessagePort 轉移給 Worker
+   *
+   * @description 該 port 需送出 { type: 'audio-data', data: Float32Array, sampleRate } 訊息
+   * @param port 音訊來源 MessagePort
+   */
+  attachPort(port: MessagePort): void {
+    this.post({ type: 'attach-port' }, [port]);
+  }
+
+  /**
+   * 讓 Worker 直接從共享環形緩衝區讀取音訊
+   * @param buffer 由 AudioWorklet 寫入的共享環形緩衝區
+   */
+  attachSharedBuffer(buffer: SharedAudioRingBuffer): void {
+    this.post({ type: 'attach-shared-buffer', data: { handle: buffer.getHandle() } });
+  }
+
+  /**
+   * 直接送入音訊（會轉移 audio 的底層緩衝區）
+   * @param audio 音訊資料
+   * @param sampleRate 音訊採樣率（預設 audio.sampleRate）
+   */
+  process(audio: Float32Array, sampleRate: number = this.config.audio.sampleRate): void {
+    this.post({ type: 'audio', data: { audio, sampleRate } }, [audio.buffer]);
+  }
+
+  /**
+   * 處理完已送入的音訊後，強制結束目前的語音片段
+   */
+  flush(): void {
+    this.post({ type: 'flush' });
+  }
+
+  /**
+   * 重置 Worker 內的所有狀態
+   */
+  reset(): void {
+    this.post({ type: 'reset' });
+  }
+
+  /**
+   * Worker 是否已就緒
+   */
+  isReady(): boolean {
+    return this.ready;
+  }
+
+  /**
+   * 清理資源並終止 Worker
+   */
+  dispose(): void {
+    if (this.worker) {
+      this.post({ type: 'dispose' });
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.readyPromise = null;
+    this.ready = false;
+    this.removeAllListeners();
+  }
+
+  private post(message: PipelineWorkerRequest, transfer: Transferable[] = []): void {
+    if (!this.worker) {
+      throw new Error('Pipeline worker not initialized. Call initialize() first.');
+    }
+    this.worker.postMessage(message, transfer);
+  }
+
+  /**
+   * 將 Worker 傳回的錯誤物件還原為 Error
+   */
+  private toError(data: { name?: string; message?: string; stack?: string } | undefined): Error {
+    const error = new Error(data?.message ?? 'Unknown pipeline worker error');
+    if (data?.name) error.name = data.name;
+    if (data?.stack) error.stack = data.stack;
+    return error;
+  }
+}
+
+export default PipelineWorkerService;
@@ -0,0 +1,102 @@
+/**
+ * Recorder 測試（Node.js）
+ *
+ * 以假的 AudioCapture 與語音分段器驗證整段錄音、長度上限與片段保存
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from '../core/EventEmitter';
+import { Recorder } from './Recorder';
+import { decodeWav } from './audio-decoder';
+import { RecorderEvents, SegmenterEvents } from '../types/events';
+import type { SpeechSegment } from '../types';
+
+/**
+ * 建立只記錄回調的假 AudioCapture
+ */
+function createCapture() {
+  const capture = {
+    listeners: new Set<(audio: Float32Array) => void>(),
+    onAudioData(callback: (audio: Float32Array) => void) { capture.listeners.add(callback); },
+    offAudioData(callback: (audio: Float32Array) => void) { capture.listeners.delete(callback); },
+    push(audio: Float32Array) { capture.listeners.forEach(listener => listener(audio)); }
+  };
+  return capture;
+}
+
+/**
+ * 解碼 WAV Blob 為單聲道樣本
+ */
+async function decodeBlob(blob: Blob): Promise<Float32Array> {
+  return decodeWav(await blob.arrayBuffer()).channelData[0];
+}
+
+test('錄音期間保存音訊，停止後匯出 WAV 並取消訂閱', async () => {
+  const capture = createCapture();
+  const recorder = new Recorder(capture as any, { sampleRate: 16000, encoding: 'float32' });
+
+  const stopped: Array<{ duration: number }> = [];
+  recorder.on(RecorderEvents.RECORDING_STOP, data => stopped.push(data));
+
+  recorder.start();
+  const chunk = new Float32Array(1600).fill(0.5);
+  capture.push(chunk);
+  // AudioCapture 可能重用緩衝區
+  chunk.fill(0);
+  capture.push(new Float32Array(1600).fill(-0.5));
+
+  const blob = recorder.stop();
+  capture.push(new Float32Array(1600));
+
+  const audio = await decodeBlob(blob);
+  assert.equal(audio.length, 3200);
+  assert.equal(audio[0], 0.5);
+  assert.equal(audio[3199], -0.5);
+  assert.equal(capture.listeners.size, 0);
+  assert.equal(recorder.isRecording(), false);
+  assert.equal(stopped[0].duration, 200);
+});
+
+test('maxSessionSeconds 捨棄最舊的區塊', () => {
+  const recorder = new Recorder(undefined, { sampleRate: 1000, maxSessionSeconds: 1 });
+
+  for (let i = 1; i <= 5; i++) {
+    recorder.append(new Float32Array(300).fill(i));
+  }
+
+  // 捨棄最舊區塊後仍至少保留 1 秒
+  const audio = recorder.getSessionAudio();
+  assert.equal(audio.length, 1200);
+  assert.equal(audio[0], 2);
+});
+
+test('連接的分段器片段被保存，超過 maxSegments 時捨棄最舊片段', async () => {
+  const segmenter = new EventEmitter<any>();
+  const recorder = new Recorder(undefined, { maxSegments: 2 });
+  const detach = recorder.attachSegmenter(segmenter as any);
+
+  const segment = (start: number): SpeechSegment => ({
+    audio: new Float32Array(160).fill(0.25),
+    startSample: start,
+    endSample: start + 160,
+    speechStartSample: start,
+    speechEndSample: start + 160,
+    sampleRate: 16000,
+    duration: 10,
+    reason: 'speech-end'
+  });
+
+  for (const start of [0, 1000, 2000]) {
+    segmenter.emit(SegmenterEvents.SEGMENT, { segment: segment(start), timestamp: Date.now() });
+  }
+
+  const segments = recorder.getSegments();
+  assert.deepEqual(segments.map(s => s.startSample), [1000, 2000]);
+  assert.equal((await decodeBlob(segments[0].blob)).length, 160);
+
+  // 中斷後不再保存
+  detach();
+  segmenter.emit(SegmenterEvents.SEGMENT, { segment: segment(3000), timestamp: Date.now() });
+  assert.equal(recorder.getSegments().length, 2);
+});
@@ -0,0 +1,266 @@
+/**
+ * Recorder - 錄音匯出服務類別（Event Architecture v2）
+ *
+ * 訂閱 AudioCapture 的音訊資料，保存整段錄音或個別 VAD 片段，
+ * 並匯出為 WAV Blob，方便附加到問題回報或建立回歸測試資料集
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { ConfigManager } from '../utils/config-manager';
+import { RecorderEvents, SegmenterEvents } from '../types/events';
+import type { RecordedSegment, SpeechSegment } from '../types';
+import { encodeWavBlob, type WavEncoding } from './audio-encoder';
+import { getAudioCapture, type AudioCapture, type AudioDataCallback } from './audio-capture';
+import type { UtteranceSegmenter } from './UtteranceSegmenter';
+
+/**
+ * 錄音器選項
+ */
+export interface RecorderOptions {
+  /** 音訊採樣率（預設 audio.sampleRate，需與 AudioCapture 輸出一致） */
+  sampleRate?: number;
+  /** WAV 編碼格式（預設 pcm16） */
+  encoding?: WavEncoding;
+  /** 整段錄音最多保留的秒數，超過時捨棄最舊的音訊（預設 0 = 不限制） */
+  maxSessionSeconds?: number;
+  /** 最多保留的片段數量，超過時捨棄最舊的片段（預設 50） */
+  maxSegments?: number;
+}
+
+/**
+ * Recorder - 事件驅動的錄音匯出器
+ *
+ * @example
+ * ```typescript
+ * const recorder = new Recorder(getAudioCapture(), { encoding: 'pcm16' });
+ *
+ * // 同時保存 VAD 切出的語音片段
+ * recorder.attachSegmenter(segmenter);
+ * recorder.on(RecorderEvents.SEGMENT_RECORDED, ({ segment }) => {
+ *   console.log('片段', segment.startSample, segment.blob.size);
+ * });
+ *
+ * recorder.start();
+ * // ...
+ * const blob = recorder.stop();
+ * const url = URL.createObjectURL(blob);
+ * ```
+ */
+export class Recorder extends EventEmitter<any> {
+  private config = ConfigManager.getInstance();
+  private capture?: AudioCapture;
+  private options: Required<RecorderOptions>;
+
+  private chunks: Float32Array[] = [];
+  private bufferedSamples = 0;
+  private segments: RecordedSegment[] = [];
+  private recording = false;
+  private captureCallback: AudioDataCallback;
+  private detachSegmenter?: () => void;
+
+  constructor(capture?: AudioCapture, options: RecorderOptions = {}) {
+    super();
+    this.capture = capture;
+    this.options = {
+      sampleRate: options.sampleRate ?? this.config.audio.sampleRate,
+      encoding: options.encoding ?? 'pcm16',
+      maxSessionSeconds: options.maxSessionSeconds ?? 0,
+      maxSegments: options.maxSegments ?? 50
+    };
+    this.captureCallback = (audioData: Float32Array) => this.append(audioData);
+  }
+
+  /**
+   * 開始錄音
+   *
+   * 會清除先前的整段錄音（已保存的片段保留），
+   * 並訂閱 AudioCapture 的音訊資料；未指定 AudioCapture 時使用全域實例
+   */
+  start(): void {
+    if (this.recording) return;
+
+    try {
+      this.chunks = [];
+      this.bufferedSamples = 0;
+      this.capture ??= getAudioCapture();
+      this.capture.onAudioData(this.captureCallback);
+      this.recording = true;
+
+      this.emit(RecorderEvents.RECORDING_START, {
+        sampleRate: this.options.sampleRate,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.emit(RecorderEvents.ERROR, {
+        error: error as Error,
+        context: 'start',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 停止錄音並匯出整段錄音
+   * @returns 整段錄音的 WAV Blob
+   */
+  stop(): Blob {
+    this.capture?.offAudioData(this.captureCallback);
+    this.recording = false;
+
+    const blob = this.exportSession();
+    this.emit(RecorderEvents.RECORDING_STOP, {
+      blob,
+      duration: (this.bufferedSamples / this.options.sampleRate) * 1000,
+      timestamp: Date.now()
+    });
+    return blob;
+  }
+
+  /**
+   * 是否正在錄音
+   */
+  isRecording(): boolean {
+    return this.recording;
+  }
+
+  /**
+   * 手動附加音訊（例如不透過 AudioCapture 的來源或在 Node.js 中使用）
+   * @param audio 音訊資料
+   */
+  append(audio: Float32Array): void {
+    // AudioCapture 可能重用緩衝區，必須複製
+    this.chunks.push(new Float32Array(audio));
+    this.bufferedSamples += audio.length;
+
+    const maxSamples = this.options.maxSessionSeconds * this.options.sampleRate;
+    if (maxSamples > 0) {
+      while (this.chunks.length > 1 && this.bufferedSamples - this.chunks[0].length >= maxSamples) {
+        this.bufferedSamples -= this.chunks.shift()!.length;
+      }
+    }
+  }
+
+  /**
+   * 取得目前保存的整段錄音
+   * @returns 單聲道音訊
+   */
+  getSessionAudio(): Float32Array {
+    const audio = new Float32Array(this.bufferedSamples);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      audio.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return audio;
+  }
+
+  /**
+   * 匯出整段錄音
+   * @param encoding WAV 編碼格式（預設使用建構時的設定）
+   * @returns WAV Blob
+   */
+  exportSession(encoding: WavEncoding = this.options.encoding): Blob {
+    return encodeWavBlob(this.getSessionAudio(), {
+      sampleRate: this.options.sampleRate,
+      encoding
+    });
+  }
+
+  /**
+   * 匯出單一語音片段
+   * @param segment UtteranceSegmenter 產生的片段或原始音訊
+   * @param encoding WAV 編碼格式（預設使用建構時的設定）
+   * @returns WAV Blob
+   */
+  exportSegment(segment: SpeechSegment | Float32Array, encoding: WavEncoding = this.options.encoding): Blob {
+    const isRaw = segment instanceof Float32Array;
+    return encodeWavBlob(isRaw ? segment : segment.audio, {
+      sampleRate: isRaw ? this.options.sampleRate : segment.sampleRate,
+      encoding
+    });
+  }
+
+  /**
+   * 訂閱語音分段器，自動保存每個完成的片段
+   *
+   * 同一時間只會連接一個分段器，重複呼叫會先中斷前一個
+   * @param segmenter 語音分段器
+   * @returns 中斷連接的函數
+   */
+  attachSegmenter(segmenter: UtteranceSegmenter): () => void {
+    this.detachSegmenter?.();
+
+    const handler = ({ segment }: { segment: SpeechSegment }) => {
+      this.saveSegment(segment);
+    };
+    segmenter.on(SegmenterEvents.SEGMENT, handler);
+
+    const detach = () => {
+      segmenter.off(SegmenterEvents.SEGMENT, handler);
+      if (this.detachSegmenter === detach) {
+        this.detachSegmenter = undefined;
+      }
+    };
+    this.detachSegmenter = detach;
+    return detach;
+  }
+
+  /**
+   * 保存語音片段
+   * @param segment UtteranceSegmenter 產生的片段
+   * @returns 已錄製的片段
+   */
+  saveSegment(segment: SpeechSegment): RecordedSegment {
+    const recorded: RecordedSegment = {
+      blob: this.exportSegment(segment),
+      startSample: segment.startSample,
+      endSample: segment.endSample,
+      sampleRate: segment.sampleRate,
+      duration: segment.duration,
+      reason: segment.reason
+    };
+
+    this.segments.push(recorded);
+    if (this.segments.length > this.options.maxSegments) {
+      this.segments.shift();
+    }
+
+    this.emit(RecorderEvents.SEGMENT_RECORDED, {
+      segment: recorded,
+      timestamp: Date.now()
+    });
+    return recorded;
+  }
+
+  /**
+   * 取得已保存的片段
+   */
+  getSegments(): RecordedSegment[] {
+    return [...this.segments];
+  }
+
+  /**
+   * 清除整段錄音與已保存的片段
+   */
+  clear(): void {
+    this.chunks = [];
+    this.bufferedSamples = 0;
+    this.segments = [];
+  }
+
+  /**
+   * 清理資源
+   */
+  dispose(): void {
+    if (this.recording) {
+      this.capture?.offAudioData(this.captureCallback);
+      this.recording = false;
+    }
+    this.detachSegmenter?.();
+    this.clear();
+    this.removeAllListeners();
+  }
+}
+
+export default Recorder;
@@ -0,0 +1,33 @@
+/**
+ * SpeakerVerificationService 測試（Node.js）
+ *
+ * 驗證設定檔匯入匯出不需載入嵌入模型
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpeakerVerificationService } from './SpeakerVerificationService';
+import type { SpeakerProfile } from '../types';
+
+/**
+ * 建立測試用設定檔
+ */
+function createProfile(id: string, embedding: number[] = [0.6, 0.8]): SpeakerProfile {
+  return { id, embedding, sampleCount: 3, createdAt: 0, updatedAt: 0 };
+}
+
+test('importProfiles 匯入 exportProfiles 的結果', () => {
+  const source = new SpeakerVerificationService({ profiles: [createProfile('alice'), createProfile('bob')] });
+  const target = new SpeakerVerificationService();
+
+  assert.equal(target.importProfiles(source.exportProfiles()), 2);
+  assert.deepEqual(target.getProfiles(), source.getProfiles());
+});
+
+test('importProfiles 遇到無效設定檔時不匯入任何設定檔', () => {
+  const verifier = new SpeakerVerificationService({ profiles: [createProfile('alice', [1, 0])] });
+  const json = JSON.stringify([createProfile('alice', [0, 1]), { id: 'broken' }]);
+
+  assert.throws(() => verifier.importProfiles(json), /Invalid speaker profile/);
+  assert.deepEqual(verifier.getProfiles(), [createProfile('alice', [1, 0])]);
+});
@@ -0,0 +1,330 @@
+/**
+ * SpeakerVerificationService - 說話者驗證服務類別（Event Architecture v2）
+ *
+ * 提供事件驅動的聲紋註冊與說話者驗證服務，
+ * 可掛載到 WakewordService，使喚醒詞只對已註冊的說話者生效
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { ConfigManager } from '../utils/config-manager';
+import { SpeakerEvents } from '../types/events';
+import type { SpeakerResources, SpeakerProfile, SpeakerVerificationResult } from '../types';
+import {
+  loadSpeakerResources,
+  extractSpeakerEmbedding,
+  createSpeakerProfile,
+  verifySpeakerEmbedding
+} from './speaker';
+
+/**
+ * 說話者驗證服務選項
+ */
+export interface SpeakerVerificationServiceOptions {
+  /** 餘弦相似度閾值（預設 wakeword.verification.threshold） */
+  threshold?: number;
+  /** 預先載入的聲紋設定檔 */
+  profiles?: SpeakerProfile[];
+}
+
+/**
+ * 進行中的註冊工作階段
+ */
+interface EnrollmentSession {
+  id: string;
+  name?: string;
+  embeddings: Float32Array[];
+}
+
+/**
+ * SpeakerVerificationService - 事件驅動的說話者驗證服務
+ *
+ * @example
+ * ```typescript
+ * const speaker = new SpeakerVerificationService({ threshold: 0.55 });
+ * await speaker.initialize();
+ *
+ * // 註冊聲紋（每段約 1-3 秒）
+ * speaker.startEnrollment('alice', 'Alice');
+ * for (const sample of samples) {
+ *   await speaker.addEnrollmentSample(sample);
+ * }
+ * const profile = speaker.finishEnrollment();
+ * localStorage.setItem('voice-profiles', speaker.exportProfiles());
+ *
+ * // 掛載到喚醒詞服務
+ * const wakeword = new WakewordService({ speakerVerifier: speaker });
+ * wakeword.on(WakewordEvents.WAKEWORD_DETECTED, ({ word, speaker }) => {
+ *   console.log(`${speaker?.profileId} 說了 ${word}`);
+ * });
+ * ```
+ */
+export class SpeakerVerificationService extends EventEmitter<any> {
+  private resources: SpeakerResources | null = null;
+  private config = ConfigManager.getInstance();
+  private threshold: number;
+  private profiles: Map<string, SpeakerProfile> = new Map();
+  private enrollment: EnrollmentSession | null = null;
+
+  constructor(options: SpeakerVerificationServiceOptions = {}) {
+    super();
+    this.threshold = options.threshold ?? this.config.wakeword.verification.threshold;
+    options.profiles?.forEach(profile => this.profiles.set(profile.id, profile));
+  }
+
+  /**
+   * 初始化說話者嵌入模型
+   * @param modelUrl 模型 URL（可選）
+   * @returns Promise<void>
+   */
+  async initialize(modelUrl?: string): Promise<void> {
+    try {
+      this.resources = await loadSpeakerResources(modelUrl, undefined, this.config);
+
+      this.emit(SpeakerEvents.READY, {
+        profiles: Array.from(this.profiles.keys()),
+        threshold: this.threshold,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.emit(SpeakerEvents.ERROR, {
+        error: error as Error,
+        context: 'initialize',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 提取音訊的說話者嵌入向量
+   * @param audio 16kHz 單聲道音訊
+   * @returns 正規化的嵌入向量
+   */
+  async embed(audio: Float32Array): Promise<Float32Array> {
+    if (!this.resources) {
+      throw new Error('Speaker verification service not initialized. Call initialize() first.');
+    }
+    return extractSpeakerEmbedding(this.resources, audio, this.config);
+  }
+
+  /**
+   * 開始註冊新的聲紋（若 ID 已存在，完成後會覆蓋）
+   * @param id 設定檔 ID
+   * @param name 顯示名稱（可選）
+   */
+  startEnrollment(id: string, name?: string): void {
+    this.enrollment = { id, name, embeddings: [] };
+  }
+
+  /**
+   * 加入一段註冊樣本
+   * @param audio 16kHz 單聲道音訊
+   * @returns 目前已收集的樣本數
+   */
+  async addEnrollmentSample(audio: Float32Array): Promise<number> {
+    if (!this.enrollment) {
+      throw new Error('No enrollment in progress. Call startEnrollment() first.');
+    }
+
+    try {
+      const session = this.enrollment;
+      const embedding = await this.embed(audio);
+      session.embeddings.push(embedding);
+
+      this.emit(SpeakerEvents.ENROLLMENT_PROGRESS, {
+        profileId: session.id,
+        samples: session.embeddings.length,
+        required: this.config.wakeword.verification.minEnrollmentSamples,
+        timestamp: Date.now()
+      });
+
+      return session.embeddings.length;
+    } catch (error) {
+      this.emit(SpeakerEvents.ERROR, {
+        error: error as Error,
+        context: 'addEnrollmentSample',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 完成註冊並儲存設定檔
+   * @returns 新的聲紋設定檔
+   */
+  finishEnrollment(): SpeakerProfile {
+    const session = this.enrollment;
+    if (!session) {
+      throw new Error('No enrollment in progress. Call startEnrollment() first.');
+    }
+
+    const required = this.config.wakeword.verification.minEnrollmentSamples;
+    if (session.embeddings.length < required) {
+      throw new Error(`Enrollment requires at least ${required} samples (got ${session.embeddings.length})`);
+    }
+
+    const profile = createSpeakerProfile(session.id, session.embeddings, session.name);
+    const existing = this.profiles.get(profile.id);
+    if (existing) {
+      profile.createdAt = existing.createdAt;
+    }
+
+    this.profiles.set(profile.id, profile);
+    this.enrollment = null;
+
+    this.emit(SpeakerEvents.ENROLLMENT_COMPLETE, {
+      profile,
+      timestamp: Date.now()
+    });
+
+    return profile;
+  }
+
+  /**
+   * 取消進行中的註冊
+   */
+  cancelEnrollment(): void {
+    this.enrollment = null;
+  }
+
+  /**
+   * 一次完成註冊
+   * @param id 設定檔 ID
+   * @param samples 註冊樣本音訊
+   * @param name 顯示名稱（可選）
+   * @returns 新的聲紋設定檔
+   */
+  async enroll(id: string, samples: Float32Array[], name?: string): Promise<SpeakerProfile> {
+    this.startEnrollment(id, name);
+    try {
+      for (const sample of samples) {
+        await this.addEnrollmentSample(sample);
+      }
+      return this.finishEnrollment();
+    } catch (error) {
+      this.cancelEnrollment();
+      throw error;
+    }
+  }
+
+  /**
+   * 驗證音訊是否來自已註冊的說話者
+   * @param audio 16kHz 單聲道音訊
+   * @returns 驗證結果
+   */
+  async verify(audio: Float32Array): Promise<SpeakerVerificationResult> {
+    try {
+      const embedding = await this.embed(audio);
+      const result = verifySpeakerEmbedding(embedding, Array.from(this.profiles.values()), this.threshold);
+
+      this.emit(result.verified ? SpeakerEvents.VERIFIED : SpeakerEvents.REJECTED, {
+        ...result,
+        timestamp: Date.now()
+      });
+
+      return result;
+    } catch (error) {
+      this.emit(SpeakerEvents.ERROR, {
+        error: error as Error,
+        context: 'verify',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 是否已有註冊的聲紋
+   */
+  hasProfiles(): boolean {
+    return this.profiles.size > 0;
+  }
+
+  /**
+   * 加入（或覆蓋）已儲存的設定檔
+   * @param profile 聲紋設定檔
+   */
+  addProfile(profile: SpeakerProfile): void {
+    this.profiles.set(profile.id, profile);
+  }
+
+  /**
+   * 移除設定檔
+   * @param id 設定檔 ID
+   * @returns 是否有移除
+   */
+  removeProfile(id: string): boolean {
+    return this.profiles.delete(id);
+  }
+
+  /**
+   * 取得所有設定檔
+   */
+  getProfiles(): SpeakerProfile[] {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * 將所有設定檔匯出為 JSON 字串
+   */
+  exportProfiles(): string {
+    return JSON.stringify(this.getProfiles());
+  }
+
+  /**
+   * 從 JSON 字串匯入設定檔
+   * @param json exportProfiles() 產生的 JSON
+   * @returns 匯入的設定檔數量
+   * @description 先驗證全部設定檔，任一筆無效時整批不匯入
+   */
+  importProfiles(json: string): number {
+    const parsed = JSON.parse(json);
+    if (!Array.isArray(parsed)) {
+      throw new Error('Invalid speaker profiles JSON: expected an array');
+    }
+
+    const profiles = parsed as SpeakerProfile[];
+    for (const profile of profiles) {
+      if (
+        typeof profile?.id !== 'string' ||
+        !Array.isArray(profile.embedding) ||
+        profile.embedding.length === 0 ||
+        !profile.embedding.every(value => typeof value === 'number' && Number.isFinite(value))
+      ) {
+        throw new Error('Invalid speaker profile: missing id or embedding');
+      }
+    }
+
+    for (const profile of profiles) {
+      this.profiles.set(profile.id, profile);
+    }
+    return profiles.length;
+  }
+
+  /**
+   * 設定驗證閾值
+   * @param threshold 餘弦相似度閾值
+   */
+  setThreshold(threshold: number): void {
+    this.threshold = threshold;
+  }
+
+  /**
+   * 取得驗證閾值
+   */
+  getThreshold(): number {
+    return this.threshold;
+  }
+
+  /**
+   * 清理資源
+   */
+  dispose(): void {
+    this.removeAllListeners();
+    this.resources = null;
+    this.enrollment = null;
+  }
+}
+
+export default SpeakerVerificationService;
@@ -0,0 +1,120 @@
+/**
+ * UtteranceSegmenter 測試（Node.js）
+ *
+ * 以預先排定的 VAD 結果驅動分段器，驗證 pre-roll、post-roll、
+ * 最短長度過濾與最長長度切分後的片段邊界
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UtteranceSegmenter, type UtteranceSegmenterOptions } from './UtteranceSegmenter';
+import { SegmenterEvents } from '../types/events';
+import type { VadState } from '../types';
+
+/** VAD 視窗大小（config.vad.windowSize） */
+const CHUNK = 512;
+
+/**
+ * VAD 結果腳本：'speech' 偵測到語音，'hangover' 語音仍作用中但本塊未偵測到，'silence' 語音已結束
+ */
+type VadStep = 'speech' | 'hangover' | 'silence';
+
+/**
+ * 建立依腳本回傳結果的分段器
+ */
+function createSegmenter(steps: VadStep[], options: UtteranceSegmenterOptions) {
+  let index = 0;
+  const vad = {
+    createParams: () => ({ threshold: 0.5, hangoverFrames: 12, sampleRate: 16000 }),
+    createState: () => ({ isSpeechActive: false }),
+    process: async (state: VadState) => {
+      const step = steps[index++] ?? 'silence';
+      return {
+        detected: step === 'speech',
+        score: step === 'speech' ? 0.9 : 0.1,
+        state: { ...state, isSpeechActive: step !== 'silence' }
+      };
+    }
+  };
+  return new UtteranceSegmenter(vad as any, options);
+}
+
+/**
+ * 產生連續區塊的音訊，每個區塊的樣本值為其區塊索引
+ */
+function chunks(count: number): Float32Array {
+  const audio = new Float32Array(count * CHUNK);
+  for (let i = 0; i < count; i++) {
+    audio.fill(i, i * CHUNK, (i + 1) * CHUNK);
+  }
+  return audio;
+}
+
+test('片段包含 pre-roll 與 post-roll，偏移量以第一個樣本起算', async () => {
+  const steps: VadStep[] = [
+    'silence', 'silence', 'silence', 'silence',
+    'speech', 'speech', 'speech', 'speech',
+    'hangover', 'hangover',
+    'silence', 'silence'
+  ];
+  // pre-roll 與 post-roll 各兩個區塊
+  const segmenter = createSegmenter(steps, { preRollMs: 64, postRollMs: 64, minSpeechMs: 64 });
+
+  const segments = await segmenter.process(chunks(steps.length));
+
+  assert.equal(segments.length, 1);
+  const [segment] = segments;
+  assert.equal(segment.reason, 'speech-end');
+  assert.equal(segment.startSample, 2 * CHUNK);
+  assert.equal(segment.endSample, 12 * CHUNK);
+  assert.equal(segment.speechStartSample, 4 * CHUNK);
+  assert.equal(segment.speechEndSample, 8 * CHUNK);
+  assert.equal(segment.duration, 128);
+  assert.equal(segment.audio.length, segment.endSample - segment.startSample);
+  // 開頭為 pre-roll 的第 2 塊，結尾為 post-roll 的最後一塊
+  assert.equal(segment.audio[0], 2);
+  assert.equal(segment.audio[segment.audio.length - 1], 11);
+  assert.equal(segmenter.isInSegment(), false);
+});
+
+test('短於 minSpeechMs 的片段被丟棄並發射 SEGMENT_DROPPED', async () => {
+  const steps: VadStep[] = ['silence', 'speech', 'silence', 'silence'];
+  const segmenter = createSegmenter(steps, { preRollMs: 32, postRollMs: 32, minSpeechMs: 64 });
+
+  const dropped: Array<{ startSample: number; endSample: number; duration: number }> = [];
+  const emitted: unknown[] = [];
+  segmenter.on(SegmenterEvents.SEGMENT_DROPPED, data => dropped.push(data));
+  segmenter.on(SegmenterEvents.SEGMENT, data => emitted.push(data));
+
+  const segments = await segmenter.process(chunks(steps.length));
+
+  assert.deepEqual(segments, []);
+  assert.deepEqual(emitted, []);
+  assert.equal(dropped.length, 1);
+  assert.equal(dropped[0].startSample, 0);
+  assert.equal(dropped[0].endSample, 3 * CHUNK);
+  assert.equal(dropped[0].duration, 32);
+});
+
+test('超過 maxSpeechMs 時強制切分並延續進行中的語音', async () => {
+  const steps: VadStep[] = ['speech', 'speech', 'speech', 'speech', 'speech'];
+  const segmenter = createSegmenter(steps, { preRollMs: 0, postRollMs: 0, minSpeechMs: 0, maxSpeechMs: 64 });
+
+  const segments = await segmenter.process(chunks(steps.length));
+
+  assert.deepEqual(
+    segments.map(({ startSample, endSample, reason }) => ({ startSample, endSample, reason })),
+    [
+      { startSample: 0, endSample: 2 * CHUNK, reason: 'max-duration' },
+      { startSample: 2 * CHUNK, endSample: 4 * CHUNK, reason: 'max-duration' }
+    ]
+  );
+  // 兩個片段首尾相接，不重複也不遺漏樣本
+  assert.equal(segments[1].audio[0], 2);
+
+  const rest = segmenter.flush();
+  assert.equal(rest?.reason, 'flush');
+  assert.equal(rest?.startSample, 4 * CHUNK);
+  assert.equal(rest?.endSample, 5 * CHUNK);
+  assert.equal(segmenter.flush(), null);
+});
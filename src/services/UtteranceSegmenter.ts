@@ -0,0 +1,309 @@
+/**
+ * UtteranceSegmenter - 語音分段服務類別（Event Architecture v2）
+ *
+ * 建立在 VadService 與 AudioRingBuffer 之上，
+ * 將逐塊的 VAD 結果組合成可直接送入 Whisper 的完整語音片段
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { AudioChunker } from '../utils/AudioChunker';
+import { AudioRingBuffer } from '../utils/AudioRingBuffer';
+import { ConfigManager } from '../utils/config-manager';
+import { SegmenterEvents } from '../types/events';
+import type { VadState, VadParams, SpeechSegment } from '../types';
+import { VadService } from './VadService';
+
+/**
+ * 語音分段器選項
+ */
+export interface UtteranceSegmenterOptions {
+  /** 語音起點前保留的音訊長度（毫秒，預設 300） */
+  preRollMs?: number;
+  /** VAD 判定語音結束後額外保留的音訊長度（毫秒，預設 300） */
+  postRollMs?: number;
+  /** 最短語音長度，短於此值的片段會被丟棄（毫秒，預設 250） */
+  minSpeechMs?: number;
+  /** 最長語音長度，超過時強制切分（毫秒，預設 audio.timer.maxRecordingDuration） */
+  maxSpeechMs?: number;
+  /** VAD 參數覆蓋 */
+  vadParams?: Partial<VadParams>;
+}
+
+/**
+ * UtteranceSegmenter - 事件驅動的語音分段器
+ *
+ * @example
+ * ```typescript
+ * const segmenter = new UtteranceSegmenter(new VadService(), {
+ *   preRollMs: 300,
+ *   minSpeechMs: 250,
+ *   maxSpeechMs: 15000
+ * });
+ *
+ * segmenter.on(SegmenterEvents.SEGMENT, async ({ segment }) => {
+ *   const result = await whisper.transcribe(segment.audio);
+ *   console.log(segment.startSample, segment.endSample, result.text);
+ * });
+ *
+ * await segmenter.initialize();
+ *
+ * // 餵入任意長度的 16kHz 音訊
+ * audioCapture.onAudioData(audio => segmenter.process(audio));
+ * ```
+ */
+export class UtteranceSegmenter extends EventEmitter<any> {
+  private vad: VadService;
+  private config = ConfigManager.getInstance();
+  private options: Required<Omit<UtteranceSegmenterOptions, 'vadParams'>>;
+  private vadParams: VadParams;
+  private vadState: VadState;
+  private chunker: AudioChunker;
+  private sampleRate: number;
+
+  // 語音起點前的歷史音訊
+  private preRollBuffer: AudioRingBuffer;
+
+  // 目前片段
+  private segmentChunks: Float32Array[] = [];
+  private segmentStart = 0;
+  private speechStart = 0;
+  private speechEnd = 0;
+  private inSegment = false;
+  private inPostRoll = false;
+  private postRollRemaining = 0;
+
+  // 已處理的樣本總數（即下一個區塊的起始偏移）
+  private processedSamples = 0;
+
+  constructor(vad: VadService = new VadService(), options: UtteranceSegmenterOptions = {}) {
+    super();
+    this.vad = vad;
+    this.sampleRate = this.config.audio.sampleRate;
+    this.options = {
+      preRollMs: options.preRollMs ?? 300,
+      postRollMs: options.postRollMs ?? 300,
+      minSpeechMs: options.minSpeechMs ?? 250,
+      maxSpeechMs: options.maxSpeechMs ?? this.config.audio.timer.maxRecordingDuration
+    };
+    this.vadParams = this.vad.createParams(options.vadParams);
+    this.vadState = this.vad.createState();
+    this.chunker = new AudioChunker(this.config.vad.windowSize, 0);
+    this.preRollBuffer = new AudioRingBuffer(Math.max(1, this.msToSamples(this.options.preRollMs)), false);
+  }
+
+  /**
+   * 初始化底層 VAD 服務
+   *
+   * 若傳入的 VadService 已初始化，可略過此步驟
+   * @param modelUrl VAD 模型 URL（可選）
+   * @returns Promise<void>
+   */
+  async initialize(modelUrl?: string): Promise<void> {
+    try {
+      await this.vad.initialize(modelUrl);
+
+      this.emit(SegmenterEvents.READY, {
+        config: { ...this.options, sampleRate: this.sampleRate },
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.emit(SegmenterEvents.ERROR, {
+        error: error as Error,
+        context: 'initialize',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 處理任意長度的音訊
+   * @param audio 音訊資料（16kHz）
+   * @returns 本次處理中完成的語音片段
+   */
+  async process(audio: Float32Array): Promise<SpeechSegment[]> {
+    const segments: SpeechSegment[] = [];
+
+    try {
+      for (const chunk of this.chunker.chunk(audio)) {
+        const chunkStart = this.processedSamples;
+        const chunkEnd = chunkStart + chunk.length;
+        const result = await this.vad.process(this.vadState, chunk, this.vadParams);
+        this.vadState = result.state;
+        this.processedSamples = chunkEnd;
+
+        if (!this.inSegment) {
+          if (result.state.isSpeechActive) {
+            this.openSegment(chunk, chunkStart);
+            if (result.detected) {
+              this.speechEnd = chunkEnd;
+            }
+          } else {
+            this.preRollBuffer.write(chunk);
+          }
+          continue;
+        }
+
+        this.segmentChunks.push(chunk);
+        if (result.detected) {
+          this.speechEnd = chunkEnd;
+        }
+
+        if (result.state.isSpeechActive) {
+          // 語音仍在進行（或於 post-roll 期間恢復）
+          this.inPostRoll = false;
+
+          if (chunkEnd - this.speechStart >= this.msToSamples(this.options.maxSpeechMs)) {
+            const segment = this.closeSegment('max-duration');
+            if (segment) segments.push(segment);
+            // 立即開始下一個片段，延續進行中的語音
+            this.inSegment = true;
+            this.segmentStart = chunkEnd;
+            this.speechStart = chunkEnd;
+            this.speechEnd = chunkEnd;
+          }
+          continue;
+        }
+
+        // VAD 已判定語音結束（已包含 hangover），收集 post-roll
+        if (!this.inPostRoll) {
+          this.inPostRoll = true;
+          this.postRollRemaining = this.msToSamples(this.options.postRollMs);
+        }
+        this.postRollRemaining -= chunk.length;
+
+        if (this.postRollRemaining <= 0) {
+          const segment = this.closeSegment('speech-end');
+          if (segment) segments.push(segment);
+        }
+      }
+    } catch (error) {
+      this.emit(SegmenterEvents.ERROR, {
+        error: error as Error,
+        context: 'process',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+
+    return segments;
+  }
+
+  /**
+   * 強制結束目前片段（例如麥克風停止時）
+   * @returns 完成的語音片段，若無進行中片段或被過濾則為 null
+   */
+  flush(): SpeechSegment | null {
+    if (!this.inSegment) return null;
+    return this.closeSegment('flush');
+  }
+
+  /**
+   * 是否正在收集語音片段
+   */
+  isInSegment(): boolean {
+    return this.inSegment;
+  }
+
+  /**
+   * 重置分段器狀態（不發射未完成片段）
+   */
+  reset(): void {
+    this.vadState = this.vad.createState();
+    this.chunker.reset();
+    this.preRollBuffer.clear();
+    this.segmentChunks = [];
+    this.inSegment = false;
+    this.inPostRoll = false;
+    this.postRollRemaining = 0;
+    this.processedSamples = 0;
+  }
+
+  /**
+   * 清理資源
+   */
+  dispose(): void {
+    this.reset();
+    this.removeAllListeners();
+  }
+
+  /**
+   * 開始新片段，並將 pre-roll 音訊放到片段開頭
+   */
+  private openSegment(chunk: Float32Array, chunkStart: number): void {
+    const preRoll = this.options.preRollMs > 0 ? this.preRollBuffer.readAll() : new Float32Array(0);
+    this.segmentChunks = preRoll.length > 0 ? [preRoll, chunk] : [chunk];
+    this.segmentStart = chunkStart - preRoll.length;
+    this.speechStart = chunkStart;
+    this.speechEnd = chunkStart;
+    this.inPostRoll = false;
+    this.postRollRemaining = 0;
+    this.inSegment = true;
+  }
+
+  /**
+   * 結束目前片段，套用最短長度過濾並發射事件
+   */
+  private closeSegment(reason: SpeechSegment['reason']): SpeechSegment | null {
+    const audio = this.concatChunks(this.segmentChunks);
+    const startSample = this.segmentStart;
+    const endSample = startSample + audio.length;
+    const duration = ((this.speechEnd - this.speechStart) / this.sampleRate) * 1000;
+
+    this.segmentChunks = [];
+    this.inSegment = false;
+    this.inPostRoll = false;
+    this.postRollRemaining = 0;
+
+    if (duration < this.options.minSpeechMs) {
+      this.emit(SegmenterEvents.SEGMENT_DROPPED, {
+        startSample,
+        endSample,
+        duration,
+        timestamp: Date.now()
+      });
+      return null;
+    }
+
+    const segment: SpeechSegment = {
+      audio,
+      startSample,
+      endSample,
+      speechStartSample: this.speechStart,
+      speechEndSample: this.speechEnd,
+      sampleRate: this.sampleRate,
+      duration,
+      reason
+    };
+
+    this.emit(SegmenterEvents.SEGMENT, {
+      segment,
+      timestamp: Date.now()
+    });
+
+    return segment;
+  }
+
+  /**
+   * 合併音訊區塊
+   */
+  private concatChunks(chunks: Float32Array[]): Float32Array {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const audio = new Float32Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      audio.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return audio;
+  }
+
+  /**
+   * 毫秒轉樣本數
+   */
+  private msToSamples(ms: number): number {
+    return Math.round((ms / 1000) * this.sampleRate);
+  }
+}
+
+export default UtteranceSegmenter;
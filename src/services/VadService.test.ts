@@ -0,0 +1,65 @@
+/**
+ * VadService 測試（Node.js）
+ *
+ * 以假的 ONNX 會話取代模型，驗證服務重置與釋放時會清除 Worker 串流狀態
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VadService } from './VadService';
+import { ortService } from './ort';
+import { setOrtRuntime } from '../runtime/ort';
+
+// 只需要建立張量，注入最小的 ONNX Runtime 實作
+setOrtRuntime({
+  Tensor: class {
+    constructor(public type: string, public data: unknown, public dims?: number[]) {}
+  }
+} as any);
+
+/**
+ * 建立使用假會話的服務
+ */
+function createService(): VadService {
+  const session = {
+    run: async () => ({
+      output: { data: new Float32Array([0.1]) },
+      stateN: { data: new Float32Array(2 * 1 * 128) }
+    })
+  };
+
+  const vad = new VadService();
+  // 模型權重不在儲存庫中，直接注入會話
+  Object.assign(vad as any, { session });
+  return vad;
+}
+
+test('reset 清除已處理串流的 Worker 狀態', async t => {
+  const resetStream = t.mock.method(ortService, 'resetStream', () => {});
+  const vad = createService();
+  const params = vad.createParams();
+
+  const first = vad.createState();
+  const second = vad.createState();
+  await vad.process(first, new Float32Array(512), params);
+  await vad.process(second, new Float32Array(512), params);
+  await vad.process(first, new Float32Array(512), params);
+
+  vad.reset();
+  assert.deepEqual(resetStream.mock.calls.map(call => call.arguments[0]), [first.streamId, second.streamId]);
+
+  // 已清除的串流不會在下次重置時重複送出
+  vad.reset();
+  assert.equal(resetStream.mock.callCount(), 2);
+});
+
+test('dispose 清除已處理串流的 Worker 狀態', async t => {
+  const resetStream = t.mock.method(ortService, 'resetStream', () => {});
+  const vad = createService();
+
+  const state = vad.createState();
+  await vad.process(state, new Float32Array(512), vad.createParams());
+
+  vad.dispose();
+  assert.deepEqual(resetStream.mock.calls.map(call => call.arguments[0]), [state.streamId]);
+});
@@ -11,13 +11,15 @@ import { AudioRingBuffer } from '../utils/AudioRingBuffer';
 import { ConfigManager } from '../utils/config-manager';
 import { VadEvents } from '../types/events';
 import type { InferenceSession } from 'onnxruntime-web';
-import type { VadState, VadParams, VadResult } from '../types';
+import type { VadState, VadParams, VadResult, Registry } from '../types';
+import { findRegistryModel, resolveVad } from '../registry/registry';
 import {
   loadVadSession,
   createVadState,
   createDefaultVadParams,
   processVad
 } from './vad';
+import { ortService } from './ort';
 
 
 /**
@@ -28,6 +30,8 @@ export interface VadServiceOptions {
   windowSize?: number;
   minSpeechFrames?: number;
   speechEndFrames?: number;
+  /** 模型註冊表；提供時 initialize 以模型 ID 解析模型路徑、閾值與完整性資訊 */
+  registry?: Registry;
 }
 
 /**
@@ -51,6 +55,10 @@ export interface VadServiceOptions {
  * // 初始化
  * await vad.initialize();
  * 
+ * // 或從註冊表以模型 ID 初始化
+ * const registryVad = new VadService({ registry: await loadRegistry() });
+ * await registryVad.initialize('silero-vad');
+ * 
  * // 處理音訊
  * let state = vad.createState();
  * const params = vad.createParams();
@@ -65,6 +73,8 @@ export class VadService extends EventEmitter<any> {
   private lastSpeechStart: number | null = null;
   private config = ConfigManager.getInstance();
   private options: VadServiceOptions;
+  private registryThreshold: number | undefined; // 註冊表 specs.threshold
+  private streamIds = new Set<string>(); // 已處理過的串流 ID（Worker 端保有其 LSTM 狀態）
   
   // 統計資料
   private stats = {
@@ -82,13 +92,22 @@ export class VadService extends EventEmitter<any> {
   
   /**
    * 初始化 VAD 服務
-   * @param modelUrl VAD 模型 URL（可選）
+   * @param modelUrl VAD 模型 URL，或提供 registry 選項時的註冊表模型 ID（可選）
    * @returns Promise<void>
    */
   async initialize(modelUrl?: string): Promise<void> {
     try {
-      // 載入模型
-      this.session = await loadVadSession(modelUrl);
+      const registry = this.options.registry;
+      
+      if (registry && (modelUrl === undefined || findRegistryModel(registry, modelUrl, 'vad'))) {
+        // 從註冊表解析模型路徑、閾值與完整性資訊
+        const info = resolveVad(registry, modelUrl);
+        this.registryThreshold = info.threshold;
+        this.session = await loadVadSession(info.modelUrl, undefined, undefined, info.integrity);
+      } else {
+        // 載入模型
+        this.session = await loadVadSession(modelUrl);
+      }
       
       // 創建 chunker
       this.chunker = AudioChunker.forVAD();
@@ -98,7 +117,7 @@ export class VadService extends EventEmitter<any> {
         config: {
           sampleRate: this.config.audio.sampleRate,
           windowSize: this.options.windowSize ?? this.config.vad.windowSize,
-          threshold: this.options.threshold ?? this.config.vad.threshold
+          threshold: this.options.threshold ?? this.registryThreshold ?? this.config.vad.threshold
         },
         timestamp: Date.now()
       });
@@ -133,6 +152,9 @@ export class VadService extends EventEmitter<any> {
     try {
       // 呼叫核心無狀態處理函數
       const result = await processVad(this.session, state, audio, params);
+      if (state.streamId) {
+        this.streamIds.add(state.streamId);
+      }
       
       // 更新統計
       const processingTime = performance.now() - startTime;
@@ -229,7 +251,10 @@ export class VadService extends EventEmitter<any> {
    */
   createParams(overrides?: Partial<VadParams>): VadParams {
     const defaults = createDefaultVadParams();
-    // 應用服務選項覆蓋
+    // 應用註冊表與服務選項覆蓋
+    if (this.registryThreshold !== undefined) {
+      defaults.threshold = this.registryThreshold;
+    }
     if (this.options.threshold !== undefined) {
       defaults.threshold = this.options.threshold;
     }
@@ -244,9 +269,20 @@ export class VadService extends EventEmitter<any> {
   reset(): void {
     this.lastSpeechStart = null;
     this.chunker?.reset();
+    this.releaseStreams();
     this.resetStatistics();
   }
   
+  /**
+   * 清除 Worker 中此服務處理過的串流狀態
+   */
+  private releaseStreams(): void {
+    for (const streamId of this.streamIds) {
+      ortService.resetStream(streamId);
+    }
+    this.streamIds.clear();
+  }
+  
   /**
    * 更新統計資料
    */
@@ -295,6 +331,7 @@ export class VadService extends EventEmitter<any> {
     this.session = null;
     this.chunker = null;
     this.lastSpeechStart = null;
+    this.releaseStreams();
     this.resetStatistics();
   }
 }
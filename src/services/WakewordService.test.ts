@@ -0,0 +1,87 @@
+/**
+ * WakewordService 測試（Node.js）
+ *
+ * 以假的 Worker 推理取代模型，驗證 Worker 模式下的狀態前進與串流釋放
+ */
+
+import { test, type TestContext } from 'node:test';
+import assert from 'node:assert/strict';
+import { WakewordService } from './WakewordService';
+import { ortService } from './ort';
+
+/** 模擬 Worker 中的串流緩衝區：每次推理新增一個梅爾幀 */
+const melFrames = new Map<string, Float32Array[]>();
+
+/**
+ * 建立使用假 Worker 推理的服務
+ */
+function createService(t: TestContext) {
+  melFrames.clear();
+  t.mock.method(ortService, 'isWakewordRegisteredInWorker', () => true);
+  t.mock.method(ortService, 'runInferenceInWorker', async (
+    _type: string, _name: string, _path: string, _audio: Float32Array, options: { streamId: string }
+  ) => {
+    const melBuffer = [...(melFrames.get(options.streamId) ?? []), new Float32Array(32)];
+    melFrames.set(options.streamId, melBuffer);
+    return { result: { scores: { hey: 0.1 }, buffers: { hey: { melBuffer } } } };
+  });
+  const resetStream = t.mock.method(ortService, 'resetStream', () => {});
+
+  const wakeword = new WakewordService();
+  // 模型權重不在儲存庫中，直接注入已在 Worker 中註冊的資源
+  (wakeword as any).sessions.set('hey', { workerModel: 'hey' });
+  (wakeword as any).customModels.set('hey', 'hey.onnx');
+
+  const params = { wakeword: 'hey', threshold: 0.5 };
+  return { wakeword, params, resetStream };
+}
+
+test('Worker 模式的 process 傳回前進後的狀態', async t => {
+  const { wakeword, params } = createService(t);
+
+  let state = wakeword.createState('hey');
+  for (let i = 1; i <= 3; i++) {
+    const result = await wakeword.process(state, new Float32Array(1280), params);
+    assert.notEqual(result.state, state);
+    assert.equal(result.state.melBuffer.length, i);
+    assert.equal(result.state.streamId, state.streamId);
+    state = result.state;
+  }
+});
+
+test('移除喚醒詞時清除 Worker 串流緩衝區', async t => {
+  const { wakeword, params, resetStream } = createService(t);
+
+  const state = wakeword.createState('hey');
+  await wakeword.process(state, new Float32Array(1280), params);
+
+  wakeword.removeCustomModel('hey');
+  assert.deepEqual(resetStream.mock.calls.map(call => call.arguments[0]), [state.streamId]);
+});
+
+test('dispose 清除 Worker 串流緩衝區', async t => {
+  const { wakeword, params, resetStream } = createService(t);
+
+  const states = new Map([['hey', wakeword.createState('hey')]]);
+  await wakeword.processMultiple(new Float32Array(1280), states, [params]);
+
+  wakeword.dispose();
+  assert.deepEqual(resetStream.mock.calls.map(call => call.arguments[0]), [states.get('hey')!.streamId]);
+});
+
+test('resetOnDetection 清空 Worker 中觸發喚醒詞的嵌入緩衝區', async t => {
+  const { wakeword, params, resetStream } = createService(t);
+  (wakeword as any).options.resetOnDetection = true;
+  t.mock.method(ortService, 'runInferenceInWorker', async () => ({
+    result: { scores: { hey: 0.9 }, buffers: { hey: { melBuffer: [new Float32Array(32)] } } }
+  }));
+
+  const state = wakeword.createState('hey');
+  const { states, detections } = await wakeword.processMultiple(new Float32Array(1280), new Map([['hey', state]]), [params]);
+
+  assert.deepEqual(detections.map(({ word }) => word), ['hey']);
+  assert.deepEqual(resetStream.mock.calls.map(call => call.arguments), [[state.streamId, ['hey']]]);
+  // 共用的梅爾緩衝區保留，嵌入緩衝區重新建立
+  assert.equal(states.get('hey')!.melBuffer.length, 1);
+  assert.equal(states.get('hey')!.streamId, state.streamId);
+});
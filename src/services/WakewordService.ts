@@ -11,14 +11,27 @@ import { AudioRingBuffer } from '../utils/AudioRingBuffer';
 import { ConfigManager } from '../utils/config-manager';
 import { WakewordEvents } from '../types/events';
 import * as ortService from '../runtime/ort';
-import type { WakewordResources, WakewordState, WakewordParams, WakewordResult } from '../types';
+import type {
+  WakewordResources,
+  WakewordState,
+  WakewordParams,
+  WakewordResult,
+  WakewordTemplate,
+  WakewordDetector,
+  Registry
+} from '../types';
 import {
   loadWakewordResources,
   createWakewordState,
   createDefaultWakewordParams,
   processWakewordChunk,
-  detectWakewordDims
+  processWakewordChunkMulti,
+  detectWakewordDims,
+  releaseWakewordStream
 } from './wakeword';
+import { createWakewordTemplate } from './wakeword-template';
+import { findRegistryModel, resolveWakeword } from '../registry/registry';
+import type { SpeakerVerificationService } from './SpeakerVerificationService';
 
 /**
  * Wake Word 服務特定選項
@@ -28,6 +41,10 @@ export interface WakewordServiceOptions {
   thresholds?: Record<string, number>;
   /** 檢測到後是否自動重置 */
   resetOnDetection?: boolean;
+  /** 說話者驗證服務；提供且已有註冊聲紋時，只有通過驗證才會發射 WAKEWORD_DETECTED */
+  speakerVerifier?: SpeakerVerificationService;
+  /** 模型註冊表；提供時以註冊表的模型 ID 解析路徑、閾值、維度與完整性資訊 */
+  registry?: Registry;
 }
 
 
@@ -50,6 +67,13 @@ export interface WakewordServiceOptions {
  * // 初始化多個喚醒詞
  * await wakeword.initialize(['hey-jarvis', 'alexa']);
  * 
+ * // 或從註冊表初始化（執行期間加入註冊表的喚醒詞也能直接載入）
+ * const registry = await loadRegistry();
+ * const registryWakeword = new WakewordService({ registry });
+ * await registryWakeword.initialize(['hey-jarvis', 'hey-mycroft']);
+ * addRegistryModel(registry, myWakewordEntry);
+ * await registryWakeword.addWakeword(myWakewordEntry.id);
+ * 
  * // 處理音訊
  * let state = wakeword.createState();
  * const params = wakeword.createParams('hey-jarvis');
@@ -61,9 +85,14 @@ export interface WakewordServiceOptions {
 export class WakewordService extends EventEmitter<any> {
   private sessions: Map<string, WakewordResources> = new Map();
   private chunkers: Map<string, AudioChunker> = new Map();
+  private multiChunker = AudioChunker.forWakeWord(); // processMultiple 共用
   private config = ConfigManager.getInstance();
   private options: WakewordServiceOptions;
   private customModels: Map<string, string> = new Map(); // name -> modelUrl
+  private templates: Map<string, WakewordTemplate> = new Map(); // name -> 少樣本模板
+  private featureSessions: Map<string, Pick<WakewordResources, 'melspec' | 'embedding'>> = new Map(); // 特徵模型路徑 -> 共用會話
+  private registryThresholds: Map<string, number> = new Map(); // 註冊表 specs.threshold
+  private streamIds: Map<string, Set<string>> = new Map(); // 喚醒詞 -> 已處理過的串流 ID（Worker 端保有其緩衝區）
   
   // 統計資料（每個喚醒詞分別統計）
   private stats = {
@@ -76,6 +105,9 @@ export class WakewordService extends EventEmitter<any> {
   // 冷卻期管理（每個喚醒詞獨立）
   private cooldownTimers: Map<string, number> = new Map();
   private cooldownDuration = 1000; // 預設 1 秒冷卻期
+
+  // 說話者驗證用的最近音訊（每個喚醒詞獨立）
+  private audioHistory: Map<string, AudioRingBuffer> = new Map();
   
   constructor(options?: WakewordServiceOptions) {
     super();
@@ -84,7 +116,7 @@ export class WakewordService extends EventEmitter<any> {
   
   /**
    * 初始化喚醒詞服務
-   * @param models 要載入的喚醒詞模型列表
+   * @param models 要載入的喚醒詞模型列表（提供 registry 選項時為註冊表模型 ID）
    * @returns Promise<void>
    */
   async initialize(models?: string[]): Promise<void> {
@@ -92,33 +124,10 @@ export class WakewordService extends EventEmitter<any> {
       const modelsToLoad = models || ['hey-jarvis'];
       
       // 載入所有模型
-      const loadPromises = modelsToLoad.map(async (model) => {
-        // 轉換模型名稱格式：hey-jarvis -> hey_jarvis
-        const modelKey = model.replace(/-/g, '_') as 'hey_jarvis' | 'hey_mycroft' | 'alexa';
-        const resources = await loadWakewordResources(modelKey);
-        this.sessions.set(model, resources);
-        
-        // 為每個模型創建專用的 chunker
-        const chunker = AudioChunker.forWakeWord();
-        this.chunkers.set(model, chunker);
-        
-        // 初始化統計
-        this.stats.chunksProcessed.set(model, 0);
-        this.stats.totalProcessingTime.set(model, 0);
-        this.stats.detectionCounts.set(model, 0);
-      });
-      
-      await Promise.all(loadPromises);
+      await Promise.all(modelsToLoad.map((model) => this.loadWakeword(model)));
       
       // 發射 ready 事件
-      this.emit(WakewordEvents.READY, {
-        models: Array.from(this.sessions.keys()),
-        config: {
-          sampleRate: this.config.audio.sampleRate,
-          chunkSize: this.config.audio.chunker.wakeword.chunkSize
-        },
-        timestamp: Date.now()
-      });
+      this.emitReady();
     } catch (error) {
       this.emit(WakewordEvents.ERROR, { 
         error: error as Error,
@@ -128,6 +137,28 @@ export class WakewordService extends EventEmitter<any> {
       throw error;
     }
   }
+
+  /**
+   * 載入額外的喚醒詞
+   *
+   * 適用於執行期間加入註冊表的喚醒詞，不需要重新初始化已載入的模型
+   * @param model 註冊表模型 ID 或內建喚醒詞名稱
+   * @returns Promise<void>
+   */
+  async addWakeword(model: string): Promise<void> {
+    try {
+      await this.loadWakeword(model);
+      this.emitReady();
+    } catch (error) {
+      this.emit(WakewordEvents.ERROR, {
+        error: error as Error,
+        context: 'addWakeword',
+        wakeword: model,
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
   
   /**
    * 處理單個音訊塊
@@ -149,12 +180,17 @@ export class WakewordService extends EventEmitter<any> {
     const startTime = performance.now();
     
     try {
+      if (this.options.speakerVerifier) {
+        this.getAudioHistory(params.wakeword).write(audio);
+      }
+
       // 檢查是否為自訂模型並添加標記
       const isCustomModel = this.customModels.has(params.wakeword);
       const processParams = { ...params, isCustomModel };
       
       // 呼叫核心無狀態處理函數
-      const result = await processWakewordChunk(resources, state, audio, processParams);
+      let result = await processWakewordChunk(resources, state, audio, processParams);
+      this.trackStream(params.wakeword, state);
       
       // 更新統計
       const processingTime = performance.now() - startTime;
@@ -170,24 +206,7 @@ export class WakewordService extends EventEmitter<any> {
       
       // 檢測喚醒詞（帶冷卻期保護）
       if (result.triggered) {
-        const now = Date.now();
-        const lastTrigger = this.cooldownTimers.get(params.wakeword) || 0;
-
-        // 檢查是否在冷卻期內
-        if (now - lastTrigger >= this.cooldownDuration) {
-          // 更新冷卻期計時器
-          this.cooldownTimers.set(params.wakeword, now);
-
-          // 發射事件
-          this.emit(WakewordEvents.WAKEWORD_DETECTED, {
-            word: params.wakeword,
-            score: result.score,
-            timestamp: now
-          });
-        } else {
-          // 在冷卻期內，忽略此次觸發
-          console.log(`[WakewordService] ${params.wakeword} 在冷卻期內，忽略觸發 (剩餘 ${this.cooldownDuration - (now - lastTrigger)}ms)`);
-        }
+        result = await this.handleDetection(params.wakeword, result);
       }
       
       return result;
@@ -236,9 +255,12 @@ export class WakewordService extends EventEmitter<any> {
       const result = await this.process(currentState, chunk, params);
       currentState = result.state;
       
-      // 如果檢測到喚醒詞，可能需要重置狀態
+      // 如果檢測到喚醒詞，可能需要重置狀態（連同 Worker 中的串流緩衝區）
       if (result.triggered && this.options.resetOnDetection) {
-        currentState = this.createState();
+        if (currentState.streamId) {
+          releaseWakewordStream(currentState.streamId);
+        }
+        currentState = this.createState(params.wakeword);
       }
     }
     
@@ -247,6 +269,9 @@ export class WakewordService extends EventEmitter<any> {
   
   /**
    * 處理多個喚醒詞的並行檢測
+   *
+   * 使用相同特徵模型的喚醒詞每個音訊塊只計算一次梅爾頻譜與嵌入向量，
+   * 並發射一次包含所有喚醒詞分數的 PROCESS 事件
    * @param audio 音訊資料
    * @param states 各喚醒詞的狀態對映
    * @param paramsList 各喚醒詞的參數列表
@@ -263,35 +288,79 @@ export class WakewordService extends EventEmitter<any> {
     const newStates = new Map<string, WakewordState>();
     const detections: Array<{ word: string; score: number }> = [];
     
-    // 並行處理所有喚醒詞
-    const promises = paramsList.map(async (params) => {
-      const state = states.get(params.wakeword) || this.createState();
-      const chunker = this.chunkers.get(params.wakeword);
-      
-      if (!chunker) {
+    const detectors: WakewordDetector[] = paramsList.map((params) => {
+      const resources = this.sessions.get(params.wakeword);
+      if (!resources) {
         throw new Error(`Wake word not initialized: ${params.wakeword}`);
       }
+      newStates.set(params.wakeword, states.get(params.wakeword) || this.createState(params.wakeword));
+      return {
+        name: params.wakeword,
+        resources,
+        params: { ...params, isCustomModel: this.customModels.has(params.wakeword) }
+      };
+    });
+    
+    // 所有喚醒詞同步處理相同的音訊塊，共用一個 chunker
+    for (const chunk of this.multiChunker.chunk(audio)) {
+      const startTime = performance.now();
       
-      // 使用各自的 chunker 處理音訊
-      const chunks = chunker.chunk(audio);
-      let currentState = state;
-      
-      for (const chunk of chunks) {
-        const result = await this.process(currentState, chunk, params);
-        currentState = result.state;
+      try {
+        if (this.options.speakerVerifier) {
+          detectors.forEach(({ name }) => this.getAudioHistory(name).write(chunk));
+        }
+        
+        const { results, scores } = await processWakewordChunkMulti(detectors, newStates, chunk, this.config);
+        detectors.forEach(({ name }) => this.trackStream(name, newStates.get(name)!));
+        const processingTime = performance.now() - startTime;
         
-        if (result.triggered) {
-          detections.push({ word: params.wakeword, score: result.score });
-          if (this.options.resetOnDetection) {
-            currentState = this.createState();
+        // 發射合併的處理事件
+        this.emit(WakewordEvents.PROCESS, {
+          scores,
+          timestamp: Date.now()
+        });
+        
+        for (const { name } of detectors) {
+          let result = results.get(name)!;
+          this.updateStatistics(name, processingTime, result.triggered);
+          
+          if (result.triggered) {
+            result = await this.handleDetection(name, result);
+          }
+          
+          if (result.triggered) {
+            detections.push({ word: name, score: result.score });
+            if (this.options.resetOnDetection) {
+              // 只清空此喚醒詞的嵌入緩衝區，保留共用的梅爾緩衝區與串流 ID；
+              // Worker 以其中一個喚醒詞的串流 ID 保存所有緩衝區，逐一清除此喚醒詞的嵌入緩衝區
+              const workerModel = this.sessions.get(name)?.workerModel;
+              if (workerModel) {
+                for (const { streamId } of newStates.values()) {
+                  if (streamId) {
+                    releaseWakewordStream(streamId, [workerModel]);
+                  }
+                }
+              }
+              newStates.set(name, {
+                ...this.createState(name),
+                melBuffer: result.state.melBuffer,
+                streamId: result.state.streamId
+              });
+              continue;
+            }
           }
+          newStates.set(name, result.state);
         }
+      } catch (error) {
+        this.emit(WakewordEvents.ERROR, {
+          error: error as Error,
+          context: WakewordEvents.PROCESS,
+          wakeword: detectors.map(({ name }) => name).join(','),
+          timestamp: Date.now()
+        });
+        throw error;
       }
-      
-      newStates.set(params.wakeword, currentState);
-    });
-    
-    await Promise.all(promises);
+    }
     
     return { states: newStates, detections };
   }
@@ -337,6 +406,18 @@ export class WakewordService extends EventEmitter<any> {
   createParams(wakeword: string, overrides?: Partial<WakewordParams>): WakewordParams & { wakeword: string } {
     const defaults = createDefaultWakewordParams();
     
+    // 少樣本模板使用校準出的閾值
+    const template = this.templates.get(wakeword);
+    if (template) {
+      defaults.threshold = template.threshold;
+    }
+
+    // 註冊表宣告的閾值
+    const registryThreshold = this.registryThresholds.get(wakeword);
+    if (registryThreshold !== undefined) {
+      defaults.threshold = registryThreshold;
+    }
+
     // 應用服務選項覆蓋
     if (this.options.thresholds?.[wakeword] !== undefined) {
       defaults.threshold = this.options.thresholds[wakeword];
@@ -366,14 +447,9 @@ export class WakewordService extends EventEmitter<any> {
       // 1) 先載入自訂 detector（單獨）
       const detectorSession = await ortService.createSession(modelUrl);
 
-      // 2) 取得「標準的」melspec/embedding（使用 hey_jarvis 作為基準）
+      // 2) 取得「標準的」melspec/embedding（與已載入的喚醒詞共用）
       const cfg = this.config;
-      const melspecSession = await ortService.createSession(
-        cfg.wakeword.hey_jarvis.melspecPath
-      );
-      const embeddingSession = await ortService.createSession(
-        cfg.wakeword.hey_jarvis.embeddingPath
-      );
+      const { melspec: melspecSession, embedding: embeddingSession } = await this.getFeatureSessions();
 
       // 3) 用 metadata + 試跑 自動偵測維度
       const dims = await detectWakewordDims({
@@ -408,14 +484,7 @@ export class WakewordService extends EventEmitter<any> {
       this.stats.detectionCounts.set(name, 0);
       
       // 發射 ready 事件更新
-      this.emit(WakewordEvents.READY, {
-        models: Array.from(this.sessions.keys()),
-        config: {
-          sampleRate: this.config.audio.sampleRate,
-          chunkSize: this.config.audio.chunker.wakeword.chunkSize
-        },
-        timestamp: Date.now()
-      });
+      this.emitReady();
       
       console.log(`[WakewordService] Custom model registered: ${name}`);
     } catch (error) {
@@ -429,16 +498,195 @@ export class WakewordService extends EventEmitter<any> {
     }
   }
   
+  /**
+   * 以錄製的範例註冊少樣本自訂喚醒詞
+   *
+   * 使用既有的 melspec/embedding 模型計算範例的嵌入序列，
+   * 以模板比對取代檢測器模型，不需要訓練流程
+   * @param name 喚醒詞名稱
+   * @param samples 3-10 段錄製的範例音訊（16kHz 單聲道）
+   * @returns 建立的模板（可 JSON 序列化後儲存，之後以 addTemplateWakeword 載入）
+   */
+  async registerTemplateWakeword(name: string, samples: Float32Array[]): Promise<WakewordTemplate> {
+    try {
+      const sessions = await this.getFeatureSessions();
+      const template = await createWakewordTemplate(name, sessions, samples, this.config);
+      await this.addTemplateWakeword(template);
+      return template;
+    } catch (error) {
+      this.emit(WakewordEvents.ERROR, {
+        error: error as Error,
+        context: 'registerTemplateWakeword',
+        wakeword: name,
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 載入已儲存的少樣本喚醒詞模板
+   * @param template registerTemplateWakeword 產生的模板
+   * @returns Promise<void>
+   */
+  async addTemplateWakeword(template: WakewordTemplate): Promise<void> {
+    try {
+      const sessions = await this.getFeatureSessions();
+      const resources: WakewordResources = {
+        melspec: sessions.melspec,
+        embedding: sessions.embedding,
+        // 模板模式不執行檢測器，沿用嵌入模型會話以滿足資源結構
+        detector: sessions.embedding,
+        dims: {
+          embeddingBufferSize: this.config.wakeword.common.embeddingBufferSize,
+          embeddingDimension: template.embeddingDimension
+        },
+        template
+      };
+
+      this.sessions.set(template.name, resources);
+      this.templates.set(template.name, template);
+      this.chunkers.set(template.name, AudioChunker.forWakeWord());
+
+      // 初始化統計
+      this.stats.chunksProcessed.set(template.name, 0);
+      this.stats.totalProcessingTime.set(template.name, 0);
+      this.stats.detectionCounts.set(template.name, 0);
+
+      this.emitReady();
+    } catch (error) {
+      this.emit(WakewordEvents.ERROR, {
+        error: error as Error,
+        context: 'addTemplateWakeword',
+        wakeword: template.name,
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 取得少樣本喚醒詞模板
+   * @param name 喚醒詞名稱
+   */
+  getTemplate(name: string): WakewordTemplate | undefined {
+    return this.templates.get(name);
+  }
+
+  /**
+   * 取得共用的 melspec/embedding 模型會話
+   *
+   * 優先沿用已載入的內建喚醒詞資源，否則以 hey_jarvis 的路徑載入並共用
+   */
+  private async getFeatureSessions(): Promise<Pick<WakewordResources, 'melspec' | 'embedding'>> {
+    const loaded = this.featureSessions.values().next();
+    if (!loaded.done) {
+      return loaded.value;
+    }
+
+    const { melspecPath, embeddingPath } = this.config.wakeword.hey_jarvis;
+    const [melspec, embedding] = await Promise.all([
+      ortService.createSession(melspecPath),
+      ortService.createSession(embeddingPath)
+    ]);
+    this.featureSessions.set(`${melspecPath}|${embeddingPath}`, { melspec, embedding });
+    return { melspec, embedding };
+  }
+
+  /**
+   * 讓特徵模型路徑相同的喚醒詞共用 melspec/embedding 會話
+   *
+   * 共用會話的喚醒詞在 processMultiple 中每個音訊塊只計算一次特徵
+   */
+  private shareFeatureSessions(
+    paths: { melspecUrl: string; embeddingUrl: string },
+    resources: WakewordResources
+  ): WakewordResources {
+    const key = `${paths.melspecUrl}|${paths.embeddingUrl}`;
+    const shared = this.featureSessions.get(key);
+
+    if (!shared) {
+      this.featureSessions.set(key, { melspec: resources.melspec, embedding: resources.embedding });
+      return resources;
+    }
+
+    // 釋放重複載入的特徵模型會話
+    void resources.melspec.release();
+    void resources.embedding.release();
+    return { ...resources, melspec: shared.melspec, embedding: shared.embedding };
+  }
+
+  /**
+   * 載入單一喚醒詞並建立其 chunker 與統計
+   *
+   * 提供註冊表且其中有該 ID 時從註冊表解析，否則對映到內建喚醒詞（hey-jarvis -> hey_jarvis）
+   */
+  private async loadWakeword(model: string): Promise<void> {
+    const registry = this.options.registry;
+    let resources: WakewordResources;
+
+    if (registry && findRegistryModel(registry, model, 'wakeword')) {
+      const info = resolveWakeword(registry, model);
+      const paths = {
+        detectorUrl: info.detectorUrl,
+        melspecUrl: info.melspecUrl,
+        embeddingUrl: info.embeddingUrl,
+        dims: info.dims
+      };
+      resources = await loadWakewordResources(model, false, undefined, paths, info.integrity);
+      this.registryThresholds.set(model, info.threshold);
+      this.sessions.set(model, this.shareFeatureSessions(paths, resources));
+    } else {
+      // 轉換模型名稱格式：hey-jarvis -> hey_jarvis
+      const modelKey = model.replace(/-/g, '_') as 'hey_jarvis' | 'hey_mycroft' | 'alexa';
+      const builtin = this.config.wakeword[modelKey];
+      if (!builtin?.detectorPath) {
+        throw new Error(`Unknown wake word model: ${model}`);
+      }
+
+      resources = await loadWakewordResources(modelKey);
+      this.sessions.set(model, this.shareFeatureSessions({
+        melspecUrl: builtin.melspecPath,
+        embeddingUrl: builtin.embeddingPath
+      }, resources));
+    }
+    
+    // 為每個模型創建專用的 chunker
+    const chunker = AudioChunker.forWakeWord();
+    this.chunkers.set(model, chunker);
+    
+    // 初始化統計
+    this.stats.chunksProcessed.set(model, 0);
+    this.stats.totalProcessingTime.set(model, 0);
+    this.stats.detectionCounts.set(model, 0);
+  }
+
+  /**
+   * 發射 READY 事件（包含目前所有已載入的喚醒詞）
+   */
+  private emitReady(): void {
+    this.emit(WakewordEvents.READY, {
+      models: Array.from(this.sessions.keys()),
+      config: {
+        sampleRate: this.config.audio.sampleRate,
+        chunkSize: this.config.audio.chunker.wakeword.chunkSize
+      },
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * 移除自訂喚醒詞模型
    * @param name 自訂模型名稱
    */
   removeCustomModel(name: string): void {
-    if (this.customModels.has(name)) {
+    if (this.customModels.has(name) || this.templates.has(name)) {
       // 清理資源
       this.sessions.delete(name);
       this.chunkers.delete(name);
       this.customModels.delete(name);
+      this.templates.delete(name);
+      this.releaseStreams(name);
       
       // 清理統計
       this.stats.chunksProcessed.delete(name);
@@ -466,6 +714,89 @@ export class WakewordService extends EventEmitter<any> {
     console.log(`[WakewordService] 冷卻期設置為 ${this.cooldownDuration}ms`);
   }
   
+  /**
+   * 設置說話者驗證服務
+   * @param verifier 說話者驗證服務（傳入 null 停用驗證）
+   */
+  setSpeakerVerifier(verifier: SpeakerVerificationService | null): void {
+    this.options.speakerVerifier = verifier ?? undefined;
+    this.audioHistory.clear();
+  }
+
+  /**
+   * 處理觸發的喚醒詞（冷卻期與說話者驗證）
+   * @returns 結果；說話者驗證未通過時 triggered 為 false
+   */
+  private async handleDetection(wakeword: string, result: WakewordResult): Promise<WakewordResult> {
+    const now = Date.now();
+    const lastTrigger = this.cooldownTimers.get(wakeword) || 0;
+
+    // 檢查是否在冷卻期內
+    if (now - lastTrigger < this.cooldownDuration) {
+      // 在冷卻期內，忽略此次觸發
+      console.log(`[WakewordService] ${wakeword} 在冷卻期內，忽略觸發 (剩餘 ${this.cooldownDuration - (now - lastTrigger)}ms)`);
+      return result;
+    }
+
+    // 說話者驗證（未通過時視為未觸發）
+    const speaker = await this.verifySpeaker(wakeword);
+    if (speaker) {
+      result = { ...result, triggered: speaker.verified, speaker };
+    }
+
+    if (!speaker || speaker.verified) {
+      // 僅在實際觸發時更新冷卻期計時器，驗證未通過不應擋住本人隨後的喚醒
+      this.cooldownTimers.set(wakeword, now);
+
+      // 發射事件
+      this.emit(WakewordEvents.WAKEWORD_DETECTED, {
+        word: wakeword,
+        score: result.score,
+        speaker,
+        timestamp: now
+      });
+    } else {
+      this.emit(WakewordEvents.WAKEWORD_REJECTED, {
+        word: wakeword,
+        score: result.score,
+        speaker,
+        timestamp: Date.now()
+      });
+    }
+    return result;
+  }
+
+  /**
+   * 以觸發前的最近音訊進行說話者驗證
+   * @returns 驗證結果；未啟用驗證或尚無註冊聲紋時為 undefined
+   */
+  private async verifySpeaker(wakeword: string): Promise<WakewordResult['speaker']> {
+    const verifier = this.options.speakerVerifier;
+    if (!verifier?.hasProfiles()) {
+      return undefined;
+    }
+
+    const history = this.getAudioHistory(wakeword);
+    const audio = history.getLatest(history.available());
+    if (!audio || audio.length === 0) {
+      return undefined;
+    }
+    return verifier.verify(audio);
+  }
+
+  /**
+   * 取得喚醒詞的最近音訊緩衝區
+   */
+  private getAudioHistory(wakeword: string): AudioRingBuffer {
+    let history = this.audioHistory.get(wakeword);
+    if (!history) {
+      const { windowSeconds } = this.config.wakeword.verification;
+      history = new AudioRingBuffer(Math.round(windowSeconds * this.config.audio.sampleRate), false);
+      this.audioHistory.set(wakeword, history);
+    }
+    return history;
+  }
+
   /**
    * 重置服務狀態
    * @param wakeword 指定要重置的喚醒詞（可選，不指定則重置所有）
@@ -473,14 +804,46 @@ export class WakewordService extends EventEmitter<any> {
   reset(wakeword?: string): void {
     if (wakeword) {
       this.chunkers.get(wakeword)?.reset();
+      this.multiChunker.reset();
       this.cooldownTimers.delete(wakeword);
+      this.audioHistory.get(wakeword)?.clear();
     } else {
       this.chunkers.forEach(chunker => chunker.reset());
+      this.multiChunker.reset();
       this.cooldownTimers.clear();
+      this.audioHistory.clear();
     }
+    this.releaseStreams(wakeword);
     this.resetStatistics(wakeword);
   }
   
+  /**
+   * 記錄喚醒詞使用的串流 ID
+   */
+  private trackStream(wakeword: string, state: WakewordState): void {
+    if (!state.streamId) {
+      return;
+    }
+    let streamIds = this.streamIds.get(wakeword);
+    if (!streamIds) {
+      streamIds = new Set();
+      this.streamIds.set(wakeword, streamIds);
+    }
+    streamIds.add(state.streamId);
+  }
+  
+  /**
+   * 清除 Worker 中喚醒詞使用過的串流緩衝區
+   * @param wakeword 指定喚醒詞（可選，不指定則清除所有）
+   */
+  private releaseStreams(wakeword?: string): void {
+    const words = wakeword ? [wakeword] : Array.from(this.streamIds.keys());
+    for (const word of words) {
+      this.streamIds.get(word)?.forEach(streamId => releaseWakewordStream(streamId));
+      this.streamIds.delete(word);
+    }
+  }
+  
   /**
    * 更新統計資料
    */
@@ -534,6 +897,11 @@ export class WakewordService extends EventEmitter<any> {
     this.removeAllListeners();
     this.sessions.clear();
     this.chunkers.clear();
+    this.templates.clear();
+    this.featureSessions.clear();
+    this.registryThresholds.clear();
+    this.audioHistory.clear();
+    this.releaseStreams();
     this.resetStatistics();
   }
 }
@@ -0,0 +1,228 @@
+/**
+ * WhisperService 測試（Node.js）
+ *
+ * 以假的 transformers.js 管道取代模型，驗證服務層的檔案解碼、
+ * 佇列與事件流程可在 Node.js 中執行
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WhisperService, type WhisperServiceOptions } from './WhisperService';
+import { encodeWav } from './audio-encoder';
+import { isAbortError } from './whisper';
+import { WhisperEvents } from '../types/events';
+
+/**
+ * 建立使用假管道的服務，並記錄每次管道呼叫的音訊長度
+ * @param texts 依呼叫順序傳回的轉錄文字（用完後傳回 ' hello world'）
+ */
+function createService(options: WhisperServiceOptions = {}, texts: string[] = []) {
+  const calls: number[] = [];
+  const pipeline = Object.assign(async (audio: Float32Array) => {
+    const text = texts[calls.length] ?? ' hello world';
+    calls.push(audio.length);
+    return { text, chunks: [{ text, timestamp: [0, 1] }] };
+  }, {
+    // rollingContext 的前文會編碼為 prompt_ids
+    tokenizer: {
+      model: { tokens_to_ids: new Map([['<|startofprev|>', 50]]) },
+      encode: () => [1, 2]
+    }
+  });
+
+  const whisper = new WhisperService({ language: 'en', ...options });
+  // 模型權重不在儲存庫中，直接注入管道
+  Object.assign(whisper as any, { pipeline, modelId: 'fake-whisper' });
+  return { whisper, calls };
+}
+
+/**
+ * 記錄服務發射的事件
+ */
+function recordEvents(whisper: WhisperService, events: string[]): string[] {
+  const emitted: string[] = [];
+  for (const event of events) {
+    whisper.on(event, () => emitted.push(event));
+  }
+  return emitted;
+}
+
+test('transcribeFile 在 Node.js 中解碼 WAV 並轉錄', async () => {
+  const { whisper, calls } = createService();
+  const emitted = recordEvents(whisper, [
+    WhisperEvents.TRANSCRIPTION_START,
+    WhisperEvents.TRANSCRIPTION_COMPLETE
+  ]);
+
+  // 22.05kHz 立體聲 WAV，應混為單聲道並重採樣到 16kHz
+  const left = new Float32Array(22050).map((_, i) => Math.sin(i / 10) * 0.3);
+  const right = left.slice();
+  const wav = encodeWav([left, right], { sampleRate: 22050 });
+
+  const result = await whisper.transcribeFile(wav);
+
+  assert.equal(result.text, 'hello world');
+  assert.deepEqual(result.segments, [{ text: ' hello world', start: 0, end: 1 }]);
+  assert.equal(calls.length, 1);
+  assert.ok(Math.abs(calls[0] - 16000) <= 1, `expected ~16000 samples, got ${calls[0]}`);
+
+  // 整個檔案只發射一次開始與完成事件
+  assert.deepEqual(emitted, [WhisperEvents.TRANSCRIPTION_START, WhisperEvents.TRANSCRIPTION_COMPLETE]);
+});
+
+test('transcribeLongForm 以單一 background 工作執行，讓出給即時工作', async () => {
+  const { whisper, calls } = createService({ maxConcurrentInferences: 1 });
+  const emitted = recordEvents(whisper, [
+    WhisperEvents.TRANSCRIPTION_START,
+    WhisperEvents.TRANSCRIPTION_COMPLETE
+  ]);
+
+  // 先佔用唯一的執行位置，再排入長音訊與即時工作
+  const normal = whisper.transcribe(new Float32Array(100), { streaming: false });
+  const longForm = whisper.transcribeLongForm(new Float32Array(16000 * 40), { streaming: false });
+  const live = whisper.transcribe(new Float32Array(200), { streaming: false, priority: 'live' });
+  await Promise.all([normal, longForm, live]);
+
+  // 40 秒音訊切成 30 秒與 15 秒兩塊（重疊 5 秒），排在即時工作之後
+  assert.deepEqual(calls, [100, 200, 16000 * 30, 16000 * 15]);
+  assert.equal(emitted.filter(event => event === WhisperEvents.TRANSCRIPTION_START).length, 3);
+  assert.equal(emitted.filter(event => event === WhisperEvents.TRANSCRIPTION_COMPLETE).length, 3);
+});
+
+test('transcribeWithProgress 去除重疊文字並維持原本的傳回格式', async () => {
+  const { whisper, calls } = createService({}, [' one two three four', ' three four five six']);
+
+  const progress: number[] = [];
+  const result = await whisper.transcribeWithProgress(new Float32Array(16000 * 40), { streaming: false }, value => {
+    progress.push(value);
+  });
+
+  assert.equal(calls.length, 2);
+  assert.equal(result.text, 'one two three four five six');
+  // 未要求 returnSegments 時不傳回片段
+  assert.equal(result.segments, undefined);
+  assert.deepEqual(progress, [50, 100]);
+});
+
+test('即時轉錄裁切視窗時保留解碼期間新接上的音訊', async () => {
+  const decoded: Float32Array[] = [];
+  let release: () => void = () => {};
+  const pipeline = async (audio: Float32Array) => {
+    decoded.push(audio.slice());
+    // 第一次解碼保持進行中，直到測試放行
+    if (decoded.length === 1) {
+      await new Promise<void>(resolve => { release = resolve; });
+    }
+    return { text: ' hello', chunks: [{ text: ' hello', timestamp: [0, 0] }] };
+  };
+
+  const whisper = new WhisperService({ language: 'en' });
+  Object.assign(whisper as any, { pipeline, modelId: 'fake-whisper' });
+
+  whisper.startLiveTranscription({ updateIntervalMs: 1000, maxWindowSeconds: 0.5, agreementCount: 2 });
+
+  // 滿一個更新間隔後開始解碼
+  const first = whisper.pushLiveAudio(new Float32Array(16000).fill(1));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(decoded.length, 1);
+
+  // 解碼進行中接上的音訊只會被緩衝
+  await whisper.pushLiveAudio(new Float32Array(8000).fill(2));
+  release();
+  await first;
+
+  // 視窗超過上限且沒有片段邊界，只捨棄已解碼的部分
+  const result = await whisper.stopLiveTranscription();
+  assert.equal(decoded.length, 2);
+  assert.equal(decoded[1].length, 8000);
+  assert.ok(decoded[1].every(sample => sample === 2));
+  assert.equal(result.text, 'hello hello');
+});
+
+/**
+ * 建立第一次解碼停在第一個 token、直到測試放行的服務
+ * @returns 服務、各次解碼的音訊長度、第一次解碼開始的 Promise 與放行函數
+ */
+function createBlockingService(options: WhisperServiceOptions = {}) {
+  const calls: number[] = [];
+  let release: () => void = () => {};
+  let markStarted: () => void = () => {};
+  const started = new Promise<void>(resolve => { markStarted = resolve; });
+
+  const pipeline = async (audio: Float32Array, pipelineOptions: { stopping_criteria?: Array<(ids: number[][]) => boolean[]> }) => {
+    calls.push(audio.length);
+    if (calls.length === 1) {
+      markStarted();
+      await new Promise<void>(resolve => { release = resolve; });
+    }
+    // 模擬 generate 在 token 之間呼叫停止條件
+    pipelineOptions.stopping_criteria?.forEach(criterion => criterion([[0]]));
+    return { text: ' hello', chunks: [{ text: ' hello', timestamp: [0, 1] }] };
+  };
+
+  const whisper = new WhisperService({ language: 'en', maxConcurrentInferences: 1, ...options });
+  Object.assign(whisper as any, { pipeline, modelId: 'fake-whisper' });
+  return { whisper, calls, started, release: () => release() };
+}
+
+test('cancelTranscription 以 AbortError 拒絕執行中與排隊中的工作', async () => {
+  const { whisper, calls, started, release } = createBlockingService();
+  const cancelled: number[] = [];
+  whisper.on(WhisperEvents.TRANSCRIPTION_CANCELLED, ({ jobId }) => cancelled.push(jobId));
+
+  const running = whisper.enqueueTranscription(new Float32Array(100), { streaming: false });
+  const queued = whisper.enqueueTranscription(new Float32Array(200), { streaming: false });
+  const results = Promise.allSettled([running.result, queued.result]);
+  await started;
+
+  whisper.cancelTranscription();
+  release();
+
+  for (const result of await results) {
+    assert.equal(result.status, 'rejected');
+    assert.ok(isAbortError((result as PromiseRejectedResult).reason));
+  }
+  // 排隊中的工作不會開始解碼
+  assert.deepEqual(calls, [100]);
+  assert.deepEqual(cancelled.sort(), [running.id, queued.id].sort());
+  assert.equal(whisper.getQueueStatus().running, 0);
+  assert.equal(whisper.getQueueStatus().queued, 0);
+});
+
+test('cancelJob 與 options.signal 只取消單一工作', async () => {
+  const { whisper, calls, started, release } = createBlockingService();
+
+  const running = whisper.enqueueTranscription(new Float32Array(100), { streaming: false });
+  const byId = whisper.enqueueTranscription(new Float32Array(200), { streaming: false });
+  const controller = new AbortController();
+  const bySignal = whisper.transcribe(new Float32Array(300), { streaming: false, signal: controller.signal });
+  const kept = whisper.transcribe(new Float32Array(400), { streaming: false });
+  await started;
+
+  assert.equal(whisper.cancelJob(byId.id), true);
+  assert.equal(whisper.cancelJob(9999), false);
+  controller.abort();
+  release();
+
+  await assert.rejects(byId.result, isAbortError);
+  await assert.rejects(bySignal, isAbortError);
+  assert.equal((await running.result).text, ' hello');
+  assert.equal((await kept).text, ' hello');
+  assert.deepEqual(calls, [100, 400]);
+});
+
+test('rollingContext 只由前景工作更新，檔案轉錄不改變前文', async () => {
+  const { whisper } = createService({ rollingContext: true }, [' first sentence', ' file text', ' batch text', ' opted in']);
+
+  await whisper.transcribe(new Float32Array(1600), { streaming: false });
+  assert.equal(whisper.getContext(), 'first sentence');
+
+  const wav = encodeWav(new Float32Array(16000), { sampleRate: 16000 });
+  await whisper.transcribeFile(wav, { streaming: false });
+  await whisper.transcribeBatch([new Float32Array(1600)], { streaming: false });
+  assert.equal(whisper.getContext(), 'first sentence');
+
+  // 背景工作可明確選擇加入前文
+  await whisper.transcribe(new Float32Array(1600), { streaming: false, priority: 'background', updateContext: true });
+  assert.equal(whisper.getContext(), 'first sentence opted in');
+});
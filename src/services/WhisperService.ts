@@ -9,14 +9,39 @@ import { EventEmitter } from '../core/EventEmitter';
 import { AudioChunker } from '../utils/AudioChunker';
 import { AudioRingBuffer } from '../utils/AudioRingBuffer';
 import { ConfigManager } from '../utils/config-manager';
+import { tokenizeForAgreement, joinTranscripts } from '../utils/tokenize';
 import { WhisperEvents } from '../types/events';
-import type { WhisperResources, WhisperOptions, WhisperResult, WhisperStreamCallbacks } from '../types';
+import type {
+  WhisperResources,
+  WhisperOptions,
+  WhisperResult,
+  WhisperStreamCallbacks,
+  WhisperLoadOptions,
+  WhisperStreamCallbackName,
+  WhisperWorkerMessage,
+  WhisperWorkerRequest,
+  WhisperLanguageProbability,
+  WhisperLanguageDetectionOptions,
+  WhisperLongFormOptions,
+  WhisperLongFormProgress,
+  Registry
+} from '../types';
 import {
   loadWhisperResources,
   transcribe,
-  chunkAudioForTranscription,
-  whisperEvents
+  detectLanguage,
+  transcribeLongForm,
+  findAgreedPrefix,
+  whisperEvents,
+  AbortError,
+  isAbortError,
+  throwIfAborted
 } from './whisper';
+import { loadAudioFile, type AudioFileLoadOptions } from './audio-decoder';
+import { UtteranceSegmenter, type UtteranceSegmenterOptions } from './UtteranceSegmenter';
+import type { VadService } from './VadService';
+import { supportsWebWorkers } from '../runtime/environment';
+import { findRegistryModel, resolveWhisper } from '../registry/registry';
 
 /**
  * Whisper 服務特定選項
@@ -30,6 +55,161 @@ export interface WhisperServiceOptions {
   maxLength?: number;
   /** 最小音訊長度（毫秒） */
   minAudioLength?: number;
+  /** 是否在 Web Worker 中載入模型並轉錄（預設 false，不支援 Worker 的環境會退回主執行緒） */
+  useWorker?: boolean;
+  /** Whisper Worker 腳本 URL（預設 '/dist/whisper.worker.js'） */
+  workerUrl?: string | URL;
+  /**
+   * Worker 模式下是否直接轉移呼叫端音訊的底層緩衝區（預設 false）
+   * @description 啟用後可避免複製，但傳入 transcribe 的 Float32Array 會被分離（detached）而無法再使用
+   */
+  transferAudio?: boolean;
+  /** 模型註冊表；提供時 initialize 以註冊表模型 ID 解析本地模型路徑與量化設定 */
+  registry?: Registry;
+  /** 最大並行轉錄數（預設 performance.maxConcurrentInferences） */
+  maxConcurrentInferences?: number;
+  /** 佇列中等待的工作達到此數量時發射 QUEUE_BACKPRESSURE（預設 4） */
+  queueHighWaterMark?: number;
+  /**
+   * 是否以先前的轉錄文字作為下一段的提示詞（預設 false）
+   * @description 讓連續語句的拼寫與風格保持一致；呼叫時提供的 initialPrompt 會放在前文之前。
+   * 預設只有前景工作的結果會加入前文（見 TranscriptionJobOptions.updateContext）
+   */
+  rollingContext?: boolean;
+  /** 作為前文保留的最大字元數（預設 200） */
+  rollingContextChars?: number;
+}
+
+/**
+ * 轉錄工作優先級（live > normal > background）
+ */
+export type TranscriptionPriority = 'live' | 'normal' | 'background';
+
+/** 優先級排序值，數值越大越先執行 */
+const PRIORITY_RANK: Record<TranscriptionPriority, number> = {
+  live: 2,
+  normal: 1,
+  background: 0
+};
+
+/**
+ * 轉錄工作選項
+ */
+export interface TranscriptionJobOptions extends WhisperOptions {
+  /** 工作優先級（預設 'normal'；transcribeFile 與 transcribeBatch 預設 'background'） */
+  priority?: TranscriptionPriority;
+  /**
+   * 過期鍵；加入新工作時，佇列中尚未開始且過期鍵相同的舊工作會被丟棄並以 AbortError 拒絕
+   * @description 例如以 'utterance' 標記語音片段，新的語音片段到達時丟棄尚未轉錄的舊片段
+   */
+  staleKey?: string;
+  /**
+   * 是否把轉錄結果加入 rollingContext 前文（預設只有非 'background' 優先級的工作會加入）
+   * @description 背景的檔案與長音訊轉錄與目前的對話無關，不應改變下一段語句的提示詞
+   */
+  updateContext?: boolean;
+}
+
+/**
+ * 已加入佇列的轉錄工作
+ */
+export interface TranscriptionJob {
+  /** 工作 ID（可傳給 cancelJob） */
+  id: number;
+  /** 工作優先級 */
+  priority: TranscriptionPriority;
+  /** 轉錄結果 */
+  result: Promise<WhisperResult>;
+}
+
+/**
+ * 即時增量轉錄選項
+ */
+export interface LiveTranscriptionOptions extends WhisperOptions {
+  /** 重新解碼間隔（毫秒，預設 whisper.live.updateIntervalMs） */
+  updateIntervalMs?: number;
+  /** 滑動視窗最大長度（秒，預設 whisper.live.maxWindowSeconds） */
+  maxWindowSeconds?: number;
+  /** 確認文字所需的連續一致假設次數（預設 whisper.live.agreementCount） */
+  agreementCount?: number;
+}
+
+/**
+ * 檔案轉錄選項
+ */
+export interface TranscribeFileOptions extends TranscriptionJobOptions {
+  /** 已初始化的 VadService；提供時會先以 VAD 切出語音片段並略過靜音 */
+  vad?: VadService;
+  /** 語音分段器選項（僅在提供 vad 時使用） */
+  segmenter?: UtteranceSegmenterOptions;
+  /** 音訊解碼與重採樣選項 */
+  decode?: AudioFileLoadOptions;
+  /** 進度回調函數（0-100） */
+  onProgress?: (progress: number, stage: 'decoding' | 'vad' | 'transcribing') => void;
+}
+
+/**
+ * 長音訊轉錄選項
+ */
+export interface LongFormTranscriptionOptions extends TranscriptionJobOptions, WhisperLongFormOptions {
+  /** 已初始化的 VadService；提供時以語音片段之間的靜音作為分塊切點 */
+  vad?: VadService;
+  /** 語音分段器選項（僅在提供 vad 時使用） */
+  segmenter?: UtteranceSegmenterOptions;
+  /** 進度回調函數（0-100） */
+  onProgress?: (progress: number, stage: 'vad' | 'transcribing') => void;
+}
+
+/**
+ * 即時轉錄工作階段狀態
+ * @private
+ */
+interface LiveSession {
+  options: WhisperOptions;
+  updateIntervalMs: number;
+  maxWindowSeconds: number;
+  agreementCount: number;
+  /** 目前滑動視窗內的音訊 */
+  buffer: Float32Array;
+  /** 上次解碼後新增的樣本數 */
+  pendingSamples: number;
+  /** 所有已確認的文字 */
+  committedText: string;
+  /** 目前視窗內已確認的詞元（解碼結果需略過的前綴） */
+  windowCommitted: string[];
+  /** 最近幾次未確認部分的假設 */
+  history: string[][];
+  /** 進行中的解碼 */
+  decoding: Promise<void> | null;
+}
+
+/**
+ * Worker 中的轉錄工作
+ * @private
+ */
+interface WorkerJob {
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+  streamCallbacks?: WhisperStreamCallbacks;
+  /** 長音訊轉錄的分塊進度回調 */
+  onChunk?: (progress: WhisperLongFormProgress) => void;
+}
+
+/**
+ * 轉錄佇列中的工作
+ * @private
+ */
+interface QueuedJob {
+  id: number;
+  priority: TranscriptionPriority;
+  staleKey?: string;
+  /** 工作的取消控制器（串接呼叫端的 signal） */
+  controller: AbortController;
+  /** 執行轉錄並將結果交給工作的 Promise */
+  run: () => Promise<void>;
+  reject: (error: Error) => void;
+  /** 移除呼叫端 signal 的監聽 */
+  cleanup: () => void;
 }
 
 
@@ -68,6 +248,24 @@ export class WhisperService extends EventEmitter<any> {
   private config = ConfigManager.getInstance();
   private options: WhisperServiceOptions;
   private chunker: AudioChunker | null = null;
+  private live: LiveSession | null = null;
+
+  // Worker 模式
+  private worker: Worker | null = null;
+  private workerJobs = new Map<number, WorkerJob>();
+  private jobCounter = 0;
+
+  // 轉錄工作佇列（依優先級排序）與執行中的工作
+  private jobQueue: QueuedJob[] = [];
+  private runningJobs = new Map<number, QueuedJob>();
+  private queueJobCounter = 0;
+  private backpressure = false;
+
+  // 作為下一段提示詞的前文（rollingContext）
+  private context = '';
+
+  // 已發射過取消事件的錯誤，避免巢狀呼叫重複發射
+  private reportedAborts = new WeakSet<Error>();
   
   // 統計資料
   private stats = {
@@ -90,47 +288,79 @@ export class WhisperService extends EventEmitter<any> {
    */
   private setupStreamEventListeners(): void {
     // 監聽串流相關事件並轉發
-    whisperEvents.addEventListener('stream-chunk-start', (event: any) => {
-      this.emit(WhisperEvents.STREAM_CHUNK_START, {
-        timestamp: event.detail?.timestamp || Date.now()
+    for (const type of ['stream-chunk-start', 'stream-partial', 'stream-chunk-end', 'stream-finalize']) {
+      whisperEvents.addEventListener(type, (event: any) => {
+        this.forwardStreamEvent(type, event.detail);
       });
-    });
+    }
+  }
 
-    whisperEvents.addEventListener('stream-partial', (event: any) => {
-      this.emit(WhisperEvents.STREAM_PARTIAL, {
-        partial: event.detail?.partial || '',
-        committed: event.detail?.committed || '',
-        timestamp: Date.now()
-      });
-    });
+  /**
+   * 將核心串流事件（本地 whisperEvents 或 Worker 轉發）轉為 WhisperService 事件
+   */
+  private forwardStreamEvent(type: string, detail: any): void {
+    switch (type) {
+      case 'stream-chunk-start':
+        this.emit(WhisperEvents.STREAM_CHUNK_START, {
+          timestamp: detail?.timestamp || Date.now()
+        });
+        break;
 
-    whisperEvents.addEventListener('stream-chunk-end', (event: any) => {
-      this.emit(WhisperEvents.STREAM_CHUNK_END, {
-        committed: event.detail?.committed || '',
-        timestamp: event.detail?.timestamp || Date.now()
-      });
-    });
+      case 'stream-partial':
+        this.emit(WhisperEvents.STREAM_PARTIAL, {
+          partial: detail?.partial || '',
+          committed: detail?.committed || '',
+          timestamp: Date.now()
+        });
+        break;
 
-    whisperEvents.addEventListener('stream-finalize', (event: any) => {
-      this.emit(WhisperEvents.STREAM_FINALIZE, {
-        text: event.detail?.text || '',
-        timestamp: event.detail?.timestamp || Date.now()
-      });
-    });
+      case 'stream-chunk-end':
+        this.emit(WhisperEvents.STREAM_CHUNK_END, {
+          committed: detail?.committed || '',
+          timestamp: detail?.timestamp || Date.now()
+        });
+        break;
+
+      case 'stream-finalize':
+        this.emit(WhisperEvents.STREAM_FINALIZE, {
+          text: detail?.text || '',
+          timestamp: detail?.timestamp || Date.now()
+        });
+        break;
+    }
   }
   
   /**
    * 初始化 Whisper 服務
-   * @param modelId Whisper 模型 ID（可選）
+   * @param modelId Whisper 模型 ID，或提供 registry 選項時的註冊表模型 ID（可選）
    * @param loadOptions 載入選項
    * @returns Promise<void>
    */
   async initialize(modelId?: string, loadOptions?: any): Promise<void> {
     try {
-      // 載入 Whisper 資源
-      const resources = await loadWhisperResources(modelId, loadOptions);
-      this.pipeline = resources.pipeline;
-      this.modelId = resources.modelId;
+      const registry = this.options.registry;
+      if (registry && (modelId === undefined || findRegistryModel(registry, modelId, 'asr'))) {
+        // 從註冊表解析模型路徑與量化設定（呼叫端的載入選項優先）
+        const info = resolveWhisper(registry, modelId);
+        modelId = info.remoteId ?? info.localPath;
+        loadOptions = {
+          // 上游來源以 Hugging Face 遠端模式載入，本地與鏡像以本地模式載入
+          ...(!info.remoteId && { localBasePath: info.localBasePath }),
+          quantized: info.quantized,
+          ...(info.quantized === false && { dtype: 'fp32' }),
+          ...loadOptions
+        };
+      }
+
+      if (this.options.useWorker && supportsWebWorkers()) {
+        // 在 Worker 中載入模型
+        this.modelId = await this.initializeWorker(modelId, loadOptions);
+      } else {
+        // 載入 Whisper 資源
+        const resources = await loadWhisperResources(modelId, loadOptions);
+        this.pipeline = resources.pipeline;
+        this.modelId = resources.modelId;
+      }
       
       // 創建 chunker（Whisper 使用可變大小）
       this.chunker = AudioChunker.forWhisper();
@@ -158,67 +388,140 @@ export class WhisperService extends EventEmitter<any> {
   
   /**
    * 轉錄音訊
+   *
+   * 轉錄會經過服務的工作佇列，同時執行的轉錄數不超過 maxConcurrentInferences
    * @param audio 音訊資料
-   * @param options 轉錄選項
+   * @param options 轉錄選項（signal 可取消轉錄，priority 與 staleKey 控制排程）
    * @returns 轉錄結果
+   * @throws AbortError 當 signal 被取消、工作被丟棄或呼叫 cancelTranscription 時拋出
    */
   async transcribe(
     audio: Float32Array,
-    options?: WhisperOptions
+    options?: TranscriptionJobOptions
   ): Promise<WhisperResult> {
-    if (!this.pipeline) {
+    return this.enqueueTranscription(audio, options).result;
+  }
+
+  /**
+   * 將轉錄加入工作佇列並立即傳回工作
+   *
+   * 與 transcribe 相同（發射相同事件並更新統計），但會先傳回工作 ID，
+   * 讓呼叫端可以用 cancelJob 取消單一工作
+   * @param audio 音訊資料
+   * @param options 轉錄選項
+   * @returns 轉錄工作
+   *
+   * @example
+   * ```typescript
+   * // 新的語音片段到達時，丟棄尚未開始的舊片段
+   * const job = whisper.enqueueTranscription(segment.audio, {
+   *   priority: 'live',
+   *   staleKey: 'utterance'
+   * });
+   * const result = await job.result;
+   * ```
+   */
+  enqueueTranscription(
+    audio: Float32Array,
+    options?: TranscriptionJobOptions
+  ): TranscriptionJob {
+    if (!this.isLoaded()) {
       throw new Error('Whisper service not initialized. Call initialize() first.');
     }
 
-    const startTime = Date.now();
-    const audioLength = audio.length / this.config.audio.sampleRate * 1000; // ms
-
-    try {
-      // 發射開始事件
-      this.emit(WhisperEvents.TRANSCRIPTION_START, {
-        timestamp: startTime,
-        audioLength
-      });
-
-      // 合併服務選項和傳入選項
-      const mergedOptions: WhisperOptions = {
-        language: this.options.language,
-        temperature: this.options.temperature,
-        max_new_tokens: this.options.maxLength,
-        ...options
-      };
-
-      // 呼叫核心轉錄函數
-      const result = await transcribe(
-        { pipeline: this.pipeline, modelId: this.modelId },
-        audio,
-        mergedOptions
-      );
+    return this.startTranscription(audio, this.withDefaults(options), 'transcribe');
+  }
 
-      const duration = Date.now() - startTime;
+  /**
+   * 偵測音訊的語言
+   *
+   * 以 Whisper 的語言 token 機率傳回依機率排序的語言分佈（只看前 30 秒），
+   * 偵測同樣經過工作佇列
+   * @param audio 音訊資料
+   * @param options 偵測選項（candidates 限制候選語言，priority 控制排程）
+   * @returns 依機率由高到低排序的語言分佈
+   *
+   * @example
+   * ```typescript
+   * const [top] = await whisper.detectLanguage(audio, { candidates: ['zh', 'en'] });
+   * console.log(`${top.language}: ${(top.probability * 100).toFixed(1)}%`);
+   * ```
+   */
+  async detectLanguage(
+    audio: Float32Array,
+    options: WhisperLanguageDetectionOptions & Pick<TranscriptionJobOptions, 'priority' | 'staleKey'> = {}
+  ): Promise<WhisperLanguageProbability[]> {
+    if (!this.isLoaded()) {
+      throw new Error('Whisper service not initialized. Call initialize() first.');
+    }
 
-      // 更新統計
-      this.updateStatistics(duration, audioLength, result.text.length);
+    const { priority, staleKey, signal, ...detectionOptions } = options;
+    try {
+      const languages = await this.scheduleInference(
+        { priority, staleKey, signal },
+        jobSignal => this.runLanguageDetection(audio, { ...detectionOptions, signal: jobSignal })
+      ).result;
 
-      // 發射完成事件
-      this.emit(WhisperEvents.TRANSCRIPTION_COMPLETE, {
-        text: result.text,
-        duration,
-        segments: result.segments,
+      this.emit(WhisperEvents.LANGUAGE_DETECTED, {
+        language: languages[0].language,
+        probability: languages[0].probability,
+        languages,
         timestamp: Date.now()
       });
 
-      return result;
+      return languages;
     } catch (error) {
-      this.emit(WhisperEvents.ERROR, {
-        error: error as Error,
-        context: 'transcribe',
-        timestamp: Date.now()
-      });
+      if (!isAbortError(error)) {
+        this.emit(WhisperEvents.ERROR, {
+          error: error as Error,
+          context: 'detectLanguage',
+          timestamp: Date.now()
+        });
+      }
       throw error;
     }
   }
 
+  /**
+   * 獲取作為下一段提示詞的前文（rollingContext）
+   */
+  getContext(): string {
+    return this.context;
+  }
+
+  /**
+   * 清除前文，例如切換話題或說話者時
+   */
+  resetContext(): void {
+    this.context = '';
+  }
+
+  /**
+   * 在提示詞加入前文
+   */
+  private withContext<O extends TranscriptionJobOptions>(options: O): O {
+    if (!this.options.rollingContext || !this.context || options.prompt_ids) {
+      return options;
+    }
+    return {
+      ...options,
+      initialPrompt: [options.initialPrompt?.trim(), this.context].filter(Boolean).join(' ')
+    };
+  }
+
+  /**
+   * 將轉錄文字加入前文，只保留最後的 rollingContextChars 個字元
+   */
+  private appendContext(text: string): void {
+    if (!this.options.rollingContext || !text.trim()) {
+      return;
+    }
+
+    const maxChars = this.options.rollingContextChars ?? 200;
+    const context = joinTranscripts([this.context, text.trim()].filter(Boolean));
+    this.context = context.length > maxChars ? context.slice(context.length - maxChars) : context;
+  }
+
   /**
    * 使用串流模式轉錄音訊
    * @param audio 音訊資料
@@ -227,131 +530,389 @@ export class WhisperService extends EventEmitter<any> {
    */
   async transcribeWithStreaming(
     audio: Float32Array,
-    options?: WhisperOptions & { streamCallbacks?: WhisperStreamCallbacks }
+    options?: TranscriptionJobOptions & { streamCallbacks?: WhisperStreamCallbacks }
   ): Promise<WhisperResult> {
-    if (!this.pipeline) {
+    if (!this.isLoaded()) {
       throw new Error('Whisper service not initialized. Call initialize() first.');
     }
 
-    const startTime = Date.now();
-    const audioLength = audio.length / this.config.audio.sampleRate * 1000; // ms
+    // 強制啟用串流
+    return this.startTranscription(audio, {
+      ...this.withDefaults(options),
+      streaming: true,
+      streamCallbacks: options?.streamCallbacks
+    }, 'transcribeWithStreaming').result;
+  }
 
-    try {
-      // 發射開始事件
-      this.emit(WhisperEvents.TRANSCRIPTION_START, {
-        timestamp: startTime,
-        audioLength
-      });
+  /**
+   * 合併服務選項和傳入選項
+   */
+  private withDefaults<O extends TranscriptionJobOptions>(options: O = {} as O): O {
+    return Object.assign({
+      language: this.options.language,
+      temperature: this.options.temperature,
+      max_new_tokens: this.options.maxLength
+    }, options);
+  }
 
-      // 合併服務選項和傳入選項，強制啟用串流
-      const mergedOptions: WhisperOptions = {
-        language: this.options.language,
-        temperature: this.options.temperature,
-        max_new_tokens: this.options.maxLength,
-        ...options,
-        streaming: true, // 強制啟用串流
-        streamCallbacks: options?.streamCallbacks
-      };
+  /**
+   * 排入一次轉錄並發射開始、完成、取消或錯誤事件
+   * @param context 錯誤與取消事件的 context
+   */
+  private startTranscription(
+    audio: Float32Array,
+    options: TranscriptionJobOptions,
+    context: string
+  ): TranscriptionJob {
+    // Worker 模式下在 Worker 中執行核心轉錄函數
+    return this.startJob(audio.length, options, context, (whisperOptions, signal) =>
+      this.runTranscription(audio, { ...whisperOptions, signal }, this.options.transferAudio)
+    );
+  }
+
+  /**
+   * 以單一佇列工作執行轉錄，並發射開始、完成、取消或錯誤事件
+   *
+   * 多段的轉錄（檔案、長音訊）也只佔用一個佇列位置，
+   * 各段以不發射事件的內部路徑解碼，事件與統計只記錄一次
+   * @param samples 工作涵蓋的音訊樣本數
+   * @param context 錯誤與取消事件的 context
+   * @param execute 執行轉錄；傳入已套用前文的轉錄選項與工作的 signal
+   */
+  private startJob<O extends TranscriptionJobOptions>(
+    samples: number,
+    options: O,
+    context: string,
+    execute: (options: Omit<O, 'priority' | 'staleKey' | 'signal' | 'updateContext'>, signal: AbortSignal) => Promise<WhisperResult>
+  ): TranscriptionJob {
+    const startTime = Date.now();
+    const audioLength = samples / this.config.audio.sampleRate * 1000; // ms
+
+    const {
+      priority,
+      staleKey,
+      signal,
+      updateContext = priority !== 'background',
+      ...whisperOptions
+    } = this.withContext(options);
+    const job = this.scheduleInference({ priority, staleKey, signal }, jobSignal => execute(whisperOptions, jobSignal));
 
-      // 呼叫核心轉錄函數
-      const result = await transcribe(
-        { pipeline: this.pipeline, modelId: this.modelId },
-        audio,
-        mergedOptions
-      );
+    // 發射開始事件
+    this.emit(WhisperEvents.TRANSCRIPTION_START, {
+      timestamp: startTime,
+      audioLength,
+      jobId: job.id
+    });
 
+    const result = job.result.then(result => {
       const duration = Date.now() - startTime;
 
       // 更新統計
       this.updateStatistics(duration, audioLength, result.text.length);
+      if (updateContext) {
+        this.appendContext(result.text);
+      }
+
+      // 'auto' 模式下發射偵測到的語言
+      if (result.language) {
+        this.emit(WhisperEvents.LANGUAGE_DETECTED, {
+          language: result.language,
+          probability: result.languageProbability ?? 1,
+          jobId: job.id,
+          timestamp: Date.now()
+        });
+      }
 
       // 發射完成事件
       this.emit(WhisperEvents.TRANSCRIPTION_COMPLETE, {
         text: result.text,
         duration,
         segments: result.segments,
+        words: result.words,
+        language: result.language,
+        languageProbability: result.languageProbability,
+        jobId: job.id,
         timestamp: Date.now()
       });
 
       return result;
-    } catch (error) {
-      this.emit(WhisperEvents.ERROR, {
-        error: error as Error,
-        context: 'transcribeWithStreaming',
-        timestamp: Date.now()
-      });
+    }, error => {
+      if (isAbortError(error)) {
+        this.emitCancelled(error, context, startTime, job.id);
+      } else {
+        this.emit(WhisperEvents.ERROR, {
+          error: error as Error,
+          context,
+          timestamp: Date.now()
+        });
+      }
       throw error;
-    }
+    });
+
+    return { ...job, result };
   }
   
   /**
    * 轉錄音訊並提供進度回調
+   *
+   * 以長音訊模式分塊轉錄（見 transcribeLongForm）：重疊範圍的重複文字會去除，
+   * 片段時間戳換算為整段音訊的時間軸。與先前相同，只有在 options.returnSegments
+   * 時才傳回片段；整段以單一佇列工作執行（預設 'background' 優先級，可用 options.priority 覆寫）
    * @param audio 音訊資料
-   * @param options 轉錄選項
+   * @param options 轉錄選項（signal 可在分段之間或解碼中取消轉錄）
    * @param onProgress 進度回調函數
    * @returns 轉錄結果
+   * @throws AbortError 當轉錄被取消時拋出
    */
   async transcribeWithProgress(
     audio: Float32Array,
-    options?: WhisperOptions,
+    options?: TranscriptionJobOptions,
     onProgress?: (progress: number) => void
   ): Promise<WhisperResult> {
-    if (!this.pipeline) {
+    return this.runLongForm(audio, { returnSegments: false, ...options, onProgress }, 'transcribeWithProgress');
+  }
+
+  /**
+   * 長音訊轉錄
+   *
+   * 將超過 Whisper 30 秒視窗的音訊分塊轉錄後合併為單一結果：
+   * 片段與詞的時間戳換算回原始音訊的時間軸，重疊範圍的重複文字以詞元對齊去除。
+   * 提供 vad 時優先在語音片段之間的靜音處切分，避免切斷詞語。
+   * 整段只佔用一個佇列工作（預設 'background' 優先級），只發射一次開始與完成事件
+   * @param audio 16kHz 音訊資料
+   * @param options 長音訊轉錄選項
+   * @returns 合併後的轉錄結果
+   * @throws AbortError 當轉錄被取消時拋出
+   */
+  async transcribeLongForm(
+    audio: Float32Array,
+    options: LongFormTranscriptionOptions = {}
+  ): Promise<WhisperResult> {
+    return this.runLongForm(audio, options, 'transcribeLongForm');
+  }
+
+  /**
+   * 長音訊轉錄流程（transcribeLongForm 與 transcribeWithProgress 共用）
+   */
+  private async runLongForm(
+    audio: Float32Array,
+    options: LongFormTranscriptionOptions,
+    context: string
+  ): Promise<WhisperResult> {
+    if (!this.isLoaded()) {
       throw new Error('Whisper service not initialized');
     }
-    
-    // 將音訊分段以提供進度更新
-    const chunks = chunkAudioForTranscription(audio);
-    const results: string[] = [];
-    const allSegments: any[] = [];
-    
+
+    const { vad, segmenter: segmenterOptions, onProgress, onChunk, chunkSizeSeconds, overlapSeconds, cutPoints, ...jobOptions } = options;
+    const sampleRate = this.config.audio.sampleRate;
     const startTime = Date.now();
-    const totalChunks = chunks.length;
-    
-    this.emit(WhisperEvents.TRANSCRIPTION_START, {
-      timestamp: startTime,
-      audioLength: audio.length / this.config.audio.sampleRate * 1000
-    });
-    
-    for (let i = 0; i < totalChunks; i++) {
-      const progress = ((i + 1) / totalChunks) * 100;
-      
-      // 發射進度事件
+
+    const reportProgress = (progress: number, stage: 'vad' | 'transcribing', partialText?: string) => {
       this.emit(WhisperEvents.TRANSCRIPTION_PROGRESS, {
         progress,
-        partialText: results.join(' '),
+        stage,
+        partialText,
         timestamp: Date.now()
       });
-      
-      // 呼叫進度回調
-      onProgress?.(progress);
-      
-      // 轉錄當前段
-      const result = await this.transcribe(chunks[i], options);
-      results.push(result.text);
-      
-      if (result.segments) {
-        allSegments.push(...result.segments);
+      onProgress?.(progress, stage);
+    };
+
+    // 1. 以 VAD 找出靜音切點（相鄰語音片段之間的中點）
+    let cuts = cutPoints;
+    if (vad && !cuts) {
+      try {
+        const pieces = await this.segmentFileAudio(audio, vad, segmenterOptions, progress => {
+          reportProgress(progress * 0.2, 'vad');
+        }, jobOptions.signal);
+        cuts = pieces.slice(1).map((piece, i) => (pieces[i].end + piece.start) / 2);
+      } catch (error) {
+        if (isAbortError(error)) {
+          this.emitCancelled(error, context, startTime);
+        } else {
+          this.emit(WhisperEvents.ERROR, {
+            error: error as Error,
+            context,
+            timestamp: Date.now()
+          });
+        }
+        throw error;
       }
     }
-    
-    const finalText = results.join(' ').trim();
-    const duration = Date.now() - startTime;
-    
-    // 發射完成事件
-    this.emit(WhisperEvents.TRANSCRIPTION_COMPLETE, {
-      text: finalText,
-      duration,
-      segments: allSegments.length > 0 ? allSegments : undefined,
-      timestamp: Date.now()
+
+    // 2. 以單一工作分塊轉錄並增量合併
+    const progressBase = vad ? 20 : 0;
+    const longFormOptions = this.withDefaults({
+      ...jobOptions,
+      chunkSizeSeconds,
+      overlapSeconds,
+      cutPoints: cuts,
+      priority: jobOptions.priority ?? 'background',
+      onChunk: (progress: WhisperLongFormProgress) => {
+        reportProgress(progressBase + (progress.completed / progress.total) * (100 - progressBase), 'transcribing', progress.text);
+        onChunk?.(progress);
+      }
     });
-    
-    return {
-      text: finalText,
-      segments: allSegments.length > 0 ? allSegments : undefined
+
+    return this.startJob(audio.length, longFormOptions, context, (whisperOptions, signal) =>
+      this.runLongFormTranscription(audio, { ...whisperOptions, signal })
+    ).result;
+  }
+
+  /**
+   * 轉錄音訊檔案
+   *
+   * 解碼（WAV 以純 JavaScript，其他格式以 decodeAudioData）→ 混為單聲道 → 重採樣，
+   * 提供 vad 時以 UtteranceSegmenter 切出語音片段逐段轉錄並略過靜音，
+   * 片段與詞的時間戳會換算回原始檔案的時間軸。
+   * 整個檔案只佔用一個佇列工作（預設 'background' 優先級），只發射一次開始與完成事件
+   * @param input 檔案 Blob 或 ArrayBuffer
+   * @param options 檔案轉錄選項
+   * @returns 合併後的轉錄結果
+   */
+  async transcribeFile(
+    input: Blob | ArrayBuffer,
+    options: TranscribeFileOptions = {}
+  ): Promise<WhisperResult> {
+    if (!this.isLoaded()) {
+      throw new Error('Whisper service not initialized. Call initialize() first.');
+    }
+
+    const { vad, segmenter: segmenterOptions, decode, onProgress, ...jobOptions } = options;
+    const sampleRate = this.config.audio.sampleRate;
+    const startTime = Date.now();
+
+    const reportProgress = (progress: number, stage: 'decoding' | 'vad' | 'transcribing', partialText?: string) => {
+      this.emit(WhisperEvents.TRANSCRIPTION_PROGRESS, {
+        progress,
+        stage,
+        partialText,
+        timestamp: Date.now()
+      });
+      onProgress?.(progress, stage);
     };
+
+    // 1. 解碼與重採樣，並切出語音片段（未提供 VAD 時整段轉錄）
+    let audio: Float32Array;
+    let pieces: Array<{ audio: Float32Array; offset: number; start: number; end: number }>;
+    try {
+      reportProgress(0, 'decoding');
+      audio = await loadAudioFile(input, decode, this.config);
+      throwIfAborted(jobOptions.signal);
+
+      if (vad) {
+        pieces = await this.segmentFileAudio(audio, vad, segmenterOptions, progress => {
+          reportProgress(5 + progress * 0.15, 'vad');
+        }, jobOptions.signal);
+      } else {
+        pieces = [{ audio, offset: 0, start: 0, end: audio.length / sampleRate }];
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        this.emitCancelled(error, 'transcribeFile', startTime);
+      } else {
+        this.emit(WhisperEvents.ERROR, {
+          error: error as Error,
+          context: 'transcribeFile',
+          timestamp: Date.now()
+        });
+      }
+      throw error;
+    }
+
+    // 2. 以單一工作逐段轉錄並換算時間軸
+    const progressBase = vad ? 20 : 5;
+    const chunking = this.config.whisper.chunking;
+    const fileOptions = this.withDefaults({ ...jobOptions, priority: jobOptions.priority ?? 'background' });
+
+    return this.startJob(audio.length, fileOptions, 'transcribeFile', async (whisperOptions, signal) => {
+      const texts: string[] = [];
+      const segments: NonNullable<WhisperResult['segments']> = [];
+      const words: NonNullable<WhisperResult['words']> = [];
+
+      for (let i = 0; i < pieces.length; i++) {
+        throwIfAborted(signal);
+        const piece = pieces[i];
+        const result = await this.runTranscription(piece.audio, {
+          streaming: false,
+          returnSegments: true,
+          // 超過單一 Whisper 視窗的音訊改用管道內建的分塊處理
+          ...(piece.audio.length > chunking.chunkSizeSeconds * sampleRate && {
+            chunk_length_s: chunking.chunkSizeSeconds,
+            stride_length_s: chunking.overlapSeconds
+          }),
+          ...whisperOptions,
+          signal
+        });
+
+        const text = result.text.trim();
+        if (text) {
+          texts.push(text);
+          if (result.segments && result.segments.length > 0) {
+            segments.push(...result.segments.map(segment => ({
+              ...segment,
+              start: segment.start + piece.offset,
+              end: segment.end + piece.offset
+            })));
+          } else {
+            segments.push({ text, start: piece.start, end: piece.end });
+          }
+          words.push(...(result.words ?? []).map(word => ({
+            ...word,
+            start: word.start + piece.offset,
+            end: word.end + piece.offset
+          })));
+        }
+
+        reportProgress(progressBase + ((i + 1) / pieces.length) * (100 - progressBase), 'transcribing', joinTranscripts(texts));
+      }
+
+      const finalResult: WhisperResult = { text: joinTranscripts(texts), segments };
+      if (words.length > 0) {
+        finalResult.words = words;
+      }
+      return finalResult;
+    }).result;
   }
-  
+
+  /**
+   * 以 VAD 將整段音訊切成語音片段
+   */
+  private async segmentFileAudio(
+    audio: Float32Array,
+    vad: VadService,
+    options: UtteranceSegmenterOptions | undefined,
+    onProgress: (progress: number) => void,
+    signal?: AbortSignal
+  ): Promise<Array<{ audio: Float32Array; offset: number; start: number; end: number }>> {
+    const sampleRate = this.config.audio.sampleRate;
+    const segmenter = new UtteranceSegmenter(vad, {
+      // 單段不超過 Whisper 的 30 秒視窗
+      maxSpeechMs: this.config.whisper.chunking.chunkSizeSeconds * 1000,
+      ...options
+    });
+
+    const segments = [];
+    const block = sampleRate; // 每次餵入 1 秒
+    try {
+      for (let i = 0; i < audio.length; i += block) {
+        throwIfAborted(signal);
+        segments.push(...await segmenter.process(audio.subarray(i, i + block)));
+        onProgress(Math.min(100, ((i + block) / audio.length) * 100));
+      }
+      const last = segmenter.flush();
+      if (last) segments.push(last);
+    } finally {
+      segmenter.dispose();
+    }
+
+    return segments.map(segment => ({
+      audio: segment.audio,
+      offset: segment.startSample / sampleRate,
+      start: segment.speechStartSample / sampleRate,
+      end: segment.speechEndSample / sampleRate
+    }));
+  }
+
   /**
    * 處理連續音訊流
    * @param ringBuffer 環形緩衝區
@@ -362,7 +923,7 @@ export class WhisperService extends EventEmitter<any> {
   async processStream(
     ringBuffer: AudioRingBuffer,
     minAudioLength?: number,
-    options?: WhisperOptions
+    options?: TranscriptionJobOptions
   ): Promise<WhisperResult | null> {
     // 使用服務選項或預設值
     const minLength = minAudioLength ?? this.options.minAudioLength ?? 1000;
@@ -387,33 +948,738 @@ export class WhisperService extends EventEmitter<any> {
   /**
    * 批次轉錄多個音訊片段
    * @param audioSegments 音訊片段陣列
-   * @param options 轉錄選項
+   * @param options 轉錄選項（signal 可在片段之間或解碼中取消整批轉錄）
    * @returns 轉錄結果陣列
+   * @throws AbortError 當轉錄被取消時拋出
    */
   async transcribeBatch(
     audioSegments: Float32Array[],
-    options?: WhisperOptions
+    options?: TranscriptionJobOptions
   ): Promise<WhisperResult[]> {
     const results: WhisperResult[] = [];
+    const startTime = Date.now();
     
-    for (let i = 0; i < audioSegments.length; i++) {
-      const progress = ((i + 1) / audioSegments.length) * 100;
-      
-      this.emit(WhisperEvents.TRANSCRIPTION_PROGRESS, {
-        progress,
-        timestamp: Date.now()
-      });
-      
-      const result = await this.transcribe(audioSegments[i], options);
-      results.push(result);
+    try {
+      for (let i = 0; i < audioSegments.length; i++) {
+        throwIfAborted(options?.signal);
+
+        const progress = ((i + 1) / audioSegments.length) * 100;
+        
+        this.emit(WhisperEvents.TRANSCRIPTION_PROGRESS, {
+          progress,
+          timestamp: Date.now()
+        });
+        
+        const result = await this.transcribe(audioSegments[i], { priority: 'background', ...options });
+        results.push(result);
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        this.emitCancelled(error, 'transcribeBatch', startTime);
+      }
+      throw error;
     }
     
     return results;
   }
   
   /**
-   * 獲取當前模型 ID
-   * @returns 模型 ID
+   * 開始即時增量轉錄
+   *
+   * 之後以 pushLiveAudio 持續餵入麥克風音訊，服務會以固定間隔重新解碼滑動視窗，
+   * 只有在連續多次假設中一致的前綴才會被確認（LocalAgreement），
+   * 並分別透過 STREAM_COMMIT 與 STREAM_PARTIAL 發射已確認與暫定的文字
+   * @param options 即時轉錄選項
+   */
+  startLiveTranscription(options: LiveTranscriptionOptions = {}): void {
+    if (!this.isLoaded()) {
+      throw new Error('Whisper service not initialized. Call initialize() first.');
+    }
+    if (this.live) {
+      throw new Error('Live transcription already started. Call stopLiveTranscription() first.');
+    }
+
+    const { updateIntervalMs, maxWindowSeconds, agreementCount, ...whisperOptions } = options;
+
+    this.live = {
+      options: {
+        language: this.options.language,
+        temperature: this.options.temperature,
+        max_new_tokens: this.options.maxLength,
+        ...whisperOptions,
+        streaming: false,
+        returnSegments: true
+      },
+      updateIntervalMs: updateIntervalMs ?? this.config.whisper.live.updateIntervalMs,
+      maxWindowSeconds: maxWindowSeconds ?? this.config.whisper.live.maxWindowSeconds,
+      agreementCount: Math.max(1, agreementCount ?? this.config.whisper.live.agreementCount),
+      buffer: new Float32Array(0),
+      pendingSamples: 0,
+      committedText: '',
+      windowCommitted: [],
+      history: [],
+      decoding: null
+    };
+
+    this.emit(WhisperEvents.STREAM_CHUNK_START, {
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 餵入即時音訊
+   *
+   * 累積的新音訊達到更新間隔時會觸發一次解碼；解碼進行中時僅緩衝音訊
+   * @param audio 音訊資料（16kHz）
+   * @returns Promise<void>
+   */
+  async pushLiveAudio(audio: Float32Array): Promise<void> {
+    const live = this.live;
+    if (!live) {
+      throw new Error('Live transcription not started. Call startLiveTranscription() first.');
+    }
+
+    const buffer = new Float32Array(live.buffer.length + audio.length);
+    buffer.set(live.buffer, 0);
+    buffer.set(audio, live.buffer.length);
+    live.buffer = buffer;
+    live.pendingSamples += audio.length;
+
+    const intervalSamples = (live.updateIntervalMs / 1000) * this.config.audio.sampleRate;
+    if (live.decoding || live.pendingSamples < intervalSamples) {
+      return;
+    }
+
+    live.decoding = this.decodeLiveWindow(live, false).finally(() => {
+      live.decoding = null;
+    });
+    await live.decoding;
+  }
+
+  /**
+   * 停止即時轉錄並確認剩餘文字
+   * @returns 完整的已確認轉錄結果
+   */
+  async stopLiveTranscription(): Promise<WhisperResult> {
+    const live = this.live;
+    if (!live) {
+      throw new Error('Live transcription not started. Call startLiveTranscription() first.');
+    }
+
+    try {
+      await live.decoding?.catch(() => undefined);
+
+      // 最後一次解碼，剩餘的假設全部確認
+      if (live.buffer.length > 0) {
+        await this.decodeLiveWindow(live, true);
+      }
+    } finally {
+      this.live = null;
+    }
+
+    const text = live.committedText.trim();
+
+    this.emit(WhisperEvents.STREAM_CHUNK_END, {
+      committed: text,
+      timestamp: Date.now()
+    });
+    this.emit(WhisperEvents.STREAM_FINALIZE, {
+      text,
+      timestamp: Date.now()
+    });
+
+    return { text };
+  }
+
+  /**
+   * 是否正在進行即時轉錄
+   */
+  isLiveTranscribing(): boolean {
+    return this.live !== null;
+  }
+
+  /**
+   * 解碼即時轉錄的滑動視窗並套用 LocalAgreement
+   */
+  private async decodeLiveWindow(live: LiveSession, final: boolean): Promise<void> {
+    live.pendingSamples = 0;
+    const startTime = Date.now();
+    // 解碼期間 pushLiveAudio 仍會接上新音訊，裁切時需以本次解碼的長度為準
+    const decodedSamples = live.buffer.length;
+    const audioLength = decodedSamples / this.config.audio.sampleRate * 1000;
+
+    let result: WhisperResult;
+    try {
+      result = await this.scheduleJob(live.buffer.subarray(0, decodedSamples), { ...live.options, priority: 'live' }).result;
+    } catch (error) {
+      this.emit(WhisperEvents.ERROR, {
+        error: error as Error,
+        context: 'liveTranscription',
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+
+    this.updateStatistics(Date.now() - startTime, audioLength, result.text.length);
+
+    // 略過視窗內已確認的前綴，只比對新的部分
+    const hypothesis = tokenizeForAgreement(result.text).slice(live.windowCommitted.length);
+    live.history.push(hypothesis);
+    if (live.history.length > live.agreementCount) {
+      live.history.shift();
+    }
+
+    let agreed = 0;
+    if (final) {
+      agreed = hypothesis.length;
+    } else if (live.history.length >= live.agreementCount) {
+      agreed = findAgreedPrefix(live.history);
+    }
+
+    this.commitLiveTokens(live, hypothesis.slice(0, agreed));
+
+    const tentative = hypothesis.slice(agreed).join('');
+    this.emit(WhisperEvents.STREAM_PARTIAL, {
+      partial: tentative,
+      committed: live.committedText.trim(),
+      tentative,
+      timestamp: Date.now()
+    });
+
+    if (!final) {
+      this.trimLiveWindow(live, result, hypothesis.slice(agreed), decodedSamples);
+    }
+  }
+
+  /**
+   * 確認詞元並發射 STREAM_COMMIT 事件
+   */
+  private commitLiveTokens(live: LiveSession, tokens: string[]): void {
+    if (tokens.length === 0) return;
+
+    live.windowCommitted.push(...tokens);
+    live.history = live.history.map(h => h.slice(tokens.length));
+
+    let text = tokens.join('');
+    // 視窗裁切後新假設的第一個詞可能缺少前導空白
+    if (/[A-Za-z0-9]$/.test(live.committedText) && /^[A-Za-z0-9]/.test(text)) {
+      text = ' ' + text;
+    }
+    live.committedText += text;
+
+    this.emit(WhisperEvents.STREAM_COMMIT, {
+      text: text.trim(),
+      committed: live.committedText.trim(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 視窗超過最大長度時，在已確認的片段邊界裁切音訊
+   *
+   * decodedSamples 之後的音訊是解碼期間新接上的，一律保留
+   */
+  private trimLiveWindow(live: LiveSession, result: WhisperResult, tentative: string[], decodedSamples: number): void {
+    const sampleRate = this.config.audio.sampleRate;
+    if (live.buffer.length / sampleRate <= live.maxWindowSeconds) {
+      return;
+    }
+
+    // 找出完全落在已確認前綴內的最後一個片段
+    let cutSeconds = 0;
+    let cutTokens = 0;
+    let tokenCount = 0;
+    for (const segment of result.segments ?? []) {
+      tokenCount += tokenizeForAgreement(segment.text).length;
+      if (tokenCount > live.windowCommitted.length) break;
+      if (segment.end > 0) {
+        cutSeconds = segment.end;
+        cutTokens = tokenCount;
+      }
+    }
+
+    if (cutSeconds > 0) {
+      live.buffer = live.buffer.slice(Math.round(cutSeconds * sampleRate));
+      live.windowCommitted = live.windowCommitted.slice(cutTokens);
+      return;
+    }
+
+    // 沒有可用的片段邊界：強制確認目前假設並捨棄已解碼的音訊
+    this.commitLiveTokens(live, tentative);
+    live.buffer = live.buffer.slice(decodedSamples);
+    live.windowCommitted = [];
+    live.history = [];
+  }
+
+  /**
+   * 取消所有進行中與排隊中的轉錄
+   *
+   * @description 被取消的轉錄會以 AbortError 拒絕；若只要取消單一工作，請改用 cancelJob 或 options.signal
+   */
+  cancelTranscription(): void {
+    for (const job of [...this.jobQueue, ...this.runningJobs.values()]) {
+      job.controller.abort();
+    }
+  }
+
+  /**
+   * 取消單一轉錄工作
+   * @param id enqueueTranscription 傳回的工作 ID
+   * @returns 是否找到尚未完成的工作
+   */
+  cancelJob(id: number): boolean {
+    const job = this.runningJobs.get(id) ?? this.jobQueue.find(queued => queued.id === id);
+    job?.controller.abort();
+    return job !== undefined;
+  }
+
+  /**
+   * 獲取轉錄佇列狀態
+   */
+  getQueueStatus(): { queued: number; running: number; maxConcurrentInferences: number; backpressure: boolean } {
+    return {
+      queued: this.jobQueue.length,
+      running: this.runningJobs.size,
+      maxConcurrentInferences: this.getMaxConcurrency(),
+      backpressure: this.backpressure
+    };
+  }
+
+  /**
+   * 發射取消事件；同一次取消經由巢狀呼叫（如 transcribeBatch → transcribe）傳遞時只發射一次
+   */
+  private emitCancelled(error: unknown, context: string, startTime: number, jobId?: number): void {
+    if (this.reportedAborts.has(error as Error)) {
+      return;
+    }
+    this.reportedAborts.add(error as Error);
+
+    this.emit(WhisperEvents.TRANSCRIPTION_CANCELLED, {
+      context,
+      duration: Date.now() - startTime,
+      jobId,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 將轉錄加入工作佇列
+   * @param transfer 是否直接轉移 audio 的底層緩衝區
+   */
+  private scheduleJob(
+    audio: Float32Array,
+    options: TranscriptionJobOptions,
+    transfer: boolean = false
+  ): TranscriptionJob {
+    const { priority, staleKey, signal, ...whisperOptions } = options;
+    return this.scheduleInference(
+      { priority, staleKey, signal },
+      jobSignal => this.runTranscription(audio, { ...whisperOptions, signal: jobSignal }, transfer)
+    );
+  }
+
+  /**
+   * 將推論工作加入佇列
+   *
+   * 工作依優先級排序（同優先級先進先出），並在並行數未達上限時開始執行
+   * @param execute 執行推論；傳入的 signal 在工作被取消時觸發
+   */
+  private scheduleInference<T>(
+    options: Pick<TranscriptionJobOptions, 'priority' | 'staleKey' | 'signal'>,
+    execute: (signal: AbortSignal) => Promise<T>
+  ): { id: number; priority: TranscriptionPriority; result: Promise<T> } {
+    const { priority = 'normal', staleKey, signal } = options;
+    const id = ++this.queueJobCounter;
+    const controller = new AbortController();
+
+    if (staleKey !== undefined) {
+      for (const queued of [...this.jobQueue]) {
+        if (queued.staleKey === staleKey) {
+          this.dropJob(queued, 'stale');
+        }
+      }
+    }
+
+    const result = new Promise<T>((resolve, reject) => {
+      const onAbort = () => controller.abort();
+      const job: QueuedJob = {
+        id,
+        priority,
+        staleKey,
+        controller,
+        reject,
+        run: async () => {
+          try {
+            resolve(await execute(controller.signal));
+          } catch (error) {
+            reject(error as Error);
+          }
+        },
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      };
+
+      const rank = PRIORITY_RANK[priority];
+      const index = this.jobQueue.findIndex(queued => PRIORITY_RANK[queued.priority] < rank);
+      this.jobQueue.splice(index < 0 ? this.jobQueue.length : index, 0, job);
+
+      // 尚未開始的工作取消時直接移出佇列；執行中的工作由 execute 依 signal 中止
+      controller.signal.addEventListener('abort', () => this.dropJob(job, 'cancelled'), { once: true });
+      if (signal?.aborted) {
+        controller.abort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    this.pumpQueue();
+    return { id, priority, result };
+  }
+
+  /**
+   * 在並行數未達上限時開始執行佇列中的工作
+   */
+  private pumpQueue(): void {
+    while (this.runningJobs.size < this.getMaxConcurrency() && this.jobQueue.length > 0) {
+      const job = this.jobQueue.shift()!;
+      this.runningJobs.set(job.id, job);
+      job.run().finally(() => {
+        job.cleanup();
+        this.runningJobs.delete(job.id);
+        this.pumpQueue();
+      });
+    }
+    this.emitQueueChange();
+  }
+
+  /**
+   * 將尚未開始的工作移出佇列並以 AbortError 拒絕
+   */
+  private dropJob(job: QueuedJob, reason: 'cancelled' | 'stale'): void {
+    const index = this.jobQueue.indexOf(job);
+    if (index < 0) {
+      return; // 已開始執行或已結束
+    }
+
+    this.jobQueue.splice(index, 1);
+    job.cleanup();
+    job.reject(new AbortError(reason === 'stale' ? 'Transcription superseded by a newer job' : undefined));
+
+    this.emit(WhisperEvents.JOB_DROPPED, {
+      jobId: job.id,
+      priority: job.priority,
+      reason,
+      timestamp: Date.now()
+    });
+    this.emitQueueChange();
+  }
+
+  /**
+   * 發射佇列長度事件，並在跨越高水位時發射背壓事件
+   */
+  private emitQueueChange(): void {
+    const queued = this.jobQueue.length;
+    this.emit(WhisperEvents.QUEUE_CHANGE, {
+      queued,
+      running: this.runningJobs.size,
+      timestamp: Date.now()
+    });
+
+    const highWaterMark = this.options.queueHighWaterMark ?? 4;
+    const backpressure = queued >= highWaterMark;
+    if (backpressure !== this.backpressure) {
+      this.backpressure = backpressure;
+      this.emit(WhisperEvents.QUEUE_BACKPRESSURE, {
+        active: backpressure,
+        queued,
+        highWaterMark,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * 最大並行轉錄數
+   */
+  private getMaxConcurrency(): number {
+    return Math.max(1, this.options.maxConcurrentInferences ?? this.config.performance.maxConcurrentInferences);
+  }
+
+  /**
+   * 是否在 Worker 中執行轉錄
+   */
+  isUsingWorker(): boolean {
+    return this.worker !== null;
+  }
+
+  /**
+   * 模型是否已載入（主執行緒管道或 Worker）
+   */
+  private isLoaded(): boolean {
+    return this.pipeline !== null || this.worker !== null;
+  }
+
+  /**
+   * 執行一次轉錄：Worker 模式下送往 Worker，否則呼叫核心轉錄函數
+   * @param transfer 是否直接轉移 audio 的底層緩衝區
+   */
+  private runTranscription(
+    audio: Float32Array,
+    options: WhisperOptions,
+    transfer: boolean = false
+  ): Promise<WhisperResult> {
+    if (!this.worker) {
+      return transcribe({ pipeline: this.pipeline, modelId: this.modelId }, audio, options);
+    }
+
+    // AbortSignal 無法結構化複製，改以 'cancel' 訊息通知 Worker
+    const { streamCallbacks, signal, ...workerOptions } = options;
+    if (signal?.aborted) {
+      return Promise.reject(new AbortError());
+    }
+    const id = ++this.jobCounter;
+
+    // 只有完整涵蓋一般 ArrayBuffer 的陣列可以直接轉移，其餘情況轉移副本
+    const canTransfer = transfer
+      && audio.buffer instanceof ArrayBuffer
+      && audio.byteOffset === 0
+      && audio.byteLength === audio.buffer.byteLength;
+    const payload = canTransfer ? audio : audio.slice();
+
+    return this.runWorkerJob<WhisperResult>(id, signal, {
+      type: 'transcribe',
+      data: {
+        id,
+        audio: payload,
+        options: workerOptions,
+        streamCallbacks: streamCallbacks
+          ? Object.keys(streamCallbacks).filter(name => typeof (streamCallbacks as any)[name] === 'function') as WhisperStreamCallbackName[]
+          : undefined
+      }
+    }, [payload.buffer as ArrayBuffer], { streamCallbacks });
+  }
+
+  /**
+   * 執行一次長音訊轉錄：Worker 模式下送往 Worker，否則呼叫核心長音訊轉錄函數
+   */
+  private runLongFormTranscription(
+    audio: Float32Array,
+    options: WhisperOptions & WhisperLongFormOptions
+  ): Promise<WhisperResult> {
+    if (!this.worker) {
+      return transcribeLongForm({ pipeline: this.pipeline, modelId: this.modelId }, audio, options, this.config);
+    }
+
+    const { streamCallbacks, signal, onChunk, ...workerOptions } = options;
+    if (signal?.aborted) {
+      return Promise.reject(new AbortError());
+    }
+    const id = ++this.jobCounter;
+    const payload = audio.slice();
+
+    return this.runWorkerJob<WhisperResult>(id, signal, {
+      type: 'transcribe-long-form',
+      data: { id, audio: payload, options: workerOptions }
+    }, [payload.buffer], { onChunk });
+  }
+
+  /**
+   * 執行一次語言偵測：Worker 模式下送往 Worker，否則呼叫核心偵測函數
+   */
+  private runLanguageDetection(
+    audio: Float32Array,
+    options: WhisperLanguageDetectionOptions
+  ): Promise<WhisperLanguageProbability[]> {
+    if (!this.worker) {
+      return detectLanguage({ pipeline: this.pipeline, modelId: this.modelId }, audio, options);
+    }
+
+    const { signal, ...workerOptions } = options;
+    if (signal?.aborted) {
+      return Promise.reject(new AbortError());
+    }
+    const id = ++this.jobCounter;
+    const payload = audio.slice();
+
+    return this.runWorkerJob<WhisperLanguageProbability[]>(id, signal, {
+      type: 'detect-language',
+      data: { id, audio: payload, options: workerOptions }
+    }, [payload.buffer]);
+  }
+
+  /**
+   * 送出 Worker 工作並等待結果；signal 取消時通知 Worker 取消該工作
+   */
+  private runWorkerJob<T>(
+    id: number,
+    signal: AbortSignal | undefined,
+    message: WhisperWorkerRequest,
+    transfer: Transferable[],
+    handlers: Pick<WorkerJob, 'streamCallbacks' | 'onChunk'> = {}
+  ): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      const onAbort = () => this.postToWorker({ type: 'cancel', data: { id } });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const settle = () => signal?.removeEventListener('abort', onAbort);
+
+      this.workerJobs.set(id, {
+        resolve: result => { settle(); resolve(result); },
+        reject: error => { settle(); reject(error); },
+        ...handlers
+      });
+      this.postToWorker(message, transfer);
+    });
+  }
+
+  /**
+   * 建立 Whisper Worker 並在其中載入模型
+   * @returns 實際載入的模型 ID
+   */
+  private initializeWorker(modelId?: string, loadOptions?: WhisperLoadOptions): Promise<string> {
+    const { progress_callback, ...workerLoadOptions } = loadOptions ?? {};
+
+    return new Promise<string>((resolve, reject) => {
+      const worker = new Worker(this.options.workerUrl ?? '/dist/whisper.worker.js');
+      this.worker = worker;
+
+      const fail = (error: Error) => {
+        worker.terminate();
+        if (this.worker === worker) {
+          this.worker = null;
+        }
+        reject(error);
+      };
+
+      let ready = false;
+
+      worker.addEventListener('message', (event: MessageEvent<WhisperWorkerMessage>) => {
+        const message = event.data;
+        switch (message.type) {
+          case 'ready':
+            ready = true;
+            resolve(message.data.modelId);
+            break;
+
+          case 'load-progress':
+            progress_callback?.(message.data);
+            break;
+
+          case 'error':
+            if (message.data.context === 'initialize') {
+              fail(this.toError(message.data.error));
+            } else {
+              this.handleWorkerMessage(message);
+            }
+            break;
+
+          default:
+            this.handleWorkerMessage(message);
+        }
+      });
+
+      worker.addEventListener('error', (event: ErrorEvent) => {
+        const error = new Error(event.message || 'Whisper worker error');
+        this.rejectWorkerJobs(error);
+        if (ready) {
+          this.emit(WhisperEvents.ERROR, {
+            error,
+            context: 'worker',
+            timestamp: Date.now()
+          });
+        } else {
+          fail(error);
+        }
+      });
+
+      this.postToWorker({
+        type: 'init',
+        data: {
+          modelId,
+          loadOptions: workerLoadOptions,
+          config: this.config.toJSON(),
+          baseUrl: typeof location !== 'undefined' ? location.href : undefined
+        }
+      });
+    });
+  }
+
+  /**
+   * 處理 Worker 傳回的轉錄結果與串流事件
+   */
+  private handleWorkerMessage(message: WhisperWorkerMessage): void {
+    switch (message.type) {
+      case 'result': {
+        const job = this.workerJobs.get(message.data.id);
+        this.workerJobs.delete(message.data.id);
+        job?.resolve(message.data.result);
+        break;
+      }
+
+      case 'language': {
+        const job = this.workerJobs.get(message.data.id);
+        this.workerJobs.delete(message.data.id);
+        job?.resolve(message.data.languages);
+        break;
+      }
+
+      case 'error': {
+        const job = message.data.id !== undefined ? this.workerJobs.get(message.data.id) : undefined;
+        if (job) {
+          this.workerJobs.delete(message.data.id!);
+          job.reject(this.toError(message.data.error));
+        }
+        break;
+      }
+
+      case 'long-form-progress':
+        this.workerJobs.get(message.data.id)?.onChunk?.(message.data.progress);
+        break;
+
+      case 'stream':
+        this.forwardStreamEvent(message.data.event, message.data.detail);
+        break;
+
+      case 'stream-callback': {
+        const callback = this.workerJobs.get(message.data.id)?.streamCallbacks?.[message.data.name];
+        (callback as ((...args: any[]) => void) | undefined)?.(...message.data.args);
+        break;
+      }
+    }
+  }
+
+  private postToWorker(message: WhisperWorkerRequest, transfer: Transferable[] = []): void {
+    if (!this.worker) {
+      throw new Error('Whisper worker not initialized. Call initialize() first.');
+    }
+    this.worker.postMessage(message, transfer);
+  }
+
+  /**
+   * 以指定錯誤拒絕所有等待中的 Worker 轉錄
+   */
+  private rejectWorkerJobs(error: Error): void {
+    for (const job of this.workerJobs.values()) {
+      job.reject(error);
+    }
+    this.workerJobs.clear();
+  }
+
+  /**
+   * 將 Worker 傳回的錯誤物件還原為 Error
+   */
+  private toError(data: { name?: string; message?: string; stack?: string } | undefined): Error {
+    if (data?.name === 'AbortError') {
+      return new AbortError(data.message);
+    }
+
+    const error = new Error(data?.message ?? 'Unknown whisper worker error');
+    if (data?.name) error.name = data.name;
+    if (data?.stack) error.stack = data.stack;
+    return error;
+  }
+
+  /**
+   * 獲取當前模型 ID
+   * @returns 模型 ID
    */
   getModelId(): string {
     return this.modelId;
@@ -424,6 +1690,7 @@ export class WhisperService extends EventEmitter<any> {
    */
   reset(): void {
     this.chunker?.reset();
+    this.context = '';
     this.resetStatistics();
   }
   
@@ -471,6 +1738,21 @@ export class WhisperService extends EventEmitter<any> {
    */
   dispose(): void {
     this.removeAllListeners();
+    this.live = null;
+    for (const job of this.jobQueue) {
+      job.cleanup();
+      job.reject(new Error('Whisper service disposed'));
+    }
+    this.jobQueue = [];
+    for (const job of this.runningJobs.values()) {
+      job.controller.abort();
+    }
+    if (this.worker) {
+      this.postToWorker({ type: 'dispose' });
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectWorkerJobs(new Error('Whisper service disposed'));
     this.pipeline = null;
     this.modelId = '';
     this.chunker = null;
@@ -1,5 +1,6 @@
 import { ConfigManager } from '../utils/config-manager';
 import { AudioResampler, ResamplingAlgorithm } from './audio-resampler';
+import { SharedAudioRingBuffer, SHARED_RING_BUFFER_WORKLET_WRITER } from '../utils/SharedAudioRingBuffer';
 
 /**
  * 音訊裝置資訊
@@ -37,6 +38,12 @@ export interface AudioCaptureOptions {
     bufferSize?: number;
     /** 是否使用 AudioWorklet（優先） */
     useAudioWorklet?: boolean;
+    /**
+     * 共享環形緩衝區（可選）
+     * 提供時 AudioWorklet 直接將原始音訊（AudioContext 採樣率，見 getSampleRate()）寫入共享記憶體，
+     * 不再透過 postMessage 傳回主執行緒，因此 onAudioData 回調不會收到資料
+     */
+    sharedBuffer?: SharedAudioRingBuffer;
 }
 
 /**
@@ -217,16 +224,51 @@ export class AudioCapture {
         // 載入 AudioWorklet（如果尚未載入）
         if (!this.audioWorkletLoaded) {
             const workletCode = `
+                ${SHARED_RING_BUFFER_WORKLET_WRITER}
+                
                 class AudioCaptureProcessor extends AudioWorkletProcessor {
-                    constructor() {
+                    constructor(options) {
                         super();
                         this.bufferSize = 128; // AudioWorklet 固定大小
+                        
+                        // 共享環形緩衝區模式：直接寫入共享記憶體
+                        const shared = options && options.processorOptions && options.processorOptions.sharedBuffer;
+                        if (shared) {
+                            this.sharedState = new Int32Array(shared.state);
+                            this.sharedData = new Float32Array(shared.data);
+                            Atomics.store(this.sharedState, SHARED_RING_BUFFER_SAMPLE_RATE, sampleRate);
+                        }
+                        
+                        // 轉送模式：音訊改送到指定的 MessagePort（例如音訊管線 Worker）
+                        this.targetPort = null;
+                        this.port.onmessage = (event) => {
+                            if (event.data.type === 'connect-port') {
+                                this.targetPort = event.ports[0];
+                            } else if (event.data.type === 'disconnect-port' && this.targetPort) {
+                                this.targetPort.close();
+                                this.targetPort = null;
+                            }
+                        };
                     }
                     
                     process(inputs, outputs, parameters) {
                         const input = inputs[0];
                         if (input && input.length > 0) {
                             const channelData = input[0];
+                            if (this.sharedState) {
+                                sharedRingBufferWrite(this.sharedState, this.sharedData, channelData);
+                                return true;
+                            }
+                            if (this.targetPort) {
+                                const copy = channelData.slice();
+                                this.targetPort.postMessage({
+                                    type: 'audio-data',
+                                    data: copy,
+                                    sampleRate: sampleRate,
+                                    timestamp: currentTime
+                                }, [copy.buffer]);
+                                return true;
+                            }
                             // 發送資料到主線程
                             this.port.postMessage({
                                 type: 'audio-data',
@@ -251,7 +293,10 @@ export class AudioCapture {
         // 創建 AudioWorkletNode
         const workletNode = new AudioWorkletNode(
             this.audioContext,
-            'audio-capture-processor'
+            'audio-capture-processor',
+            options.sharedBuffer ? {
+                processorOptions: { sharedBuffer: options.sharedBuffer.getHandle() }
+            } : undefined
         );
         
         // 設定訊息處理
@@ -267,6 +312,40 @@ export class AudioCapture {
         this.processorNode = workletNode;
     }
     
+    /**
+     * 建立直接連到 AudioWorklet 的 MessagePort
+     *
+     * @description 將回傳的 port 轉移給 Worker 後，AudioWorklet 會把原始音訊（AudioContext 採樣率）
+     * 直接送到該 Worker，不再經過主執行緒，onAudioData 回調也不會再收到資料
+     * @returns 音訊來源 MessagePort
+     * @throws Error - 尚未以 AudioWorklet 開始擷取時拋出錯誤
+     *
+     * @example
+     * ```typescript
+     * await capture.startCapture();
+     * const port = capture.createWorkerPort();
+     * worker.postMessage({ type: 'attach-port' }, [port]);
+     * ```
+     */
+    createWorkerPort(): MessagePort {
+        if (!(typeof AudioWorkletNode !== 'undefined' && this.processorNode instanceof AudioWorkletNode)) {
+            throw new Error('createWorkerPort() 需要先以 AudioWorklet 開始音訊擷取');
+        }
+        
+        const channel = new MessageChannel();
+        this.processorNode.port.postMessage({ type: 'connect-port' }, [channel.port1]);
+        return channel.port2;
+    }
+    
+    /**
+     * 中斷 createWorkerPort() 建立的連接，恢復由主執行緒接收音訊
+     */
+    disconnectWorkerPort(): void {
+        if (typeof AudioWorkletNode !== 'undefined' && this.processorNode instanceof AudioWorkletNode) {
+            this.processorNode.port.postMessage({ type: 'disconnect-port' });
+        }
+    }
+    
     /**
      * 創建 ScriptProcessor（降級方案）
      */
@@ -279,9 +358,14 @@ export class AudioCapture {
             1  // 輸出聲道
         );
         
+        const sharedBuffer = options.sharedBuffer;
+        sharedBuffer?.setSampleRate(this.audioContext.sampleRate);
+        
         processor.onaudioprocess = (event) => {
             const inputData = event.inputBuffer.getChannelData(0);
             const timestamp = event.timeStamp;
+            // 降級方案中由主執行緒寫入共享環形緩衝區
+            sharedBuffer?.write(inputData);
             this.processAudioData(inputData, timestamp);
         };
         
@@ -0,0 +1,41 @@
+/**
+ * 音訊解碼測試（Node.js）
+ *
+ * 驗證純 JavaScript WAV 解碼器拒絕標頭中無效的位元深度
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeWav, decodePcm } from './audio-decoder';
+import { encodeWav } from './audio-encoder';
+
+/**
+ * 建立 16 位元單聲道 WAV，並改寫 fmt chunk 中的位元深度
+ */
+function wavWithBitDepth(bitDepth: number): ArrayBuffer {
+  const wav = encodeWav(new Float32Array(160), { sampleRate: 16000 });
+  new DataView(wav).setUint16(34, bitDepth, true);
+  return wav;
+}
+
+test('WAV 標頭的位元深度無效時拋出錯誤', () => {
+  for (const bitDepth of [0, 12, 48, 64]) {
+    assert.throws(() => decodeWav(wavWithBitDepth(bitDepth)), new RegExp(`不支援的 PCM 位元深度: ${bitDepth}`));
+  }
+});
+
+test('浮點 PCM 只接受 32 與 64 位元', () => {
+  const buffer = new ArrayBuffer(64);
+  assert.throws(() => decodePcm(buffer, { sampleRate: 16000, channels: 1, bitDepth: 16, float: true }), /（浮點）/);
+  assert.equal(decodePcm(buffer, { sampleRate: 16000, channels: 1, bitDepth: 64, float: true }).channelData[0].length, 8);
+});
+
+test('有效的 16 位元 WAV 正常解碼', () => {
+  const audio = new Float32Array(160).fill(0.5);
+  const decoded = decodeWav(encodeWav(audio, { sampleRate: 16000 }));
+
+  assert.equal(decoded.sampleRate, 16000);
+  assert.equal(decoded.channelData.length, 1);
+  assert.equal(decoded.channelData[0].length, 160);
+  assert.ok(Math.abs(decoded.channelData[0][0] - 0.5) < 1e-4);
+});
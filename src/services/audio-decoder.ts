@@ -0,0 +1,301 @@
+import { ConfigManager } from '../utils/config-manager';
+import { AudioResampler, ResamplingAlgorithm } from './audio-resampler';
+
+/**
+ * 解碼後的音訊
+ */
+export interface DecodedAudio {
+    /** 各聲道的音訊資料 */
+    channelData: Float32Array[];
+    /** 採樣率 */
+    sampleRate: number;
+    /** 長度（秒） */
+    duration: number;
+}
+
+/**
+ * 原始 PCM 格式描述
+ */
+export interface PcmFormat {
+    /** 採樣率 */
+    sampleRate: number;
+    /** 聲道數（交錯排列） */
+    channels: number;
+    /** 位元深度 */
+    bitDepth: 8 | 16 | 24 | 32 | 64;
+    /** 是否為浮點格式（32/64 位元） */
+    float?: boolean;
+    /** 是否為小端序（預設 true） */
+    littleEndian?: boolean;
+}
+
+/**
+ * 音訊檔案載入選項
+ */
+export interface AudioFileLoadOptions {
+    /** 目標採樣率（預設 audio.sampleRate） */
+    targetSampleRate?: number;
+    /** 重採樣演算法（預設 LINEAR，降採樣時搭配抗鋸齒濾波） */
+    algorithm?: ResamplingAlgorithm;
+}
+
+/** WAVE_FORMAT_PCM */
+const WAVE_FORMAT_PCM = 0x0001;
+/** WAVE_FORMAT_IEEE_FLOAT */
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+/** WAVE_FORMAT_EXTENSIBLE */
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * 檢查資料是否為 RIFF/WAVE 格式
+ * @param buffer 檔案內容
+ */
+export function isWavBuffer(buffer: ArrayBuffer): boolean {
+    if (buffer.byteLength < 12) return false;
+    const view = new DataView(buffer);
+    return readFourCC(view, 0) === 'RIFF' && readFourCC(view, 8) === 'WAVE';
+}
+
+/**
+ * 以純 JavaScript 解碼 WAV 檔案
+ *
+ * 支援 8/16/24/32 位元整數 PCM、32/64 位元浮點與 WAVE_FORMAT_EXTENSIBLE，
+ * 不依賴 Web Audio API，可在 Node.js 與 Worker 中使用
+ * @param buffer WAV 檔案內容
+ * @returns 解碼後的音訊
+ */
+export function decodeWav(buffer: ArrayBuffer): DecodedAudio {
+    if (!isWavBuffer(buffer)) {
+        throw new Error('不是有效的 WAV 檔案（缺少 RIFF/WAVE 標頭）');
+    }
+
+    const view = new DataView(buffer);
+    let offset = 12;
+    let format: PcmFormat | null = null;
+    let dataOffset = -1;
+    let dataLength = 0;
+
+    // 逐一讀取 chunk
+    while (offset + 8 <= view.byteLength) {
+        const id = readFourCC(view, offset);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            let formatTag = view.getUint16(body, true);
+            const channels = view.getUint16(body + 2, true);
+            const sampleRate = view.getUint32(body + 4, true);
+            const bitDepth = view.getUint16(body + 14, true);
+
+            if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 40) {
+                // SubFormat GUID 的前兩個位元組即為實際格式
+                formatTag = view.getUint16(body + 24, true);
+            }
+
+            if (formatTag !== WAVE_FORMAT_PCM && formatTag !== WAVE_FORMAT_IEEE_FLOAT) {
+                throw new Error(`不支援的 WAV 編碼格式: 0x${formatTag.toString(16)}`);
+            }
+
+            format = {
+                sampleRate,
+                channels,
+                bitDepth: bitDepth as PcmFormat['bitDepth'],
+                float: formatTag === WAVE_FORMAT_IEEE_FLOAT,
+                littleEndian: true
+            };
+        } else if (id === 'data') {
+            dataOffset = body;
+            // 串流寫入的檔案可能把 data 大小標為 0 或超出實際長度
+            dataLength = size === 0 || body + size > view.byteLength ? view.byteLength - body : size;
+        }
+
+        // chunk 以偶數位元組對齊
+        offset = body + size + (size % 2);
+        if (dataOffset >= 0 && format) break;
+    }
+
+    if (!format) {
+        throw new Error('WAV 檔案缺少 fmt chunk');
+    }
+    if (dataOffset < 0) {
+        throw new Error('WAV 檔案缺少 data chunk');
+    }
+
+    return decodePcm(buffer.slice(dataOffset, dataOffset + dataLength), format);
+}
+
+/**
+ * 解碼原始交錯 PCM 資料
+ * @param buffer PCM 資料
+ * @param format PCM 格式描述
+ * @returns 解碼後的音訊
+ */
+export function decodePcm(buffer: ArrayBuffer, format: PcmFormat): DecodedAudio {
+    const { sampleRate, channels, bitDepth } = format;
+    const littleEndian = format.littleEndian ?? true;
+    const isFloat = format.float ?? false;
+
+    if (channels < 1) {
+        throw new Error(`無效的聲道數: ${channels}`);
+    }
+    // 在計算每個樣本的位元組數前檢查，標頭中的 0 或 12 等值會造成無限或錯位的讀取
+    const supported: readonly number[] = isFloat ? [32, 64] : [8, 16, 24, 32];
+    if (!supported.includes(bitDepth)) {
+        throw new Error(`不支援的 PCM 位元深度: ${bitDepth}${isFloat ? '（浮點）' : ''}`);
+    }
+
+    const bytesPerSample = bitDepth / 8;
+
+    const view = new DataView(buffer);
+    const frameCount = Math.floor(buffer.byteLength / (bytesPerSample * channels));
+    const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount));
+
+    let pos = 0;
+    for (let i = 0; i < frameCount; i++) {
+        for (let ch = 0; ch < channels; ch++) {
+            channelData[ch][i] = readSample(view, pos, bitDepth, isFloat, littleEndian);
+            pos += bytesPerSample;
+        }
+    }
+
+    return {
+        channelData,
+        sampleRate,
+        duration: frameCount / sampleRate
+    };
+}
+
+/**
+ * 將多聲道音訊混為單聲道（平均值）
+ * @param channelData 各聲道資料
+ * @returns 單聲道資料
+ */
+export function downmixToMono(channelData: Float32Array[]): Float32Array {
+    if (channelData.length === 0) return new Float32Array(0);
+    if (channelData.length === 1) return channelData[0];
+
+    const length = Math.min(...channelData.map(ch => ch.length));
+    const mono = new Float32Array(length);
+    const scale = 1 / channelData.length;
+
+    for (const channel of channelData) {
+        for (let i = 0; i < length; i++) {
+            mono[i] += channel[i] * scale;
+        }
+    }
+
+    return mono;
+}
+
+/**
+ * 解碼音訊檔案
+ *
+ * WAV 檔案使用純 JavaScript 解碼；其他格式（MP3/OGG/WebM 等）
+ * 透過 Web Audio API 的 decodeAudioData 解碼，需在瀏覽器主執行緒中使用
+ * @param input 檔案 Blob 或 ArrayBuffer
+ * @returns 解碼後的音訊
+ */
+export async function decodeAudioFile(input: Blob | ArrayBuffer): Promise<DecodedAudio> {
+    const buffer = input instanceof ArrayBuffer ? input : await input.arrayBuffer();
+
+    if (isWavBuffer(buffer)) {
+        return decodeWav(buffer);
+    }
+
+    const OfflineContext = typeof OfflineAudioContext !== 'undefined'
+        ? OfflineAudioContext
+        : (globalThis as any).webkitOfflineAudioContext;
+
+    if (!OfflineContext) {
+        throw new Error('此環境不支援 Web Audio API，僅能解碼 WAV 檔案');
+    }
+
+    // decodeAudioData 會轉移 buffer 的所有權，先複製一份
+    const context: OfflineAudioContext = new OfflineContext(1, 1, 44100);
+    const audioBuffer = await context.decodeAudioData(buffer.slice(0));
+
+    const channelData: Float32Array[] = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+        channelData.push(new Float32Array(audioBuffer.getChannelData(ch)));
+    }
+
+    return {
+        channelData,
+        sampleRate: audioBuffer.sampleRate,
+        duration: audioBuffer.duration
+    };
+}
+
+/**
+ * 載入音訊檔案並轉換為模型可用的單聲道音訊
+ *
+ * 解碼 → 混為單聲道 → 以 AudioResampler 重採樣到目標採樣率
+ * @param input 檔案 Blob 或 ArrayBuffer
+ * @param options 載入選項
+ * @param config 配置管理器（可選）
+ * @returns 單聲道音訊（預設 16kHz）
+ */
+export async function loadAudioFile(
+    input: Blob | ArrayBuffer,
+    options: AudioFileLoadOptions = {},
+    config: ConfigManager = ConfigManager.getInstance()
+): Promise<Float32Array> {
+    const decoded = await decodeAudioFile(input);
+    const mono = downmixToMono(decoded.channelData);
+    const targetSampleRate = options.targetSampleRate ?? config.audio.sampleRate;
+
+    const resampler = new AudioResampler(config);
+    return resampler.resample(mono, {
+        fromSampleRate: decoded.sampleRate,
+        toSampleRate: targetSampleRate,
+        algorithm: options.algorithm ?? ResamplingAlgorithm.LINEAR,
+        antiAlias: true
+    });
+}
+
+/**
+ * 讀取 4 字元識別碼
+ */
+function readFourCC(view: DataView, offset: number): string {
+    return String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3)
+    );
+}
+
+/**
+ * 讀取單一樣本並正規化到 [-1, 1]
+ */
+function readSample(
+    view: DataView,
+    pos: number,
+    bitDepth: number,
+    isFloat: boolean,
+    littleEndian: boolean
+): number {
+    if (isFloat) {
+        return bitDepth === 64 ? view.getFloat64(pos, littleEndian) : view.getFloat32(pos, littleEndian);
+    }
+
+    switch (bitDepth) {
+        case 8:
+            // 8 位元 PCM 為無號數
+            return (view.getUint8(pos) - 128) / 128;
+        case 16:
+            return view.getInt16(pos, littleEndian) / 32768;
+        case 24: {
+            const b0 = view.getUint8(pos);
+            const b1 = view.getUint8(pos + 1);
+            const b2 = view.getUint8(pos + 2);
+            let value = littleEndian ? (b2 << 16) | (b1 << 8) | b0 : (b0 << 16) | (b1 << 8) | b2;
+            if (value & 0x800000) value -= 0x1000000;
+            return value / 8388608;
+        }
+        case 32:
+            return view.getInt32(pos, littleEndian) / 2147483648;
+        default:
+            throw new Error(`不支援的 PCM 位元深度: ${bitDepth}`);
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * WAV 編碼測試（Node.js）
+ *
+ * 逐位元組驗證 16 位元 PCM 與 32 位元浮點 WAV 的標頭，以及樣本的限幅與交錯
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav, encodeWavBlob } from './audio-encoder';
+
+/**
+ * 讀取 4 字元識別碼
+ */
+function fourCC(view: DataView, offset: number): string {
+  return String.fromCharCode(...Array.from({ length: 4 }, (_, i) => view.getUint8(offset + i)));
+}
+
+test('pcm16 寫入 44 位元組標頭並交錯聲道', () => {
+  const left = new Float32Array([0, 1, -1]);
+  const right = new Float32Array([0.5, 2, -2]);
+  const wav = encodeWav([left, right], { sampleRate: 16000 });
+  const view = new DataView(wav);
+
+  assert.equal(wav.byteLength, 44 + 3 * 2 * 2);
+  assert.equal(fourCC(view, 0), 'RIFF');
+  assert.equal(view.getUint32(4, true), wav.byteLength - 8);
+  assert.equal(fourCC(view, 8), 'WAVE');
+  assert.equal(fourCC(view, 12), 'fmt ');
+  assert.equal(view.getUint32(16, true), 16);
+  assert.equal(view.getUint16(20, true), 1);           // WAVE_FORMAT_PCM
+  assert.equal(view.getUint16(22, true), 2);           // 聲道數
+  assert.equal(view.getUint32(24, true), 16000);       // 採樣率
+  assert.equal(view.getUint32(28, true), 16000 * 4);   // 每秒位元組數
+  assert.equal(view.getUint16(32, true), 4);           // block align
+  assert.equal(view.getUint16(34, true), 16);          // 位元深度
+  assert.equal(fourCC(view, 36), 'data');
+  assert.equal(view.getUint32(40, true), 12);
+
+  // L0 R0 L1 R1 L2 R2，超出 [-1, 1] 的樣本被限幅
+  const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+  assert.deepEqual(samples, [0, 0x3fff, 0x7fff, 0x7fff, -0x8000, -0x8000]);
+});
+
+test('float32 寫入 fact chunk 並保存原始樣本', () => {
+  const audio = new Float32Array([0.25, -1.5]);
+  const wav = encodeWav(audio, { sampleRate: 22050, encoding: 'float32' });
+  const view = new DataView(wav);
+
+  assert.equal(wav.byteLength, 58 + 2 * 4);
+  assert.equal(view.getUint32(16, true), 18);
+  assert.equal(view.getUint16(20, true), 3);           // WAVE_FORMAT_IEEE_FLOAT
+  assert.equal(view.getUint16(34, true), 32);
+  assert.equal(view.getUint16(36, true), 0);           // cbSize
+  assert.equal(fourCC(view, 38), 'fact');
+  assert.equal(view.getUint32(42, true), 4);
+  assert.equal(view.getUint32(46, true), 2);           // 每聲道樣本數
+  assert.equal(fourCC(view, 50), 'data');
+  assert.equal(view.getUint32(54, true), 8);
+  assert.equal(view.getFloat32(58, true), 0.25);
+  assert.equal(view.getFloat32(62, true), -1.5);
+});
+
+test('encodeWavBlob 傳回 audio/wav Blob', async () => {
+  const blob = encodeWavBlob(new Float32Array(10), { sampleRate: 16000 });
+  assert.equal(blob.type, 'audio/wav');
+  assert.equal(blob.size, 44 + 20);
+});
+
+test('沒有聲道時拋出錯誤', () => {
+  assert.throws(() => encodeWav([], { sampleRate: 16000 }), /至少需要一個聲道/);
+});
@@ -0,0 +1,114 @@
+/**
+ * WAV 編碼格式
+ * - pcm16：16 位元整數 PCM（相容性最佳，檔案較小）
+ * - float32：32 位元浮點（無損保存模型輸入）
+ */
+export type WavEncoding = 'pcm16' | 'float32';
+
+/**
+ * WAV 編碼選項
+ */
+export interface WavEncodeOptions {
+    /** 採樣率 */
+    sampleRate: number;
+    /** 編碼格式（預設 pcm16） */
+    encoding?: WavEncoding;
+}
+
+/** WAVE_FORMAT_PCM */
+const WAVE_FORMAT_PCM = 0x0001;
+/** WAVE_FORMAT_IEEE_FLOAT */
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+
+/**
+ * 將音訊編碼為 WAV 檔案
+ *
+ * 傳入單一 Float32Array 視為單聲道；傳入陣列時各元素為一個聲道，
+ * 會以交錯方式寫入。純 JavaScript 實作，可在 Node.js 與 Worker 中使用
+ * @param audio 單聲道音訊或各聲道音訊
+ * @param options 編碼選項
+ * @returns WAV 檔案內容
+ */
+export function encodeWav(audio: Float32Array | Float32Array[], options: WavEncodeOptions): ArrayBuffer {
+    const channels = Array.isArray(audio) ? audio : [audio];
+    if (channels.length === 0) {
+        throw new Error('至少需要一個聲道');
+    }
+
+    const encoding = options.encoding ?? 'pcm16';
+    const isFloat = encoding === 'float32';
+    const bytesPerSample = isFloat ? 4 : 2;
+    const channelCount = channels.length;
+    const frameCount = Math.min(...channels.map(ch => ch.length));
+    const blockAlign = channelCount * bytesPerSample;
+    const dataLength = frameCount * blockAlign;
+    // 浮點格式需要 fact chunk
+    const headerLength = isFloat ? 58 : 44;
+
+    const buffer = new ArrayBuffer(headerLength + dataLength);
+    const view = new DataView(buffer);
+
+    // RIFF 標頭
+    writeFourCC(view, 0, 'RIFF');
+    view.setUint32(4, headerLength - 8 + dataLength, true);
+    writeFourCC(view, 8, 'WAVE');
+
+    // fmt chunk
+    writeFourCC(view, 12, 'fmt ');
+    view.setUint32(16, isFloat ? 18 : 16, true);
+    view.setUint16(20, isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, options.sampleRate, true);
+    view.setUint32(28, options.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+
+    let offset = 36;
+    if (isFloat) {
+        view.setUint16(offset, 0, true); // cbSize
+        writeFourCC(view, offset + 2, 'fact');
+        view.setUint32(offset + 6, 4, true);
+        view.setUint32(offset + 10, frameCount, true);
+        offset += 14;
+    }
+
+    // data chunk
+    writeFourCC(view, offset, 'data');
+    view.setUint32(offset + 4, dataLength, true);
+    offset += 8;
+
+    for (let i = 0; i < frameCount; i++) {
+        for (let ch = 0; ch < channelCount; ch++) {
+            const sample = channels[ch][i];
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                // 限幅後轉換為 16 位元整數
+                const clamped = Math.max(-1, Math.min(1, sample));
+                view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * 將音訊編碼為 WAV Blob（可直接下載或上傳）
+ * @param audio 單聲道音訊或各聲道音訊
+ * @param options 編碼選項
+ * @returns MIME 類型為 audio/wav 的 Blob
+ */
+export function encodeWavBlob(audio: Float32Array | Float32Array[], options: WavEncodeOptions): Blob {
+    return new Blob([encodeWav(audio, options)], { type: 'audio/wav' });
+}
+
+/**
+ * 寫入 4 字元識別碼
+ */
+function writeFourCC(view: DataView, offset: number, id: string): void {
+    for (let i = 0; i < 4; i++) {
+        view.setUint8(offset + i, id.charCodeAt(i));
+    }
+}
@@ -86,9 +86,20 @@ export class AudioResampler {
      * @returns 16kHz 音訊資料
      */
     resampleTo16kHz(audioData: Float32Array, fromSampleRate: number): Float32Array {
+        return this.resampleLinearTo(audioData, fromSampleRate, 16000);
+    }
+    
+    /**
+     * 同步線性重採樣到指定採樣率（供串流處理使用）
+     * @param audioData 輸入音訊資料
+     * @param fromSampleRate 源採樣率
+     * @param toSampleRate 目標採樣率
+     * @returns 重採樣後的音訊資料
+     */
+    resampleLinearTo(audioData: Float32Array, fromSampleRate: number, toSampleRate: number): Float32Array {
         return this.resampleLinear(audioData, {
             fromSampleRate,
-            toSampleRate: 16000,
+            toSampleRate,
             antiAlias: true
         });
     }
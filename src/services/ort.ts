@@ -4,15 +4,45 @@
  * 管理 ONNX Runtime Web 的初始化和配置，支援 WebGPU 加速
  */
 
-import * as ort from 'onnxruntime-web';
+import type * as ort from 'onnxruntime-web';
 import { ConfigManager } from '../utils/config-manager';
+import { getOrt, isNativeOrtRuntime } from '../runtime/ort';
+import type { WakewordParams, ModelFileIntegrity, WakewordIntegrity } from '../types';
+import {
+  isNodeRuntime,
+  supportsWebWorkers,
+  getHardwareConcurrency,
+  isWindowsPlatform,
+  resolveResourceUrl
+} from '../runtime/environment';
+import { getModelStore } from '../utils/ModelStore';
+
+/**
+ * Worker 推理的額外選項
+ */
+export interface WorkerInferenceOptions {
+  /** 串流 ID；同一個 Worker 中的多個 VAD 串流以此區分（預設 'default'） */
+  streamId?: string;
+  /** VAD LSTM 狀態 [2, 1, 128]；提供時 Worker 以此為輸入，否則使用該串流上次的狀態 */
+  state?: Float32Array;
+  /** VAD 檢測閾值 */
+  threshold?: number;
+  /** VAD 採樣率 */
+  sampleRate?: number;
+  /** 要檢測的喚醒詞（需先以 registerWakewordInWorker 註冊） */
+  words?: string[];
+  /** 各喚醒詞的參數（閾值與梅爾幀設定） */
+  wakewordParams?: Record<string, WakewordParams>;
+}
 
 export class ORTService {
   private static instance: ORTService;
   private initialized = false;
+  private runtime: typeof ort | null = null;
   private webgpuAvailable = false;
   private worker: Worker | null = null;
   private pendingRequests = new Map<string, (value: any) => void>();
+  private registeredWakewords = new Set<string>();
   private requestCounter = 0;
 
   private constructor() {}
@@ -34,14 +64,17 @@ export class ORTService {
 
     const config = ConfigManager.getInstance();
     
+    // 取得 ONNX Runtime 實例（可透過 setOrtRuntime 注入 onnxruntime-node）
+    this.runtime = await getOrt();
+    
     // 檢查 WebGPU 支援
     this.webgpuAvailable = await this.checkWebGPUSupport();
     
     // 配置 ONNX Runtime 環境
     this.configureEnvironment(config);
     
-    // 初始化 Web Worker（如果啟用）
-    if (config.onnx.useWebWorker) {
+    // 初始化 Web Worker（如果啟用且環境支援）
+    if (config.onnx.useWebWorker && supportsWebWorkers()) {
       await this.initializeWorker();
     }
     
@@ -61,12 +94,12 @@ export class ORTService {
     }
     
     try {
-      if (!('gpu' in navigator)) {
+      if (typeof navigator === 'undefined' || !('gpu' in navigator)) {
         return false;
       }
       
       // Windows 平台不傳遞 powerPreference 以避免警告
-      const isWin = navigator.userAgent.includes('Windows');
+      const isWin = isWindowsPlatform();
       const adapterOptions = isWin ? {} : {
         powerPreference: config.onnx.webgpu.powerPreference
       };
@@ -83,7 +116,7 @@ export class ORTService {
       
       // 測試是否真的可以使用 WebGPU
       const testTensor = new Float32Array([1, 2, 3, 4]);
-      const tensor = new ort.Tensor('float32', testTensor, [2, 2]);
+      const tensor = new this.runtime!.Tensor('float32', testTensor, [2, 2]);
       
       // 如果能創建 tensor，WebGPU 應該是可用的
       return true;
@@ -97,16 +130,24 @@ export class ORTService {
    * 配置 ONNX Runtime 環境
    */
   private configureEnvironment(config: ConfigManager): void {
-    // 配置 WASM
-    ort.env.wasm.simd = config.onnx.wasm.simd;
-    ort.env.wasm.numThreads = config.onnx.wasm.numThreads || navigator.hardwareConcurrency || 4;
-    ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/';
+    const ort = this.runtime!;
+    
+    // 配置 WASM（onnxruntime-node 不使用）
+    if (ort.env.wasm && !isNativeOrtRuntime(ort)) {
+      ort.env.wasm.simd = config.onnx.wasm.simd;
+      if (isNodeRuntime()) {
+        // Node.js 中由套件自行解析 WASM 檔案，且不使用多線程 WASM
+        ort.env.wasm.numThreads = 1;
+      } else {
+        ort.env.wasm.numThreads = config.onnx.wasm.numThreads || getHardwareConcurrency();
+        ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/';
+      }
+    }
     
     // 配置 WebGPU（如果可用）
     if (this.webgpuAvailable && config.onnx.webgpu.enabled) {
       // Windows 平台不設置 powerPreference 以避免警告
-      const isWin = navigator.userAgent.includes('Windows');
-      if (!isWin) {
+      if (!isWindowsPlatform()) {
         ort.env.webgpu.powerPreference = config.onnx.webgpu.powerPreference;
       }
     }
@@ -186,6 +227,13 @@ export class ORTService {
         }
         break;
         
+      case 'wakeword-registered':
+        if (data && data.id) {
+          this.pendingRequests.get(data.id)?.(data);
+          this.pendingRequests.delete(data.id);
+        }
+        break;
+        
       case 'preload-complete':
         if (data && data.modelName) {
           console.log(`[ORT Service] Model preloaded: ${data.modelName}`);
@@ -205,13 +253,18 @@ export class ORTService {
    * @param modelPath - 模型路徑
    * @param options - 會話選項
    * @param modelType - 模型類型，用於選擇特定的執行提供者
+   * @param integrity - 模型檔案的完整性資訊；提供時先驗證再建立會話
+   * @throws ModelIntegrityError 模型內容與完整性資訊不符時拋出
    */
   public async createSession(
     modelPath: string,
     options?: ort.InferenceSession.SessionOptions,
-    modelType?: 'wakeword' | 'vad' | 'whisper'
+    modelType?: 'wakeword' | 'vad' | 'whisper',
+    integrity?: ModelFileIntegrity
   ): Promise<ort.InferenceSession> {
     const config = ConfigManager.getInstance();
+    const runtime = this.runtime || await getOrt();
+    const native = isNativeOrtRuntime(runtime);
     
     // 準備執行提供者
     const executionProviders: ort.InferenceSession.ExecutionProviderConfig[] = [];
@@ -230,7 +283,10 @@ export class ORTService {
     
     // 根據配置和可用性添加執行提供者
     for (const provider of providersToUse) {
-      if (provider === 'webgpu' && this.webgpuAvailable && config.onnx.webgpu.enabled) {
+      if (native) {
+        // onnxruntime-node 只支援原生 CPU 執行提供者
+        break;
+      } else if (provider === 'webgpu' && this.webgpuAvailable && config.onnx.webgpu.enabled) {
         executionProviders.push({
           name: 'webgpu',
           // WebGPU 選項目前受限於 ONNX Runtime 的型別定義
@@ -243,9 +299,9 @@ export class ORTService {
       }
     }
     
-    // 如果沒有可用的提供者，使用預設 WASM
+    // 如果沒有可用的提供者，使用預設 WASM（原生執行環境使用 CPU）
     if (executionProviders.length === 0) {
-      executionProviders.push({ name: 'wasm' });
+      executionProviders.push({ name: native ? 'cpu' : 'wasm' });
     }
     
     const sessionOptions: ort.InferenceSession.SessionOptions = {
@@ -257,17 +313,37 @@ export class ORTService {
       typeof p === 'string' ? p : (p as any).name || 'unknown'
     ));
     
-    return await ort.InferenceSession.create(modelPath, sessionOptions);
+    // 透過模型儲存取得模型，瀏覽器中會快取在 Cache Storage / IndexedDB
+    const modelData = await getModelStore().fetchModel(modelPath, {
+      hash: integrity?.sha256,
+      size: integrity?.size
+    });
+    return await runtime.InferenceSession.create(new Uint8Array(modelData), sessionOptions);
+  }
+
+  /**
+   * 是否有可用的推理 Worker
+   *
+   * @description 在 Node.js 或不支援 Web Worker 的環境中永遠為 false，
+   * 呼叫端應改在目前執行緒中推理
+   */
+  public hasWorker(): boolean {
+    return this.worker !== null;
   }
 
   /**
    * 在 Worker 中執行推理（如果可用）
+   *
+   * @description VAD 結果包含更新後的 LSTM 狀態（result.state），呼叫端應保存並在下次請求傳回。
+   * 喚醒詞推理的 inputData 為原始音訊，Worker 對 options.words 執行完整三階段管線，
+   * 梅爾頻譜與嵌入緩衝區依 options.streamId 保存在 Worker 中，結果為 { scores, triggered }
    */
   public async runInferenceInWorker(
     type: 'vad' | 'wakeword',
     modelName: string,
     modelPath: string,
-    inputData: Float32Array
+    inputData: Float32Array,
+    options: WorkerInferenceOptions = {}
   ): Promise<any> {
     if (!this.worker) {
       throw new Error('Worker not initialized');
@@ -296,20 +372,8 @@ export class ORTService {
           type,
           modelName,
           inputData,
-          config: {
-            modelPath,
-            executionProviders,
-            webgpuOptions: config.onnx.webgpu.enabled ? {
-              // Windows 平台不傳遞 powerPreference 以避免警告
-              ...(navigator.userAgent.includes('Windows') ? {} : {
-                powerPreference: config.onnx.webgpu.powerPreference
-              })
-            } : undefined,
-            wasmOptions: {
-              simd: config.onnx.wasm.simd,
-              numThreads: config.onnx.wasm.numThreads
-            }
-          }
+          options,
+          config: this.createWorkerModelConfig(modelPath, executionProviders)
         }
       });
     });
@@ -320,11 +384,13 @@ export class ORTService {
    * @param modelName - 模型名稱
    * @param modelPath - 模型路徑
    * @param modelType - 可選的模型類型，用於選擇特定的執行提供者
+   * @param integrity - 可選的模型檔案完整性資訊，傳送給 Worker 前驗證
    */
   public async preloadModelInWorker(
     modelName: string,
     modelPath: string,
-    modelType?: 'wakeword' | 'vad' | 'whisper'
+    modelType?: 'wakeword' | 'vad' | 'whisper',
+    integrity?: ModelFileIntegrity
   ): Promise<void> {
     if (!this.worker) {
       return;
@@ -341,26 +407,118 @@ export class ORTService {
       executionProviders = config.onnx.executionProviders;
     }
     
+    const modelConfig = await this.fetchWorkerModelConfig(modelPath, executionProviders, integrity);
     this.worker.postMessage({
       type: 'preload',
       data: {
         modelName,
-        config: {
-          modelPath,
-          executionProviders,
-          webgpuOptions: config.onnx.webgpu.enabled ? {
-            // Windows 平台不傳遞 powerPreference 以避免警告
-            ...(navigator.userAgent.includes('Windows') ? {} : {
-              powerPreference: config.onnx.webgpu.powerPreference
-            })
-          } : undefined,
-          wasmOptions: {
-            simd: config.onnx.wasm.simd,
-            numThreads: config.onnx.wasm.numThreads
-          }
+        config: modelConfig
+      }
+    }, [modelConfig.modelData]);
+  }
+
+  /**
+   * 在 Worker 中註冊喚醒詞並載入其三階段模型
+   * @param name - 喚醒詞名稱
+   * @param paths - 三階段模型路徑
+   * @param dims - 檢測器的嵌入維度
+   * @param integrity - 可選的三階段模型完整性資訊
+   */
+  public async registerWakewordInWorker(
+    name: string,
+    paths: { detectorUrl: string; melspecUrl: string; embeddingUrl: string },
+    dims: { embeddingBufferSize: number; embeddingDimension: number },
+    integrity?: WakewordIntegrity
+  ): Promise<void> {
+    if (!this.worker) {
+      throw new Error('Worker not initialized');
+    }
+
+    const config = ConfigManager.getInstance();
+    const providers = config.onnx.modelSpecificProviders.wakeword;
+    const requestId = `register_${++this.requestCounter}`;
+    const [melspec, embedding, detector] = await Promise.all([
+      this.fetchWorkerModelConfig(paths.melspecUrl, providers, integrity?.melspec),
+      this.fetchWorkerModelConfig(paths.embeddingUrl, providers, integrity?.embedding),
+      this.fetchWorkerModelConfig(paths.detectorUrl, providers, integrity?.detector)
+    ]);
+
+    const response = await new Promise<{ error?: string }>((resolve) => {
+      this.pendingRequests.set(requestId, resolve);
+      this.worker!.postMessage({
+        type: 'register-wakeword',
+        data: {
+          id: requestId,
+          registration: { name, melspec, embedding, detector, dims }
         }
+      }, [melspec.modelData, embedding.modelData, detector.modelData]);
+    });
+
+    if (response.error) {
+      throw new Error(`Failed to register wakeword ${name} in worker: ${response.error}`);
+    }
+    this.registeredWakewords.add(name);
+  }
+
+  /**
+   * 喚醒詞是否已在 Worker 中註冊
+   */
+  public isWakewordRegisteredInWorker(name: string): boolean {
+    return this.worker !== null && this.registeredWakewords.has(name);
+  }
+
+  /**
+   * 建立 Worker 模型配置
+   */
+  private createWorkerModelConfig(
+    modelPath: string,
+    executionProviders: Array<'webgpu' | 'wasm' | 'webgl' | 'cpu'>
+  ) {
+    const config = ConfigManager.getInstance();
+    return {
+      // Worker 的 location 是 Worker 腳本，相對路徑需先以頁面位置解析
+      modelPath: resolveResourceUrl(modelPath),
+      executionProviders,
+      webgpuOptions: config.onnx.webgpu.enabled ? {
+        // Windows 平台不傳遞 powerPreference 以避免警告
+        ...(isWindowsPlatform() ? {} : {
+          powerPreference: config.onnx.webgpu.powerPreference
+        })
+      } : undefined,
+      wasmOptions: {
+        simd: config.onnx.wasm.simd,
+        numThreads: config.onnx.wasm.numThreads
       }
+    };
+  }
+
+  /**
+   * 建立 Worker 模型配置，並在主執行緒透過模型儲存取得模型內容
+   *
+   * @description Worker 是 classic script，無法載入 ModelStore；模型內容在此處經過
+   * 快取與完整性驗證後，以可轉移的 ArrayBuffer 交給 Worker
+   */
+  private async fetchWorkerModelConfig(
+    modelPath: string,
+    executionProviders: Array<'webgpu' | 'wasm' | 'webgl' | 'cpu'>,
+    integrity?: ModelFileIntegrity
+  ) {
+    const modelData = await getModelStore().fetchModel(modelPath, {
+      hash: integrity?.sha256,
+      size: integrity?.size
     });
+    return { ...this.createWorkerModelConfig(modelPath, executionProviders), modelData };
+  }
+
+  /**
+   * 清除 Worker 中指定串流的 VAD 狀態或喚醒詞緩衝區
+   * @param streamId - 串流 ID（VadState.streamId 或 WakewordState.streamId）
+   * @param words - 只清空這些喚醒詞的嵌入緩衝區（可選，保留共用的梅爾緩衝區）
+   */
+  public resetStream(streamId: string, words?: string[]): void {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'reset-stream', data: { streamId, words } });
+    }
   }
 
   /**
@@ -404,6 +562,7 @@ export class ORTService {
       this.worker = null;
     }
     this.pendingRequests.clear();
+    this.registeredWakewords.clear();
     this.initialized = false;
   }
 }
@@ -0,0 +1,365 @@
+/**
+ * 說話者驗證服務
+ *
+ * 提供無狀態的說話者嵌入提取與聲紋比對函數。
+ * 處理流程：fbank 特徵（或原始波形）→ 說話者嵌入模型 → L2 正規化 → 餘弦相似度
+ *
+ * @fileoverview 說話者驗證服務實現
+ * @author WebASRCore Team
+ */
+
+import type { InferenceSession, Tensor } from 'onnxruntime-web';
+import { createTensor } from '../runtime/ort';
+import type { SpeakerResources, SpeakerProfile, SpeakerVerificationResult } from '../types';
+import { ConfigManager } from '../utils/config-manager';
+import { ortService } from './ort';
+
+/** fbank 幀長（25ms @ 16kHz） */
+const FRAME_LENGTH = 400;
+/** fbank 幀移（10ms @ 16kHz） */
+const FRAME_SHIFT = 160;
+/** FFT 大小 */
+const FFT_SIZE = 512;
+/** 預強調係數 */
+const PREEMPHASIS = 0.97;
+
+/**
+ * 載入說話者嵌入模型
+ *
+ * @description 從指定 URL 載入說話者嵌入模型並建立 ONNX Runtime 會話
+ * @param modelUrl - 模型 URL（可選，預設使用 wakeword.verification.modelPath）
+ * @param sessionOptions - 可選的會話配置選項
+ * @param config - 可選的配置管理器實例
+ * @returns Promise<SpeakerResources> - 說話者嵌入模型資源
+ *
+ * @example
+ * ```typescript
+ * const resources = await loadSpeakerResources('./models/speaker/wespeaker.onnx');
+ * const embedding = await extractSpeakerEmbedding(resources, audio);
+ * ```
+ */
+export async function loadSpeakerResources(
+  modelUrl?: string,
+  sessionOptions?: InferenceSession.SessionOptions,
+  config?: ConfigManager
+): Promise<SpeakerResources> {
+  const cfg = config || ConfigManager.getInstance();
+  const url = modelUrl || cfg.wakeword.verification.modelPath;
+
+  await ortService.initialize();
+  const session = await ortService.createSession(url, sessionOptions, 'wakeword');
+
+  return {
+    session,
+    inputType: cfg.wakeword.verification.inputType
+  };
+}
+
+/**
+ * 計算 Kaldi 風格的對數梅爾濾波器組（fbank）特徵
+ *
+ * @description 25ms 幀長、10ms 幀移、Povey 窗、預強調 0.97，
+ * 並對每個梅爾頻帶做平均值正規化（CMN），與常見說話者嵌入模型的前處理一致
+ * @param audio - 16kHz 單聲道音訊
+ * @param numMelBins - 梅爾濾波器數量（預設 80）
+ * @param sampleRate - 採樣率（預設 16000）
+ * @returns 展平的特徵 [frames * numMelBins] 與幀數
+ */
+export function computeFbank(
+  audio: Float32Array,
+  numMelBins: number = 80,
+  sampleRate: number = 16000
+): { features: Float32Array; frames: number } {
+  const frames = audio.length >= FRAME_LENGTH
+    ? 1 + Math.floor((audio.length - FRAME_LENGTH) / FRAME_SHIFT)
+    : 0;
+  const features = new Float32Array(frames * numMelBins);
+  if (frames === 0) {
+    return { features, frames };
+  }
+
+  const window = createPoveyWindow(FRAME_LENGTH);
+  const melBanks = createMelBanks(numMelBins, sampleRate);
+  const real = new Float64Array(FFT_SIZE);
+  const imag = new Float64Array(FFT_SIZE);
+  const power = new Float64Array(FFT_SIZE / 2 + 1);
+
+  for (let f = 0; f < frames; f++) {
+    const start = f * FRAME_SHIFT;
+
+    // Kaldi 以 int16 尺度計算能量
+    let mean = 0;
+    for (let i = 0; i < FRAME_LENGTH; i++) mean += audio[start + i] * 32768;
+    mean /= FRAME_LENGTH;
+
+    real.fill(0);
+    imag.fill(0);
+    for (let i = FRAME_LENGTH - 1; i >= 0; i--) {
+      const current = audio[start + i] * 32768 - mean;
+      const previous = i > 0 ? audio[start + i - 1] * 32768 - mean : current;
+      real[i] = (current - PREEMPHASIS * previous) * window[i];
+    }
+
+    fft(real, imag);
+    for (let k = 0; k < power.length; k++) {
+      power[k] = real[k] * real[k] + imag[k] * imag[k];
+    }
+
+    for (let m = 0; m < numMelBins; m++) {
+      const { offset, weights } = melBanks[m];
+      let energy = 0;
+      for (let k = 0; k < weights.length; k++) {
+        energy += weights[k] * power[offset + k];
+      }
+      features[f * numMelBins + m] = Math.log(Math.max(energy, Number.EPSILON));
+    }
+  }
+
+  // 平均值正規化（CMN）
+  for (let m = 0; m < numMelBins; m++) {
+    let sum = 0;
+    for (let f = 0; f < frames; f++) sum += features[f * numMelBins + m];
+    const mean = sum / frames;
+    for (let f = 0; f < frames; f++) features[f * numMelBins + m] -= mean;
+  }
+
+  return { features, frames };
+}
+
+/**
+ * 提取說話者嵌入向量
+ *
+ * @description 將音訊轉為模型輸入並執行推理，返回 L2 正規化後的嵌入向量
+ * @param resources - 說話者嵌入模型資源
+ * @param audio - 16kHz 單聲道音訊
+ * @param config - 可選的配置管理器實例
+ * @returns Promise<Float32Array> - 正規化的嵌入向量
+ * @throws Error - 當音訊過短或推理失敗時拋出錯誤
+ */
+export async function extractSpeakerEmbedding(
+  resources: SpeakerResources,
+  audio: Float32Array,
+  config?: ConfigManager
+): Promise<Float32Array> {
+  const cfg = config || ConfigManager.getInstance();
+  const { session, inputType } = resources;
+
+  let input: Tensor;
+  if (inputType === 'waveform') {
+    input = createTensor('float32', audio, [1, audio.length]) as Tensor;
+  } else {
+    const numMelBins = cfg.wakeword.verification.numMelBins;
+    const { features, frames } = computeFbank(audio, numMelBins, cfg.audio.sampleRate);
+    if (frames === 0) {
+      throw new Error(`音訊過短，無法提取說話者嵌入（${audio.length} 樣本）`);
+    }
+    input = createTensor('float32', features, [1, frames, numMelBins]) as Tensor;
+  }
+
+  const output = await session.run({ [session.inputNames[0]]: input });
+  const data = (output[session.outputNames[0]] as Tensor).data as Float32Array;
+
+  return normalizeEmbedding(data);
+}
+
+/**
+ * 計算兩個嵌入向量的餘弦相似度
+ *
+ * @param a - 嵌入向量
+ * @param b - 嵌入向量
+ * @returns 餘弦相似度（-1 到 1）
+ * @throws Error - 當維度不一致時拋出錯誤
+ */
+export function cosineSimilarity(a: ArrayLike<number>, b: ArrayLike<number>): number {
+  if (a.length !== b.length) {
+    throw new Error(`嵌入維度不一致: ${a.length} vs ${b.length}`);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+  return denominator > 0 ? dot / denominator : 0;
+}
+
+/**
+ * 由多個註冊樣本的嵌入向量建立聲紋設定檔
+ *
+ * @description 將各樣本嵌入正規化後取平均，再正規化一次作為聲紋中心
+ * @param id - 設定檔 ID
+ * @param embeddings - 註冊樣本的嵌入向量
+ * @param name - 顯示名稱（可選）
+ * @returns SpeakerProfile - 可 JSON 序列化的聲紋設定檔
+ * @throws Error - 當沒有樣本時拋出錯誤
+ */
+export function createSpeakerProfile(
+  id: string,
+  embeddings: ArrayLike<number>[],
+  name?: string
+): SpeakerProfile {
+  if (embeddings.length === 0) {
+    throw new Error('建立聲紋設定檔至少需要一個樣本');
+  }
+
+  const dimension = embeddings[0].length;
+  const centroid = new Float32Array(dimension);
+  for (const embedding of embeddings) {
+    if (embedding.length !== dimension) {
+      throw new Error(`嵌入維度不一致: ${embedding.length} vs ${dimension}`);
+    }
+    const normalized = normalizeEmbedding(embedding);
+    for (let i = 0; i < dimension; i++) centroid[i] += normalized[i];
+  }
+
+  const now = Date.now();
+  return {
+    id,
+    name,
+    embedding: Array.from(normalizeEmbedding(centroid)),
+    sampleCount: embeddings.length,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * 將嵌入向量與已註冊的設定檔比對
+ *
+ * @param embedding - 待驗證的嵌入向量
+ * @param profiles - 已註冊的設定檔
+ * @param threshold - 餘弦相似度閾值
+ * @returns SpeakerVerificationResult - 最相近設定檔的比對結果
+ */
+export function verifySpeakerEmbedding(
+  embedding: ArrayLike<number>,
+  profiles: SpeakerProfile[],
+  threshold: number
+): SpeakerVerificationResult {
+  let profileId: string | null = null;
+  let score = -1;
+
+  for (const profile of profiles) {
+    const similarity = cosineSimilarity(embedding, profile.embedding);
+    if (similarity > score) {
+      score = similarity;
+      profileId = profile.id;
+    }
+  }
+
+  return {
+    verified: profileId !== null && score >= threshold,
+    profileId,
+    score,
+    threshold
+  };
+}
+
+/**
+ * L2 正規化
+ */
+function normalizeEmbedding(embedding: ArrayLike<number>): Float32Array {
+  let norm = 0;
+  for (let i = 0; i < embedding.length; i++) norm += embedding[i] * embedding[i];
+  norm = Math.sqrt(norm) || 1;
+
+  const normalized = new Float32Array(embedding.length);
+  for (let i = 0; i < embedding.length; i++) normalized[i] = embedding[i] / norm;
+  return normalized;
+}
+
+/**
+ * 建立 Povey 窗（Kaldi 預設：Hann 窗的 0.85 次方）
+ */
+function createPoveyWindow(length: number): Float64Array {
+  const window = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    window[i] = Math.pow(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1)), 0.85);
+  }
+  return window;
+}
+
+/**
+ * 建立三角梅爾濾波器組（20Hz 到 Nyquist）
+ */
+function createMelBanks(
+  numMelBins: number,
+  sampleRate: number
+): Array<{ offset: number; weights: Float64Array }> {
+  const toMel = (hz: number) => 1127 * Math.log(1 + hz / 700);
+  const lowMel = toMel(20);
+  const highMel = toMel(sampleRate / 2);
+  const melDelta = (highMel - lowMel) / (numMelBins + 1);
+  const binWidth = sampleRate / FFT_SIZE;
+  const numBins = FFT_SIZE / 2;
+
+  const banks: Array<{ offset: number; weights: Float64Array }> = [];
+  for (let m = 0; m < numMelBins; m++) {
+    const left = lowMel + m * melDelta;
+    const center = left + melDelta;
+    const right = center + melDelta;
+
+    let first = -1;
+    let last = -1;
+    const weights = new Float64Array(numBins);
+    for (let k = 0; k < numBins; k++) {
+      const mel = toMel(binWidth * k);
+      if (mel > left && mel < right) {
+        weights[k] = mel <= center ? (mel - left) / (center - left) : (right - mel) / (right - center);
+        if (first < 0) first = k;
+        last = k;
+      }
+    }
+
+    banks.push(first < 0
+      ? { offset: 0, weights: new Float64Array(0) }
+      : { offset: first, weights: weights.slice(first, last + 1) });
+  }
+  return banks;
+}
+
+/**
+ * 原地基 2 FFT（Cooley-Tukey）
+ */
+function fft(real: Float64Array, imag: Float64Array): void {
+  const n = real.length;
+
+  // 位元反轉排列
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wReal = Math.cos(angle);
+    const wImag = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curReal = 1;
+      let curImag = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tReal = real[b] * curReal - imag[b] * curImag;
+        const tImag = real[b] * curImag + imag[b] * curReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        const nextReal = curReal * wReal - curImag * wImag;
+        curImag = curReal * wImag + curImag * wReal;
+        curReal = nextReal;
+      }
+    }
+  }
+}
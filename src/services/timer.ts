@@ -238,7 +238,7 @@ export class TimerManager {
     private timers: Map<string, {
         state: TimerState;
         params: TimerParams;
-        intervalId?: number;
+        intervalId?: ReturnType<typeof setInterval>;
     }> = new Map();
 
     private config: ConfigManager;
@@ -278,7 +278,7 @@ export class TimerManager {
             }
 
             const tickInterval = timer.params.tickInterval ?? 100;
-            timer.intervalId = window.setInterval(() => {
+            timer.intervalId = setInterval(() => {
                 const result = Timer.tick(timer.state);
                 timer.state = result.state;
 
@@ -10,7 +10,7 @@
 
 import type { InferenceSession, Tensor } from 'onnxruntime-web';
 import { createSession, createTensor, type InferenceSession as Session } from '../runtime/ort';
-import type { VadState, VadParams, VadResult } from '../types';
+import type { VadState, VadParams, VadResult, ModelFileIntegrity } from '../types';
 import { ConfigManager } from '../utils/config-manager';
 import { ortService } from './ort';
 
@@ -25,6 +25,9 @@ import { ortService } from './ort';
  */
 export const vadEvents = new EventTarget();
 
+/** 串流 ID 計數器 */
+let vadStreamCounter = 0;
+
 /**
  * 載入 VAD 模型會話
  * 
@@ -32,8 +35,10 @@ export const vadEvents = new EventTarget();
  * @param modelUrl - VAD 模型的 URL 路徑（可選，預設使用 ConfigManager 設定）
  * @param sessionOptions - 可選的會話配置選項
  * @param config - 可選的配置管理器實例
+ * @param integrity - 可選的模型檔案完整性資訊（例如 resolveVad 的結果）
  * @returns Promise<InferenceSession> - ONNX Runtime 推理會話
  * @throws Error - 當模型載入失敗時拋出錯誤
+ * @throws ModelIntegrityError - 當模型內容與完整性資訊不符時拋出
  * 
  * @example
  * ```typescript
@@ -47,12 +52,17 @@ export const vadEvents = new EventTarget();
  * const config = new ConfigManager();
  * config.vad.modelPath = './models/my_vad.onnx';
  * const session = await loadVadSession(undefined, undefined, config);
+ * 
+ * // 使用註冊表並驗證 SHA-256
+ * const vad = resolveVad(await loadRegistry());
+ * const session = await loadVadSession(vad.modelUrl, undefined, undefined, vad.integrity);
  * ```
  */
 export async function loadVadSession(
   modelUrl?: string,
   sessionOptions?: InferenceSession.SessionOptions,
-  config?: ConfigManager
+  config?: ConfigManager,
+  integrity?: ModelFileIntegrity
 ): Promise<InferenceSession> {
   const cfg = config || ConfigManager.getInstance();
   const url = modelUrl || cfg.vad.modelPath;
@@ -62,11 +72,11 @@ export async function loadVadSession(
   
   // 如果啟用 Web Worker，預載入模型，指定為 vad 類型以使用 WebGPU
   if (cfg.onnx.useWebWorker) {
-    await ortService.preloadModelInWorker('vad', url, 'vad');
+    await ortService.preloadModelInWorker('vad', url, 'vad', integrity);
   }
   
   // 使用優化的 ORT 服務創建會話，指定為 vad 類型以使用 WebGPU
-  return await ortService.createSession(url, sessionOptions, 'vad');
+  return await ortService.createSession(url, sessionOptions, 'vad', integrity);
 }
 
 /**
@@ -100,6 +110,7 @@ export function createVadState(config?: ConfigManager): VadState {
     contextSamples: new Float32Array(cfg.vad.contextSize),   // 上下文樣本
     hangoverCounter: 0,                                      // 延遲計數器
     isSpeechActive: false,                                   // 語音活動狀態
+    streamId: `vad-${++vadStreamCounter}`,                   // Worker 串流 ID
   };
 }
 
@@ -132,8 +143,8 @@ export async function processVad(
   const cfg = config || ConfigManager.getInstance();
   
   try {
-    // 如果啟用 Web Worker，使用 Worker 執行推理
-    if (cfg.onnx.useWebWorker) {
+    // 如果啟用 Web Worker 且 Worker 可用（Node.js 中不可用），使用 Worker 執行推理
+    if (cfg.onnx.useWebWorker && ortService.hasWorker()) {
       try {
       // 準備完整的輸入數據（上下文 + 新音訊）
       const windowSize = cfg.vad.windowSize;
@@ -144,11 +155,18 @@ export async function processVad(
       fullInput.set(prevState.contextSamples, 0);  // 前 64 個上下文樣本
       fullInput.set(audio.slice(0, windowSize), contextSize);  // 當前 512 個音訊樣本
       
+      // LSTM 狀態、閾值與採樣率隨請求傳入，結果與主執行緒推理一致
       const result = await ortService.runInferenceInWorker(
         'vad',
         'vad',
         cfg.vad.modelPath,
-        fullInput
+        fullInput,
+        {
+          streamId: prevState.streamId,
+          state: prevState.state,
+          threshold: params.threshold,
+          sampleRate: params.sampleRate
+        }
       );
       
       // 檢查 Worker 是否返回有效結果
@@ -185,10 +203,11 @@ export async function processVad(
       }
       
       const state: VadState = {
-        state: prevState.state, // Worker 內部管理狀態
+        state: result.result.state,
         contextSamples: newContextSamples,
         hangoverCounter,
-        isSpeechActive
+        isSpeechActive,
+        streamId: prevState.streamId
       };
       
       return {
@@ -287,7 +306,8 @@ export async function processVad(
     state: newState,
     contextSamples: newContextSamples,
     hangoverCounter, 
-    isSpeechActive 
+    isSpeechActive,
+    streamId: prevState.streamId
   };
   
   return { 
@@ -0,0 +1,90 @@
+/**
+ * 少樣本喚醒詞模板測試（Node.js）
+ *
+ * 以儲存庫內的 openWakeWord 梅爾頻譜圖與嵌入模型建立模板，
+ * 驗證子序列 DTW 比對與閾值校準
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSession } from '../runtime/ort';
+import { createWakewordTemplate, computeEmbeddingSequence, scoreWakewordTemplate } from './wakeword-template';
+import type { WakewordTemplate } from '../types';
+
+const MODEL_DIR = './models/github/dscripka/openWakeWord/';
+
+/**
+ * 以一串音高合成「喚醒詞」，前後各有 300ms 靜音
+ * @param freqs 各 250ms 音節的頻率
+ * @param shift 頻率偏移比例（模擬不同次的發音）
+ * @param gain 音量
+ */
+function syntheticWord(freqs: number[], shift = 0, gain = 1): Float32Array {
+  const sampleRate = 16000;
+  const syllable = 0.25 * sampleRate;
+  const pad = 0.3 * sampleRate;
+  const audio = new Float32Array(pad * 2 + syllable * freqs.length);
+  freqs.forEach((freq, k) => {
+    for (let i = 0; i < syllable; i++) {
+      audio[pad + k * syllable + i] = gain * 0.5 * Math.sin(2 * Math.PI * freq * (1 + shift) * i / sampleRate);
+    }
+  });
+  return audio;
+}
+
+/**
+ * 建立只含單一範例的模板
+ */
+function templateOf(sequence: number[][], threshold = 0.5): WakewordTemplate {
+  return { name: 'test', sequences: [sequence], embeddingDimension: sequence[0].length, threshold, createdAt: 0 };
+}
+
+test('緩衝區結尾完整包含範例時分數接近 1', () => {
+  const template = templateOf([[1, 0, 0], [0, 1, 0], [0, 0, 1]]);
+
+  // 起點自由：前面的其他嵌入不影響分數
+  const matching = [[0, 1, 1], [1, 1, 0], [1, 0, 0], [0, 1, 0], [0, 1, 0], [0, 0, 1]];
+  assert.ok(scoreWakewordTemplate(template, matching) > 0.99);
+
+  // 終點固定在最新嵌入：範例出現在較早的位置時分數下降
+  const stale = [[1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 0, 0]];
+  assert.ok(scoreWakewordTemplate(template, stale) < 0.9);
+
+  assert.equal(scoreWakewordTemplate(template, []), 0);
+});
+
+test('範例數不足時拒絕建立模板', async () => {
+  const sessions = { melspec: {} as any, embedding: {} as any };
+  await assert.rejects(
+    createWakewordTemplate('test', sessions, [new Float32Array(16000)]),
+    /至少需要 3 段範例/
+  );
+});
+
+test('以錄製範例校準的閾值接受新的發音並拒絕其他聲音', async () => {
+  const sessions = {
+    melspec: await createSession(`${MODEL_DIR}melspectrogram.onnx`),
+    embedding: await createSession(`${MODEL_DIR}embedding_model.onnx`)
+  };
+  const word = [400, 900, 1500, 600];
+
+  const template = await createWakewordTemplate('test', sessions, [
+    syntheticWord(word),
+    syntheticWord(word, 0.02, 0.8),
+    syntheticWord(word, -0.02, 1.2)
+  ]);
+
+  assert.equal(template.sequences.length, 3);
+  assert.equal(template.embeddingDimension, 96);
+  assert.ok(template.threshold > 0 && template.threshold < 1);
+  // 模板可 JSON 序列化
+  assert.deepEqual(JSON.parse(JSON.stringify(template)), template);
+
+  const score = async (audio: Float32Array) =>
+    scoreWakewordTemplate(template, (await computeEmbeddingSequence(sessions, audio)).slice(-16));
+
+  assert.ok(await score(syntheticWord(word, 0.01, 0.9)) >= template.threshold);
+  assert.ok(await score(syntheticWord([...word].reverse())) < template.threshold);
+  assert.ok(await score(syntheticWord([2500, 200, 3000, 250])) < template.threshold);
+  assert.ok(await score(new Float32Array(16000)) < template.threshold);
+});
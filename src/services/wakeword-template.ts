@@ -0,0 +1,275 @@
+/**
+ * 少樣本喚醒詞模板服務
+ *
+ * 提供無狀態的模板建立與比對函數。使用既有 openWakeWord 的梅爾頻譜圖與嵌入模型，
+ * 將使用者錄製的 3-10 段範例轉為嵌入序列，執行時以子序列 DTW
+ * 與嵌入緩衝區比對，取代需要訓練的檢測器模型。
+ *
+ * @fileoverview 少樣本喚醒詞模板服務實現
+ * @author WebASRCore Team
+ */
+
+import type { InferenceSession, Tensor } from 'onnxruntime-web';
+import { createTensor } from '../runtime/ort';
+import type { WakewordTemplate } from '../types';
+import { ConfigManager } from '../utils/config-manager';
+
+/** 每個梅爾幀的維度 */
+const MEL_DIM = 32;
+/** 梅爾幀移（10ms @ 16kHz） */
+const MEL_HOP = 160;
+
+/**
+ * 計算整段音訊的 openWakeWord 嵌入序列
+ *
+ * @description 與 processWakewordChunk 使用相同的前處理：梅爾特徵縮放 (x/10)+2、
+ * 每 requiredMelFrames 幀計算一次嵌入、以 melStride 滑動。
+ * 會在音訊前補上一個嵌入窗口長度的靜音，並只保留涵蓋到音訊內容的嵌入
+ * @param sessions - 梅爾頻譜圖與嵌入模型會話
+ * @param audio - 16kHz 單聲道音訊
+ * @param config - 可選的配置管理器實例
+ * @returns Promise<Float32Array[]> - 依時間排列的嵌入向量
+ */
+export async function computeEmbeddingSequence(
+  sessions: { melspec: InferenceSession; embedding: InferenceSession },
+  audio: Float32Array,
+  config?: ConfigManager
+): Promise<Float32Array[]> {
+  const cfg = config || ConfigManager.getInstance();
+  const requiredMelFrames = cfg.wakeword.common.requiredMelFrames;
+  const melStride = cfg.wakeword.common.melStride;
+
+  // 前補靜音，讓第一個窗口即可結束在語音開頭
+  const padSamples = requiredMelFrames * MEL_HOP;
+  const padded = new Float32Array(padSamples + audio.length);
+  padded.set(audio, padSamples);
+
+  const melOut = await sessions.melspec.run({
+    [sessions.melspec.inputNames[0]]: createTensor('float32', padded, [1, padded.length]) as Tensor
+  });
+  const melData = (melOut[sessions.melspec.outputNames[0]] as Tensor).data as Float32Array;
+  const totalFrames = Math.floor(melData.length / MEL_DIM);
+
+  const scaledMel = new Float32Array(totalFrames * MEL_DIM);
+  for (let j = 0; j < scaledMel.length; j++) {
+    scaledMel[j] = (melData[j] / 10.0) + 2.0;
+  }
+
+  const padFrames = Math.floor(padSamples / MEL_HOP);
+  const sequence: Float32Array[] = [];
+  for (let start = 0; start + requiredMelFrames <= totalFrames; start += melStride) {
+    // 跳過完全落在前補靜音中的窗口
+    if (start + requiredMelFrames <= padFrames) continue;
+
+    const window = scaledMel.slice(start * MEL_DIM, (start + requiredMelFrames) * MEL_DIM);
+    const embOut = await sessions.embedding.run({
+      [sessions.embedding.inputNames[0]]: createTensor('float32', window, [1, requiredMelFrames, MEL_DIM, 1]) as Tensor
+    });
+    sequence.push(new Float32Array((embOut[sessions.embedding.outputNames[0]] as Tensor).data as Float32Array));
+  }
+
+  return sequence;
+}
+
+/**
+ * 由錄製的範例建立少樣本喚醒詞模板
+ *
+ * @description 每段範例會先裁掉前後靜音再計算嵌入序列（長度上限為 embeddingBufferSize）。
+ * 觸發閾值以範例之間互相比對的最低分數（正例）與範例反轉播放、靜音的最高分數（負例）校準：
+ * 兩者可分時取中點，否則取正例最低分數減去 thresholdMargin
+ * @param name - 喚醒詞名稱
+ * @param sessions - 梅爾頻譜圖與嵌入模型會話
+ * @param samples - 錄製的範例音訊（16kHz 單聲道）
+ * @param config - 可選的配置管理器實例
+ * @returns Promise<WakewordTemplate> - 可 JSON 序列化的模板
+ * @throws Error - 當範例數量不足或範例過短時拋出錯誤
+ *
+ * @example
+ * ```typescript
+ * const template = await createWakewordTemplate('hey-computer', resources, recordings);
+ * localStorage.setItem('wakeword-template', JSON.stringify(template));
+ * ```
+ */
+export async function createWakewordTemplate(
+  name: string,
+  sessions: { melspec: InferenceSession; embedding: InferenceSession },
+  samples: Float32Array[],
+  config?: ConfigManager
+): Promise<WakewordTemplate> {
+  const cfg = config || ConfigManager.getInstance();
+  const { minSamples, maxSamples, thresholdMargin } = cfg.wakeword.template;
+  const maxLength = cfg.wakeword.common.embeddingBufferSize;
+
+  if (samples.length < minSamples) {
+    throw new Error(`少樣本喚醒詞至少需要 ${minSamples} 段範例（目前 ${samples.length} 段）`);
+  }
+
+  const sequences: Float32Array[][] = [];
+  const negatives: Float32Array[][] = [];
+  for (const sample of samples.slice(0, maxSamples)) {
+    const trimmed = trimSilence(sample, cfg.audio.sampleRate);
+    const sequence = await computeEmbeddingSequence(sessions, trimmed, cfg);
+    if (sequence.length === 0) {
+      throw new Error('範例音訊過短，無法計算嵌入序列');
+    }
+    // 保留結尾部分，使模板能完整放入嵌入緩衝區
+    sequences.push(sequence.slice(-maxLength));
+
+    // 反轉播放的範例：頻譜相同但時序不同，作為負例
+    const reversed = new Float32Array(trimmed).reverse();
+    negatives.push((await computeEmbeddingSequence(sessions, reversed, cfg)).slice(-maxLength));
+  }
+  negatives.push(await computeEmbeddingSequence(sessions, new Float32Array(cfg.audio.sampleRate), cfg));
+
+  // 正例：範例互相比對
+  let minPositive = 1;
+  for (let i = 0; i < sequences.length; i++) {
+    for (let j = 0; j < sequences.length; j++) {
+      if (i !== j) {
+        minPositive = Math.min(minPositive, subsequenceDtwSimilarity(sequences[i], sequences[j]));
+      }
+    }
+  }
+
+  // 負例：反轉範例與靜音
+  let maxNegative = 0;
+  for (const sequence of sequences) {
+    for (const negative of negatives) {
+      maxNegative = Math.max(maxNegative, subsequenceDtwSimilarity(sequence, negative));
+    }
+  }
+
+  const threshold = minPositive > maxNegative
+    ? (minPositive + maxNegative) / 2
+    : minPositive - thresholdMargin;
+
+  return {
+    name,
+    sequences: sequences.map(sequence => sequence.map(embedding => Array.from(embedding))),
+    embeddingDimension: sequences[0][0].length,
+    threshold,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * 以模板比對目前的嵌入緩衝區
+ *
+ * @description 對每段範例以子序列 DTW（緩衝區起點自由、終點固定在最新嵌入）計算相似度，
+ * 取最近的範例作為分數
+ * @param template - 少樣本喚醒詞模板
+ * @param embeddingBuffer - 依時間排列的嵌入緩衝區（最新的在最後）
+ * @returns 相似度分數（0-1）
+ */
+export function scoreWakewordTemplate(
+  template: WakewordTemplate,
+  embeddingBuffer: ArrayLike<number>[]
+): number {
+  let best = 0;
+  for (const sequence of template.sequences) {
+    best = Math.max(best, subsequenceDtwSimilarity(sequence, embeddingBuffer));
+  }
+  return best;
+}
+
+/**
+ * 子序列 DTW 相似度
+ *
+ * @description 模板須完整對齊，查詢序列的起點自由、終點固定在最後一個元素；
+ * 以路徑上的平均餘弦距離換算成 0-1 的相似度
+ */
+function subsequenceDtwSimilarity(
+  template: ArrayLike<number>[],
+  query: ArrayLike<number>[]
+): number {
+  const m = template.length;
+  const n = query.length;
+  if (m === 0 || n === 0) return 0;
+
+  // 每格保存累積成本與路徑長度
+  let prevCost = new Float64Array(n);
+  let prevLength = new Float64Array(n);
+  let curCost = new Float64Array(n);
+  let curLength = new Float64Array(n);
+
+  for (let i = 0; i < m; i++) {
+    for (let j = 0; j < n; j++) {
+      const cost = 1 - cosine(template[i], query[j]);
+
+      if (i === 0) {
+        // 查詢序列的任意位置都可作為起點
+        curCost[j] = cost;
+        curLength[j] = 1;
+        continue;
+      }
+
+      let bestCost = prevCost[j];
+      let bestLength = prevLength[j];
+      if (j > 0 && prevCost[j - 1] / prevLength[j - 1] <= bestCost / bestLength) {
+        bestCost = prevCost[j - 1];
+        bestLength = prevLength[j - 1];
+      }
+      if (j > 0 && curCost[j - 1] / curLength[j - 1] < bestCost / bestLength) {
+        bestCost = curCost[j - 1];
+        bestLength = curLength[j - 1];
+      }
+
+      curCost[j] = bestCost + cost;
+      curLength[j] = bestLength + 1;
+    }
+
+    [prevCost, curCost] = [curCost, prevCost];
+    [prevLength, curLength] = [curLength, prevLength];
+  }
+
+  const averageDistance = prevCost[n - 1] / prevLength[n - 1];
+  return Math.max(0, Math.min(1, 1 - averageDistance));
+}
+
+/**
+ * 餘弦相似度
+ */
+function cosine(a: ArrayLike<number>, b: ArrayLike<number>): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+  return denominator > 0 ? dot / denominator : 0;
+}
+
+/**
+ * 以能量裁掉範例前後的靜音（保留 100ms 餘裕）
+ */
+function trimSilence(audio: Float32Array, sampleRate: number): Float32Array {
+  const frameSize = Math.round(sampleRate * 0.02);
+  const frameCount = Math.floor(audio.length / frameSize);
+  if (frameCount === 0) return audio;
+
+  const energies = new Float64Array(frameCount);
+  let peak = 0;
+  for (let f = 0; f < frameCount; f++) {
+    let sum = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i++) sum += audio[i] * audio[i];
+    energies[f] = Math.sqrt(sum / frameSize);
+    peak = Math.max(peak, energies[f]);
+  }
+
+  const threshold = Math.max(peak * 0.1, 1e-3);
+  let first = 0;
+  while (first < frameCount && energies[first] < threshold) first++;
+  let last = frameCount - 1;
+  while (last > first && energies[last] < threshold) last--;
+  if (first >= frameCount) return audio;
+
+  const margin = Math.round(sampleRate * 0.1);
+  return audio.subarray(
+    Math.max(0, first * frameSize - margin),
+    Math.min(audio.length, (last + 1) * frameSize + margin)
+  );
+}
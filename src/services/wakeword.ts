@@ -10,9 +10,18 @@
 
 import type { InferenceSession, Tensor } from 'onnxruntime-web';
 import { createSessions, createTensor } from '../runtime/ort';
-import type { WakewordResources, WakewordState, WakewordParams, WakewordResult } from '../types';
+import type {
+  WakewordResources,
+  WakewordState,
+  WakewordParams,
+  WakewordResult,
+  WakewordDetector,
+  MultiWakewordResult,
+  WakewordIntegrity
+} from '../types';
 import { ConfigManager } from '../utils/config-manager';
 import { ortService } from './ort';
+import { scoreWakewordTemplate } from './wakeword-template';
 
 /**
  * Wake Word 事件發射器
@@ -24,15 +33,23 @@ import { ortService } from './ort';
  */
 export const wakewordEvents = new EventTarget();
 
+// 串流 ID 計數器，讓 Worker 區分不同的喚醒詞狀態
+let wakewordStreamCounter = 0;
+
+// 每個梅爾頻譜幀的頻段數
+const MEL_DIM = 32;
+
 /**
  * 載入所有喚醒詞模型資源
  * 
  * @description 並行載入三個 ONNX 模型：梅爾頻譜圖模型、嵌入模型和檢測器模型
  * @param wakewordName - 喚醒詞名稱（'hey_jarvis' | 'hey_mycroft' | 'alexa'）
  * @param config - 可選的配置管理器實例
- * @param customPaths - 可選的自訂模型路徑
+ * @param customPaths - 可選的自訂模型路徑（可附帶註冊表提供的維度，提供時略過自動偵測）
+ * @param integrity - 可選的三階段模型完整性資訊（例如 resolveWakeword 的結果）
  * @returns Promise<WakewordResources> - 完整的喚醒詞模型資源
  * @throws Error - 當任何模型載入失敗時拋出錯誤
+ * @throws ModelIntegrityError - 當模型內容與完整性資訊不符時拋出
  * 
  * @example
  * ```typescript
@@ -60,7 +77,9 @@ export async function loadWakewordResources(
     detectorUrl: string; 
     melspecUrl: string; 
     embeddingUrl: string;
-  }
+    dims?: { embeddingBufferSize: number; embeddingDimension: number };
+  },
+  integrity?: WakewordIntegrity
 ): Promise<WakewordResources> {
   const cfg = config || ConfigManager.getInstance();
   
@@ -96,20 +115,11 @@ export async function loadWakewordResources(
     embeddingUrl: cfg.wakeword[wakewordKey].embeddingPath,
   };
   
-  // 如果啟用 Web Worker，預載入模型，指定為 wakeword 類型以使用 WASM
-  if (cfg.onnx.useWebWorker) {
-    await Promise.all([
-      ortService.preloadModelInWorker(`wakeword_detector_${wakewordName}`, paths.detectorUrl, 'wakeword'),
-      ortService.preloadModelInWorker(`wakeword_melspec_${wakewordName}`, paths.melspecUrl, 'wakeword'),
-      ortService.preloadModelInWorker(`wakeword_embedding_${wakewordName}`, paths.embeddingUrl, 'wakeword'),
-    ]);
-  }
-  
   // 使用優化的 ORT 服務並行載入三個模型，指定為 wakeword 類型以使用 WASM
   const sessionPromises = [
-    ortService.createSession(paths.detectorUrl, undefined, 'wakeword'),
-    ortService.createSession(paths.melspecUrl, undefined, 'wakeword'),
-    ortService.createSession(paths.embeddingUrl, undefined, 'wakeword'),
+    ortService.createSession(paths.detectorUrl, undefined, 'wakeword', integrity?.detector),
+    ortService.createSession(paths.melspecUrl, undefined, 'wakeword', integrity?.melspec),
+    ortService.createSession(paths.embeddingUrl, undefined, 'wakeword', integrity?.embedding),
   ];
   
   const [detector, melspec, embedding] = await Promise.all(sessionPromises);
@@ -125,11 +135,21 @@ export async function loadWakewordResources(
     }
   };
   
-  // 嘗試從模型資源自動偵測維度（如果可能）
-  const dims = await detectWakewordDims(resources, cfg);
+  // 優先使用註冊表宣告的維度，否則嘗試從模型資源自動偵測
+  const dims = customPaths?.dims ?? await detectWakewordDims(resources, cfg);
 
   // 更新為檢測到的實際維度（或保留配置的預設值）
   resources.dims = dims;
+
+  // 如果啟用 Web Worker，在 Worker 中註冊完整三階段管線
+  if (cfg.onnx.useWebWorker && ortService.hasWorker()) {
+    try {
+      await ortService.registerWakewordInWorker(wakewordName, paths, dims, integrity);
+      resources.workerModel = wakewordName;
+    } catch (error) {
+      console.warn(`[Wakeword] Failed to register ${wakewordName} in worker, using main thread:`, error);
+    }
+  }
   
   return resources;
 }
@@ -415,6 +435,24 @@ export function createWakewordState(
   return {
     melBuffer: [],           // 梅爾頻譜幀緩衝區（每幀 32 維）
     embeddingBuffer,         // 嵌入向量緩衝區
+    streamId: `wakeword-${++wakewordStreamCounter}`
+  };
+}
+
+/**
+ * 以 Worker 回傳的緩衝區建立新的喚醒詞狀態
+ *
+ * @description 緩衝區以 Worker 中的串流為準，主執行緒保留一份副本讓狀態隨之前進，
+ * Worker 推理失敗改用主執行緒時可從目前的緩衝區接續
+ */
+function toWorkerState(
+  prevState: WakewordState,
+  buffers?: { melBuffer: Float32Array[]; embeddingBuffer?: Float32Array[] }
+): WakewordState {
+  return {
+    melBuffer: buffers?.melBuffer ?? prevState.melBuffer,
+    embeddingBuffer: buffers?.embeddingBuffer ?? prevState.embeddingBuffer,
+    streamId: prevState.streamId
   };
 }
 
@@ -447,6 +485,59 @@ export async function processWakewordChunk(
   const cfg = config || new ConfigManager();
   
   try {
+
+  // 已在 Worker 中註冊時，三階段管線與緩衝區都在 Worker 中處理
+  if (resources.workerModel && !resources.template && ortService.isWakewordRegisteredInWorker(resources.workerModel)) {
+    try {
+      const name = resources.workerModel;
+      const response = await ortService.runInferenceInWorker(
+        'wakeword',
+        name,
+        '', // 模型已在註冊時載入，不需要路徑
+        audio,
+        {
+          streamId: prevState.streamId,
+          words: [name],
+          wakewordParams: {
+            [name]: {
+              threshold: params.threshold,
+              melFramesPerChunk: params.melFramesPerChunk ?? cfg.wakeword.common.melFramesPerChunk,
+              requiredMelFrames: params.requiredMelFrames ?? cfg.wakeword.common.requiredMelFrames,
+              melStride: params.melStride ?? cfg.wakeword.common.melStride
+            }
+          }
+        }
+      );
+
+      if (!response || !response.result || response.error) {
+        throw new Error(`Worker inference failed: ${response?.error || 'Invalid result'}`);
+      }
+
+      const score: number = response.result.scores[name] ?? 0;
+      const triggered = score > params.threshold;
+
+      if (triggered) {
+        wakewordEvents.dispatchEvent(new CustomEvent('wakeword-detected', {
+          detail: {
+            word: name,
+            score,
+            timestamp: Date.now()
+          }
+        }));
+      }
+
+      return { score, triggered, state: toWorkerState(prevState, response.result.buffers?.[name]) };
+    } catch (error) {
+      console.warn('[Wakeword] Worker inference failed, falling back to main thread:', error);
+      wakewordEvents.dispatchEvent(new CustomEvent('processing-error', {
+        detail: {
+          error: error as Error,
+          context: 'worker-inference'
+        }
+      }));
+      // 如果 Worker 失敗，繼續使用主執行緒
+    }
+  }
   
   // 檢查是否為單一 session 的 raw-audio 模型（罕見情況）
   const singleSessionAllStages = 
@@ -499,112 +590,23 @@ export async function processWakewordChunk(
 
   // 深拷貝狀態以避免 ONNX Runtime 記憶體重用問題
   // melBuffer 需要深拷貝每個 Float32Array
-  const melBuffer = prevState.melBuffer.map(frame => new Float32Array(frame));
+  const melBuffer: Float32Array[] = prevState.melBuffer.map(frame => new Float32Array(frame));
   // embeddingBuffer 也需要深拷貝每個 Float32Array
-  let embeddingBuffer = prevState.embeddingBuffer.map(embedding => new Float32Array(embedding));
+  let embeddingBuffer: Float32Array[] = prevState.embeddingBuffer.map(embedding => new Float32Array(embedding));
   let score = 0;
   
   // 階段 1：音訊 → 梅爾頻譜圖（32 頻段 x 5 幀）
-  const audioTensor = createTensor('float32', audio, [1, audio.length]);
-  const melOut = await resources.melspec.run({
-    [resources.melspec.inputNames[0]]: audioTensor
-  });
-  
-  const melData = (melOut[resources.melspec.outputNames[0]] as Tensor).data as Float32Array;
-  
-  // 縮放梅爾特徵：(x/10) + 2
-  const scaledMel = new Float32Array(melData.length);
-  for (let j = 0; j < melData.length; j++) {
-    scaledMel[j] = (melData[j] / 10.0) + 2.0;
-  }
-  
-  // 將 5 個幀添加到緩衝區（每個幀為 32 維）
-  const melDim = 32;
-  for (let j = 0; j < melFramesPerChunk; j++) {
-    // 使用深拷貝避免視圖重用問題
-    const frame = new Float32Array(scaledMel.slice(j * melDim, (j + 1) * melDim));
-    melBuffer.push(frame);
-  }
+  melBuffer.push(...await computeMelFrames(resources.melspec, audio, melFramesPerChunk));
   
   // 階段 2 & 3：如果幀數足夠，計算嵌入向量並進行檢測
   if (melBuffer.length >= requiredMelFrames) {
-    // 取前 76 個幀進行嵌入計算
-    const windowFrames = melBuffer.slice(0, requiredMelFrames);
-    
-    // 為嵌入模型展平梅爾幀
-    const flatMel = new Float32Array(requiredMelFrames * melDim);
-    for (let i = 0; i < windowFrames.length; i++) {
-      const offset = i * melDim;
-      const frame = windowFrames[i];
-      
-      // 檢查邊界
-      if (offset + frame.length > flatMel.length) {
-        console.error('[processWakewordChunk] Mel offset out of bounds:', {
-          offset,
-          frameLength: frame.length,
-          flatMelLength: flatMel.length,
-          frameIndex: i,
-          requiredMelFrames,
-          melDim,
-          windowFramesLength: windowFrames.length
-        });
-        throw new Error('mel offset is out of bounds');
-      }
-      
-      flatMel.set(frame, offset);
-    }
-    
-    // 創建形狀為 [1, 76, 32, 1] 的張量
-    const melTensor = createTensor('float32', flatMel, [1, requiredMelFrames, melDim, 1]);
-    
-    // 執行嵌入模型
-    const embOut = await resources.embedding.run({
-      [resources.embedding.inputNames[0]]: melTensor
-    });
-    
-    const newEmbedding = (embOut[resources.embedding.outputNames[0]] as Tensor).data as Float32Array;
+    const newEmbedding = await computeEmbedding(resources.embedding, melBuffer, requiredMelFrames);
     
     // 更新嵌入緩衝區（滑動窗口）
     embeddingBuffer = embeddingBuffer.slice(1);
-    embeddingBuffer.push(new Float32Array(newEmbedding));
+    embeddingBuffer.push(newEmbedding);
     
-    // 為檢測器展平嵌入向量
-    const flatEmb = new Float32Array(
-      resources.dims.embeddingBufferSize * resources.dims.embeddingDimension
-    );
-    for (let i = 0; i < embeddingBuffer.length; i++) {
-      const offset = i * resources.dims.embeddingDimension;
-      const embedding = embeddingBuffer[i];
-      
-      // 檢查邊界
-      if (offset + embedding.length > flatEmb.length) {
-        console.error('[processWakewordChunk] Offset out of bounds:', {
-          offset,
-          embeddingLength: embedding.length,
-          flatEmbLength: flatEmb.length,
-          bufferIndex: i,
-          embeddingBufferSize: resources.dims.embeddingBufferSize,
-          embeddingDimension: resources.dims.embeddingDimension
-        });
-        throw new Error('offset is out of bounds');
-      }
-      
-      flatEmb.set(embedding, offset);
-    }
-    
-    // 為檢測器創建張量
-    const finalTensor = createTensor(
-      'float32', 
-      flatEmb, 
-      [1, resources.dims.embeddingBufferSize, resources.dims.embeddingDimension]
-    );
-    
-    // 執行檢測器模型
-    const detOut = await resources.detector.run({
-      [resources.detector.inputNames[0]]: finalTensor
-    });
-    
-    score = (detOut[resources.detector.outputNames[0]] as Tensor).data[0] as number;
+    score = await scoreEmbeddings(resources, embeddingBuffer);
     
     // 調試輸出
     if (score > 0.05 || Math.random() < 0.01) {  // 偶爾輸出或當分數較高時
@@ -634,7 +636,8 @@ export async function processWakewordChunk(
   // 返回檢測結果與更新的狀態
   const state: WakewordState = { 
     melBuffer, 
-    embeddingBuffer 
+    embeddingBuffer,
+    streamId: prevState.streamId
   };
   
   return { 
@@ -655,6 +658,337 @@ export async function processWakewordChunk(
   }
 }
 
+/**
+ * 以共用特徵處理多個喚醒詞的音訊塊
+ *
+ * @description 依梅爾頻譜與嵌入模型會話將檢測器分組，每組每個音訊塊只執行一次
+ * 梅爾頻譜圖與嵌入模型，再將同一個嵌入向量送入組內每個檢測器（或少樣本模板）。
+ * 同組檢測器須同步處理相同的音訊，組內共用第一個檢測器的梅爾緩衝區與梅爾幀參數。
+ * 已在 Worker 中註冊的喚醒詞以單一請求在 Worker 中處理
+ * @param detectors - 要檢測的喚醒詞
+ * @param prevStates - 各喚醒詞的前一個狀態（缺少時建立初始狀態）
+ * @param audio - 音訊塊（Float32Array）- 應為 16kHz 的樣本
+ * @param config - 可選的配置管理器實例
+ * @returns Promise<MultiWakewordResult> - 各喚醒詞的檢測結果、更新狀態與分數
+ * @throws Error - 當處理失敗時拋出錯誤
+ *
+ * @example
+ * ```typescript
+ * const { results, scores } = await processWakewordChunkMulti(
+ *   [
+ *     { name: 'hey_jarvis', resources: jarvis, params: jarvisParams },
+ *     { name: 'alexa', resources: alexa, params: alexaParams }
+ *   ],
+ *   states,
+ *   audioChunk
+ * );
+ * results.forEach((result, word) => states.set(word, result.state));
+ * ```
+ */
+export async function processWakewordChunkMulti(
+  detectors: WakewordDetector[],
+  prevStates: Map<string, WakewordState>,
+  audio: Float32Array,
+  config?: ConfigManager
+): Promise<MultiWakewordResult> {
+  const cfg = config || new ConfigManager();
+  const results = new Map<string, WakewordResult>();
+
+  // 缺少狀態的喚醒詞只建立一次初始狀態，確保 Worker 串流 ID 一致
+  const states = new Map<string, WakewordState>();
+  for (const detector of detectors) {
+    states.set(detector.name, prevStates.get(detector.name) ?? createWakewordState(detector.resources.dims));
+  }
+  const stateOf = (detector: WakewordDetector): WakewordState => states.get(detector.name)!;
+
+  try {
+    const workerDetectors: WakewordDetector[] = [];
+    const localDetectors: WakewordDetector[] = [];
+
+    for (const detector of detectors) {
+      const { resources } = detector;
+      const singleSessionAllStages =
+        resources.melspec === resources.detector &&
+        resources.embedding === resources.detector;
+
+      if (resources.workerModel && !resources.template &&
+          ortService.isWakewordRegisteredInWorker(resources.workerModel)) {
+        workerDetectors.push(detector);
+      } else if (detector.params.isCustomModel && singleSessionAllStages) {
+        // raw-audio 單檔模型沒有可共用的特徵，個別處理
+        results.set(
+          detector.name,
+          await processWakewordChunk(resources, stateOf(detector), audio, detector.params, cfg)
+        );
+      } else {
+        localDetectors.push(detector);
+      }
+    }
+
+    // Worker 依特徵模型路徑共用梅爾頻譜與嵌入計算，所有已註冊的喚醒詞只需一次請求
+    if (workerDetectors.length > 0) {
+      try {
+        const wakewordParams: Record<string, WakewordParams> = {};
+        for (const { resources, params } of workerDetectors) {
+          wakewordParams[resources.workerModel!] = {
+            threshold: params.threshold,
+            melFramesPerChunk: params.melFramesPerChunk ?? cfg.wakeword.common.melFramesPerChunk,
+            requiredMelFrames: params.requiredMelFrames ?? cfg.wakeword.common.requiredMelFrames,
+            melStride: params.melStride ?? cfg.wakeword.common.melStride
+          };
+        }
+
+        const response = await ortService.runInferenceInWorker(
+          'wakeword',
+          'wakeword',
+          '', // 模型已在註冊時載入，不需要路徑
+          audio,
+          {
+            // 同一串流保存所有喚醒詞的緩衝區
+            streamId: stateOf(workerDetectors[0]).streamId,
+            words: Object.keys(wakewordParams),
+            wakewordParams
+          }
+        );
+
+        if (!response || !response.result || response.error) {
+          throw new Error(`Worker inference failed: ${response?.error || 'Invalid result'}`);
+        }
+
+        for (const detector of workerDetectors) {
+          const score: number = response.result.scores[detector.resources.workerModel!] ?? 0;
+          results.set(detector.name, {
+            score,
+            triggered: score > detector.params.threshold,
+            state: toWorkerState(stateOf(detector), response.result.buffers?.[detector.resources.workerModel!])
+          });
+        }
+      } catch (error) {
+        console.warn('[Wakeword] Worker inference failed, falling back to main thread:', error);
+        wakewordEvents.dispatchEvent(new CustomEvent('processing-error', {
+          detail: {
+            error: error as Error,
+            context: 'worker-inference'
+          }
+        }));
+        // 如果 Worker 失敗，繼續使用主執行緒
+        localDetectors.push(...workerDetectors);
+      }
+    }
+
+    // 依梅爾頻譜與嵌入模型會話分組
+    const groups = new Map<InferenceSession, Map<InferenceSession, WakewordDetector[]>>();
+    for (const detector of localDetectors) {
+      const { melspec, embedding } = detector.resources;
+      let byEmbedding = groups.get(melspec);
+      if (!byEmbedding) {
+        byEmbedding = new Map();
+        groups.set(melspec, byEmbedding);
+      }
+      const group = byEmbedding.get(embedding) ?? [];
+      group.push(detector);
+      byEmbedding.set(embedding, group);
+    }
+
+    for (const byEmbedding of groups.values()) {
+      for (const group of byEmbedding.values()) {
+        const [first] = group;
+        const melFramesPerChunk = first.params.melFramesPerChunk ?? cfg.wakeword.common.melFramesPerChunk;
+        const requiredMelFrames = first.params.requiredMelFrames ?? cfg.wakeword.common.requiredMelFrames;
+        const melStride = first.params.melStride ?? cfg.wakeword.common.melStride;
+
+        // 階段 1 & 2：整組只計算一次梅爾頻譜與嵌入向量
+        const melBuffer: Float32Array[] = stateOf(first).melBuffer.map(frame => new Float32Array(frame));
+        melBuffer.push(...await computeMelFrames(first.resources.melspec, audio, melFramesPerChunk));
+
+        let newEmbedding: Float32Array | null = null;
+        if (melBuffer.length >= requiredMelFrames) {
+          newEmbedding = await computeEmbedding(first.resources.embedding, melBuffer, requiredMelFrames);
+          melBuffer.splice(0, melStride);
+        }
+
+        // 階段 3：每個檢測器以各自的嵌入緩衝區評分
+        for (const detector of group) {
+          const prevState = stateOf(detector);
+          let embeddingBuffer: Float32Array[] = prevState.embeddingBuffer.map(embedding => new Float32Array(embedding));
+          let score = 0;
+
+          if (newEmbedding) {
+            embeddingBuffer = embeddingBuffer.slice(1);
+            embeddingBuffer.push(new Float32Array(newEmbedding));
+            score = await scoreEmbeddings(detector.resources, embeddingBuffer);
+          }
+
+          results.set(detector.name, {
+            score,
+            triggered: score > detector.params.threshold,
+            state: {
+              melBuffer: melBuffer.slice(),
+              embeddingBuffer,
+              streamId: prevState.streamId
+            }
+          });
+        }
+      }
+    }
+
+    const scores: Record<string, number> = {};
+    for (const detector of detectors) {
+      const result = results.get(detector.name)!;
+      scores[detector.name] = result.score;
+
+      if (result.triggered) {
+        wakewordEvents.dispatchEvent(new CustomEvent('wakeword-detected', {
+          detail: {
+            word: detector.name,
+            score: result.score,
+            timestamp: Date.now()
+          }
+        }));
+      }
+    }
+
+    return { results, scores };
+  } catch (error) {
+    // 發出處理錯誤事件
+    wakewordEvents.dispatchEvent(new CustomEvent('processing-error', {
+      detail: {
+        error: error as Error,
+        context: 'processWakewordChunkMulti'
+      }
+    }));
+    throw error;
+  }
+}
+
+/**
+ * 階段 1：計算音訊塊的梅爾頻譜幀
+ *
+ * @description 執行梅爾頻譜圖模型並縮放為 (x/10) + 2，回傳 melFramesPerChunk 個 32 維幀
+ */
+async function computeMelFrames(
+  melspec: InferenceSession,
+  audio: Float32Array,
+  melFramesPerChunk: number
+): Promise<Float32Array[]> {
+  const audioTensor = createTensor('float32', audio, [1, audio.length]);
+  const melOut = await melspec.run({
+    [melspec.inputNames[0]]: audioTensor
+  });
+  
+  const melData = (melOut[melspec.outputNames[0]] as Tensor).data as Float32Array;
+  
+  // 縮放梅爾特徵：(x/10) + 2
+  const scaledMel = new Float32Array(melData.length);
+  for (let j = 0; j < melData.length; j++) {
+    scaledMel[j] = (melData[j] / 10.0) + 2.0;
+  }
+  
+  // 將 5 個幀添加到緩衝區（每個幀為 32 維）
+  const frames: Float32Array[] = [];
+  for (let j = 0; j < melFramesPerChunk; j++) {
+    // 使用深拷貝避免視圖重用問題
+    frames.push(new Float32Array(scaledMel.slice(j * MEL_DIM, (j + 1) * MEL_DIM)));
+  }
+  return frames;
+}
+
+/**
+ * 階段 2：以梅爾緩衝區最前面的 requiredMelFrames 個幀計算嵌入向量
+ */
+async function computeEmbedding(
+  embedding: InferenceSession,
+  melBuffer: Float32Array[],
+  requiredMelFrames: number
+): Promise<Float32Array> {
+  // 取前 76 個幀進行嵌入計算
+  const windowFrames = melBuffer.slice(0, requiredMelFrames);
+  
+  // 為嵌入模型展平梅爾幀
+  const flatMel = new Float32Array(requiredMelFrames * MEL_DIM);
+  for (let i = 0; i < windowFrames.length; i++) {
+    const offset = i * MEL_DIM;
+    const frame = windowFrames[i];
+    
+    // 檢查邊界
+    if (offset + frame.length > flatMel.length) {
+      console.error('[processWakewordChunk] Mel offset out of bounds:', {
+        offset,
+        frameLength: frame.length,
+        flatMelLength: flatMel.length,
+        frameIndex: i,
+        requiredMelFrames,
+        melDim: MEL_DIM,
+        windowFramesLength: windowFrames.length
+      });
+      throw new Error('mel offset is out of bounds');
+    }
+    
+    flatMel.set(frame, offset);
+  }
+  
+  // 創建形狀為 [1, 76, 32, 1] 的張量
+  const melTensor = createTensor('float32', flatMel, [1, requiredMelFrames, MEL_DIM, 1]);
+  
+  // 執行嵌入模型
+  const embOut = await embedding.run({
+    [embedding.inputNames[0]]: melTensor
+  });
+  
+  return new Float32Array((embOut[embedding.outputNames[0]] as Tensor).data as Float32Array);
+}
+
+/**
+ * 階段 3：以檢測器模型（或少樣本模板）為嵌入緩衝區評分
+ */
+async function scoreEmbeddings(
+  resources: WakewordResources,
+  embeddingBuffer: Float32Array[]
+): Promise<number> {
+  if (resources.template) {
+    // 少樣本模板：以 DTW 比對取代檢測器模型
+    return scoreWakewordTemplate(resources.template, embeddingBuffer);
+  }
+
+  // 為檢測器展平嵌入向量
+  const flatEmb = new Float32Array(
+    resources.dims.embeddingBufferSize * resources.dims.embeddingDimension
+  );
+  for (let i = 0; i < embeddingBuffer.length; i++) {
+    const offset = i * resources.dims.embeddingDimension;
+    const embedding = embeddingBuffer[i];
+  
+    // 檢查邊界
+    if (offset + embedding.length > flatEmb.length) {
+      console.error('[processWakewordChunk] Offset out of bounds:', {
+        offset,
+        embeddingLength: embedding.length,
+        flatEmbLength: flatEmb.length,
+        bufferIndex: i,
+        embeddingBufferSize: resources.dims.embeddingBufferSize,
+        embeddingDimension: resources.dims.embeddingDimension
+      });
+      throw new Error('offset is out of bounds');
+    }
+  
+    flatEmb.set(embedding, offset);
+  }
+
+  // 為檢測器創建張量
+  const finalTensor = createTensor(
+    'float32', 
+    flatEmb, 
+    [1, resources.dims.embeddingBufferSize, resources.dims.embeddingDimension]
+  );
+
+  // 執行檢測器模型
+  const detOut = await resources.detector.run({
+    [resources.detector.inputNames[0]]: finalTensor
+  });
+
+  return (detOut[resources.detector.outputNames[0]] as Tensor).data[0] as number;
+}
+
 /**
  * 重設喚醒詞狀態
  * 
@@ -678,6 +1012,18 @@ export function resetWakewordState(
   return createWakewordState(dims);
 }
 
+/**
+ * 釋放 Worker 中的喚醒詞串流緩衝區
+ *
+ * @description 捨棄喚醒詞狀態時呼叫（移除喚醒詞、重置或釋放服務），
+ * 否則 Worker 會保留緩衝區直到被串流數上限淘汰
+ * @param streamId - 串流 ID（WakewordState.streamId）
+ * @param words - 只清空這些 Worker 喚醒詞的嵌入緩衝區（可選，保留共用的梅爾緩衝區）
+ */
+export function releaseWakewordStream(streamId: string, words?: string[]): void {
+  ortService.resetStream(streamId, words);
+}
+
 /**
  * 創建預設的喚醒詞參數
  * 
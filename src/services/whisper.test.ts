@@ -0,0 +1,262 @@
+/**
+ * Whisper 核心函數測試（Node.js）
+ *
+ * 以假的 transformers.js 管道與模型取代 Whisper，驗證 'auto' 模式逐視窗偵測語言、
+ * 詞級信心分數對齊、提示詞包裝與取消
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transcribe, AbortError, isAbortError, throwIfAborted } from './whisper';
+import type { WhisperResources } from '../types';
+
+const LANGUAGES: Record<string, { token: string; id: number; text: string }> = {
+  en: { token: '<|en|>', id: 0, text: ' hello' },
+  zh: { token: '<|zh|>', id: 1, text: '你好' }
+};
+
+/**
+ * 建立假資源：音訊樣本值 0.1 視為英語、0.2 視為中文
+ */
+function createResources() {
+  const calls: Array<{ length: number; language?: string }> = [];
+  const languageOf = (audio: Float32Array) => audio[0] > 0.15 ? 'zh' : 'en';
+
+  const model = Object.assign(
+    async ({ input_features }: { input_features: Float32Array }) => {
+      const data = new Float32Array(2);
+      data[LANGUAGES[languageOf(input_features)].id] = 10;
+      return { logits: { dims: [1, 1, 2], data } };
+    },
+    {
+      generation_config: {
+        is_multilingual: true,
+        decoder_start_token_id: 0,
+        lang_to_id: Object.fromEntries(Object.values(LANGUAGES).map(({ token, id }) => [token, id]))
+      }
+    }
+  );
+
+  const pipeline = Object.assign(
+    async (audio: Float32Array, options: { language?: string }) => {
+      calls.push({ length: audio.length, language: options.language });
+      const text = LANGUAGES[options.language!].text;
+      return { text, chunks: [{ text, timestamp: [0, 1] }] };
+    },
+    {
+      model,
+      processor: async (audio: Float32Array) => ({ input_features: audio })
+    }
+  );
+
+  const resources: WhisperResources = { pipeline, modelId: 'fake-whisper' };
+  return { resources, calls };
+}
+
+test("'auto' 模式以各 30 秒視窗偵測到的語言分別轉錄", async () => {
+  const { resources, calls } = createResources();
+  const audio = new Float32Array(16000 * 75);
+  audio.fill(0.1, 0, 16000 * 30);
+  audio.fill(0.2, 16000 * 30);
+
+  const result = await transcribe(resources, audio, { language: 'auto', streaming: false, returnSegments: true });
+
+  // 後兩個視窗皆為中文，合併為一段轉錄
+  assert.deepEqual(calls, [
+    { length: 16000 * 30, language: 'en' },
+    { length: 16000 * 45, language: 'zh' }
+  ]);
+  assert.equal(result.text, 'hello你好');
+  assert.equal(result.language, 'zh');
+  assert.deepEqual(
+    result.segments?.map(({ start, language }) => ({ start, language })),
+    [{ start: 0, language: 'en' }, { start: 30, language: 'zh' }]
+  );
+});
+
+test("'auto' 模式整段同語言時只轉錄一次", async () => {
+  const { resources, calls } = createResources();
+  const audio = new Float32Array(16000 * 45).fill(0.2);
+
+  const result = await transcribe(resources, audio, { language: 'auto', streaming: false });
+
+  assert.deepEqual(calls, [{ length: 16000 * 45, language: 'zh' }]);
+  assert.equal(result.text, '你好');
+});
+
+/**
+ * 建立會呼叫 model.generate 的假資源，用於驗證提示詞
+ */
+function createPromptResources(options: { internals?: boolean } = {}) {
+  const generated: Array<number[] | undefined> = [];
+
+  class FakeWhisperModel {
+    config = { max_target_positions: 448 };
+
+    async generate(args: { decoder_input_ids?: number[] }) {
+      generated.push(args.decoder_input_ids);
+      const ids = [...(args.decoder_input_ids ?? []), 7];
+      return { ids, slice: (_: null, [start]: [number, null]) => ({ ids: ids.slice(start) }) };
+    }
+  }
+
+  const model: any = new FakeWhisperModel();
+  if (options.internals !== false) {
+    model._prepare_generation_config = () => ({});
+    model._retrieve_init_tokens = () => [99];
+  }
+
+  const pipeline = Object.assign(
+    async (audio: Float32Array, pipelineOptions: object) => {
+      const output = await model.generate({ inputs: audio, ...pipelineOptions });
+      return { text: output.ids.join(',') };
+    },
+    {
+      model,
+      tokenizer: {
+        model: { tokens_to_ids: new Map([['<|startofprev|>', 50]]) },
+        encode: () => [1, 2]
+      }
+    }
+  );
+
+  const resources: WhisperResources = { pipeline, modelId: 'fake-whisper' };
+  return { resources, model, generated };
+}
+
+test('提示詞只在該次轉錄期間包裝 generate', async () => {
+  const { resources, model, generated } = createPromptResources();
+
+  const result = await transcribe(resources, new Float32Array(16000), { streaming: false, initialPrompt: 'WebASRCore' });
+
+  // 提示詞與起始 token 作為 decoder_input_ids，輸出移除提示詞部分
+  assert.deepEqual(generated, [[50, 1, 2, 99]]);
+  assert.equal(result.text, '99,7');
+  assert.equal(Object.hasOwn(model, 'generate'), false);
+
+  // 沒有提示詞的轉錄使用原本的 generate
+  await transcribe(resources, new Float32Array(16000), { streaming: false });
+  assert.equal(generated.length, 2);
+  assert.equal(generated[1], undefined);
+});
+
+test('transformers.js 缺少內部方法時警告一次並改以不帶提示詞的方式轉錄', async t => {
+  const { resources, model, generated } = createPromptResources({ internals: false });
+  const warn = t.mock.method(console, 'warn', () => {});
+  const generate = t.mock.method(model, 'generate');
+
+  const result = await transcribe(resources, new Float32Array(16000), { streaming: false, hotwords: ['Silero'] });
+  await transcribe(resources, new Float32Array(16000), { streaming: false, initialPrompt: 'WebASRCore' });
+
+  assert.equal(result.text, '7');
+  assert.deepEqual(generated, [undefined, undefined]);
+  assert.ok(generate.mock.calls.every(call => !('prompt_ids' in (call.arguments[0] as object))));
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(String(warn.mock.calls[0].arguments[0]), /_retrieve_init_tokens/);
+});
+
+test('詞級時間戳以 token 機率平均值作為詞的信心分數，並依句末標點分段', async () => {
+  const vocab = [' Hello', ' world', '.', ' Bye'];
+  const EOS = 9;
+  // 被選中 token 的 logit；其他 3 個 token 為 0，機率分別為 0.75、0.25、0.75、0.75
+  const chosen = [Math.log(9), 0, Math.log(9), Math.log(9)];
+
+  const pipeline = Object.assign(
+    async (_audio: Float32Array, options: { return_timestamps?: unknown; logits_processor?: Function[] }) => {
+      assert.equal(options.return_timestamps, 'word');
+      const [processor] = options.logits_processor!;
+
+      // 模擬逐步解碼：每一步先呼叫處理器，再選出下一個 token
+      const ids: bigint[] = [50n];
+      for (const [step, token] of [0, 1, 2, 3, EOS].entries()) {
+        const data = new Float32Array(vocab.length);
+        if (step < chosen.length) data[step] = chosen[step];
+        processor([ids.slice()], { dims: [1, vocab.length], data });
+        ids.push(BigInt(token));
+      }
+
+      return {
+        text: ' Hello world. Bye',
+        chunks: [
+          { text: ' Hello', timestamp: [0, 0.5] },
+          { text: ' world.', timestamp: [0.5, 1] },
+          { text: ' Bye', timestamp: [1, 1.5] }
+        ]
+      };
+    },
+    {
+      tokenizer: {
+        decode: (ids: number[]) => ids.map(id => vocab[id] ?? '').join('')
+      }
+    }
+  );
+
+  const resources: WhisperResources = { pipeline, modelId: 'fake-whisper' };
+  const result = await transcribe(resources, new Float32Array(16000), { wordTimestamps: true, returnSegments: true });
+
+  const probabilities = result.words!.map(word => word.probability!);
+  // ' world.' 由 ' world' 與 '.' 兩個 token 組成
+  [0.75, 0.5, 0.75].forEach((expected, i) => {
+    assert.ok(Math.abs(probabilities[i] - expected) < 1e-6, `word ${i}: ${probabilities[i]}`);
+  });
+  assert.deepEqual(result.segments, [
+    { text: ' Hello world.', start: 0, end: 1 },
+    { text: ' Bye', start: 1, end: 1.5 }
+  ]);
+});
+
+test('throwIfAborted 只在訊號已取消時拋出 AbortError，isAbortError 以 name 判斷', () => {
+  throwIfAborted(undefined);
+  throwIfAborted(new AbortController().signal);
+  assert.throws(() => throwIfAborted(AbortSignal.abort()), AbortError);
+
+  // DOMException 與 Worker 傳回的錯誤只保留 name
+  assert.equal(isAbortError(AbortSignal.abort().reason), true);
+  assert.equal(isAbortError(Object.assign(new Error('cancelled'), { name: 'AbortError' })), true);
+  assert.equal(isAbortError(new Error('failed')), false);
+  assert.equal(isAbortError('AbortError'), false);
+});
+
+test('signal 在解碼步驟之間中止生成，並保留呼叫端的停止條件', async () => {
+  const controller = new AbortController();
+  const steps: number[] = [];
+  const checked: number[] = [];
+
+  // 假管道模擬 generate：每生成一個 token 呼叫所有停止條件
+  const pipeline = async (_audio: Float32Array, options: { stopping_criteria: Array<(ids: number[][]) => boolean[]> }) => {
+    for (let step = 0; step < 5; step++) {
+      steps.push(step);
+      if (step === 1) controller.abort();
+      options.stopping_criteria.forEach(criterion => criterion([[step]]));
+    }
+    return { text: ' done' };
+  };
+
+  await assert.rejects(
+    transcribe({ pipeline, modelId: 'fake-whisper' }, new Float32Array(16000), {
+      streaming: false,
+      signal: controller.signal,
+      stopping_criteria: [(ids: number[][]) => {
+        checked.push(ids[0][0]);
+        return [false];
+      }]
+    }),
+    AbortError
+  );
+  assert.deepEqual(steps, [0, 1]);
+  assert.deepEqual(checked, [0, 1]);
+});
+
+test('signal 已取消時不呼叫管道', async () => {
+  let called = false;
+  const pipeline = async () => {
+    called = true;
+    return { text: '' };
+  };
+
+  await assert.rejects(
+    transcribe({ pipeline, modelId: 'fake-whisper' }, new Float32Array(16000), { streaming: false, signal: AbortSignal.abort() }),
+    AbortError
+  );
+  assert.equal(called, false);
+});
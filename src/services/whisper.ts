@@ -8,8 +8,21 @@
  * @author WebASRCore Team
  */
 
-import type { WhisperResources, WhisperOptions, WhisperResult, WhisperLoadOptions } from '../types';
+import type {
+  WhisperResources,
+  WhisperOptions,
+  WhisperResult,
+  WhisperWord,
+  WhisperLoadOptions,
+  WhisperLanguageProbability,
+  WhisperLanguageDetectionOptions,
+  WhisperLongFormOptions,
+  WhisperLongFormChunk,
+  WhisperLongFormPart
+} from '../types';
 import { ConfigManager } from '../utils/config-manager';
+import { isNodeRuntime } from '../runtime/environment';
+import { tokenizeForAgreement, joinTranscripts } from '../utils/tokenize';
 
 /**
  * Whisper 事件發射器
@@ -18,10 +31,68 @@ import { ConfigManager } from '../utils/config-manager';
  * 事件類型：
  * - 'transcription-start': 轉錄開始 { timestamp: number }
  * - 'transcription-complete': 轉錄完成 { text: string, duration: number }
+ * - 'transcription-cancelled': 轉錄被取消 { duration: number, timestamp: number }
+ * - 'language-detected': 'auto' 模式偵測到語言 { language: string, probability: number, timestamp: number }
  * - 'processing-error': 處理錯誤 { error: Error, context: string }
  */
 export const whisperEvents = new EventTarget();
 
+/**
+ * 轉錄被取消時拋出的錯誤
+ *
+ * @example
+ * ```typescript
+ * const controller = new AbortController();
+ * cancelButton.onclick = () => controller.abort();
+ *
+ * try {
+ *   await transcribe(resources, audio, { signal: controller.signal });
+ * } catch (error) {
+ *   if (error instanceof AbortError) {
+ *     console.log('已取消');
+ *   }
+ * }
+ * ```
+ */
+export class AbortError extends Error {
+  constructor(message = 'Transcription cancelled') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * 是否為取消錯誤
+ *
+ * @description 除了 AbortError 實例，也涵蓋 DOMException 與 Worker 傳回、以 name 標記的錯誤
+ */
+export function isAbortError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'AbortError';
+}
+
+/**
+ * 訊號已取消時拋出 AbortError
+ */
+export function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw new AbortError();
+  }
+}
+
+/**
+ * 預設的 transformers.js WASM 檔案對映（相對於頁面位址）
+ *
+ * @description 在 Worker 中相對路徑會以 Worker 腳本位置為基準，
+ * Worker 會先將這些路徑解析為絕對 URL 再傳入 wasmPaths
+ */
+export const DEFAULT_WHISPER_WASM_PATHS: Readonly<Record<string, string>> = {
+  'ort-wasm-simd-threaded.jsep.mjs':  './public/ort/ort-wasm-simd-threaded.jsep.mjs',
+  'ort-wasm-simd-threaded.jsep.wasm': './public/ort/ort-wasm-simd-threaded.jsep.wasm',
+  'ort-wasm.wasm':                    './public/ort/ort-wasm-simd-threaded.jsep.wasm',
+  'ort-wasm-simd.wasm':               './public/ort/ort-wasm-simd-threaded.jsep.wasm',
+  'ort-wasm-simd-threaded.wasm':      './public/ort/ort-wasm-simd-threaded.wasm'
+};
+
 /**
  * 使用 transformers.js 載入 Whisper 模型資源
  * 
@@ -103,15 +174,9 @@ export async function loadWhisperResources(
     // 設置 WASM 路徑 - 支援字串路徑或物件對映
     if (wasmPaths) {
       env.backends.onnx.wasm.wasmPaths = wasmPaths;
-    } else {
+    } else if (!isNodeRuntime()) {
       // 預設使用物件對映方式，優先使用本地檔案
-      env.backends.onnx.wasm.wasmPaths = {
-        'ort-wasm-simd-threaded.jsep.mjs':  './public/ort/ort-wasm-simd-threaded.jsep.mjs',
-        'ort-wasm-simd-threaded.jsep.wasm': './public/ort/ort-wasm-simd-threaded.jsep.wasm',
-        'ort-wasm.wasm':                    './public/ort/ort-wasm-simd-threaded.jsep.wasm',
-        'ort-wasm-simd.wasm':               './public/ort/ort-wasm-simd-threaded.jsep.wasm',
-        'ort-wasm-simd-threaded.wasm':      './public/ort/ort-wasm-simd-threaded.wasm'
-      };
+      env.backends.onnx.wasm.wasmPaths = { ...DEFAULT_WHISPER_WASM_PATHS };
     }
     
     // 創建自動語音辨識管道
@@ -122,7 +187,7 @@ export async function loadWhisperResources(
       {
         quantized: opts?.quantized ?? cfg.whisper.quantized,
         // WebGPU 加速設定
-        device: opts?.device ?? cfg.whisper.device ?? 'wasm',
+        device: resolveWhisperDevice(opts?.device ?? cfg.whisper.device ?? 'wasm'),
         dtype: opts?.dtype ?? cfg.whisper.dtype ?? 'q8',
         // 添加進度回調（如果提供）
         ...(opts?.progress_callback && {
@@ -140,14 +205,28 @@ export async function loadWhisperResources(
   }
 }
 
+/**
+ * 解析 transformers.js 的執行裝置
+ *
+ * @description Node.js 中 transformers.js 使用 onnxruntime-node，不支援 'wasm' 與 'webgpu'，
+ * 此時改用原生 CPU
+ */
+function resolveWhisperDevice(device: 'webgpu' | 'wasm' | 'cpu' | 'auto'): string {
+  if (isNodeRuntime() && device !== 'cpu') {
+    return 'cpu';
+  }
+  return device;
+}
+
 /**
  * 使用 Whisper 進行語音轉錄
  * 
  * @description 將音訊資料轉錄為文字，支援多語言和時間戳片段
  * @param resources - Whisper 語音辨識資源（管道）
  * @param audio - 音訊資料，格式為 Float32Array（16kHz 單聲道）
- * @param options - 轉錄選項配置
+ * @param options - 轉錄選項配置（signal 可在解碼步驟之間取消轉錄）
  * @returns Promise<WhisperResult> - 轉錄結果，包含文字和可選的時間戳片段
+ * @throws AbortError - 當 signal 被取消時拋出
  * @throws Error - 當轉錄失敗時拋出錯誤
  * 
  * @example
@@ -166,28 +245,62 @@ export async function loadWhisperResources(
 export async function transcribe(
   resources: WhisperResources,
   audio: Float32Array,
-  options?: WhisperOptions
+  transcribeOptions?: WhisperOptions
 ): Promise<WhisperResult> {
   const startTime = Date.now();
   const config = new ConfigManager();
+  const { signal, ...rest } = transcribeOptions ?? {};
+  const options: WhisperOptions | undefined = signal ? withAbortCriterion(rest, signal) : transcribeOptions;
 
   try {
+    throwIfAborted(signal);
+
     // 發出轉錄開始事件
     whisperEvents.dispatchEvent(new CustomEvent('transcription-start', {
       detail: { timestamp: startTime }
     }));
 
-    // 決定是否使用串流模式
-    const useStreaming = options?.streaming ?? config.whisper.streaming.enabled;
+    const decode = (input: Float32Array, decodeOptions?: WhisperOptions): Promise<WhisperResult> => {
+      // 提示詞與熱詞編碼為 prompt_ids
+      const runOptions = withPromptIds(resources, decodeOptions);
 
-    if (useStreaming) {
-      // 串流模式
-      return await transcribeWithStreaming(resources, audio, options, config, startTime);
-    } else {
-      // 一次性轉錄模式（原有邏輯）
-      return await transcribeOneShot(resources, audio, options, startTime);
+      // 決定是否使用串流模式（詞級時間戳需要一次性轉錄）
+      const useStreaming = !runOptions?.wordTimestamps && (runOptions?.streaming ?? config.whisper.streaming.enabled);
+
+      return withPromptIdsSupport(resources.pipeline, runOptions, effectiveOptions => useStreaming
+        // 串流模式
+        ? transcribeWithStreaming(resources, input, effectiveOptions, config, startTime)
+        // 一次性轉錄模式（原有邏輯）
+        : transcribeOneShot(resources, input, effectiveOptions, startTime));
+    };
+
+    if (options?.language !== 'auto') {
+      return await decode(audio, options);
+    }
+
+    // 'auto' 模式：逐 30 秒視窗偵測語言，連續同語言的視窗以該語言一起轉錄
+    const detection = await detectAutoLanguage(resources, audio, options.languageCandidates, config.audio.sampleRate, signal);
+    if (!detection.multilingual) {
+      return tagLanguage(await decode(audio, { ...options, language: undefined }), detection);
+    }
+
+    const parts: Array<{ result: WhisperResult; start: number }> = [];
+    for (const run of groupLanguageRuns(detection.windows)) {
+      throwIfAborted(signal);
+      const input = audio.subarray(Math.round(run.start * config.audio.sampleRate), Math.round(run.end * config.audio.sampleRate));
+      parts.push({ result: await decode(input, { ...options, language: run.language }), start: run.start });
     }
+
+    return tagLanguage(parts.length === 1 ? parts[0].result : concatLanguageRuns(parts), detection);
   } catch (error) {
+    // 取消不視為處理錯誤，以 AbortError 原樣拒絕
+    if (signal?.aborted || isAbortError(error)) {
+      whisperEvents.dispatchEvent(new CustomEvent('transcription-cancelled', {
+        detail: { duration: Date.now() - startTime, timestamp: Date.now() }
+      }));
+      throw error instanceof AbortError ? error : new AbortError();
+    }
+
     // 發出處理錯誤事件
     whisperEvents.dispatchEvent(new CustomEvent('processing-error', {
       detail: {
@@ -199,6 +312,373 @@ export async function transcribe(
   }
 }
 
+/** Whisper 單一解碼視窗長度（秒） */
+const WHISPER_WINDOW_SECONDS = 30;
+
+/**
+ * 偵測音訊的語言
+ *
+ * @description 以 Whisper 在 <|startoftranscript|> 之後預測語言 token 的機率作為語言分佈，
+ * 只需一次編碼器與一個解碼步驟。Whisper 只看音訊的前 30 秒；
+ * 僅英語模型沒有語言 token，固定傳回英語
+ * @param resources - Whisper 語音辨識資源
+ * @param audio - 16kHz 音訊資料
+ * @param options - 偵測選項
+ * @returns Promise<WhisperLanguageProbability[]> - 依機率由高到低排序的語言分佈
+ * @throws AbortError - 當 signal 被取消時拋出
+ *
+ * @example
+ * ```typescript
+ * const languages = await detectLanguage(resources, audioData, { candidates: ['zh', 'en'] });
+ * console.log(languages[0]); // { language: 'zh', probability: 0.93 }
+ * ```
+ */
+export async function detectLanguage(
+  resources: WhisperResources,
+  audio: Float32Array,
+  options: WhisperLanguageDetectionOptions = {}
+): Promise<WhisperLanguageProbability[]> {
+  throwIfAborted(options.signal);
+
+  const { processor, model } = resources.pipeline;
+  const generationConfig = model.generation_config ?? {};
+  const langToId: Record<string, number> | undefined = generationConfig.lang_to_id;
+
+  if (!isMultilingual(resources)) {
+    return [{ language: 'en', probability: 1 }];
+  }
+
+  const sampleRate = processor.feature_extractor?.config?.sampling_rate ?? 16000;
+  const { input_features } = await processor(audio.subarray(0, WHISPER_WINDOW_SECONDS * sampleRate));
+  const { Tensor } = await importTransformers();
+  const decoderInputIds = new Tensor(
+    'int64',
+    BigInt64Array.of(BigInt(generationConfig.decoder_start_token_id)),
+    [1, 1]
+  );
+
+  const { logits } = await model({ input_features, decoder_input_ids: decoderInputIds });
+  throwIfAborted(options.signal);
+
+  // 取最後一個位置的 logits，只保留（候選）語言 token
+  const vocabSize = logits.dims[logits.dims.length - 1];
+  const scores = (logits.data as Float32Array).subarray(logits.data.length - vocabSize);
+  const entries = Object.entries(langToId!)
+    .map(([token, id]) => ({ language: token.slice(2, -2), logit: scores[id] }))
+    .filter(entry => !options.candidates || options.candidates.includes(entry.language));
+
+  if (entries.length === 0) {
+    throw new Error(`模型不支援任何候選語言: ${options.candidates?.join(', ')}`);
+  }
+
+  const max = Math.max(...entries.map(entry => entry.logit));
+  const weights = entries.map(entry => Math.exp(entry.logit - max));
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+
+  const ranked = entries
+    .map((entry, i) => ({ language: entry.language, probability: weights[i] / sum }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return options.topK ? ranked.slice(0, options.topK) : ranked;
+}
+
+/**
+ * 'auto' 模式的語言偵測結果
+ * @private
+ */
+interface AutoLanguageDetection {
+  /** 整段音訊的語言（各視窗機率依長度加權後最高者） */
+  language: string;
+  probability: number;
+  /** 模型是否支援指定語言（僅英語模型不可傳入 language） */
+  multilingual: boolean;
+  /** 每個 30 秒視窗的偵測結果（秒） */
+  windows: Array<{ start: number; end: number; language: string; probability: number }>;
+}
+
+/**
+ * 逐 30 秒視窗偵測語言並合併為整段音訊的語言
+ * @private
+ */
+async function detectAutoLanguage(
+  resources: WhisperResources,
+  audio: Float32Array,
+  candidates: string[] | undefined,
+  sampleRate: number,
+  signal?: AbortSignal
+): Promise<AutoLanguageDetection> {
+  const windowSize = WHISPER_WINDOW_SECONDS * sampleRate;
+  const count = Math.max(1, Math.ceil(audio.length / windowSize));
+  const totals = new Map<string, number>();
+  const windows: AutoLanguageDetection['windows'] = [];
+
+  for (let i = 0; i < count; i++) {
+    const window = audio.subarray(i * windowSize, (i + 1) * windowSize);
+    const ranked = await detectLanguage(resources, window, { candidates, signal });
+    const weight = audio.length > 0 ? window.length / audio.length : 1;
+
+    for (const { language, probability } of ranked) {
+      totals.set(language, (totals.get(language) ?? 0) + probability * weight);
+    }
+    windows.push({
+      start: i * WHISPER_WINDOW_SECONDS,
+      end: (i * windowSize + window.length) / sampleRate,
+      language: ranked[0].language,
+      probability: ranked[0].probability
+    });
+  }
+
+  const [language, probability] = [...totals].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+  const detection = { language, probability, multilingual: isMultilingual(resources), windows };
+
+  whisperEvents.dispatchEvent(new CustomEvent('language-detected', {
+    detail: { language, probability, timestamp: Date.now() }
+  }));
+
+  return detection;
+}
+
+/**
+ * 將連續同語言的視窗合併為一段（秒）
+ * @private
+ */
+function groupLanguageRuns(windows: AutoLanguageDetection['windows']): Array<{ start: number; end: number; language: string }> {
+  const runs: Array<{ start: number; end: number; language: string }> = [];
+  for (const { start, end, language } of windows) {
+    const last = runs[runs.length - 1];
+    if (last?.language === language) {
+      last.end = end;
+    } else {
+      runs.push({ start, end, language });
+    }
+  }
+  return runs;
+}
+
+/**
+ * 串接各語言段的轉錄結果，片段與詞的時間戳加上該段的起點（秒）
+ * @private
+ */
+function concatLanguageRuns(parts: Array<{ result: WhisperResult; start: number }>): WhisperResult {
+  const shift = <T extends { start: number; end: number }>(items: T[] | undefined, offset: number) =>
+    (items ?? []).map(item => ({ ...item, start: item.start + offset, end: item.end + offset }));
+
+  const result: WhisperResult = {
+    text: joinTranscripts(parts.map(({ result }) => result.text.trim()).filter(Boolean))
+  };
+  if (parts.some(({ result }) => result.segments)) {
+    result.segments = parts.flatMap(({ result, start }) => shift(result.segments, start));
+  }
+  if (parts.some(({ result }) => result.words)) {
+    result.words = parts.flatMap(({ result, start }) => shift(result.words, start));
+  }
+  return result;
+}
+
+/**
+ * 以偵測結果標記轉錄結果；片段標記其開始時間所在視窗的語言
+ * @private
+ */
+function tagLanguage(result: WhisperResult, detection: AutoLanguageDetection): WhisperResult {
+  const windowAt = (time: number) =>
+    detection.windows.find(window => time < window.end) ?? detection.windows[detection.windows.length - 1];
+
+  return {
+    ...result,
+    language: detection.language,
+    languageProbability: detection.probability,
+    segments: result.segments?.map(segment => {
+      const window = windowAt(segment.start);
+      return { ...segment, language: window.language, languageProbability: window.probability };
+    })
+  };
+}
+
+/**
+ * 模型是否為多語言模型（具有語言 token）
+ * @private
+ */
+function isMultilingual(resources: WhisperResources): boolean {
+  const generationConfig = resources.pipeline.model?.generation_config;
+  return !!(generationConfig?.is_multilingual && generationConfig.lang_to_id);
+}
+
+/**
+ * 取得 transformers.js 模組（CDN 全域物件或 npm 套件）
+ * @private
+ */
+async function importTransformers(): Promise<any> {
+  if (typeof window !== 'undefined' && (window as any).transformers) {
+    return (window as any).transformers;
+  }
+  return await import('@huggingface/transformers');
+}
+
+/**
+ * 將提示詞編碼為 Whisper 的 prompt_ids
+ *
+ * @description 格式與 Hugging Face 的 WhisperProcessor.get_prompt_ids 相同：
+ * <|startofprev|> 後接提示詞 token。過長的提示詞只保留最後的部分（最多為解碼器長度的一半）
+ * @param resources - Whisper 語音辨識資源
+ * @param text - 提示詞
+ * @returns number[] - 提示詞 token ID
+ * @throws Error - 當 tokenizer 沒有 <|startofprev|> token 時拋出
+ *
+ * @example
+ * ```typescript
+ * const prompt_ids = getPromptIds(resources, 'WebASRCore、OpenWakeWord、Silero VAD');
+ * const result = await transcribe(resources, audioData, { prompt_ids });
+ * ```
+ */
+export function getPromptIds(resources: WhisperResources, text: string): number[] {
+  const { tokenizer, model } = resources.pipeline;
+  const startOfPrev: number | undefined = tokenizer.model?.tokens_to_ids?.get('<|startofprev|>');
+  if (startOfPrev === undefined) {
+    throw new Error('Whisper tokenizer 缺少 <|startofprev|>，無法使用提示詞');
+  }
+
+  const ids: number[] = tokenizer.encode(' ' + text.trim(), { add_special_tokens: false });
+  const maxLength = Math.floor((model?.config?.max_target_positions ?? 448) / 2) - 1;
+  return [startOfPrev, ...ids.slice(-maxLength)];
+}
+
+/**
+ * 將 initialPrompt 與 hotwords 轉為 prompt_ids
+ *
+ * 熱詞放在提示詞最後，截斷過長的提示詞時會優先保留
+ * @private
+ */
+function withPromptIds(resources: WhisperResources, options?: WhisperOptions): WhisperOptions | undefined {
+  if (!options) {
+    return options;
+  }
+
+  const { initialPrompt, hotwords, ...rest } = options;
+  const text = [initialPrompt?.trim(), hotwords?.filter(Boolean).join(', ')].filter(Boolean).join(' ');
+  if (!text && !rest.prompt_ids?.length) {
+    return rest;
+  }
+
+  return { ...rest, prompt_ids: rest.prompt_ids?.length ? rest.prompt_ids : getPromptIds(resources, text) };
+}
+
+/**
+ * 進行中的 prompt_ids 轉錄（模型 → 呼叫數與原本的 generate 屬性）
+ * @private
+ */
+const promptIdsCalls = new WeakMap<object, { count: number; original?: PropertyDescriptor }>();
+
+/**
+ * 已警告過缺少內部方法的模型（每個模型只警告一次）
+ * @private
+ */
+const promptIdsWarned = new WeakSet<object>();
+
+/**
+ * 在帶有 prompt_ids 的轉錄期間讓 transformers.js 的 Whisper generate 支援 prompt_ids
+ *
+ * transformers.js 目前忽略 prompt_ids：這裡改以「提示詞 + 起始 token」作為 decoder_input_ids，
+ * 並從輸出移除提示詞部分，讓管道的文字解碼與時間戳處理維持不變。
+ * 包裝只在有 prompt_ids 的呼叫進行期間存在，最後一個呼叫結束時還原模型；
+ * 期間同時進行、不帶 prompt_ids 的呼叫直接交給原本的 generate。
+ * 依賴 transformers.js 的內部方法；缺少這些方法時發出警告並改以不帶提示詞的方式轉錄
+ * @param run - 以實際使用的選項執行轉錄
+ * @private
+ */
+async function withPromptIdsSupport<T>(
+  pipeline: any,
+  options: WhisperOptions | undefined,
+  run: (options: WhisperOptions | undefined) => Promise<T>
+): Promise<T> {
+  const model = pipeline.model;
+  if (!options?.prompt_ids?.length || !model) {
+    return run(options);
+  }
+  if (typeof model._prepare_generation_config !== 'function' || typeof model._retrieve_init_tokens !== 'function') {
+    if (!promptIdsWarned.has(model)) {
+      promptIdsWarned.add(model);
+      console.warn(
+        '[Whisper] 目前的 transformers.js 版本缺少 _prepare_generation_config / _retrieve_init_tokens，' +
+        '提示詞（initialPrompt、hotwords、prompt_ids）將被忽略；請使用 @huggingface/transformers ~3.7'
+      );
+    }
+    const { prompt_ids, ...unprompted } = options;
+    return run(unprompted);
+  }
+
+  let calls = promptIdsCalls.get(model);
+  if (!calls) {
+    calls = { count: 0, original: Object.getOwnPropertyDescriptor(model, 'generate') };
+    promptIdsCalls.set(model, calls);
+    wrapGenerate(model);
+  }
+  calls.count++;
+
+  try {
+    return await run(options);
+  } finally {
+    if (--calls.count === 0) {
+      promptIdsCalls.delete(model);
+      if (calls.original) {
+        Object.defineProperty(model, 'generate', calls.original);
+      } else {
+        delete model.generate;
+      }
+    }
+  }
+}
+
+/**
+ * 以支援 prompt_ids 的版本覆蓋模型的 generate
+ * @private
+ */
+function wrapGenerate(model: any): void {
+  const generate = model.generate.bind(model);
+  model.generate = async (args: any) => {
+    const promptIds: number[] | undefined = args?.prompt_ids;
+    if (!promptIds?.length || args.decoder_input_ids) {
+      return generate(args);
+    }
+
+    const generationConfig = model._prepare_generation_config(args.generation_config ?? null, args);
+    const output = await generate({
+      ...args,
+      decoder_input_ids: [...promptIds, ...model._retrieve_init_tokens(generationConfig)]
+    });
+
+    // 詞級時間戳模式傳回 { sequences, token_timestamps }，其餘為 token 張量
+    const strip = (tensor: any) => tensor.slice(null, [promptIds.length, null]);
+    if (output?.sequences) {
+      return {
+        ...output,
+        sequences: strip(output.sequences),
+        ...(output.token_timestamps && { token_timestamps: strip(output.token_timestamps) })
+      };
+    }
+    return strip(output);
+  };
+}
+
+/**
+ * 加入在每個解碼步驟檢查取消訊號的停止條件
+ *
+ * 停止條件在每個 token 生成後被呼叫（長音訊的每個分塊各自生成），
+ * 以例外中止生成，避免取消後仍需等待整段解碼完成
+ * @private
+ */
+function withAbortCriterion(options: WhisperOptions, signal: AbortSignal): WhisperOptions {
+  return {
+    ...options,
+    stopping_criteria: [
+      ...(options.stopping_criteria ?? []),
+      (inputIds: unknown[]) => {
+        throwIfAborted(signal);
+        return new Array(inputIds.length).fill(false);
+      }
+    ]
+  };
+}
+
 /**
  * 一次性轉錄（原有邏輯）
  * @private
@@ -224,6 +704,13 @@ async function transcribeOneShot(
     ...options,
   };
 
+  // 詞級時間戳：由 transformers.js 以交叉注意力對齊，並記錄每個 token 的機率
+  const recorder = options?.wordTimestamps ? createTokenProbabilityRecorder() : null;
+  if (recorder) {
+    pipelineOptions.return_timestamps = 'word';
+    pipelineOptions.logits_processor = [recorder.processor];
+  }
+
   // 執行語音辨識管道
   const output = await resources.pipeline(audio, pipelineOptions);
 
@@ -232,8 +719,20 @@ async function transcribeOneShot(
     text: output?.text || '',
   };
 
-  // 如果請求且可用，添加時間戳片段
-  if (options?.returnSegments && output?.chunks) {
+  if (recorder) {
+    // 詞級模式下 chunks 為逐詞結果
+    result.words = (output?.chunks ?? []).map((chunk: any) => ({
+      text: chunk.text || '',
+      start: chunk.timestamp?.[0] ?? 0,
+      end: chunk.timestamp?.[1] ?? 0,
+    }));
+    alignWordProbabilities(resources.pipeline.tokenizer, recorder.sequences, result.words!);
+
+    if (options?.returnSegments) {
+      result.segments = groupWordsIntoSegments(result.words!);
+    }
+  } else if (options?.returnSegments && output?.chunks) {
+    // 如果請求且可用，添加時間戳片段
     result.segments = output.chunks.map((chunk: any) => ({
       text: chunk.text || '',
       start: chunk.timestamp?.[0] ?? 0,
@@ -253,6 +752,140 @@ async function transcribeOneShot(
   return result;
 }
 
+/**
+ * 建立記錄生成 token 機率的 logits 處理器
+ *
+ * 處理器在每個解碼步驟被呼叫時，會以上一步保存的 logits 計算剛被選中 token 的機率。
+ * 保存的是 logits 張量的參考，後續處理器（時間戳、抑制 token）會就地修改它，
+ * 因此計算時使用的是取樣器實際看到的分數。每次 generate 呼叫（長音訊分塊）各自成一個序列
+ * @private
+ */
+function createTokenProbabilityRecorder() {
+  const sequences: Array<Array<{ token: number; probability: number }>> = [];
+  let pending: Float32Array | null = null;
+  let lastLength = Infinity;
+
+  const processor = (inputIds: bigint[][], logits: any) => {
+    const ids = inputIds[0];
+
+    if (ids.length <= lastLength) {
+      // 新的 generate 呼叫
+      sequences.push([]);
+    } else if (pending) {
+      const token = Number(ids[ids.length - 1]);
+      sequences[sequences.length - 1].push({ token, probability: softmaxAt(pending, token) });
+    }
+
+    lastLength = ids.length;
+    const vocabSize = logits.dims[logits.dims.length - 1];
+    pending = (logits.data as Float32Array).subarray(0, vocabSize);
+    return logits;
+  };
+
+  return { processor, sequences };
+}
+
+/**
+ * 計算 logits 中指定索引的 softmax 機率
+ * @private
+ */
+function softmaxAt(logits: Float32Array, index: number): number {
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) {
+    if (logits[i] > max) max = logits[i];
+  }
+
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) {
+    sum += Math.exp(logits[i] - max);
+  }
+
+  return sum > 0 ? Math.exp(logits[index] - max) / sum : 0;
+}
+
+/**
+ * 將 token 機率對齊到詞，詞的信心分數為其 token 機率平均值
+ *
+ * 以逐步解碼的文字長度計算每個 token 在轉錄文字中的位置，
+ * 再依序搜尋每個詞的位置；無法對齊的詞不設定 probability
+ * @private
+ */
+function alignWordProbabilities(
+  tokenizer: any,
+  sequences: Array<Array<{ token: number; probability: number }>>,
+  words: WhisperWord[]
+): void {
+  let stream = '';
+  const spans: Array<{ start: number; end: number; probabilities: number[] }> = [];
+
+  for (const sequence of sequences) {
+    const ids: number[] = [];
+    let decodedLength = 0;
+    const offset = stream.length;
+
+    for (const { token, probability } of sequence) {
+      ids.push(token);
+      const length = tokenizer.decode(ids, { skip_special_tokens: true }).length;
+
+      if (length > decodedLength) {
+        spans.push({ start: offset + decodedLength, end: offset + length, probabilities: [probability] });
+        decodedLength = length;
+      } else if (spans.length > 0 && length > 0) {
+        // 不產生新字元的 token（例如多位元組字元的後半段）併入前一段
+        spans[spans.length - 1].probabilities.push(probability);
+      }
+    }
+
+    stream += tokenizer.decode(ids, { skip_special_tokens: true });
+  }
+
+  let cursor = 0;
+  for (const word of words) {
+    const text = word.text.trim();
+    const index = text ? stream.indexOf(text, cursor) : -1;
+    if (index < 0) continue;
+
+    const end = index + text.length;
+    const probabilities = spans
+      .filter(span => span.start < end && span.end > index)
+      .flatMap(span => span.probabilities);
+
+    if (probabilities.length > 0) {
+      word.probability = probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+    }
+    cursor = end;
+  }
+}
+
+/**
+ * 依句末標點將詞組合成片段
+ * @private
+ */
+function groupWordsIntoSegments(words: WhisperWord[]): NonNullable<WhisperResult['segments']> {
+  const segments: NonNullable<WhisperResult['segments']> = [];
+  let current: WhisperWord[] = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    segments.push({
+      text: current.map(w => w.text).join(''),
+      start: current[0].start,
+      end: current[current.length - 1].end,
+    });
+    current = [];
+  };
+
+  for (const word of words) {
+    current.push(word);
+    if (/[.?!。？！]$/.test(word.text.trim())) {
+      flush();
+    }
+  }
+  flush();
+
+  return segments;
+}
+
 /**
  * 串流轉錄模式
  * @private
@@ -305,6 +938,9 @@ async function transcribeWithStreaming(
 
   // 創建串流器並設定回調
   const streamer = new WhisperTextStreamer(resources.pipeline.tokenizer, {
+    // 有提示詞時，第一次輸出的輸入 token 含提示詞文字，不應顯示
+    skip_prompt: !!options?.prompt_ids?.length,
+
     // 總是執行內部邏輯，然後呼叫使用者的回調
     on_chunk_start: () => {
       currentPartial = '';
@@ -546,6 +1182,380 @@ export async function transcribeChunks(
   return await transcribe(resources, combined, options);
 }
 
+/**
+ * 計算多個假設的共同前綴長度（LocalAgreement）
+ *
+ * @description 比對時忽略大小寫、前後空白與標點，
+ * 只有在所有假設中都一致的前綴詞元才視為已確認
+ * @param hypotheses - 依時間排序的詞元假設
+ * @returns number - 共同前綴的詞元數
+ *
+ * @example
+ * ```typescript
+ * const prev = tokenizeForAgreement('今天天氣');
+ * const curr = tokenizeForAgreement('今天天氣很好');
+ * findAgreedPrefix([prev, curr]); // 4
+ * ```
+ */
+export function findAgreedPrefix(hypotheses: string[][]): number {
+  if (hypotheses.length === 0) return 0;
+
+  const normalize = (token: string) => token.trim().toLowerCase().replace(/[.,!?;:，。！？；：、]/g, '');
+  const minLength = Math.min(...hypotheses.map(h => h.length));
+
+  let agreed = 0;
+  while (agreed < minLength) {
+    const token = normalize(hypotheses[0][agreed]);
+    if (!hypotheses.every(h => normalize(h[agreed]) === token)) break;
+    agreed++;
+  }
+
+  return agreed;
+}
+
+/**
+ * 規劃長音訊的分塊範圍
+ *
+ * @description 提供靜音切點時，分塊在視窗後半段的最後一個切點結束，下一塊從切點開始且不重疊；
+ * 視窗內沒有切點時以固定長度切分，相鄰分塊重疊 overlapSeconds 以便合併時對齊文字
+ * @param length - 音訊樣本數
+ * @param sampleRate - 採樣率
+ * @param options - 長音訊選項
+ * @param config - 可選的配置管理器實例
+ * @returns WhisperLongFormChunk[] - 依時間排序的分塊範圍
+ * @throws Error - 當重疊長度不小於分塊長度時拋出
+ *
+ * @example
+ * ```typescript
+ * // 在 VAD 偵測到的靜音處切分
+ * const chunks = planLongFormChunks(audio.length, 16000, { cutPoints: [12.4, 27.9, 51.2] });
+ * ```
+ */
+export function planLongFormChunks(
+  length: number,
+  sampleRate: number,
+  options: WhisperLongFormOptions = {},
+  config?: ConfigManager
+): WhisperLongFormChunk[] {
+  const cfg = config || new ConfigManager();
+  const chunkSize = Math.round((options.chunkSizeSeconds ?? cfg.whisper.chunking.chunkSizeSeconds) * sampleRate);
+  const overlap = Math.round((options.overlapSeconds ?? cfg.whisper.chunking.overlapSeconds) * sampleRate);
+
+  if (overlap >= chunkSize) {
+    throw new Error('overlapSeconds 必須小於 chunkSizeSeconds');
+  }
+
+  const cuts = (options.cutPoints ?? []).map(time => Math.round(time * sampleRate)).sort((a, b) => a - b);
+  const chunks: WhisperLongFormChunk[] = [];
+
+  let start = 0;
+  while (start < length) {
+    const limit = start + chunkSize;
+    if (limit >= length) {
+      chunks.push({ start, end: length });
+      break;
+    }
+
+    // 只考慮視窗後半段的切點，避免產生過短的分塊
+    const cut = cuts.filter(point => point > start + chunkSize / 2 && point <= limit).pop();
+    if (cut !== undefined) {
+      chunks.push({ start, end: cut });
+      start = cut;
+    } else {
+      chunks.push({ start, end: limit });
+      start = limit - overlap;
+    }
+  }
+
+  return chunks;
+}
+
+/** 對齊重疊文字時，至少需要一致的非標點詞元數 */
+const MIN_ALIGNMENT_TOKENS = 2;
+
+/**
+ * 長音訊合併用的詞元（記錄來源分塊與片段）
+ * @private
+ */
+interface LongFormToken {
+  text: string;
+  part: number;
+  /** 來源片段索引；分塊沒有片段時為 -1 */
+  segment: number;
+}
+
+/**
+ * 合併長音訊各分塊的轉錄結果
+ *
+ * @description 片段與詞的時間戳加上分塊開始時間；重疊的相鄰分塊以詞元對齊去除重複：
+ * 在前一段結尾與下一段開頭找出最長的一致詞元序列，保留前一段到該序列結束，
+ * 下一段從該序列之後接續（分塊邊緣被截斷的詞因此改用下一段完整聽到的版本）。
+ * 詞級結果依時間去重
+ * @param parts - 依時間排序的分塊結果
+ * @returns WhisperResult - 單一的轉錄結果
+ *
+ * @example
+ * ```typescript
+ * const result = mergeLongFormResults([
+ *   { result: first, start: 0, end: 30 },
+ *   { result: second, start: 25, end: 55 }
+ * ]);
+ * ```
+ */
+export function mergeLongFormResults(parts: WhisperLongFormPart[]): WhisperResult {
+  const merger = createLongFormMerger();
+  for (const part of parts) {
+    merger.push(part);
+  }
+  return merger.finish();
+}
+
+/**
+ * 長音訊的增量合併器
+ * @private
+ */
+interface LongFormMerger {
+  /** 加入下一個分塊，傳回目前合併的文字 */
+  push(part: WhisperLongFormPart): string;
+  /** 產生合併後的結果 */
+  finish(): WhisperResult;
+}
+
+/**
+ * 建立長音訊的增量合併器
+ *
+ * @description 分塊只與前一個分塊重疊，因此對齊只會截去前一分塊的結尾；
+ * 更早的詞元與文字在加入時即定案，每次 push 的成本與總長度無關
+ * @private
+ */
+function createLongFormMerger(): LongFormMerger {
+  const parts: WhisperLongFormPart[] = [];
+  // 已定案的詞元與文字
+  const settled: LongFormToken[] = [];
+  let settledText = '';
+  // 前一分塊去重後的詞元，下一分塊對齊時可能截去其結尾
+  let tail: LongFormToken[] = [];
+
+  const textOf = (tokens: LongFormToken[]) => tokens.map(token => token.text).join('').trim();
+
+  return {
+    push(part) {
+      const index = parts.length;
+      const previous = parts[index - 1];
+      const tokens = toLongFormTokens(part.result, index);
+      parts.push(part);
+
+      if (previous && part.start < previous.end && tail.length > 0) {
+        // 只在重疊範圍附近搜尋（依時間比例估計詞元數，保留一倍餘裕）
+        const overlap = previous.end - part.start;
+        const tailWindow = alignmentWindow(tail.length, overlap / (previous.end - previous.start));
+        const headWindow = alignmentWindow(tokens.length, overlap / (part.end - part.start));
+        const tailStart = Math.max(0, tail.length - tailWindow);
+
+        const match = findLongestCommonRun(tail.slice(tailStart), tokens.slice(0, headWindow));
+        if (match) {
+          tail = tail.slice(0, tailStart + match.a + match.length);
+          tokens.splice(0, match.b + match.length);
+        }
+      }
+
+      settled.push(...tail);
+      settledText = joinTranscripts([settledText, textOf(tail)].filter(Boolean));
+      tail = tokens;
+
+      return joinTranscripts([settledText, textOf(tail)].filter(Boolean));
+    },
+
+    finish() {
+      const merged = [...settled, ...tail];
+      const result: WhisperResult = { text: joinTranscripts([settledText, textOf(tail)].filter(Boolean)) };
+
+      if (parts.some(part => part.result.segments)) {
+        let lastEnd = 0;
+        result.segments = groupTokens(merged, token => `${token.part}:${token.segment}`).map(run => {
+          const part = parts[run.first.part];
+          const segment = part.result.segments?.[run.first.segment];
+          const [start, end] = segment ? [segment.start + part.start, segment.end + part.start] : [part.start, part.end];
+          // 被截去開頭的片段從前一段結束處接續，保持時間戳遞增
+          const entry = { ...segment, text: run.text, start: Math.max(start, lastEnd), end: Math.max(end, lastEnd) };
+          lastEnd = entry.end;
+          return entry;
+        });
+      }
+
+      const words = mergeLongFormWords(parts);
+      if (words.length > 0) {
+        result.words = words;
+      }
+
+      // 'auto' 模式：整段語言取涵蓋時間最長的語言
+      const durations = new Map<string, { duration: number; probability: number }>();
+      for (const part of parts) {
+        if (!part.result.language) continue;
+        const entry = durations.get(part.result.language) ?? { duration: 0, probability: 0 };
+        entry.duration += part.end - part.start;
+        entry.probability = Math.max(entry.probability, part.result.languageProbability ?? 0);
+        durations.set(part.result.language, entry);
+      }
+      if (durations.size > 0) {
+        const [language, { probability }] = [...durations].reduce((best, entry) => entry[1].duration > best[1].duration ? entry : best);
+        result.language = language;
+        result.languageProbability = probability;
+      }
+
+      return result;
+    }
+  };
+}
+
+/**
+ * 將分塊結果切分為詞元（有片段時記錄每個詞元所屬的片段）
+ * @private
+ */
+function toLongFormTokens(result: WhisperResult, part: number): LongFormToken[] {
+  if (result.segments && result.segments.length > 0) {
+    return result.segments.flatMap((segment, index) =>
+      tokenizeForAgreement(segment.text).map(text => ({ text, part, segment: index }))
+    );
+  }
+  return tokenizeForAgreement(result.text).map(text => ({ text, part, segment: -1 }));
+}
+
+/**
+ * 估計重疊範圍內的詞元數
+ * @private
+ */
+function alignmentWindow(tokenCount: number, overlapRatio: number): number {
+  return Math.max(MIN_ALIGNMENT_TOKENS * 4, Math.ceil(tokenCount * overlapRatio * 2));
+}
+
+/**
+ * 找出兩段詞元中最長的一致連續序列（忽略大小寫與標點）
+ * @private
+ * @returns 序列在 a 與 b 中的開始位置與長度；非標點詞元少於 MIN_ALIGNMENT_TOKENS 時為 null
+ */
+function findLongestCommonRun(
+  a: LongFormToken[],
+  b: LongFormToken[]
+): { a: number; b: number; length: number } | null {
+  const normalize = (token: LongFormToken) => token.text.trim().toLowerCase().replace(/[.,!?;:，。！？；：、]/g, '');
+  const na = a.map(normalize);
+  const nb = b.map(normalize);
+
+  // lengths[j]：以 a[i-1]、b[j-1] 結尾的一致序列長度；words[j]：其中的非標點詞元數
+  let lengths = new Array<number>(nb.length + 1).fill(0);
+  let words = new Array<number>(nb.length + 1).fill(0);
+  let best: { a: number; b: number; length: number; words: number } | null = null;
+
+  for (let i = 1; i <= na.length; i++) {
+    const nextLengths = new Array<number>(nb.length + 1).fill(0);
+    const nextWords = new Array<number>(nb.length + 1).fill(0);
+
+    for (let j = 1; j <= nb.length; j++) {
+      if (na[i - 1] !== nb[j - 1]) continue;
+
+      nextLengths[j] = lengths[j - 1] + 1;
+      nextWords[j] = words[j - 1] + (na[i - 1] ? 1 : 0);
+      if (nextWords[j] >= MIN_ALIGNMENT_TOKENS && (!best || nextWords[j] > best.words)) {
+        best = { a: i - nextLengths[j], b: j - nextLengths[j], length: nextLengths[j], words: nextWords[j] };
+      }
+    }
+
+    lengths = nextLengths;
+    words = nextWords;
+  }
+
+  return best && { a: best.a, b: best.b, length: best.length };
+}
+
+/**
+ * 將連續且鍵值相同的詞元合併為文字
+ * @private
+ */
+function groupTokens(
+  tokens: LongFormToken[],
+  key: (token: LongFormToken) => string | number
+): Array<{ first: LongFormToken; text: string }> {
+  const runs: Array<{ first: LongFormToken; text: string; key: string | number }> = [];
+
+  for (const token of tokens) {
+    const current = runs[runs.length - 1];
+    if (current && current.key === key(token)) {
+      current.text += token.text;
+    } else {
+      runs.push({ first: token, text: token.text, key: key(token) });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * 換算詞級時間戳並略過與前一段重疊的詞
+ * @private
+ */
+function mergeLongFormWords(parts: WhisperLongFormPart[]): WhisperWord[] {
+  const words: WhisperWord[] = [];
+
+  for (const part of parts) {
+    const lastEnd = words.length > 0 ? words[words.length - 1].end : -Infinity;
+    for (const word of part.result.words ?? []) {
+      const start = word.start + part.start;
+      if (start < lastEnd) continue;
+      words.push({ ...word, start, end: word.end + part.start });
+    }
+  }
+
+  return words;
+}
+
+/**
+ * 長音訊轉錄
+ *
+ * @description 依 planLongFormChunks 切分音訊、逐塊轉錄，並逐塊增量合併為
+ * 時間戳連續且無重複文字的單一結果（與 mergeLongFormResults 相同）；
+ * 每塊完成後以 onChunk 回報進度與目前合併的文字
+ * @param resources - Whisper 語音辨識資源
+ * @param audio - 16kHz 音訊資料
+ * @param options - 轉錄與分塊選項
+ * @param config - 可選的配置管理器實例
+ * @returns Promise<WhisperResult> - 合併後的轉錄結果
+ *
+ * @example
+ * ```typescript
+ * const result = await transcribeLongForm(resources, podcastAudio, {
+ *   language: 'zh',
+ *   overlapSeconds: 5
+ * });
+ * console.log(result.segments);
+ * ```
+ */
+export async function transcribeLongForm(
+  resources: WhisperResources,
+  audio: Float32Array,
+  options: WhisperOptions & WhisperLongFormOptions = {},
+  config?: ConfigManager
+): Promise<WhisperResult> {
+  const cfg = config || new ConfigManager();
+  const { chunkSizeSeconds, overlapSeconds, cutPoints, onChunk, ...whisperOptions } = options;
+  const sampleRate = cfg.audio.sampleRate;
+  const chunks = planLongFormChunks(audio.length, sampleRate, { chunkSizeSeconds, overlapSeconds, cutPoints }, cfg);
+
+  const merger = createLongFormMerger();
+  for (let i = 0; i < chunks.length; i++) {
+    throwIfAborted(whisperOptions.signal);
+    const chunk = chunks[i];
+    const result = await transcribe(resources, audio.subarray(chunk.start, chunk.end), {
+      returnSegments: true,
+      ...whisperOptions
+    });
+    const text = merger.push({ result, start: chunk.start / sampleRate, end: chunk.end / sampleRate });
+    onChunk?.({ completed: i + 1, total: chunks.length, text });
+  }
+
+  return merger.finish();
+}
+
 /**
  * 創建預設的 Whisper 選項
  * 
@@ -0,0 +1,184 @@
+/**
+ * 語音助理狀態機類型定義
+ *
+ * 定義 WebASRCore 協調器使用的有限狀態機（FSM）狀態、觸發事件和轉換表，
+ * 對應 specs/WebASR_SPEC.md §3 的狀態機設計。
+ *
+ * @fileoverview 語音助理狀態機類型定義
+ * @author WebASRCore Team
+ */
+
+import type { AssistantEvents } from './events';
+
+/**
+ * 助理狀態
+ *
+ * @description 語音助理管線可能處於的狀態
+ * - idle：初始/待機狀態
+ * - loading：模型載入中
+ * - requesting_mic：請求麥克風權限
+ * - listening：監聽中（等待喚醒詞）
+ * - waking：喚醒詞觸發，等待使用者開口
+ * - recording：錄音中
+ * - transcribing：語音轉文字處理中
+ * - webspeech：Web Speech API 降級模式
+ * - error：錯誤狀態
+ * - paused：暫停狀態
+ */
+export type AssistantState =
+  | 'idle'
+  | 'loading'
+  | 'requesting_mic'
+  | 'listening'
+  | 'waking'
+  | 'recording'
+  | 'transcribing'
+  | 'webspeech'
+  | 'error'
+  | 'paused';
+
+/**
+ * 狀態轉換觸發事件
+ *
+ * @description 驅動狀態機轉換的觸發名稱。除規格書定義的觸發外，
+ * 額外加入 LOAD / LOADED / LOAD_ERROR（模型載入）與 STOP（任意狀態回到 idle）
+ */
+export type AssistantTrigger =
+  | 'LOAD'
+  | 'LOADED'
+  | 'LOAD_ERROR'
+  | 'START'
+  | 'STOP'
+  | 'RESET'
+  | 'MIC_GRANTED'
+  | 'MIC_DENIED'
+  | 'MIC_REVOKED'
+  | 'WAKE_DETECTED'
+  | 'WAKE_TIMEOUT'
+  | 'VAD_SPEECH'
+  | 'VAD_SILENCE'
+  | 'MAX_DURATION'
+  | 'CANCEL'
+  | 'ASR_DONE'
+  | 'ASR_ERROR'
+  | 'FALLBACK'
+  | 'RECOGNITION_DONE'
+  | 'RECOGNITION_ERROR'
+  | 'PAUSE'
+  | 'RESUME'
+  | 'RETRY'
+  | 'DEGRADED_GPU'
+  | 'ERROR';
+
+/**
+ * 狀態轉換表類型
+ *
+ * @description 每個狀態下允許的觸發及其目標狀態
+ */
+export type AssistantTransitionTable = {
+  [S in AssistantState]: Partial<Record<AssistantTrigger, AssistantState>>;
+};
+
+/**
+ * 預設狀態轉換表
+ *
+ * @description 依照規格書 §3 定義的狀態轉換，未列出的觸發在該狀態下一律被拒絕。
+ * recording 與 transcribing 額外接受 ERROR，讓錄音或轉錄期間的音訊管線錯誤也能進入 error 狀態；
+ * loading 接受 STOP，停止時放棄進行中的模型載入
+ * @constant
+ */
+export const ASSISTANT_TRANSITIONS: AssistantTransitionTable = {
+  idle: {
+    LOAD: 'loading',
+    START: 'requesting_mic',
+    RESET: 'idle'
+  },
+  loading: {
+    LOADED: 'idle',
+    LOAD_ERROR: 'error',
+    STOP: 'idle'
+  },
+  requesting_mic: {
+    MIC_GRANTED: 'listening',
+    MIC_DENIED: 'error',
+    MIC_REVOKED: 'requesting_mic',
+    STOP: 'idle'
+  },
+  listening: {
+    WAKE_DETECTED: 'waking',
+    PAUSE: 'paused',
+    ERROR: 'error',
+    STOP: 'idle'
+  },
+  waking: {
+    VAD_SPEECH: 'recording',
+    WAKE_TIMEOUT: 'listening',
+    ERROR: 'error',
+    STOP: 'idle'
+  },
+  recording: {
+    VAD_SILENCE: 'transcribing',
+    MAX_DURATION: 'transcribing',
+    CANCEL: 'listening',
+    ERROR: 'error',
+    STOP: 'idle'
+  },
+  transcribing: {
+    ASR_DONE: 'listening',
+    ASR_ERROR: 'error',
+    FALLBACK: 'webspeech',
+    ERROR: 'error',
+    STOP: 'idle'
+  },
+  webspeech: {
+    RECOGNITION_DONE: 'listening',
+    RECOGNITION_ERROR: 'error',
+    CANCEL: 'listening',
+    STOP: 'idle'
+  },
+  error: {
+    RETRY: 'requesting_mic',
+    RESET: 'idle',
+    DEGRADED_GPU: 'listening',
+    STOP: 'idle'
+  },
+  paused: {
+    RESUME: 'listening',
+    RESET: 'idle',
+    STOP: 'idle'
+  }
+};
+
+/**
+ * WebASRCore 協調器事件資料
+ *
+ * @description 各 AssistantEvents 事件攜帶的資料，狀態與觸發以狀態機類型表示
+ */
+export interface WebASRCoreEvents {
+  [AssistantEvents.READY]: {
+    wakewords: string[];
+    timestamp: number;
+  };
+  [AssistantEvents.ERROR]: {
+    error: Error;
+    context: string;
+    timestamp: number;
+  };
+  [AssistantEvents.STATE_CHANGED]: {
+    from: AssistantState;
+    to: AssistantState;
+    trigger: AssistantTrigger;
+    timestamp: number;
+  };
+  [AssistantEvents.TRANSITION_REJECTED]: {
+    state: AssistantState;
+    trigger: AssistantTrigger;
+    timestamp: number;
+  };
+  [AssistantEvents.TRANSCRIPT]: {
+    text: string;
+    source: 'whisper' | 'webspeech';
+    duration?: number;
+    timestamp: number;
+  };
+}
@@ -7,6 +7,8 @@
  * @author WebASRCore Team
  */
 
+import type { SpeechSegment } from './vad';
+
 /**
  * 音訊塊格式 - 單聲道 16kHz PCM
  * 
@@ -47,4 +49,25 @@ export const STANDARD_AUDIO_CONFIG: AudioParams = {
  * @description 標準的音訊塊大小，相當於 16kHz 取樣率下 80 毫秒的音訊資料
  * @constant
  */
-export const STANDARD_CHUNK_SIZE = 1280;
\ No newline at end of file
+export const STANDARD_CHUNK_SIZE = 1280;
+
+/**
+ * 已錄製的語音片段
+ *
+ * @description Recorder 匯出的單一 VAD 片段。樣本位置沿用 UtteranceSegmenter 的時間軸
+ * （自分段器建立或上次 reset 起算），與 Recorder.start() 開始的整段錄音不一定對齊
+ */
+export interface RecordedSegment {
+  /** WAV 檔案 Blob */
+  blob: Blob;
+  /** 片段起始樣本位置（分段器時間軸） */
+  startSample: number;
+  /** 片段結束樣本位置（分段器時間軸） */
+  endSample: number;
+  /** 採樣率 */
+  sampleRate: number;
+  /** 語音長度（毫秒） */
+  duration: number;
+  /** 片段結束原因 */
+  reason: SpeechSegment['reason'];
+}
@@ -5,6 +5,12 @@
  * 提供類型安全和開發者友好的事件管理
  */
 
+import type { SpeechSegment } from './vad';
+import type { RecordedSegment } from './audio';
+import type { SpeakerProfile, SpeakerVerificationResult } from './speaker';
+import type { WhisperResult, WhisperWord, WhisperLanguageProbability } from './whisper';
+import type { ModelDownloadProgress, ModelStoreEntry } from './model-store';
+
 /**
  * 基礎通用事件
  * 所有服務都會使用的基本事件
@@ -92,7 +98,8 @@ export enum WakewordEvents {
 
   // 喚醒詞檢測事件
   PROCESS = 'wakewordProcess',
-  WAKEWORD_DETECTED = 'wakewordDetected'
+  WAKEWORD_DETECTED = 'wakewordDetected',
+  WAKEWORD_REJECTED = 'wakewordRejected'
 }
 
 /**
@@ -109,14 +116,120 @@ export enum WhisperEvents {
   TRANSCRIPTION_START = 'transcriptionStart',
   TRANSCRIPTION_COMPLETE = 'transcriptionComplete',
   TRANSCRIPTION_PROGRESS = 'transcriptionProgress',
+  TRANSCRIPTION_CANCELLED = 'transcriptionCancelled',
+  LANGUAGE_DETECTED = 'languageDetected',
+
+  // 工作佇列事件
+  QUEUE_CHANGE = 'queueChange',
+  QUEUE_BACKPRESSURE = 'queueBackpressure',
+  JOB_DROPPED = 'jobDropped',
 
   // 流式處理事件
   STREAM_CHUNK_START = 'streamChunkStart',
   STREAM_PARTIAL = 'streamPartial',
+  STREAM_COMMIT = 'streamCommit',
   STREAM_CHUNK_END = 'streamChunkEnd',
   STREAM_FINALIZE = 'streamFinalize'
 }
 
+/**
+ * Utterance Segmenter 事件
+ * 語音分段器相關的所有事件
+ */
+export enum SegmenterEvents {
+  // 基礎事件
+  READY = BaseEvents.READY,
+  ERROR = BaseEvents.ERROR,
+
+  // 分段事件
+  SEGMENT = 'segment',
+  SEGMENT_DROPPED = 'segmentDropped'
+}
+
+/**
+ * Speaker Verification 事件
+ * 說話者驗證相關的所有事件
+ */
+export enum SpeakerEvents {
+  // 基礎事件
+  READY = BaseEvents.READY,
+  ERROR = BaseEvents.ERROR,
+
+  // 聲紋註冊事件
+  ENROLLMENT_PROGRESS = 'enrollmentProgress',
+  ENROLLMENT_COMPLETE = 'enrollmentComplete',
+
+  // 驗證事件
+  VERIFIED = 'speakerVerified',
+  REJECTED = 'speakerRejected'
+}
+
+/**
+ * Recorder 事件
+ * 錄音匯出相關的所有事件
+ */
+export enum RecorderEvents {
+  // 基礎事件
+  ERROR = BaseEvents.ERROR,
+
+  // 錄音事件
+  RECORDING_START = 'recordingStart',
+  RECORDING_STOP = 'recordingStop',
+  SEGMENT_RECORDED = 'segmentRecorded'
+}
+
+/**
+ * Assistant (WebASRCore 協調器) 事件
+ * 語音助理狀態機相關的所有事件
+ */
+export enum AssistantEvents {
+  // 基礎事件
+  READY = BaseEvents.READY,
+  ERROR = BaseEvents.ERROR,
+
+  // 狀態機事件
+  STATE_CHANGED = 'stateChanged',
+  TRANSITION_REJECTED = 'transitionRejected',
+
+  // 管線結果事件
+  TRANSCRIPT = 'transcript'
+}
+
+/**
+ * Model Store 事件
+ * 模型下載與快取相關的所有事件
+ */
+export enum ModelStoreEvents {
+  // 基礎事件
+  ERROR = BaseEvents.ERROR,
+
+  // 下載事件
+  DOWNLOAD_START = 'modelDownloadStart',
+  DOWNLOAD_PROGRESS = 'modelDownloadProgress',
+  DOWNLOAD_COMPLETE = 'modelDownloadComplete',
+
+  // 快取事件
+  CACHE_HIT = 'modelCacheHit',
+  EVICTED = 'modelEvicted'
+}
+
+/**
+ * 音訊管線 Worker 事件
+ * 沿用 VAD、喚醒詞與語音分段服務的事件名稱與資料格式，由 Worker 轉發到主執行緒
+ */
+export enum PipelineEvents {
+  // 基礎事件
+  READY = BaseEvents.READY,
+  ERROR = BaseEvents.ERROR,
+  STATISTICS = BaseEvents.STATISTICS,
+
+  // 高階事件
+  SPEECH_START = VadEvents.SPEECH_START,
+  SPEECH_END = VadEvents.SPEECH_END,
+  WAKEWORD_DETECTED = WakewordEvents.WAKEWORD_DETECTED,
+  SEGMENT = SegmenterEvents.SEGMENT
+}
+
 /**
  * 所有事件的聯合類型
  * 用於類型檢查和工具函數
@@ -126,7 +239,13 @@ export type AllEvents =
   | TimerEvents
   | VadEvents
   | WakewordEvents
-  | WhisperEvents;
+  | WhisperEvents
+  | SegmenterEvents
+  | SpeakerEvents
+  | RecorderEvents
+  | AssistantEvents
+  | PipelineEvents
+  | ModelStoreEvents;
 
 /**
  * 事件數據接口定義
@@ -243,28 +362,91 @@ export interface EventDataMap {
   [WakewordEvents.WAKEWORD_DETECTED]: {
     word: string;
     score: number;
+    speaker?: SpeakerVerificationResult;
+    timestamp: number;
+  };
+  [WakewordEvents.WAKEWORD_REJECTED]: {
+    word: string;
+    score: number;
+    speaker: SpeakerVerificationResult;
     timestamp: number;
   };
 
   // Whisper Service 事件數據
   [WhisperEvents.TRANSCRIPTION_START]: {
     duration?: number;
+    audioLength?: number;
+    /** 轉錄工作 ID */
+    jobId?: number;
     timestamp: number;
   };
   [WhisperEvents.TRANSCRIPTION_COMPLETE]: {
     text: string;
     duration: number;
+    segments?: WhisperResult['segments'];
+    words?: WhisperWord[];
+    language?: string;
+    languageProbability?: number;
+    jobId?: number;
     timestamp: number;
   };
   [WhisperEvents.TRANSCRIPTION_PROGRESS]: {
     progress: number;
+    stage?: 'decoding' | 'vad' | 'transcribing';
+    partialText?: string;
+    timestamp: number;
+  };
+  [WhisperEvents.TRANSCRIPTION_CANCELLED]: {
+    /** 被取消的方法（'transcribe'、'transcribeWithProgress'、'transcribeBatch' 等） */
+    context: string;
+    /** 取消前經過的時間（毫秒） */
+    duration: number;
+    jobId?: number;
+    timestamp: number;
+  };
+  [WhisperEvents.LANGUAGE_DETECTED]: {
+    /** 機率最高的語言 */
+    language: string;
+    probability: number;
+    /** 完整語言分佈（detectLanguage） */
+    languages?: WhisperLanguageProbability[];
+    /** 'auto' 模式轉錄的工作 ID */
+    jobId?: number;
+    timestamp: number;
+  };
+  [WhisperEvents.QUEUE_CHANGE]: {
+    /** 等待中的工作數 */
+    queued: number;
+    /** 執行中的工作數 */
+    running: number;
+    timestamp: number;
+  };
+  [WhisperEvents.QUEUE_BACKPRESSURE]: {
+    /** true 表示等待中的工作達到高水位，false 表示已回落 */
+    active: boolean;
+    queued: number;
+    highWaterMark: number;
+    timestamp: number;
+  };
+  [WhisperEvents.JOB_DROPPED]: {
+    jobId: number;
+    priority: 'live' | 'normal' | 'background';
+    /** 'cancelled'：開始前被取消；'stale'：被過期鍵相同的新工作取代 */
+    reason: 'cancelled' | 'stale';
     timestamp: number;
   };
   [WhisperEvents.STREAM_CHUNK_START]: {
     timestamp: number;
   };
   [WhisperEvents.STREAM_PARTIAL]: {
+    partial: string;
+    committed: string;
+    tentative?: string;
+    timestamp: number;
+  };
+  [WhisperEvents.STREAM_COMMIT]: {
     text: string;
+    committed: string;
     timestamp: number;
   };
   [WhisperEvents.STREAM_CHUNK_END]: {
@@ -274,6 +456,97 @@ export interface EventDataMap {
     text: string;
     timestamp: number;
   };
+
+  // Segmenter 事件數據
+  [SegmenterEvents.SEGMENT]: {
+    segment: SpeechSegment;
+    timestamp: number;
+  };
+  [SegmenterEvents.SEGMENT_DROPPED]: {
+    startSample: number;
+    endSample: number;
+    duration: number;
+    timestamp: number;
+  };
+
+  // Speaker Verification 事件數據
+  [SpeakerEvents.ENROLLMENT_PROGRESS]: {
+    profileId: string;
+    samples: number;
+    required: number;
+    timestamp: number;
+  };
+  [SpeakerEvents.ENROLLMENT_COMPLETE]: {
+    profile: SpeakerProfile;
+    timestamp: number;
+  };
+  [SpeakerEvents.VERIFIED]: SpeakerVerificationResult & {
+    timestamp: number;
+  };
+  [SpeakerEvents.REJECTED]: SpeakerVerificationResult & {
+    timestamp: number;
+  };
+
+  // Recorder 事件數據
+  [RecorderEvents.RECORDING_START]: {
+    sampleRate: number;
+    timestamp: number;
+  };
+  [RecorderEvents.RECORDING_STOP]: {
+    blob: Blob;
+    duration: number;
+    timestamp: number;
+  };
+  [RecorderEvents.SEGMENT_RECORDED]: {
+    segment: RecordedSegment;
+    timestamp: number;
+  };
+
+  // Assistant 事件數據
+  [AssistantEvents.STATE_CHANGED]: {
+    from: string;
+    to: string;
+    trigger: string;
+    timestamp: number;
+  };
+  [AssistantEvents.TRANSITION_REJECTED]: {
+    state: string;
+    trigger: string;
+    timestamp: number;
+  };
+  [AssistantEvents.TRANSCRIPT]: {
+    text: string;
+    source: 'whisper' | 'webspeech';
+    duration?: number;
+    timestamp: number;
+  };
+
+  // Model Store 事件數據
+  [ModelStoreEvents.DOWNLOAD_START]: {
+    url: string;
+    total?: number;
+    timestamp: number;
+  };
+  [ModelStoreEvents.DOWNLOAD_PROGRESS]: ModelDownloadProgress & {
+    timestamp: number;
+  };
+  [ModelStoreEvents.DOWNLOAD_COMPLETE]: {
+    url: string;
+    size: number;
+    cached: boolean;
+    duration: number;
+    timestamp: number;
+  };
+  [ModelStoreEvents.CACHE_HIT]: {
+    url: string;
+    size: number;
+    timestamp: number;
+  };
+  [ModelStoreEvents.EVICTED]: {
+    entries: ModelStoreEntry[];
+    reason: 'manual' | 'quota' | 'version';
+    timestamp: number;
+  };
 }
 
 /**
@@ -284,7 +557,13 @@ export const getServiceEvents = {
   timer: () => Object.values(TimerEvents),
   vad: () => Object.values(VadEvents),
   wakeword: () => Object.values(WakewordEvents),
-  whisper: () => Object.values(WhisperEvents)
+  whisper: () => Object.values(WhisperEvents),
+  segmenter: () => Object.values(SegmenterEvents),
+  speaker: () => Object.values(SpeakerEvents),
+  recorder: () => Object.values(RecorderEvents),
+  assistant: () => Object.values(AssistantEvents),
+  pipeline: () => Object.values(PipelineEvents),
+  modelStore: () => Object.values(ModelStoreEvents)
 };
 
 /**
@@ -300,5 +579,17 @@ export const isServiceEvent = {
   wakeword: (event: string): event is WakewordEvents =>
     Object.values(WakewordEvents).includes(event as WakewordEvents),
   whisper: (event: string): event is WhisperEvents =>
-    Object.values(WhisperEvents).includes(event as WhisperEvents)
+    Object.values(WhisperEvents).includes(event as WhisperEvents),
+  segmenter: (event: string): event is SegmenterEvents =>
+    Object.values(SegmenterEvents).includes(event as SegmenterEvents),
+  speaker: (event: string): event is SpeakerEvents =>
+    Object.values(SpeakerEvents).includes(event as SpeakerEvents),
+  recorder: (event: string): event is RecorderEvents =>
+    Object.values(RecorderEvents).includes(event as RecorderEvents),
+  assistant: (event: string): event is AssistantEvents =>
+    Object.values(AssistantEvents).includes(event as AssistantEvents),
+  pipeline: (event: string): event is PipelineEvents =>
+    Object.values(PipelineEvents).includes(event as PipelineEvents),
+  modelStore: (event: string): event is ModelStoreEvents =>
+    Object.values(ModelStoreEvents).includes(event as ModelStoreEvents)
 };
\ No newline at end of file
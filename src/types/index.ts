@@ -12,4 +12,9 @@ export * from './models';     // 模型註冊表類型
 export * from './vad';        // VAD 類型
 export * from './wakeword';   // 喚醒詞類型
 export * from './whisper';    // Whisper 類型
-export * from './events';     // 事件枚舉類型
\ No newline at end of file
+export * from './speaker';    // 說話者驗證類型
+export * from './events';     // 事件枚舉類型
+export * from './assistant';  // 語音助理狀態機類型
+export * from './pipeline-worker'; // 音訊管線 Worker 類型
+export * from './whisper-worker';   // Whisper Worker 類型
+export * from './model-store';      // 模型儲存類型
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * 模型儲存類型定義
+ *
+ * 定義模型下載管理器（ModelStore）的選項、快取項目與配額資訊。
+ *
+ * @fileoverview 模型儲存類型定義
+ * @author WebASRCore Team
+ */
+
+/**
+ * 模型持久化儲存後端
+ *
+ * - 'cache'：Cache Storage API
+ * - 'indexeddb'：IndexedDB
+ * - 'none'：不持久化（Node.js 或瀏覽器不支援時）
+ */
+export type ModelStorageType = 'cache' | 'indexeddb' | 'none';
+
+/**
+ * 模型下載進度
+ *
+ * @interface ModelDownloadProgress
+ */
+export interface ModelDownloadProgress {
+  /** 模型 URL */
+  url: string;
+  /** 已下載位元組數 */
+  loaded: number;
+  /** 總位元組數（伺服器未提供 Content-Length 時為 undefined） */
+  total?: number;
+  /** 下載進度（0-1，總大小未知時為 undefined） */
+  progress?: number;
+}
+
+/**
+ * 模型取得選項
+ *
+ * @interface ModelFetchOptions
+ */
+export interface ModelFetchOptions {
+  /** 模型內容的 SHA-256（十六進位）；指定時驗證下載與快取的內容，並與 URL 一起作為快取鍵 */
+  hash?: string;
+  /** 模型大小（位元組）；指定時一併驗證 */
+  size?: number;
+  /** 模型版本；快取項目版本不同時視為過期並重新下載（預設 onnx.modelCache.version） */
+  version?: string;
+  /** 是否讀寫持久化快取（預設 onnx.modelCache.enabled；blob: 與 data: URL 永不快取） */
+  cache?: boolean;
+  /** 下載進度回調 */
+  onProgress?: (progress: ModelDownloadProgress) => void;
+  /** 取消此呼叫端等待的訊號（同一模型的下載由所有呼叫端共用，會繼續完成並寫入快取） */
+  signal?: AbortSignal;
+}
+
+/**
+ * 預先下載的模型
+ *
+ * @description 字串等同於只指定 URL
+ */
+export type ModelPrefetchItem = string | { url: string; hash?: string; size?: number; version?: string };
+
+/**
+ * 模型快取項目
+ *
+ * @interface ModelStoreEntry
+ */
+export interface ModelStoreEntry {
+  /** 模型 URL */
+  url: string;
+  /** 模型內容的 SHA-256 */
+  hash?: string;
+  /** 模型版本 */
+  version: string;
+  /** 模型大小（位元組） */
+  size: number;
+  /** 儲存時間（毫秒時間戳） */
+  storedAt: number;
+}
+
+/**
+ * 模型儲存配額資訊
+ *
+ * @interface ModelStoreQuota
+ */
+export interface ModelStoreQuota {
+  /** 使用中的儲存後端 */
+  storage: ModelStorageType;
+  /** 快取的模型數量 */
+  entries: number;
+  /** 快取的模型總大小（位元組） */
+  modelBytes: number;
+  /** 模型快取上限（位元組，onnx.modelCache.maxSize） */
+  maxBytes: number;
+  /** 瀏覽器回報的來源已使用空間（位元組，不支援時為 undefined） */
+  usage?: number;
+  /** 瀏覽器回報的來源可用配額（位元組，不支援時為 undefined） */
+  quota?: number;
+}
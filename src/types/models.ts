@@ -7,6 +7,63 @@
  * @author WebASRCore Team
  */
 
+/**
+ * 模型檔案完整性資訊
+ * 
+ * @description 用於在建立 ONNX 會話前驗證下載的模型檔案
+ * @interface ModelFileIntegrity
+ */
+export interface ModelFileIntegrity {
+  /** 檔案內容的 SHA-256（十六進位） */
+  sha256: string;
+  /** 檔案大小（位元組） */
+  size?: number;
+}
+
+/**
+ * 模型來源種類
+ * 
+ * - 'local'：本地模型目錄（sources.local.base_path）
+ * - 'mirror'：鏡像站（目錄結構與本地相同）
+ * - 'upstream'：原始發布來源（Hugging Face / GitHub）
+ */
+export type ModelSourceKind = 'local' | 'mirror' | 'upstream';
+
+/**
+ * 模型的原始發布來源
+ * 
+ * @interface ModelSource
+ */
+export interface ModelSource {
+  /** 發布平台（對應註冊表 sources 的鍵，例如 'huggingface'、'github'） */
+  platform: string;
+  /** 作者或組織 */
+  author?: string;
+  /** 儲存庫名稱 */
+  repository?: string;
+  /** 專案頁面 URL */
+  url?: string;
+  /** 發布版本（GitHub release 標籤） */
+  release?: string;
+  /** 模型檔案下載的基礎 URL（覆蓋由平台推導的 URL） */
+  download_url?: string;
+}
+
+/**
+ * 解析後的模型來源
+ * 
+ * @description 由 loadMergedRegistry 探測後寫入，resolveVad / resolveWakeword / resolveWhisper 會使用其 URL
+ * @interface ResolvedModelSource
+ */
+export interface ResolvedModelSource {
+  /** 使用的來源種類 */
+  kind: ModelSourceKind;
+  /** 模型根目錄（local 與 mirror 為 local_path 的前綴，upstream 為儲存庫的下載路徑） */
+  baseUrl: string;
+  /** local_path 對應的檔案或目錄 URL */
+  url: string;
+}
+
 /**
  * 模型資訊介面
  * 
@@ -42,6 +99,12 @@ export interface ModelInfo {
     /** 可選檔案 */
     optional?: string[];
   };
+  /** 模型檔案的完整性資訊（以相對於模型目錄的檔名為鍵） */
+  integrity?: Record<string, ModelFileIntegrity>;
+  /** 原始發布來源 */
+  source?: ModelSource;
+  /** 解析後的來源（存在於 resolveModelSources / loadMergedRegistry 傳回的註冊表中） */
+  resolved?: ResolvedModelSource;
 }
 
 /**
@@ -55,6 +118,15 @@ export interface Registry {
   version: string;
   /** 模型清單 */
   models: ModelInfo[];
+  /** 各平台的來源設定（例如 huggingface.base_url、github.raw_url、local.base_path、mirror.base_url） */
+  sources?: {
+    [platform: string]: {
+      base_url?: string;
+      raw_url?: string;
+      api_url?: string;
+      base_path?: string;
+    };
+  };
   /** 全局配置 */
   configs?: {
     [key: string]: any;
@@ -72,6 +144,14 @@ export interface WhisperModelInfo {
   id: string;
   /** 模型路徑 */
   path: string;
+  /** 相對於模型根目錄的路徑，即 transformers.js 本地模式的模型 ID */
+  localPath: string;
+  /** 模型根目錄，即 transformers.js 本地模式的 localModelPath（預設 'models/'） */
+  localBasePath: string;
+  /** 使用上游來源時的 Hugging Face 模型 ID（此時應以遠端模式載入） */
+  remoteId?: string;
+  /** 使用的來源種類（未經 loadMergedRegistry 解析時為 undefined） */
+  source?: ModelSourceKind;
   /** 是否為量化模型 */
   quantized?: boolean;
   /** 模型名稱 */
@@ -95,6 +175,29 @@ export interface WakewordInfo {
   embeddingUrl: string;
   /** 梅爾頻譜模型 URL */
   melspecUrl: string;
+  /** 三個模型檔案的完整性資訊（註冊表未提供時為 undefined） */
+  integrity?: WakewordIntegrity;
+  /** 使用的來源種類（未經 loadMergedRegistry 解析時為 undefined） */
+  source?: ModelSourceKind;
+  /** 檢測器的嵌入維度（specs.embedding_buffer_size / embedding_dimension，未提供時自動偵測） */
+  dims?: {
+    embeddingBufferSize: number;
+    embeddingDimension: number;
+  };
+}
+
+/**
+ * 喚醒詞三階段模型的完整性資訊
+ * 
+ * @interface WakewordIntegrity
+ */
+export interface WakewordIntegrity {
+  /** 檢測器模型 */
+  detector?: ModelFileIntegrity;
+  /** 梅爾頻譜模型 */
+  melspec?: ModelFileIntegrity;
+  /** 嵌入模型 */
+  embedding?: ModelFileIntegrity;
 }
 
 /**
@@ -108,4 +211,28 @@ export interface VadInfo {
   id: string;
   /** 模型 URL */
   modelUrl: string;
+  /** 檢測閾值（specs.threshold，未提供時為 undefined） */
+  threshold?: number;
+  /** 使用的來源種類（未經 loadMergedRegistry 解析時為 undefined） */
+  source?: ModelSourceKind;
+  /** 模型檔案的完整性資訊（註冊表未提供時為 undefined） */
+  integrity?: ModelFileIntegrity;
+}
+
+/**
+ * 合併註冊表載入選項
+ * 
+ * @interface RegistryLoadOptions
+ */
+export interface RegistryLoadOptions {
+  /** 鏡像站基礎 URL（目錄結構與本地模型目錄相同），排在註冊表 sources.mirror 之後依序嘗試 */
+  mirrors?: string[];
+  /** 本地模型根目錄（覆蓋 sources.local.base_path，預設 './models'） */
+  localBasePath?: string;
+  /** 是否探測檔案以選擇來源（預設 true；false 時一律使用本地路徑） */
+  resolveSources?: boolean;
+  /** 本地與鏡像都不可用時是否探測並使用上游來源（預設 true） */
+  allowUpstream?: boolean;
+  /** 要解析來源的模型 ID（預設全部） */
+  ids?: string[];
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * 音訊管線 Worker 類型定義
+ *
+ * 定義主執行緒與音訊管線 Worker 之間的初始化選項與訊息格式。
+ * Worker 擁有分塊、VAD、喚醒詞與語音分段，主執行緒只接收高階事件。
+ *
+ * @fileoverview 音訊管線 Worker 類型定義
+ * @author WebASRCore Team
+ */
+
+import type { VadParams } from './vad';
+import type { SharedRingBufferHandle } from '../utils/SharedAudioRingBuffer';
+
+/**
+ * 音訊管線 Worker 初始化選項
+ *
+ * @description 所有欄位都必須可被結構化複製（structured clone）
+ * @interface PipelineWorkerInitOptions
+ */
+export interface PipelineWorkerInitOptions {
+  /** 主執行緒的 ConfigManager.toJSON()，讓 Worker 使用相同配置 */
+  config?: string;
+  /** 解析相對模型路徑的基準 URL（預設為主執行緒頁面位址） */
+  baseUrl?: string;
+  /** VAD 模型 URL（預設 vad.modelPath） */
+  vadModelUrl?: string;
+  /** VAD 參數覆蓋 */
+  vadParams?: Partial<VadParams>;
+  /** 要載入的喚醒詞（空陣列表示停用喚醒詞，預設 ['hey-jarvis']） */
+  wakewords?: string[];
+  /** 各喚醒詞的閾值 */
+  wakewordThresholds?: Record<string, number>;
+  /** 檢測到喚醒詞後是否重置其狀態（預設 true） */
+  resetOnDetection?: boolean;
+  /** 語音分段選項 */
+  segmenter?: {
+    preRollMs?: number;
+    postRollMs?: number;
+    minSpeechMs?: number;
+    maxSpeechMs?: number;
+  };
+  /** 待處理音訊佇列上限（樣本數，預設 audio.ringBuffer.capacity），超過時丟棄最舊的音訊 */
+  maxQueuedSamples?: number;
+  /** 統計事件的發送間隔（毫秒，0 表示停用，預設 5000） */
+  statisticsInterval?: number;
+}
+
+/**
+ * 主執行緒傳給音訊管線 Worker 的訊息
+ */
+export type PipelineWorkerRequest =
+  | { type: 'init'; data: PipelineWorkerInitOptions }
+  /** 音訊來源 MessagePort 放在 event.ports[0] */
+  | { type: 'attach-port' }
+  | { type: 'attach-shared-buffer'; data: { handle: SharedRingBufferHandle } }
+  | { type: 'audio'; data: { audio: Float32Array; sampleRate: number } }
+  | { type: 'flush' }
+  | { type: 'reset' }
+  | { type: 'dispose' };
+
+/**
+ * 音訊管線 Worker 傳回主執行緒的訊息
+ *
+ * @description event 為 PipelineEvents 的值，detail 與對應服務事件的資料格式相同；
+ * 錯誤事件中的 error 以 { name, message, stack } 傳遞
+ */
+export interface PipelineWorkerMessage {
+  type: 'event';
+  event: string;
+  detail: any;
+}
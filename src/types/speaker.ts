@@ -0,0 +1,61 @@
+/**
+ * 說話者驗證類型定義
+ *
+ * 定義聲紋註冊與說話者驗證相關的資源、設定檔和結果類型。
+ *
+ * @fileoverview 說話者驗證類型定義
+ * @author WebASRCore Team
+ */
+
+import type { InferenceSession } from 'onnxruntime-web';
+
+/**
+ * 說話者嵌入模型資源
+ *
+ * @description 包含說話者嵌入模型會話與輸入格式
+ * @interface SpeakerResources
+ */
+export interface SpeakerResources {
+  /** 說話者嵌入模型會話 */
+  session: InferenceSession;
+  /** 模型輸入類型 */
+  inputType: 'fbank' | 'waveform';
+}
+
+/**
+ * 說話者聲紋設定檔
+ *
+ * @description 可直接以 JSON 儲存（例如 localStorage / IndexedDB）並於之後重新載入
+ * @interface SpeakerProfile
+ */
+export interface SpeakerProfile {
+  /** 設定檔 ID */
+  id: string;
+  /** 顯示名稱 */
+  name?: string;
+  /** 已正規化的平均嵌入向量 */
+  embedding: number[];
+  /** 註冊時使用的樣本數 */
+  sampleCount: number;
+  /** 建立時間（毫秒時間戳） */
+  createdAt: number;
+  /** 最後更新時間（毫秒時間戳） */
+  updatedAt: number;
+}
+
+/**
+ * 說話者驗證結果
+ *
+ * @description 與所有已註冊設定檔比對後的最佳結果
+ * @interface SpeakerVerificationResult
+ */
+export interface SpeakerVerificationResult {
+  /** 是否通過驗證 */
+  verified: boolean;
+  /** 最相近設定檔的 ID（沒有任何設定檔時為 null） */
+  profileId: string | null;
+  /** 與最相近設定檔的餘弦相似度 */
+  score: number;
+  /** 使用的閾值 */
+  threshold: number;
+}
@@ -22,6 +22,8 @@ export interface VadState {
   hangoverCounter: number;
   /** 目前語音活動狀態 */
   isSpeechActive: boolean;
+  /** Worker 推理的串流 ID（由 createVadState 產生，讓多個 VAD 串流在同一個 Worker 中互不干擾） */
+  streamId?: string;
 }
 
 /**
@@ -64,4 +66,30 @@ export const DEFAULT_VAD_PARAMS: VadParams = {
   sampleRate: 16000,      // 16kHz 取樣率
   threshold: 0.5,         // 50% 檢測閾值
   hangoverFrames: 12      // 12 幀延遲（約 750ms）
-};
\ No newline at end of file
+};
+
+/**
+ * 語音片段
+ *
+ * @description 語音分段器輸出的完整語音片段，包含前置與後置緩衝音訊。
+ * 所有樣本偏移量皆以分段器收到的第一個樣本為 0 起算
+ * @interface SpeechSegment
+ */
+export interface SpeechSegment {
+  /** 片段音訊（含 pre-roll 與 post-roll） */
+  audio: Float32Array;
+  /** 片段音訊的起始樣本偏移 */
+  startSample: number;
+  /** 片段音訊的結束樣本偏移（不含） */
+  endSample: number;
+  /** 語音起點的樣本偏移（VAD 觸發處） */
+  speechStartSample: number;
+  /** 語音終點的樣本偏移（最後一個檢測到語音的區塊結尾） */
+  speechEndSample: number;
+  /** 取樣率 */
+  sampleRate: number;
+  /** 語音長度（毫秒，不含 pre-roll / post-roll） */
+  duration: number;
+  /** 片段結束原因：語音結束、超過最大長度被切分、或手動 flush */
+  reason: 'speech-end' | 'max-duration' | 'flush';
+}
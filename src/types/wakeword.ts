@@ -8,6 +8,7 @@
  */
 
 import type { InferenceSession } from 'onnxruntime-web';
+import type { SpeakerVerificationResult } from './speaker';
 
 /**
  * 喚醒詞模型資源
@@ -29,6 +30,30 @@ export interface WakewordResources {
     /** 嵌入維度 */
     embeddingDimension: number;
   };
+  /** 少樣本模板（提供時以模板比對取代檢測器模型） */
+  template?: WakewordTemplate;
+  /** 已在推理 Worker 中註冊的喚醒詞名稱（存在時三階段管線在 Worker 中執行） */
+  workerModel?: string;
+}
+
+/**
+ * 少樣本喚醒詞模板
+ *
+ * @description 由使用者錄製的數段範例計算出的 openWakeWord 嵌入序列，
+ * 以 DTW 與最近的嵌入窗口比對，可直接以 JSON 儲存並重新載入
+ * @interface WakewordTemplate
+ */
+export interface WakewordTemplate {
+  /** 喚醒詞名稱 */
+  name: string;
+  /** 每段範例的嵌入序列 [樣本][時間步][嵌入維度] */
+  sequences: number[][][];
+  /** 嵌入維度 */
+  embeddingDimension: number;
+  /** 由範例互相比對校準出的觸發閾值（0-1） */
+  threshold: number;
+  /** 建立時間（毫秒時間戳） */
+  createdAt: number;
 }
 
 /**
@@ -42,6 +67,8 @@ export interface WakewordState {
   melBuffer: Float32Array[];
   /** 嵌入幀緩衝區 */
   embeddingBuffer: Float32Array[];
+  /** 串流 ID（Worker 以此保存各串流的梅爾與嵌入緩衝區） */
+  streamId?: string;
 }
 
 /**
@@ -74,6 +101,36 @@ export interface WakewordResult {
   triggered: boolean;
   /** 下一次迭代的更新狀態 */
   state: WakewordState;
+  /** 說話者驗證結果（僅在啟用驗證且分數超過閾值時提供） */
+  speaker?: SpeakerVerificationResult;
+}
+
+/**
+ * 多喚醒詞檢測中的單一檢測器
+ *
+ * @description 共用相同梅爾頻譜與嵌入模型會話的檢測器，每個音訊塊只計算一次特徵
+ * @interface WakewordDetector
+ */
+export interface WakewordDetector {
+  /** 喚醒詞名稱（結果與狀態對映的鍵） */
+  name: string;
+  /** 喚醒詞模型資源 */
+  resources: WakewordResources;
+  /** 喚醒詞參數 */
+  params: WakewordParams & { isCustomModel?: boolean };
+}
+
+/**
+ * 多喚醒詞檢測結果
+ *
+ * @description 同一音訊塊對所有檢測器的結果
+ * @interface MultiWakewordResult
+ */
+export interface MultiWakewordResult {
+  /** 各喚醒詞的檢測結果與更新狀態 */
+  results: Map<string, WakewordResult>;
+  /** 各喚醒詞的檢測分數 */
+  scores: Record<string, number>;
 }
 
 /**
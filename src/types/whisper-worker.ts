@@ -0,0 +1,109 @@
+/**
+ * Whisper Worker 類型定義
+ *
+ * 定義主執行緒 WhisperService 與 Whisper Worker 之間的初始化選項與訊息格式。
+ * Worker 擁有 transformers.js 管道，主執行緒只傳送音訊並接收結果與串流事件。
+ *
+ * @fileoverview Whisper Worker 類型定義
+ * @author WebASRCore Team
+ */
+
+import type {
+  WhisperLoadOptions,
+  WhisperOptions,
+  WhisperResult,
+  WhisperLanguageProbability,
+  WhisperLanguageDetectionOptions,
+  WhisperLongFormOptions,
+  WhisperLongFormProgress
+} from './whisper';
+
+/**
+ * 可跨執行緒傳遞的錯誤物件
+ */
+export interface SerializedWorkerError {
+  name: string;
+  message: string;
+  stack?: string;
+}
+
+/**
+ * Whisper Worker 初始化選項
+ *
+ * @description 所有欄位都必須可被結構化複製（structured clone），
+ * 因此 progress_callback 改由 'load-progress' 訊息回報
+ * @interface WhisperWorkerInitOptions
+ */
+export interface WhisperWorkerInitOptions {
+  /** 主執行緒的 ConfigManager.toJSON()，讓 Worker 使用相同配置 */
+  config?: string;
+  /** 解析相對路徑（本地模型、WASM 檔案）的基準 URL（預設為主執行緒頁面位址） */
+  baseUrl?: string;
+  /** Whisper 模型 ID */
+  modelId?: string;
+  /** 模型載入選項 */
+  loadOptions?: Omit<WhisperLoadOptions, 'progress_callback'>;
+}
+
+/**
+ * 主執行緒要求 Worker 在本地呼叫的串流回調名稱
+ */
+export type WhisperStreamCallbackName =
+  | 'on_chunk_start'
+  | 'callback_function'
+  | 'token_callback_function'
+  | 'on_chunk_end'
+  | 'on_finalize';
+
+/**
+ * 主執行緒傳給 Whisper Worker 的訊息
+ */
+export type WhisperWorkerRequest =
+  | { type: 'init'; data: WhisperWorkerInitOptions }
+  | {
+      type: 'transcribe';
+      data: {
+        id: number;
+        audio: Float32Array;
+        /** 轉錄選項（不含 streamCallbacks 與 signal，取消改以 'cancel' 訊息傳送） */
+        options?: Omit<WhisperOptions, 'streamCallbacks' | 'signal'>;
+        /** 主執行緒有提供的串流回調，Worker 會以 'stream-callback' 訊息轉發 */
+        streamCallbacks?: WhisperStreamCallbackName[];
+      };
+    }
+  | {
+      type: 'transcribe-long-form';
+      data: {
+        id: number;
+        audio: Float32Array;
+        /** 轉錄與分塊選項（進度改以 'long-form-progress' 訊息回報） */
+        options?: Omit<WhisperOptions & WhisperLongFormOptions, 'streamCallbacks' | 'signal' | 'onChunk'>;
+      };
+    }
+  | {
+      type: 'detect-language';
+      data: {
+        id: number;
+        audio: Float32Array;
+        options?: Omit<WhisperLanguageDetectionOptions, 'signal'>;
+      };
+    }
+  | { type: 'cancel'; data: { id?: number } }
+  | { type: 'dispose' };
+
+/**
+ * Whisper Worker 傳回主執行緒的訊息
+ *
+ * @description 'stream' 訊息的 event 為核心 whisperEvents 的事件名稱
+ * （'stream-chunk-start'、'stream-partial'、'stream-chunk-end'、'stream-finalize'），
+ * detail 與主執行緒直接轉錄時完全相同
+ */
+export type WhisperWorkerMessage =
+  | { type: 'ready'; data: { modelId: string } }
+  | { type: 'load-progress'; data: any }
+  | { type: 'result'; data: { id: number; result: WhisperResult } }
+  | { type: 'language'; data: { id: number; languages: WhisperLanguageProbability[] } }
+  | { type: 'long-form-progress'; data: { id: number; progress: WhisperLongFormProgress } }
+  | { type: 'stream'; data: { id: number; event: string; detail: any } }
+  | { type: 'stream-callback'; data: { id: number; name: WhisperStreamCallbackName; args: any[] } }
+  | { type: 'error'; data: { id?: number; error: SerializedWorkerError; context: string } };
@@ -46,12 +46,22 @@ export interface WhisperStreamCallbacks {
  * @interface WhisperOptions
  */
 export interface WhisperOptions {
-  /** 語言代碼（例如 'en'、'zh'） */
+  /** 語言代碼（例如 'en'、'zh'）；'auto' 逐 30 秒視窗偵測語言並以各視窗的語言轉錄，在結果與片段標記偵測到的語言 */
   language?: string;
+  /** 'auto' 模式下的候選語言（例如 ['zh', 'en']），未指定時考慮模型支援的所有語言 */
+  languageCandidates?: string[];
+  /** 初始提示詞；作為前文提供給解碼器，引導拼寫、標點與用語風格 */
+  initialPrompt?: string;
+  /** 熱詞（產品名稱、專有名詞），附加在提示詞之後以提高辨識率 */
+  hotwords?: string[];
+  /** 已編碼的提示詞 token（以 <|startofprev|> 開頭，見 getPromptIds）；提供時忽略 initialPrompt 與 hotwords */
+  prompt_ids?: number[];
   /** 任務類型 */
   task?: 'transcribe' | 'translate';
   /** 是否返回時間戳片段 */
   returnSegments?: boolean;
+  /** 是否返回詞級時間戳與信心分數（啟用時使用一次性轉錄） */
+  wordTimestamps?: boolean;
   /** 是否啟用串流模式 */
   streaming?: boolean;
   /** 串流回調函數 */
@@ -60,6 +70,8 @@ export interface WhisperOptions {
   chunk_length_s?: number;
   /** 串流步長（秒） */
   stride_length_s?: number;
+  /** 取消轉錄的訊號；取消後在下一個解碼步驟停止並以 AbortError 拒絕 */
+  signal?: AbortSignal;
   /** 管線的其他選項 */
   [key: string]: any;
 }
@@ -81,7 +93,116 @@ export interface WhisperResult {
     start: number;
     /** 結束時間（秒） */
     end: number;
+    /** 偵測到的語言（'auto' 模式） */
+    language?: string;
+    /** 語言信心分數（0-1，'auto' 模式） */
+    languageProbability?: number;
   }>;
+  /** 詞級時間戳（如果請求 wordTimestamps） */
+  words?: WhisperWord[];
+  /** 偵測到的主要語言（'auto' 模式；各視窗以各自偵測到的語言轉錄，見 segments） */
+  language?: string;
+  /** 語言信心分數（0-1，'auto' 模式） */
+  languageProbability?: number;
+}
+
+/**
+ * 長音訊轉錄選項
+ *
+ * @interface WhisperLongFormOptions
+ */
+export interface WhisperLongFormOptions {
+  /** 分塊長度（秒，預設 whisper.chunking.chunkSizeSeconds） */
+  chunkSizeSeconds?: number;
+  /** 固定切分時相鄰分塊的重疊長度（秒，預設 whisper.chunking.overlapSeconds） */
+  overlapSeconds?: number;
+  /** 靜音切點（秒）；分塊會優先在視窗後半段的最後一個切點結束，此時不需重疊 */
+  cutPoints?: number[];
+  /** 每個分塊轉錄完成後的回調 */
+  onChunk?: (progress: WhisperLongFormProgress) => void;
+}
+
+/**
+ * 長音訊轉錄進度
+ *
+ * @interface WhisperLongFormProgress
+ */
+export interface WhisperLongFormProgress {
+  /** 已完成的分塊數 */
+  completed: number;
+  /** 分塊總數 */
+  total: number;
+  /** 目前合併的文字 */
+  text: string;
+}
+
+/**
+ * 長音訊分塊範圍
+ *
+ * @interface WhisperLongFormChunk
+ */
+export interface WhisperLongFormChunk {
+  /** 開始樣本索引 */
+  start: number;
+  /** 結束樣本索引（不含） */
+  end: number;
+}
+
+/**
+ * 長音訊單一分塊的轉錄結果
+ *
+ * @interface WhisperLongFormPart
+ */
+export interface WhisperLongFormPart {
+  /** 分塊的轉錄結果（時間戳相對於分塊開始） */
+  result: WhisperResult;
+  /** 分塊在原始音訊中的開始時間（秒） */
+  start: number;
+  /** 分塊在原始音訊中的結束時間（秒） */
+  end: number;
+}
+
+/**
+ * 語言偵測結果中的單一語言
+ *
+ * @interface WhisperLanguageProbability
+ */
+export interface WhisperLanguageProbability {
+  /** 語言代碼（例如 'zh'、'en'） */
+  language: string;
+  /** 機率（0-1） */
+  probability: number;
+}
+
+/**
+ * 語言偵測選項
+ *
+ * @interface WhisperLanguageDetectionOptions
+ */
+export interface WhisperLanguageDetectionOptions {
+  /** 候選語言；指定時只在這些語言之間重新正規化機率 */
+  candidates?: string[];
+  /** 只傳回機率最高的前 K 個語言 */
+  topK?: number;
+  /** 取消偵測的訊號 */
+  signal?: AbortSignal;
+}
+
+/**
+ * Whisper 詞級結果
+ *
+ * @description 單一詞（中日韓文字為單字）的時間戳與信心分數
+ * @interface WhisperWord
+ */
+export interface WhisperWord {
+  /** 詞文本 */
+  text: string;
+  /** 開始時間（秒） */
+  start: number;
+  /** 結束時間（秒） */
+  end: number;
+  /** 信心分數（0-1，組成此詞的 token 機率平均值；無法對齊時為 undefined） */
+  probability?: number;
 }
 
 /**
@@ -95,10 +216,10 @@ export interface WhisperLoadOptions {
   quantized?: boolean;
   /** 模型的本地基礎路徑 */
   localBasePath?: string;
-  /** ONNX runtime 的 WASM 檔案路徑 */
-  wasmPaths?: string;
-  /** 執行裝置：'webgpu' 使用 GPU、'wasm' 使用 CPU、'auto' 自動選擇 */
-  device?: 'webgpu' | 'wasm' | 'auto';
+  /** ONNX runtime 的 WASM 檔案路徑（基準路徑或檔名對映） */
+  wasmPaths?: string | Record<string, string>;
+  /** 執行裝置：'webgpu' 使用 GPU、'wasm' 使用 CPU、'cpu' 使用原生 CPU（Node.js）、'auto' 自動選擇 */
+  device?: 'webgpu' | 'wasm' | 'cpu' | 'auto';
   /** 資料類型：'fp32' 全精度、'fp16' 半精度、'q8' 8位量化、'q4' 4位量化 */
   dtype?: 'fp32' | 'fp16' | 'q8' | 'q4';
   /** 進度回調函數 */
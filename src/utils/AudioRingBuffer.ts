@@ -7,7 +7,7 @@ import { ConfigManager } from './config-manager';
  * - 固定大小的環形緩衝區，避免無限增長
  * - 支援連續寫入和讀取
  * - 自動覆蓋舊資料（當緩衝區滿時）
- * - 線程安全（如果使用 SharedArrayBuffer）
+ * - 可使用 SharedArrayBuffer 作為樣本儲存（讀寫索引不共享，跨執行緒請使用 SharedAudioRingBuffer）
  * - Web Audio API 整合功能
  */
 export class AudioRingBuffer {
@@ -0,0 +1,67 @@
+/**
+ * ModelStore 測試（Node.js）
+ *
+ * Node.js 中本地路徑直接從檔案系統讀取，不使用持久化快取
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ModelStore } from './ModelStore';
+
+test('同時取得同一模型時每個呼叫端各自取得副本', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'model-store-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'model.onnx');
+  await writeFile(path, new Uint8Array([1, 2, 3, 4]));
+
+  const store = new ModelStore();
+  const [first, second] = await Promise.all([
+    store.fetchModel(path).then(data => {
+      // 模擬第一個呼叫端把緩衝區轉移給 Worker
+      structuredClone(data, { transfer: [data] });
+      return data;
+    }),
+    store.fetchModel(path)
+  ]);
+
+  assert.equal(first.byteLength, 0);
+  assert.deepEqual(Array.from(new Uint8Array(second)), [1, 2, 3, 4]);
+});
+
+test('共用下載時一個呼叫端取消不影響其他呼叫端', async t => {
+  let release!: () => void;
+  const gate = new Promise<void>(resolve => { release = resolve; });
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+    await gate;
+    return new Response(new Uint8Array([5, 6, 7]));
+  });
+
+  const store = new ModelStore();
+  const url = 'https://models.example.com/model.onnx';
+  const controller = new AbortController();
+  const first = store.fetchModel(url, { signal: controller.signal });
+  const second = store.fetchModel(url);
+
+  controller.abort();
+  await assert.rejects(first, { name: 'AbortError' });
+
+  release();
+  assert.deepEqual(Array.from(new Uint8Array(await second)), [5, 6, 7]);
+  assert.equal(fetchMock.mock.callCount(), 1);
+  // 共用的下載不帶任何呼叫端的 signal
+  assert.equal((fetchMock.mock.calls[0].arguments as unknown[])[1], undefined);
+});
+
+test('signal 已取消時不開始下載', async t => {
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(new Uint8Array(1)));
+  const store = new ModelStore();
+
+  await assert.rejects(
+    store.fetchModel('https://models.example.com/model.onnx', { signal: AbortSignal.abort() }),
+    { name: 'AbortError' }
+  );
+  assert.equal(fetchMock.mock.callCount(), 0);
+});
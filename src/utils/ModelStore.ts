@@ -0,0 +1,633 @@
+/**
+ * ModelStore - 模型下載管理器（Event Architecture v2）
+ *
+ * 下載 ONNX 模型並回報位元組層級的進度，以 URL + 雜湊為鍵
+ * 將模型持久化到 Cache Storage 或 IndexedDB，重新載入頁面時不必重新下載。
+ * 指定 SHA-256 時，下載與快取的內容都會先經過驗證。
+ * Node.js 中的本地路徑直接從檔案系統讀取，不使用持久化快取
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { ConfigManager } from './config-manager';
+import { ModelStoreEvents } from '../types/events';
+import type {
+  ModelStorageType,
+  ModelDownloadProgress,
+  ModelFetchOptions,
+  ModelPrefetchItem,
+  ModelStoreEntry,
+  ModelStoreQuota
+} from '../types';
+import { isNodeRuntime, isRemoteUrl, loadResource, resolveResourceUrl } from '../runtime/environment';
+import { verifyModelIntegrity } from './model-integrity';
+
+/** 保存快取項目中繼資料的回應標頭 */
+const ENTRY_HEADER = 'x-web-asr-model';
+
+/** Cache Storage 快取鍵使用的虛擬來源（不會實際發出請求） */
+const CACHE_KEY_ORIGIN = 'https://model-store.web-asr-core.invalid/';
+
+/** 共用下載的選項；呼叫端的 signal 只套用在各自的等待上 */
+type ModelLoadOptions = Omit<ModelFetchOptions, 'signal'>;
+
+/**
+ * 等待共用的下載，signal 取消時只拒絕此呼叫端的等待
+ */
+function awaitUnlessAborted<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+  if (!signal) return promise;
+
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * 已快取的模型
+ */
+interface StoredModel {
+  entry: ModelStoreEntry;
+  /** 讀取模型內容 */
+  read(): Promise<ArrayBuffer>;
+}
+
+/**
+ * 持久化儲存後端
+ */
+interface ModelStorageBackend {
+  readonly type: ModelStorageType;
+  get(key: string): Promise<StoredModel | null>;
+  put(key: string, entry: ModelStoreEntry, data: ArrayBuffer): Promise<void>;
+  delete(key: string): Promise<void>;
+  entries(): Promise<Map<string, ModelStoreEntry>>;
+}
+
+/**
+ * Cache Storage 後端
+ *
+ * 中繼資料以 JSON 存在回應標頭中，列出項目時不需要讀取模型內容
+ */
+class CacheStorageBackend implements ModelStorageBackend {
+  readonly type = 'cache' as const;
+
+  constructor(private name: string) {}
+
+  async get(key: string): Promise<StoredModel | null> {
+    const cache = await caches.open(this.name);
+    const response = await cache.match(this.toRequestUrl(key));
+    const entry = this.parseEntry(response);
+    if (!response || !entry) return null;
+    return { entry, read: () => response.arrayBuffer() };
+  }
+
+  async put(key: string, entry: ModelStoreEntry, data: ArrayBuffer): Promise<void> {
+    const cache = await caches.open(this.name);
+    await cache.put(this.toRequestUrl(key), new Response(data, {
+      headers: {
+        'content-type': 'application/octet-stream',
+        // 標頭只接受 ISO-8859-1，URL 可能含有非 ASCII 字元
+        [ENTRY_HEADER]: encodeURIComponent(JSON.stringify(entry))
+      }
+    }));
+  }
+
+  async delete(key: string): Promise<void> {
+    const cache = await caches.open(this.name);
+    await cache.delete(this.toRequestUrl(key));
+  }
+
+  async entries(): Promise<Map<string, ModelStoreEntry>> {
+    const cache = await caches.open(this.name);
+    const result = new Map<string, ModelStoreEntry>();
+    for (const request of await cache.keys()) {
+      const entry = this.parseEntry(await cache.match(request));
+      if (entry && request.url.startsWith(CACHE_KEY_ORIGIN)) {
+        result.set(decodeURIComponent(request.url.slice(CACHE_KEY_ORIGIN.length)), entry);
+      }
+    }
+    return result;
+  }
+
+  private toRequestUrl(key: string): string {
+    return CACHE_KEY_ORIGIN + encodeURIComponent(key);
+  }
+
+  private parseEntry(response: Response | undefined): ModelStoreEntry | null {
+    const header = response?.headers.get(ENTRY_HEADER);
+    if (!header) return null;
+    try {
+      return JSON.parse(decodeURIComponent(header));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * IndexedDB 後端
+ *
+ * 中繼資料與模型內容分別存放，列出項目時不需要讀取模型內容
+ */
+class IndexedDbBackend implements ModelStorageBackend {
+  readonly type = 'indexeddb' as const;
+  private db: Promise<IDBDatabase> | null = null;
+
+  constructor(private name: string) {}
+
+  async get(key: string): Promise<StoredModel | null> {
+    const db = await this.open();
+    const entry = await this.request<ModelStoreEntry | undefined>(
+      db.transaction('entries').objectStore('entries').get(key)
+    );
+    if (!entry) return null;
+
+    return {
+      entry,
+      read: async () => {
+        const data = await this.request<ArrayBuffer | undefined>(
+          db.transaction('data').objectStore('data').get(key)
+        );
+        if (!data) {
+          throw new Error(`Cached model data missing: ${entry.url}`);
+        }
+        return data;
+      }
+    };
+  }
+
+  async put(key: string, entry: ModelStoreEntry, data: ArrayBuffer): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(['entries', 'data'], 'readwrite');
+    tx.objectStore('data').put(data, key);
+    tx.objectStore('entries').put(entry, key);
+    await this.complete(tx);
+  }
+
+  async delete(key: string): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(['entries', 'data'], 'readwrite');
+    tx.objectStore('data').delete(key);
+    tx.objectStore('entries').delete(key);
+    await this.complete(tx);
+  }
+
+  async entries(): Promise<Map<string, ModelStoreEntry>> {
+    const db = await this.open();
+    const result = new Map<string, ModelStoreEntry>();
+
+    await new Promise<void>((resolve, reject) => {
+      const cursorRequest = db.transaction('entries').objectStore('entries').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        result.set(String(cursor.key), cursor.value);
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    return result;
+  }
+
+  private open(): Promise<IDBDatabase> {
+    this.db ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('entries');
+        request.result.createObjectStore('data');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  private request<T>(request: IDBRequest): Promise<T> {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  private complete(tx: IDBTransaction): Promise<void> {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+/**
+ * ModelStore - 事件驅動的模型下載管理器
+ *
+ * @example
+ * ```typescript
+ * const store = getModelStore();
+ *
+ * store.on(ModelStoreEvents.DOWNLOAD_PROGRESS, ({ url, progress }) => {
+ *   console.log(`${url}: ${Math.round((progress ?? 0) * 100)}%`);
+ * });
+ *
+ * // 預先下載，之後 VAD 與喚醒詞載入時直接從快取讀取
+ * await store.prefetch([
+ *   './models/github/snakers4/silero-vad/silero_vad_v6.onnx',
+ *   './models/github/dscripka/openWakeWord/melspectrogram.onnx'
+ * ]);
+ *
+ * console.log(await store.getQuota());
+ * ```
+ */
+export class ModelStore extends EventEmitter<any> {
+  private config = ConfigManager.getInstance();
+  private backend: ModelStorageBackend | null | undefined; // undefined = 尚未選擇
+  private inflight = new Map<string, Promise<ArrayBuffer>>();
+
+  /**
+   * 取得模型內容
+   *
+   * 快取中有相同版本的模型時直接讀取，否則下載並寫入快取。
+   * 同一模型同時被多次請求時只下載一次，每個呼叫端各自取得一份副本；
+   * 某個呼叫端取消時不影響其他呼叫端
+   * @param url 模型 URL 或路徑
+   * @param options 取得選項
+   * @returns 模型的二進位資料
+   * @throws ModelIntegrityError 下載內容與指定的 SHA-256 或大小不符時拋出
+   * @throws options.signal.reason 當 signal 被取消時拋出
+   */
+  async fetchModel(url: string, options: ModelFetchOptions = {}): Promise<ArrayBuffer> {
+    const { signal, ...loadOptions } = options;
+    signal?.throwIfAborted();
+    const key = this.createKey(url, options.hash);
+
+    let pending = this.inflight.get(key);
+    if (!pending) {
+      // 共用的下載不綁定第一個呼叫端的 signal，否則它取消時其他呼叫端也會失敗
+      pending = this.load(key, url, loadOptions).finally(() => this.inflight.delete(key));
+      this.inflight.set(key, pending);
+    }
+
+    // 呼叫端可能轉移（transfer）取得的 ArrayBuffer，共用同一個會讓其他呼叫端拿到已分離的緩衝區
+    return (await awaitUnlessAborted(pending, signal)).slice(0);
+  }
+
+  /**
+   * 預先下載模型到快取
+   *
+   * 依序下載以限制記憶體用量，已快取相同版本的模型會略過
+   * @param items 模型 URL 或含雜湊與版本的描述
+   * @param options 共用的取得選項
+   */
+  async prefetch(
+    items: ModelPrefetchItem | ModelPrefetchItem[],
+    options: Omit<ModelFetchOptions, 'hash' | 'size'> = {}
+  ): Promise<void> {
+    for (const item of Array.isArray(items) ? items : [items]) {
+      const model = typeof item === 'string' ? { url: item } : item;
+      const fetchOptions = { ...options, ...model };
+
+      if (await this.has(model.url, fetchOptions)) {
+        continue;
+      }
+      await this.fetchModel(model.url, fetchOptions);
+    }
+  }
+
+  /**
+   * 模型是否已快取（且版本相符）
+   * @param url 模型 URL 或路徑
+   * @param options 雜湊與版本
+   */
+  async has(url: string, options: Pick<ModelFetchOptions, 'hash' | 'version'> = {}): Promise<boolean> {
+    const backend = await this.getBackend();
+    if (!backend) return false;
+
+    const version = options.version ?? this.config.onnx.modelCache.version;
+    const stored = await backend.get(this.createKey(url, options.hash));
+    return stored?.entry.version === version;
+  }
+
+  /**
+   * 從快取移除模型
+   * @param url 模型 URL 或路徑（省略時清空整個快取）
+   * @param hash 模型雜湊（省略時移除該 URL 的所有項目）
+   * @returns 移除的項目數量
+   */
+  async evict(url?: string, hash?: string): Promise<number> {
+    const target = url === undefined ? undefined : resolveResourceUrl(url);
+    return this.removeEntries('manual', (entry) =>
+      target === undefined || (entry.url === target && (hash === undefined || entry.hash === hash))
+    );
+  }
+
+  /**
+   * 移除版本不符的快取項目
+   * @param version 要保留的版本（預設 onnx.modelCache.version）
+   * @returns 移除的項目數量
+   */
+  async invalidate(version: string = this.config.onnx.modelCache.version): Promise<number> {
+    return this.removeEntries('version', (entry) => entry.version !== version);
+  }
+
+  /**
+   * 列出快取的模型
+   */
+  async list(): Promise<ModelStoreEntry[]> {
+    const backend = await this.getBackend();
+    if (!backend) return [];
+    return Array.from((await backend.entries()).values());
+  }
+
+  /**
+   * 取得快取用量與瀏覽器儲存配額
+   */
+  async getQuota(): Promise<ModelStoreQuota> {
+    const backend = await this.getBackend();
+    const entries = await this.list();
+    const quota: ModelStoreQuota = {
+      storage: backend?.type ?? 'none',
+      entries: entries.length,
+      modelBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: this.config.onnx.modelCache.maxSize * 1024 * 1024
+    };
+
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      const estimate = await navigator.storage.estimate();
+      quota.usage = estimate.usage;
+      quota.quota = estimate.quota;
+    }
+    return quota;
+  }
+
+  /**
+   * 取得使用中的儲存後端
+   */
+  async getStorageType(): Promise<ModelStorageType> {
+    return (await this.getBackend())?.type ?? 'none';
+  }
+
+  private async load(key: string, url: string, options: ModelLoadOptions): Promise<ArrayBuffer> {
+    const startTime = performance.now();
+    const version = options.version ?? this.config.onnx.modelCache.version;
+    const useCache = (options.cache ?? this.config.onnx.modelCache.enabled) && !/^(blob:|data:)/i.test(url);
+    const backend = useCache ? await this.getBackend() : null;
+
+    try {
+      if (backend) {
+        const cached = await this.readCached(backend, key, version, options);
+        if (cached) {
+          this.emit(ModelStoreEvents.CACHE_HIT, {
+            url,
+            size: cached.byteLength,
+            timestamp: Date.now()
+          });
+          return cached;
+        }
+      }
+
+      const data = await this.download(url, options);
+      // 驗證後才寫入快取，損壞的內容不會被持久化
+      if (options.hash) {
+        await verifyModelIntegrity(data, url, { sha256: options.hash, size: options.size });
+      }
+
+      const entry: ModelStoreEntry = {
+        url: resolveResourceUrl(url),
+        hash: options.hash,
+        version,
+        size: data.byteLength,
+        storedAt: Date.now()
+      };
+      const cached = backend ? await this.store(backend, key, entry, data) : false;
+
+      this.emit(ModelStoreEvents.DOWNLOAD_COMPLETE, {
+        url,
+        size: data.byteLength,
+        cached,
+        duration: performance.now() - startTime,
+        timestamp: Date.now()
+      });
+      return data;
+    } catch (error) {
+      this.emit(ModelStoreEvents.ERROR, {
+        error: error as Error,
+        context: 'fetchModel',
+        url,
+        timestamp: Date.now()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 讀取快取的模型；快取損壞、完整性不符或無法讀取時視為未命中
+   */
+  private async readCached(
+    backend: ModelStorageBackend,
+    key: string,
+    version: string,
+    options: ModelLoadOptions
+  ): Promise<ArrayBuffer | null> {
+    try {
+      const stored = await backend.get(key);
+      if (!stored || stored.entry.version !== version) {
+        return null;
+      }
+
+      const data = await stored.read();
+      if (options.hash) {
+        try {
+          await verifyModelIntegrity(data, stored.entry.url, { sha256: options.hash, size: options.size });
+        } catch (error) {
+          console.warn('[ModelStore] Cached model failed integrity check, downloading again:', error);
+          await backend.delete(key);
+          return null;
+        }
+      }
+      return data;
+    } catch (error) {
+      console.warn('[ModelStore] Failed to read cached model, downloading instead:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 下載模型並回報進度
+   */
+  private async download(url: string, options: ModelLoadOptions): Promise<ArrayBuffer> {
+    // Node.js 中本地路徑直接從檔案系統讀取
+    if (isNodeRuntime() && !isRemoteUrl(url)) {
+      this.emit(ModelStoreEvents.DOWNLOAD_START, { url, timestamp: Date.now() });
+      const data = await loadResource(url);
+      this.reportProgress(options, { url, loaded: data.byteLength, total: data.byteLength, progress: 1 });
+      return data;
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`從 ${url} 下載模型失敗: ${response.status}`);
+    }
+
+    const contentLength = Number(response.headers.get('content-length'));
+    const total = contentLength > 0 ? contentLength : undefined;
+    this.emit(ModelStoreEvents.DOWNLOAD_START, { url, total, timestamp: Date.now() });
+
+    if (!response.body) {
+      const data = await response.arrayBuffer();
+      this.reportProgress(options, { url, loaded: data.byteLength, total, progress: 1 });
+      return data;
+    }
+
+    // 逐塊讀取以回報位元組層級的進度
+    const reader = response.body.getReader();
+    const chunks: Uint8Array[] = [];
+    let loaded = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      loaded += value.byteLength;
+      this.reportProgress(options, {
+        url,
+        loaded,
+        total,
+        // 經過壓縮傳輸時實際位元組數可能超過 Content-Length
+        progress: total ? Math.min(1, loaded / total) : undefined
+      });
+    }
+
+    const data = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+      data.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return data.buffer;
+  }
+
+  private reportProgress(options: ModelLoadOptions, progress: ModelDownloadProgress): void {
+    options.onProgress?.(progress);
+    this.emit(ModelStoreEvents.DOWNLOAD_PROGRESS, { ...progress, timestamp: Date.now() });
+  }
+
+  /**
+   * 寫入快取，必要時淘汰最早儲存的模型以符合大小上限
+   * @returns 是否成功寫入
+   */
+  private async store(
+    backend: ModelStorageBackend,
+    key: string,
+    entry: ModelStoreEntry,
+    data: ArrayBuffer
+  ): Promise<boolean> {
+    const maxBytes = this.config.onnx.modelCache.maxSize * 1024 * 1024;
+    if (data.byteLength > maxBytes) {
+      console.warn(`[ModelStore] ${entry.url} (${data.byteLength} bytes) exceeds modelCache.maxSize, not caching`);
+      return false;
+    }
+
+    try {
+      const entries = await backend.entries();
+      entries.delete(key); // 同一個鍵會被覆寫
+
+      let total = data.byteLength;
+      entries.forEach((existing) => { total += existing.size; });
+
+      const evicted: ModelStoreEntry[] = [];
+      const oldestFirst = Array.from(entries).sort(([, a], [, b]) => a.storedAt - b.storedAt);
+      for (const [existingKey, existing] of oldestFirst) {
+        if (total <= maxBytes) break;
+        await backend.delete(existingKey);
+        total -= existing.size;
+        evicted.push(existing);
+      }
+      if (evicted.length > 0) {
+        this.emit(ModelStoreEvents.EVICTED, {
+          entries: evicted,
+          reason: 'quota',
+          timestamp: Date.now()
+        });
+      }
+
+      await backend.put(key, entry, data);
+      return true;
+    } catch (error) {
+      // 超過瀏覽器配額等錯誤不影響模型載入
+      console.warn(`[ModelStore] Failed to cache ${entry.url}:`, error);
+      return false;
+    }
+  }
+
+  private async removeEntries(
+    reason: 'manual' | 'version',
+    predicate: (entry: ModelStoreEntry) => boolean
+  ): Promise<number> {
+    const backend = await this.getBackend();
+    if (!backend) return 0;
+
+    const evicted: ModelStoreEntry[] = [];
+    for (const [key, entry] of await backend.entries()) {
+      if (predicate(entry)) {
+        await backend.delete(key);
+        evicted.push(entry);
+      }
+    }
+
+    if (evicted.length > 0) {
+      this.emit(ModelStoreEvents.EVICTED, {
+        entries: evicted,
+        reason,
+        timestamp: Date.now()
+      });
+    }
+    return evicted.length;
+  }
+
+  /**
+   * 選擇持久化儲存後端（依 onnx.modelCache.storage 偏好，不支援時改用另一種）
+   */
+  private async getBackend(): Promise<ModelStorageBackend | null> {
+    if (this.backend === undefined) {
+      const { storage, name } = this.config.onnx.modelCache;
+      const cacheBackend: ModelStorageBackend | null =
+        typeof caches !== 'undefined' ? new CacheStorageBackend(name) : null;
+      const indexedDbBackend: ModelStorageBackend | null =
+        typeof indexedDB !== 'undefined' ? new IndexedDbBackend(name) : null;
+
+      const candidates = storage === 'indexeddb'
+        ? [indexedDbBackend, cacheBackend]
+        : [cacheBackend, indexedDbBackend];
+      this.backend = candidates.find((backend) => backend !== null) ?? null;
+    }
+    return this.backend;
+  }
+
+  /**
+   * 建立快取鍵（絕對 URL + 雜湊）
+   */
+  private createKey(url: string, hash?: string): string {
+    const resolved = resolveResourceUrl(url);
+    return hash ? `${resolved}#${hash}` : resolved;
+  }
+}
+
+/**
+ * 單例實例
+ */
+let storeInstance: ModelStore | null = null;
+
+/**
+ * 獲取全域模型儲存實例
+ */
+export function getModelStore(): ModelStore {
+  if (!storeInstance) {
+    storeInstance = new ModelStore();
+  }
+  return storeInstance;
+}
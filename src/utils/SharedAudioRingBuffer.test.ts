@@ -0,0 +1,90 @@
+/**
+ * SharedAudioRingBuffer 測試（Node.js）
+ *
+ * 驗證環繞讀寫、溢位統計、共享記憶體控制代碼、AudioWorklet 寫入程式碼與 waitForData
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedAudioRingBuffer, SHARED_RING_BUFFER_WORKLET_WRITER } from './SharedAudioRingBuffer';
+
+/**
+ * 產生連續遞增的樣本
+ */
+function range(start: number, length: number): Float32Array {
+  return Float32Array.from({ length }, (_, i) => start + i);
+}
+
+test('讀寫跨過緩衝區結尾時保持樣本順序', () => {
+  const ring = new SharedAudioRingBuffer(8);
+
+  assert.equal(ring.write(range(0, 6)), 6);
+  assert.deepEqual(ring.read(4), range(0, 4));
+
+  // 寫入位置 6，5 個樣本中 3 個寫到開頭
+  assert.equal(ring.write(range(6, 5)), 5);
+  assert.equal(ring.available(), 7);
+  assert.equal(ring.getStats().writePos, 2);
+
+  assert.deepEqual(ring.peek(7), range(4, 7));
+  assert.deepEqual(ring.readAll(), range(4, 7));
+  assert.equal(ring.isEmpty(), true);
+  assert.equal(ring.read(1), null);
+});
+
+test('緩衝區滿時丟棄新資料並累計溢位次數與丟棄樣本數', () => {
+  const ring = new SharedAudioRingBuffer(4);
+
+  assert.equal(ring.write(range(0, 6)), 4);
+  assert.equal(ring.isFull(), true);
+  assert.equal(ring.write(range(6, 1)), 0);
+
+  const stats = ring.getStats();
+  assert.equal(stats.overflowCount, 2);
+  assert.equal(stats.droppedSamples, 3);
+  // 生產者不移動讀取位置，保留的是最舊的資料
+  assert.deepEqual(ring.readAll(), range(0, 4));
+
+  ring.resetStats();
+  assert.equal(ring.getStats().overflowCount, 0);
+  assert.equal(ring.getStats().droppedSamples, 0);
+});
+
+test('以控制代碼建立的實例共享同一塊記憶體', () => {
+  const producer = new SharedAudioRingBuffer(16);
+  const consumer = SharedAudioRingBuffer.fromHandle(producer.getHandle());
+
+  producer.setSampleRate(48000);
+  producer.write(range(0, 10));
+
+  const target = new Float32Array(4);
+  assert.equal(consumer.readInto(target), 4);
+  assert.deepEqual(target, range(0, 4));
+  assert.equal(producer.available(), 6);
+  assert.equal(consumer.getSampleRate(), 48000);
+});
+
+test('AudioWorklet 寫入程式碼與類別使用相同的記憶體配置', () => {
+  const ring = new SharedAudioRingBuffer(4);
+  const { state, data } = ring.getHandle();
+  const write = new Function(`${SHARED_RING_BUFFER_WORKLET_WRITER}; return sharedRingBufferWrite;`)() as
+    (state: Int32Array, buffer: Float32Array, samples: Float32Array) => void;
+
+  write(new Int32Array(state), new Float32Array(data), range(0, 3));
+  assert.deepEqual(ring.read(2), range(0, 2));
+
+  write(new Int32Array(state), new Float32Array(data), range(3, 4));
+  assert.deepEqual(ring.readAll(), range(2, 4));
+  assert.equal(ring.getStats().overflowCount, 1);
+  assert.equal(ring.getStats().droppedSamples, 1);
+});
+
+test('waitForData 在資料足夠時完成，逾時傳回 false', async () => {
+  const ring = new SharedAudioRingBuffer(8);
+
+  setTimeout(() => ring.write(range(0, 4)), 20);
+  assert.equal(await ring.waitForData(4, 1000), true);
+
+  assert.equal(await ring.waitForData(5, 30), false);
+  await assert.rejects(ring.waitForData(9), /capacity is 8/);
+});
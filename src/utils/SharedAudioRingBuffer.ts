@@ -0,0 +1,379 @@
+import { ConfigManager } from './config-manager';
+
+/**
+ * 共享狀態區的欄位索引（Int32Array）
+ */
+const READ_INDEX = 0;
+const WRITE_INDEX = 1;
+const OVERFLOW_COUNT = 2;
+const DROPPED_SAMPLES = 3;
+const SAMPLE_RATE = 4;
+const STATE_LENGTH = 5;
+
+/** 不支援 Atomics.waitAsync 時的輪詢間隔（毫秒） */
+const POLL_INTERVAL_MS = 4;
+/** 單次 Atomics.waitAsync 的最長等待時間（毫秒） */
+const WAIT_SLICE_MS = 1000;
+
+/**
+ * 共享環形緩衝區的記憶體控制代碼
+ *
+ * @description 可直接以 postMessage 或 AudioWorkletNode 的 processorOptions 傳遞，
+ * 接收端以 SharedAudioRingBuffer.fromHandle() 建立指向同一塊記憶體的實例
+ */
+export interface SharedRingBufferHandle {
+    /** 讀寫索引與統計（Int32Array） */
+    state: SharedArrayBuffer;
+    /** 音訊樣本（Float32Array，長度為容量 + 1） */
+    data: SharedArrayBuffer;
+}
+
+/**
+ * SharedAudioRingBuffer - 無鎖單生產者/單消費者環形緩衝區
+ *
+ * 特點：
+ * - 讀寫索引存放在 SharedArrayBuffer 中，以 Atomics 更新
+ * - 生產者（例如 AudioWorklet）直接寫入，消費者（例如推理 Worker）直接讀取，不需 postMessage 複製
+ * - 緩衝區滿時丟棄新資料並累計溢位次數與丟棄樣本數（生產者不會移動讀取索引）
+ * - waitForData() 以 Atomics.waitAsync 等待新資料（不支援時改為輪詢）
+ *
+ * 同一個緩衝區只能有一個寫入端與一個讀取端。
+ * 需要跨來源隔離（Cross-Origin-Opener-Policy / Cross-Origin-Embedder-Policy）才能使用 SharedArrayBuffer。
+ *
+ * @example
+ * ```typescript
+ * // 主執行緒：建立緩衝區並交給擷取與 Worker
+ * const ring = new SharedAudioRingBuffer(16000 * 4);
+ * await capture.startCapture({ sharedBuffer: ring });
+ * worker.postMessage({ type: 'attach', handle: ring.getHandle() });
+ *
+ * // Worker：直接讀取
+ * const ring = SharedAudioRingBuffer.fromHandle(event.data.handle);
+ * while (running) {
+ *     if (await ring.waitForData(512, 1000)) {
+ *         const chunk = ring.read(512)!;
+ *     }
+ * }
+ * ```
+ */
+export class SharedAudioRingBuffer {
+    private state: Int32Array;
+    private buffer: Float32Array;
+    private capacity: number;
+    private size: number;
+    private handle: SharedRingBufferHandle;
+
+    /**
+     * @param capacity 緩衝區容量（樣本數）
+     * @param handle 既有的共享記憶體（可選，用於在另一個執行緒中連接）
+     */
+    constructor(capacity?: number, handle?: SharedRingBufferHandle) {
+        if (!SharedAudioRingBuffer.isSupported()) {
+            throw new Error('SharedArrayBuffer is not available. Cross-origin isolation is required.');
+        }
+
+        if (handle) {
+            this.handle = handle;
+        } else {
+            const config = ConfigManager.getInstance();
+            const requested = capacity ?? config.audio.ringBuffer.capacity;
+            this.handle = {
+                state: new SharedArrayBuffer(STATE_LENGTH * Int32Array.BYTES_PER_ELEMENT),
+                data: new SharedArrayBuffer((requested + 1) * Float32Array.BYTES_PER_ELEMENT)
+            };
+        }
+
+        this.state = new Int32Array(this.handle.state);
+        this.buffer = new Float32Array(this.handle.data);
+        // 保留一個空位以區分「空」與「滿」
+        this.size = this.buffer.length;
+        this.capacity = this.size - 1;
+    }
+
+    /**
+     * 從控制代碼建立指向同一塊共享記憶體的實例
+     * @param handle getHandle() 取得的控制代碼
+     */
+    static fromHandle(handle: SharedRingBufferHandle): SharedAudioRingBuffer {
+        return new SharedAudioRingBuffer(undefined, handle);
+    }
+
+    /**
+     * 目前環境是否支援共享記憶體與 Atomics
+     */
+    static isSupported(): boolean {
+        return typeof SharedArrayBuffer !== 'undefined' && typeof Atomics !== 'undefined';
+    }
+
+    /**
+     * 取得共享記憶體控制代碼
+     */
+    getHandle(): SharedRingBufferHandle {
+        return this.handle;
+    }
+
+    /**
+     * 寫入音訊資料（僅限生產者）
+     * @param samples 要寫入的音訊樣本
+     * @returns 實際寫入的樣本數（空間不足時丟棄超出的部分）
+     */
+    write(samples: Float32Array): number {
+        const readPos = Atomics.load(this.state, READ_INDEX);
+        const writePos = Atomics.load(this.state, WRITE_INDEX);
+        const free = (readPos - writePos - 1 + this.size) % this.size;
+        const toWrite = Math.min(free, samples.length);
+
+        if (toWrite > 0) {
+            const firstPart = Math.min(toWrite, this.size - writePos);
+            this.buffer.set(samples.subarray(0, firstPart), writePos);
+            if (toWrite > firstPart) {
+                this.buffer.set(samples.subarray(firstPart, toWrite), 0);
+            }
+            Atomics.store(this.state, WRITE_INDEX, (writePos + toWrite) % this.size);
+            Atomics.notify(this.state, WRITE_INDEX);
+        }
+
+        if (toWrite < samples.length) {
+            Atomics.add(this.state, OVERFLOW_COUNT, 1);
+            Atomics.add(this.state, DROPPED_SAMPLES, samples.length - toWrite);
+        }
+
+        return toWrite;
+    }
+
+    /**
+     * 讀取音訊資料（僅限消費者）
+     * @param length 要讀取的樣本數
+     * @returns 讀取的音訊資料，如果資料不足返回 null
+     */
+    read(length: number): Float32Array | null {
+        const result = this.peek(length);
+        if (result) {
+            this.skip(length);
+        }
+        return result;
+    }
+
+    /**
+     * 將可用資料讀入既有陣列（僅限消費者）
+     * @param target 目標陣列
+     * @returns 實際讀取的樣本數
+     */
+    readInto(target: Float32Array): number {
+        const length = Math.min(target.length, this.available());
+        this.copyOut(target, length);
+        this.skip(length);
+        return length;
+    }
+
+    /**
+     * 查看資料但不移動讀取位置
+     * @param length 要查看的樣本數
+     * @returns 音訊資料，如果資料不足返回 null
+     */
+    peek(length: number): Float32Array | null {
+        if (this.available() < length) {
+            return null;
+        }
+
+        const result = new Float32Array(length);
+        this.copyOut(result, length);
+        return result;
+    }
+
+    /**
+     * 跳過指定數量的樣本（僅限消費者）
+     * @param length 要跳過的樣本數
+     * @returns 實際跳過的樣本數
+     */
+    skip(length: number): number {
+        const actualSkip = Math.min(length, this.available());
+        const readPos = Atomics.load(this.state, READ_INDEX);
+        Atomics.store(this.state, READ_INDEX, (readPos + actualSkip) % this.size);
+        return actualSkip;
+    }
+
+    /**
+     * 讀取所有可用資料（僅限消費者）
+     */
+    readAll(): Float32Array {
+        return this.read(this.available()) ?? new Float32Array(0);
+    }
+
+    /**
+     * 等待至少 minSamples 個樣本可讀
+     * @param minSamples 需要的樣本數（預設 1）
+     * @param timeoutMs 逾時（毫秒，預設不逾時）
+     * @returns 資料足夠時為 true，逾時為 false
+     */
+    async waitForData(minSamples: number = 1, timeoutMs: number = Infinity): Promise<boolean> {
+        if (minSamples > this.capacity) {
+            throw new Error(`Cannot wait for ${minSamples} samples: capacity is ${this.capacity}`);
+        }
+
+        const deadline = Date.now() + timeoutMs;
+
+        while (this.available() < minSamples) {
+            const writePos = Atomics.load(this.state, WRITE_INDEX);
+            // 取得寫入索引後再檢查一次，避免錯過通知
+            if (this.available() >= minSamples) break;
+
+            const remainingMs = deadline - Date.now();
+            if (remainingMs <= 0) return false;
+
+            if (typeof Atomics.waitAsync === 'function') {
+                const sliceMs = Math.min(remainingMs, WAIT_SLICE_MS);
+                const result = Atomics.waitAsync(this.state, WRITE_INDEX, writePos, sliceMs);
+                if (result.async) {
+                    // Node.js 中 waitAsync 不會讓事件迴圈保持存活，搭配計時器等待
+                    let timer: ReturnType<typeof setTimeout> | undefined;
+                    await Promise.race([
+                        result.value,
+                        new Promise(resolve => { timer = setTimeout(resolve, sliceMs); })
+                    ]);
+                    clearTimeout(timer);
+                }
+            } else {
+                await new Promise(resolve => setTimeout(resolve, Math.min(POLL_INTERVAL_MS, remainingMs)));
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 獲取可用的樣本數
+     */
+    available(): number {
+        const readPos = Atomics.load(this.state, READ_INDEX);
+        const writePos = Atomics.load(this.state, WRITE_INDEX);
+        return (writePos - readPos + this.size) % this.size;
+    }
+
+    /**
+     * 獲取剩餘容量
+     */
+    remaining(): number {
+        return this.capacity - this.available();
+    }
+
+    /**
+     * 清空緩衝區（僅限消費者，將讀取位置移到寫入位置）
+     */
+    clear(): void {
+        Atomics.store(this.state, READ_INDEX, Atomics.load(this.state, WRITE_INDEX));
+    }
+
+    /**
+     * 是否為空
+     */
+    isEmpty(): boolean {
+        return this.available() === 0;
+    }
+
+    /**
+     * 是否已滿
+     */
+    isFull(): boolean {
+        return this.available() === this.capacity;
+    }
+
+    /**
+     * 獲取緩衝區容量
+     */
+    getCapacity(): number {
+        return this.capacity;
+    }
+
+    /**
+     * 設定寫入資料的採樣率（由生產者設定，例如 AudioWorklet 的 sampleRate）
+     */
+    setSampleRate(sampleRate: number): void {
+        Atomics.store(this.state, SAMPLE_RATE, sampleRate);
+    }
+
+    /**
+     * 獲取寫入資料的採樣率（尚未設定時為 0）
+     */
+    getSampleRate(): number {
+        return Atomics.load(this.state, SAMPLE_RATE);
+    }
+
+    /**
+     * 獲取緩衝區的狀態資訊
+     */
+    getStats(): {
+        capacity: number;
+        available: number;
+        remaining: number;
+        writePos: number;
+        readPos: number;
+        overflowCount: number;
+        droppedSamples: number;
+        sampleRate: number;
+    } {
+        return {
+            capacity: this.capacity,
+            available: this.available(),
+            remaining: this.remaining(),
+            writePos: Atomics.load(this.state, WRITE_INDEX),
+            readPos: Atomics.load(this.state, READ_INDEX),
+            overflowCount: Atomics.load(this.state, OVERFLOW_COUNT) >>> 0,
+            droppedSamples: Atomics.load(this.state, DROPPED_SAMPLES) >>> 0,
+            sampleRate: this.getSampleRate()
+        };
+    }
+
+    /**
+     * 重設溢位統計
+     */
+    resetStats(): void {
+        Atomics.store(this.state, OVERFLOW_COUNT, 0);
+        Atomics.store(this.state, DROPPED_SAMPLES, 0);
+    }
+
+    /**
+     * 從讀取位置複製資料到目標陣列
+     */
+    private copyOut(target: Float32Array, length: number): void {
+        const readPos = Atomics.load(this.state, READ_INDEX);
+        const firstPart = Math.min(length, this.size - readPos);
+        target.set(this.buffer.subarray(readPos, readPos + firstPart), 0);
+        if (length > firstPart) {
+            target.set(this.buffer.subarray(0, length - firstPart), firstPart);
+        }
+    }
+}
+
+/**
+ * AudioWorklet 端的寫入程式碼
+ *
+ * @description AudioWorklet 無法匯入模組，以字串形式內嵌到 worklet 程式碼中；
+ * 記憶體配置與 SharedAudioRingBuffer.write() 相同
+ * @internal
+ */
+export const SHARED_RING_BUFFER_WORKLET_WRITER = `
+    function sharedRingBufferWrite(state, buffer, samples) {
+        const size = buffer.length;
+        const readPos = Atomics.load(state, ${READ_INDEX});
+        const writePos = Atomics.load(state, ${WRITE_INDEX});
+        const free = (readPos - writePos - 1 + size) % size;
+        const toWrite = Math.min(free, samples.length);
+        if (toWrite > 0) {
+            const firstPart = Math.min(toWrite, size - writePos);
+            buffer.set(samples.subarray(0, firstPart), writePos);
+            if (toWrite > firstPart) {
+                buffer.set(samples.subarray(firstPart, toWrite), 0);
+            }
+            Atomics.store(state, ${WRITE_INDEX}, (writePos + toWrite) % size);
+            Atomics.notify(state, ${WRITE_INDEX});
+        }
+        if (toWrite < samples.length) {
+            Atomics.add(state, ${OVERFLOW_COUNT}, 1);
+            Atomics.add(state, ${DROPPED_SAMPLES}, samples.length - toWrite);
+        }
+    }
+    const SHARED_RING_BUFFER_SAMPLE_RATE = ${SAMPLE_RATE};
+`;
+
+export default SharedAudioRingBuffer;
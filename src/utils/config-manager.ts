@@ -258,6 +258,77 @@ export class ConfigManager {
        */
       embeddingDimension: 96,
     },
+
+    /**
+     * 少樣本自訂喚醒詞設定
+     * @description 以錄製範例的嵌入序列做模板比對，不需訓練檢測器模型
+     */
+    template: {
+      /**
+       * 註冊所需的最少範例數
+       * @default 3
+       */
+      minSamples: 3,
+
+      /**
+       * 最多使用的範例數
+       * @default 10
+       */
+      maxSamples: 10,
+
+      /**
+       * 閾值校準餘裕
+       * @description 正負例無法區分時，觸發閾值 = 範例互相比對的最低相似度 - 此值
+       * @default 0.05
+       */
+      thresholdMargin: 0.05,
+    },
+
+    /**
+     * 說話者驗證設定
+     * @description 喚醒詞觸發後以說話者嵌入模型比對已註冊的聲紋
+     */
+    verification: {
+      /**
+       * 說話者嵌入模型路徑
+       * @description 輸入為 fbank 特徵 [1, T, 80] 或原始波形 [1, N]，輸出為嵌入向量
+       * @default './models/speaker/speaker_embedding.onnx'
+       */
+      modelPath: './models/speaker/speaker_embedding.onnx',
+
+      /**
+       * 模型輸入類型
+       * @description 'fbank' 使用 Kaldi 風格的對數梅爾濾波器組特徵；'waveform' 直接輸入原始音訊
+       * @default 'fbank'
+       */
+      inputType: 'fbank' as 'fbank' | 'waveform',
+
+      /**
+       * fbank 梅爾濾波器數量
+       * @default 80
+       */
+      numMelBins: 80,
+
+      /**
+       * 餘弦相似度閾值（-1 到 1）
+       * @description 高於此值判定為已註冊的說話者
+       * @default 0.5
+       */
+      threshold: 0.5,
+
+      /**
+       * 驗證使用的音訊長度（秒）
+       * @description 取喚醒詞觸發前的最近音訊進行驗證
+       * @default 1.5
+       */
+      windowSeconds: 1.5,
+
+      /**
+       * 註冊所需的最少樣本數
+       * @default 3
+       */
+      minEnrollmentSamples: 3,
+    },
   };
 
   /**
@@ -286,9 +357,10 @@ export class ConfigManager {
      * @default 'auto'
      * @options 'webgpu' - 使用 GPU 加速（需要瀏覽器支援 WebGPU）
      * @options 'wasm' - 使用 CPU（通過 WebAssembly）
+     * @options 'cpu' - 使用原生 CPU（Node.js，透過 onnxruntime-node）
      * @options 'auto' - 自動選擇最佳可用裝置
      */
-    device: 'auto' as 'webgpu' | 'wasm' | 'auto',
+    device: 'auto' as 'webgpu' | 'wasm' | 'cpu' | 'auto',
     
     /**
      * 資料類型（量化程度）
@@ -303,7 +375,7 @@ export class ConfigManager {
     
     /**
      * 預設語言代碼
-     * @description ISO 639-1 語言代碼，如 'en', 'zh', 'ja'
+     * @description ISO 639-1 語言代碼，如 'en', 'zh', 'ja'；'auto' 在每次轉錄前自動偵測語言
      * @default 'zh'
      */
     language: 'zh',
@@ -381,6 +453,33 @@ export class ConfigManager {
        */
       strideLengthSeconds: 5,
     },
+
+    /**
+     * 即時增量轉錄設定
+     * @description 控制麥克風即時字幕模式（LocalAgreement 確認機制）
+     */
+    live: {
+      /**
+       * 重新解碼間隔（毫秒）
+       * @description 每累積多少新音訊就重新解碼一次滑動視窗
+       * @default 1000
+       */
+      updateIntervalMs: 1000,
+
+      /**
+       * 滑動視窗最大長度（秒）
+       * @description 超過時會在已確認的片段邊界裁切音訊
+       * @default 15
+       */
+      maxWindowSeconds: 15,
+
+      /**
+       * 需要連續一致的假設次數
+       * @description LocalAgreement-n 的 n，文字前綴在 n 次解碼中一致才會被確認
+       * @default 2
+       */
+      agreementCount: 2,
+    },
   };
 
   /**
@@ -521,10 +620,31 @@ export class ConfigManager {
       
       /**
        * 快取大小限制（MB）
-       * @description 最大快取大小
+       * @description 最大快取大小，超過時淘汰最早儲存的模型
        * @default 100
        */
       maxSize: 100,
+      
+      /**
+       * 持久化儲存後端
+       * @description 'auto' 優先使用 Cache Storage，不支援時改用 IndexedDB
+       * @default 'auto'
+       */
+      storage: 'auto' as 'auto' | 'cache' | 'indexeddb',
+      
+      /**
+       * 快取名稱
+       * @description Cache Storage 的快取名稱與 IndexedDB 的資料庫名稱
+       * @default 'web-asr-core-models'
+       */
+      name: 'web-asr-core-models',
+      
+      /**
+       * 快取版本
+       * @description 變更版本後，舊版本的快取項目會在下次取得時重新下載
+       * @default '1'
+       */
+      version: '1',
     },
   };
 
@@ -856,6 +976,12 @@ export class ConfigManager {
       if (overrides.wakeword.common) {
         Object.assign(this.wakeword.common, overrides.wakeword.common);
       }
+      if (overrides.wakeword.template) {
+        Object.assign(this.wakeword.template, overrides.wakeword.template);
+      }
+      if (overrides.wakeword.verification) {
+        Object.assign(this.wakeword.verification, overrides.wakeword.verification);
+      }
     }
     if (overrides.whisper) {
       Object.assign(this.whisper, overrides.whisper);
@@ -865,6 +991,9 @@ export class ConfigManager {
       if (overrides.whisper.streaming) {
         Object.assign(this.whisper.streaming, overrides.whisper.streaming);
       }
+      if (overrides.whisper.live) {
+        Object.assign(this.whisper.live, overrides.whisper.live);
+      }
     }
     if (overrides.audio) {
       Object.assign(this.audio, overrides.audio);
@@ -3,5 +3,7 @@
  */
 
 export { AudioRingBuffer } from './AudioRingBuffer';
+export { SharedAudioRingBuffer } from './SharedAudioRingBuffer';
+export type { SharedRingBufferHandle } from './SharedAudioRingBuffer';
 export { AudioChunker, MultiChannelAudioChunker } from './AudioChunker';
 // Timer 已移至 services/timer.ts - 請從主 index.ts 導入
\ No newline at end of file
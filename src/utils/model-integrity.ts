@@ -0,0 +1,76 @@
+/**
+ * 模型完整性驗證工具
+ *
+ * 以 SHA-256 與檔案大小驗證下載的模型，避免損壞的 CDN 快取或遭竄改的模型
+ * 在建立 ONNX 會話後默默產生錯誤的分數
+ *
+ * @fileoverview 模型完整性驗證
+ * @author WebASRCore Team
+ */
+
+import type { ModelFileIntegrity } from '../types';
+
+/**
+ * 模型完整性驗證失敗
+ *
+ * @example
+ * ```typescript
+ * try {
+ *   await loadVadSession(vad.modelUrl, undefined, undefined, vad.integrity);
+ * } catch (error) {
+ *   if (error instanceof ModelIntegrityError) {
+ *     console.error(`${error.url} 已損壞：預期 ${error.expected.sha256}，實際 ${error.actual.sha256}`);
+ *   }
+ * }
+ * ```
+ */
+export class ModelIntegrityError extends Error {
+  constructor(
+    /** 模型 URL */
+    public readonly url: string,
+    /** 註冊表記錄的完整性資訊 */
+    public readonly expected: ModelFileIntegrity,
+    /** 實際下載內容的大小與雜湊（大小不符時不計算雜湊） */
+    public readonly actual: { size: number; sha256?: string }
+  ) {
+    super(
+      actual.sha256 === undefined
+        ? `Model integrity check failed for ${url}: expected ${expected.size} bytes, got ${actual.size}`
+        : `Model integrity check failed for ${url}: expected SHA-256 ${expected.sha256}, got ${actual.sha256}`
+    );
+    this.name = 'ModelIntegrityError';
+  }
+}
+
+/**
+ * 計算資料的 SHA-256
+ * @param data 要計算的資料
+ * @returns 十六進位小寫字串
+ */
+export async function computeSha256(data: ArrayBuffer): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 驗證模型內容是否符合完整性資訊
+ * @param data 模型內容
+ * @param url 模型 URL（用於錯誤訊息）
+ * @param expected 預期的 SHA-256 與大小
+ * @throws ModelIntegrityError 大小或雜湊不符時拋出
+ */
+export async function verifyModelIntegrity(
+  data: ArrayBuffer,
+  url: string,
+  expected: ModelFileIntegrity
+): Promise<void> {
+  // 先比對大小，不符時不必計算雜湊
+  if (expected.size !== undefined && data.byteLength !== expected.size) {
+    throw new ModelIntegrityError(url, expected, { size: data.byteLength });
+  }
+
+  const sha256 = await computeSha256(data);
+  if (sha256 !== expected.sha256.toLowerCase()) {
+    throw new ModelIntegrityError(url, expected, { size: data.byteLength, sha256 });
+  }
+}
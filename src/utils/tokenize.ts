@@ -0,0 +1,45 @@
+/**
+ * 轉錄文字詞元切分工具
+ *
+ * 將中日韓文字以單字、其他文字以空白分隔的詞切分為詞元，
+ * 供 LocalAgreement 比對、長音訊合併與字幕切分共用；
+ * 並提供只在拉丁文字之間補上空白的轉錄文字合併
+ *
+ * @fileoverview 轉錄文字詞元切分與合併
+ * @author WebASRCore Team
+ */
+
+/**
+ * 將轉錄文字切分為比對用的詞元
+ *
+ * @description 用於 LocalAgreement 前綴比對。中日韓文字以單字為單位，
+ * 其他文字以空白分隔的詞為單位；詞元保留前導空白，直接 join('') 即可還原文字
+ * @param text - 轉錄文字
+ * @returns string[] - 詞元陣列
+ *
+ * @example
+ * ```typescript
+ * tokenizeForAgreement('你好 world'); // ['你', '好', ' world']
+ * ```
+ */
+export function tokenizeForAgreement(text: string): string[] {
+  return text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]|\s*[^\s\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]+/g) ?? [];
+}
+
+/**
+ * 合併多段轉錄文字，只在拉丁文字之間補上空白
+ *
+ * @param texts - 已去除前後空白的轉錄文字
+ * @returns string - 合併後的文字
+ *
+ * @example
+ * ```typescript
+ * joinTranscripts(['hello', 'world', '你好']); // 'hello world你好'
+ * ```
+ */
+export function joinTranscripts(texts: string[]): string {
+  return texts.reduce((joined, text) => {
+    if (!joined) return text;
+    return /[A-Za-z0-9.,!?;:]$/.test(joined) && /^[A-Za-z0-9]/.test(text) ? `${joined} ${text}` : joined + text;
+  }, '');
+}
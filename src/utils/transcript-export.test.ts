@@ -0,0 +1,43 @@
+/**
+ * 字幕匯出測試
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSRT, parseSRT, createTranscriptDocument } from './transcript-export';
+
+test('字少但時間長的片段切分後不超過 maxCueDuration', () => {
+  const srt = toSRT({
+    text: 'Hello there',
+    segments: [{ text: 'Hello there', start: 0, end: 20 }]
+  }, { maxCueDuration: 7 });
+
+  const cues = parseSRT(srt);
+  assert.ok(cues.length > 0);
+  for (const cue of cues) {
+    assert.ok(cue.end - cue.start <= 7 + 1e-3, `cue ${cue.start}-${cue.end} exceeds 7s`);
+  }
+});
+
+test('長片段依時間與字數切分並保留全部文字', () => {
+  const text = '今天天氣很好我們一起去公園散步然後回家吃晚餐';
+  const srt = toSRT({ text, segments: [{ text, start: 0, end: 30 }] }, { maxCueDuration: 7, maxLineLength: 8, maxLinesPerCue: 1 });
+
+  const cues = parseSRT(srt);
+  assert.equal(cues.map(cue => cue.text).join(''), text);
+  for (const cue of cues) {
+    assert.ok(cue.end - cue.start <= 7 + 1e-3);
+    assert.ok(cue.text.length <= 8);
+  }
+});
+
+test('逐字稿文件合併多段結果時只在拉丁文字之間補空白', () => {
+  const document = createTranscriptDocument([
+    { text: '你好，', segments: [{ text: '你好，', start: 0, end: 1 }] },
+    { text: '世界。', segments: [{ text: '世界。', start: 1, end: 2 }] },
+    { text: ' Hello', segments: [{ text: ' Hello', start: 2, end: 3 }] },
+    { text: 'world ', segments: [{ text: 'world ', start: 3, end: 4 }] }
+  ]);
+
+  assert.equal(document.text, '你好，世界。Hello world');
+});
@@ -0,0 +1,444 @@
+/**
+ * 字幕與逐字稿匯出工具
+ *
+ * 將 WhisperResult 轉換為 SRT、WebVTT、純文字與 JSON 格式，
+ * 並提供 SRT / WebVTT 解析器以便編輯後的字幕能轉回片段
+ *
+ * @fileoverview 字幕與逐字稿匯出/解析工具
+ * @author WebASRCore Team
+ */
+
+import type { WhisperResult, WhisperWord } from '../types';
+import { tokenizeForAgreement, joinTranscripts } from './tokenize';
+
+/**
+ * 字幕條目
+ */
+export interface SubtitleCue {
+  /** 條目識別符（SRT 序號或 WebVTT cue id，可選） */
+  id?: string;
+  /** 開始時間（秒） */
+  start: number;
+  /** 結束時間（秒） */
+  end: number;
+  /** 字幕文字（可包含換行） */
+  text: string;
+}
+
+/**
+ * 字幕匯出選項
+ */
+export interface SubtitleExportOptions {
+  /** 每行最大字元數（預設 42） */
+  maxLineLength?: number;
+  /** 每個條目最多行數（預設 2） */
+  maxLinesPerCue?: number;
+  /** 每個條目最長顯示時間（秒，預設 7） */
+  maxCueDuration?: number;
+  /** 是否合併過短的片段（預設 true） */
+  mergeShortSegments?: boolean;
+  /** 短於此長度的片段會嘗試與下一片段合併（秒，預設 1） */
+  minCueDuration?: number;
+  /** 合併時允許的最大片段間隔（秒，預設 0.5） */
+  maxMergeGap?: number;
+  /** 多個結果時各自的時間偏移（秒）；未提供時依序接續前一個結果的結尾 */
+  offsets?: number[];
+}
+
+/**
+ * 純文字匯出選項
+ */
+export interface PlainTextExportOptions {
+  /** 是否在每個片段前加上 [HH:MM:SS] 時間標記（預設 false） */
+  includeTimestamps?: boolean;
+  /** 多個結果時各自的時間偏移（秒） */
+  offsets?: number[];
+}
+
+/**
+ * JSON 逐字稿文件格式（schema 版本 1）
+ *
+ * @example
+ * ```json
+ * {
+ *   "version": 1,
+ *   "text": "你好 世界",
+ *   "duration": 2.4,
+ *   "segments": [
+ *     { "id": 0, "start": 0, "end": 1.2, "text": "你好",
+ *       "words": [{ "text": "你", "start": 0, "end": 0.5, "probability": 0.98 }] }
+ *   ]
+ * }
+ * ```
+ */
+export interface TranscriptDocument {
+  /** Schema 版本 */
+  version: 1;
+  /** 完整文字 */
+  text: string;
+  /** 最後一個片段的結束時間（秒），無片段時為 0 */
+  duration: number;
+  /** 依時間排序的片段 */
+  segments: Array<{
+    /** 從 0 開始的片段序號 */
+    id: number;
+    /** 開始時間（秒） */
+    start: number;
+    /** 結束時間（秒） */
+    end: number;
+    /** 片段文字 */
+    text: string;
+    /** 落在此片段時間範圍內的詞（若轉錄時啟用 wordTimestamps） */
+    words?: WhisperWord[];
+  }>;
+}
+
+/**
+ * JSON 匯出選項
+ */
+export interface TranscriptJSONOptions {
+  /** 是否格式化輸出（預設 true） */
+  pretty?: boolean;
+  /** 多個結果時各自的時間偏移（秒） */
+  offsets?: number[];
+}
+
+/**
+ * 匯出為 SRT 字幕
+ *
+ * @param results - 單一或多個轉錄結果（需以 returnSegments 轉錄）
+ * @param options - 匯出選項
+ * @returns string - SRT 內容
+ *
+ * @example
+ * ```typescript
+ * const result = await whisper.transcribe(audio, { returnSegments: true });
+ * const srt = toSRT(result, { maxLineLength: 16 });
+ * ```
+ */
+export function toSRT(results: WhisperResult | WhisperResult[], options: SubtitleExportOptions = {}): string {
+  return buildCues(results, options)
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * 匯出為 WebVTT 字幕
+ *
+ * @param results - 單一或多個轉錄結果（需以 returnSegments 轉錄）
+ * @param options - 匯出選項
+ * @returns string - WebVTT 內容
+ */
+export function toWebVTT(results: WhisperResult | WhisperResult[], options: SubtitleExportOptions = {}): string {
+  const body = buildCues(results, options)
+    .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+    .join('\n');
+
+  return body ? `WEBVTT\n\n${body}` : 'WEBVTT\n';
+}
+
+/**
+ * 匯出為純文字
+ *
+ * @param results - 單一或多個轉錄結果
+ * @param options - 匯出選項
+ * @returns string - 純文字逐字稿
+ */
+export function toPlainText(results: WhisperResult | WhisperResult[], options: PlainTextExportOptions = {}): string {
+  const list = Array.isArray(results) ? results : [results];
+
+  if (!options.includeTimestamps) {
+    return list.map(r => r.text.trim()).filter(Boolean).join('\n');
+  }
+
+  return collectSegments(list, options.offsets)
+    .map(segment => `[${formatTimestamp(segment.start, '.').slice(0, 8)}] ${segment.text}`)
+    .join('\n');
+}
+
+/**
+ * 建立 JSON 逐字稿文件
+ *
+ * @param results - 單一或多個轉錄結果
+ * @param offsets - 多個結果時各自的時間偏移（秒）
+ * @returns TranscriptDocument - 逐字稿文件物件
+ */
+export function createTranscriptDocument(
+  results: WhisperResult | WhisperResult[],
+  offsets?: number[]
+): TranscriptDocument {
+  const list = Array.isArray(results) ? results : [results];
+  const segments = collectSegments(list, offsets, true);
+
+  return {
+    version: 1,
+    text: joinTranscripts(list.map(r => r.text.trim()).filter(Boolean)),
+    duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+    segments: segments.map((segment, id) => ({
+      id,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      ...(segment.words && { words: segment.words })
+    }))
+  };
+}
+
+/**
+ * 匯出為 JSON 逐字稿（格式見 TranscriptDocument）
+ *
+ * @param results - 單一或多個轉錄結果
+ * @param options - 匯出選項
+ * @returns string - JSON 字串
+ */
+export function toTranscriptJSON(results: WhisperResult | WhisperResult[], options: TranscriptJSONOptions = {}): string {
+  const document = createTranscriptDocument(results, options.offsets);
+  return JSON.stringify(document, null, options.pretty === false ? undefined : 2);
+}
+
+/**
+ * 解析 SRT 字幕
+ *
+ * @param content - SRT 內容
+ * @returns SubtitleCue[] - 字幕條目（可直接作為 WhisperResult.segments 使用）
+ */
+export function parseSRT(content: string): SubtitleCue[] {
+  return parseCueBlocks(content, false);
+}
+
+/**
+ * 解析 WebVTT 字幕
+ *
+ * 會略過 WEBVTT 標頭、NOTE / STYLE / REGION 區塊與 cue 設定
+ * @param content - WebVTT 內容
+ * @returns SubtitleCue[] - 字幕條目（可直接作為 WhisperResult.segments 使用）
+ */
+export function parseWebVTT(content: string): SubtitleCue[] {
+  return parseCueBlocks(content, true);
+}
+
+/**
+ * 解析 SRT / WebVTT 共用的條目區塊
+ * @private
+ */
+function parseCueBlocks(content: string, isVtt: boolean): SubtitleCue[] {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues: SubtitleCue[] = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    if (lines.length === 0) continue;
+
+    if (isVtt && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex < 0) continue;
+
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const endText = rest.trim().split(/\s+/)[0];
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null || end === null) continue;
+
+    const cue: SubtitleCue = {
+      start,
+      end,
+      text: lines.slice(timingIndex + 1).join('\n').trim()
+    };
+    if (timingIndex > 0) {
+      cue.id = lines[timingIndex - 1].trim();
+    }
+    cues.push(cue);
+  }
+
+  return cues;
+}
+
+/**
+ * 解析 HH:MM:SS,mmm / HH:MM:SS.mmm / MM:SS.mmm 時間戳
+ * @private
+ */
+function parseTimestamp(text: string): number | null {
+  const match = text.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+  if (!match) return null;
+
+  const [, hours, minutes, seconds, millis] = match;
+  return (
+    Number(hours ?? 0) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds) +
+    Number(millis.padEnd(3, '0')) / 1000
+  );
+}
+
+/**
+ * 格式化為 HH:MM:SS{sep}mmm
+ * @private
+ */
+function formatTimestamp(seconds: number, separator: ',' | '.'): string {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const s = totalSeconds % 60;
+  const m = Math.floor(totalSeconds / 60) % 60;
+  const h = Math.floor(totalSeconds / 3600);
+
+  const pad = (n: number, width = 2) => String(n).padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * 收集所有結果的片段並套用時間偏移
+ * @private
+ */
+function collectSegments(
+  results: WhisperResult[],
+  offsets?: number[],
+  includeWords = false
+): Array<{ start: number; end: number; text: string; words?: WhisperWord[] }> {
+  const collected: Array<{ start: number; end: number; text: string; words?: WhisperWord[] }> = [];
+  let nextOffset = 0;
+
+  results.forEach((result, i) => {
+    if (!result.segments) {
+      throw new Error('WhisperResult has no segments. Transcribe with returnSegments: true to export subtitles.');
+    }
+
+    const offset = offsets?.[i] ?? nextOffset;
+    const words = result.words?.map(w => ({ ...w, start: w.start + offset, end: w.end + offset }));
+
+    for (const segment of result.segments) {
+      const text = segment.text.trim();
+      if (!text) continue;
+
+      const start = segment.start + offset;
+      const end = segment.end + offset;
+      const entry: { start: number; end: number; text: string; words?: WhisperWord[] } = { start, end, text };
+
+      if (includeWords && words) {
+        entry.words = words.filter(w => w.start >= start && w.end <= end);
+      }
+      collected.push(entry);
+    }
+
+    const last = result.segments[result.segments.length - 1];
+    nextOffset = last ? offset + last.end : offset;
+  });
+
+  return collected;
+}
+
+/**
+ * 將片段轉換為符合長度與時間限制的字幕條目
+ * @private
+ */
+function buildCues(results: WhisperResult | WhisperResult[], options: SubtitleExportOptions): SubtitleCue[] {
+  const maxLineLength = options.maxLineLength ?? 42;
+  const maxLines = options.maxLinesPerCue ?? 2;
+  const maxDuration = options.maxCueDuration ?? 7;
+  const minDuration = options.minCueDuration ?? 1;
+  const maxGap = options.maxMergeGap ?? 0.5;
+  const maxChars = maxLineLength * maxLines;
+
+  const list = Array.isArray(results) ? results : [results];
+  let cues: SubtitleCue[] = collectSegments(list, options.offsets);
+
+  // 合併過短的片段
+  if (options.mergeShortSegments !== false) {
+    const merged: SubtitleCue[] = [];
+    for (const cue of cues) {
+      const prev = merged[merged.length - 1];
+      if (
+        prev &&
+        prev.end - prev.start < minDuration &&
+        cue.start - prev.end <= maxGap &&
+        cue.end - prev.start <= maxDuration &&
+        joinTranscripts([prev.text, cue.text]).length <= maxChars
+      ) {
+        prev.end = cue.end;
+        prev.text = joinTranscripts([prev.text, cue.text]);
+      } else {
+        merged.push({ ...cue });
+      }
+    }
+    cues = merged;
+  }
+
+  // 切分過長的片段並換行
+  return cues.flatMap(cue => splitCue(cue, maxDuration, maxChars)).map(cue => ({
+    ...cue,
+    text: wrapText(cue.text, maxLineLength)
+  }));
+}
+
+/**
+ * 依時間與字數上限切分條目，時間依字元數比例分配
+ *
+ * 切分後每個條目都不超過 maxDuration；只剩單一詞元時截短顯示時間
+ * @private
+ */
+function splitCue(cue: SubtitleCue, maxDuration: number, maxChars: number): SubtitleCue[] {
+  const duration = cue.end - cue.start;
+  const parts = Math.max(Math.ceil(duration / maxDuration), Math.ceil(cue.text.length / maxChars), 1);
+  if (parts === 1) return [cue];
+
+  const tokens = tokenizeForAgreement(cue.text);
+  if (tokens.length <= 1) {
+    // 文字無法再切分：縮短顯示時間以符合上限
+    return [{ ...cue, end: Math.min(cue.end, cue.start + maxDuration) }];
+  }
+
+  const totalChars = tokens.reduce((sum, token) => sum + token.length, 0);
+  const targetChars = totalChars / parts;
+
+  const result: SubtitleCue[] = [];
+  let current = '';
+  let consumed = 0;
+  let partStart = cue.start;
+
+  for (const token of tokens) {
+    if (current && current.length + token.length > targetChars && result.length < parts - 1) {
+      consumed += current.length;
+      const partEnd = cue.start + (consumed / totalChars) * duration;
+      result.push({ start: partStart, end: partEnd, text: current.trim() });
+      partStart = partEnd;
+      current = '';
+    }
+    current += token;
+  }
+  if (current.trim()) {
+    result.push({ start: partStart, end: cue.end, text: current.trim() });
+  }
+
+  // 時間依字數分配，字少而時間長的部分仍可能超過上限，需再切分
+  return result.flatMap(part => part.end - part.start > maxDuration ? splitCue(part, maxDuration, maxChars) : [part]);
+}
+
+/**
+ * 依每行最大字元數換行（中日韓文字可在任意字元間斷行）
+ * @private
+ */
+function wrapText(text: string, maxLineLength: number): string {
+  const lines: string[] = [];
+  let line = '';
+
+  for (const token of tokenizeForAgreement(text)) {
+    // 標點不放在行首
+    const isPunctuation = /^[，。！？、；：,.!?;:」』）)]$/.test(token.trim());
+    if (line && !isPunctuation && (line + token).trim().length > maxLineLength) {
+      lines.push(line.trim());
+      line = token.trimStart();
+    } else {
+      line += token;
+    }
+  }
+  if (line.trim()) {
+    lines.push(line.trim());
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,138 @@
+/**
+ * 音訊管線 Worker 測試（Node.js）
+ *
+ * 以同一執行緒內的假 Worker 連接 PipelineWorkerService 與 Worker 腳本，
+ * 使用儲存庫內的 Silero VAD 模型驗證初始化錯誤、串流重採樣與佇列丟棄
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PipelineWorkerService } from '../services/PipelineWorkerService';
+import { PipelineEvents } from '../types/events';
+
+type WorkerListener = (event: { data: any; ports: readonly MessagePort[] }) => void;
+
+const workerListeners: WorkerListener[] = [];
+let host: FakeWorker | null = null;
+
+/**
+ * 將訊息直接轉給 Worker 腳本的假 Worker
+ */
+class FakeWorker {
+  private listeners: Array<(event: { data: any }) => void> = [];
+
+  constructor() {
+    host = this;
+  }
+
+  addEventListener(type: string, listener: (event: { data: any }) => void): void {
+    if (type === 'message') this.listeners.push(listener);
+  }
+
+  postMessage(data: any, transfer: Transferable[] = []): void {
+    const ports = transfer.filter((item): item is MessagePort => item instanceof MessagePort);
+    workerListeners.forEach(listener => listener({ data, ports }));
+  }
+
+  terminate(): void {
+    if (host === this) host = null;
+  }
+
+  receive(data: any): void {
+    this.listeners.forEach(listener => listener({ data }));
+  }
+}
+
+// Worker 腳本在載入時註冊 self 的訊息處理器
+Object.assign(globalThis, {
+  self: {
+    addEventListener: (_type: string, listener: WorkerListener) => workerListeners.push(listener),
+    postMessage: (data: any) => host?.receive(data)
+  },
+  Worker: FakeWorker
+});
+await import('./audio-pipeline.worker');
+
+let pipeline: PipelineWorkerService | null = null;
+
+/**
+ * 取得共用的管線服務（只載入 VAD，縮短測試時間）
+ */
+async function getPipeline(): Promise<PipelineWorkerService> {
+  if (!pipeline) {
+    pipeline = new PipelineWorkerService({
+      forwardToBus: false,
+      wakewords: [],
+      maxQueuedSamples: 2048,
+      statisticsInterval: 20
+    });
+    await pipeline.initialize();
+  }
+  return pipeline;
+}
+
+/**
+ * 等待符合條件的統計事件
+ */
+function waitForStatistics(service: PipelineWorkerService, predicate: (stats: any) => boolean): Promise<any> {
+  return new Promise((resolve, reject) => {
+    let last: any;
+    const timer = setTimeout(() => {
+      service.off(PipelineEvents.STATISTICS, listener);
+      reject(new Error(`統計資料未達預期: ${JSON.stringify(last)}`));
+    }, 10000);
+    const listener = (stats: any) => {
+      last = stats;
+      if (predicate(stats)) {
+        clearTimeout(timer);
+        service.off(PipelineEvents.STATISTICS, listener);
+        resolve(stats);
+      }
+    };
+    service.on(PipelineEvents.STATISTICS, listener);
+  });
+}
+
+after(() => pipeline?.dispose());
+
+test('Worker 初始化失敗時 initialize() 拒絕並發出錯誤事件', async () => {
+  const service = new PipelineWorkerService({ forwardToBus: false, vadModelUrl: './models/missing.onnx' });
+  const errors: Array<{ context: string }> = [];
+  service.on(PipelineEvents.ERROR, data => errors.push(data));
+
+  await assert.rejects(service.initialize(), Error);
+  assert.equal(errors[0].context, 'worker:initialize');
+  assert.equal(service.isReady(), false);
+  assert.throws(() => service.reset(), /not initialized/);
+});
+
+test('逐塊送入的 44.1kHz 音訊重採樣後不累積取整誤差', async () => {
+  const service = await getPipeline();
+  const before = await waitForStatistics(service, () => true);
+
+  // 345 × 128 = 44160 個樣本，其中 44100 個（441 的整數倍）可重採樣為整整 1 秒
+  for (let i = 0; i < 345; i++) {
+    service.process(new Float32Array(128), 44100);
+  }
+
+  // 處理與丟棄的 16kHz 樣本合計應恰為 16000
+  const stats = await waitForStatistics(service, s =>
+    s.samplesProcessed + s.droppedSamples - before.samplesProcessed - before.droppedSamples >= 16000);
+  assert.equal(stats.samplesReceived - before.samplesReceived, 44160);
+  assert.equal(stats.samplesProcessed + stats.droppedSamples - before.samplesProcessed - before.droppedSamples, 16000);
+});
+
+test('處理速度跟不上時丟棄最舊的音訊', async () => {
+  const service = await getPipeline();
+  service.reset();
+  const before = await waitForStatistics(service, () => true);
+
+  for (let i = 0; i < 40; i++) {
+    service.process(new Float32Array(512), 16000);
+  }
+
+  const stats = await waitForStatistics(service, s =>
+    s.samplesProcessed + s.droppedSamples - before.samplesProcessed - before.droppedSamples === 40 * 512);
+  assert.ok(stats.droppedSamples - before.droppedSamples > 0);
+  assert.ok(stats.samplesProcessed - before.samplesProcessed <= 2048 + 512);
+});
@@ -0,0 +1,391 @@
+/**
+ * Audio Pipeline Worker
+ *
+ * 在專用 Worker 中執行完整的音訊管線：重採樣、分塊、VAD、喚醒詞與語音分段。
+ * AudioWorklet 透過 MessagePort（或 SharedAudioRingBuffer）直接把音訊送到此 Worker，
+ * 主執行緒只會收到 speechStart / speechEnd / wakewordDetected / segment 等高階事件，
+ * 因此 UI 卡頓不會造成音訊遺失。
+ */
+
+import { ConfigManager } from '../utils/config-manager';
+import { SharedAudioRingBuffer } from '../utils/SharedAudioRingBuffer';
+import { AudioResampler } from '../services/audio-resampler';
+import { VadService } from '../services/VadService';
+import { WakewordService } from '../services/WakewordService';
+import { UtteranceSegmenter } from '../services/UtteranceSegmenter';
+import {
+  PipelineEvents,
+  VadEvents,
+  WakewordEvents,
+  SegmenterEvents
+} from '../types/events';
+import type {
+  WakewordState,
+  WakewordParams,
+  PipelineWorkerInitOptions,
+  PipelineWorkerRequest
+} from '../types';
+import type { SharedRingBufferHandle } from '../utils/SharedAudioRingBuffer';
+
+/** 預設的統計事件間隔（毫秒） */
+const DEFAULT_STATISTICS_INTERVAL = 5000;
+
+/**
+ * 發送事件到主執行緒
+ */
+function postEvent(event: PipelineEvents, detail: any, transfer: Transferable[] = []): void {
+  self.postMessage({ type: 'event', event, detail }, { transfer });
+}
+
+/**
+ * 發送錯誤事件（Error 轉為可複製的物件）
+ */
+function postError(error: unknown, context: string): void {
+  const err = error instanceof Error ? error : new Error(String(error));
+  postEvent(PipelineEvents.ERROR, {
+    error: { name: err.name, message: err.message, stack: err.stack },
+    context: `worker:${context}`,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * 最大公因數
+ */
+function gcd(a: number, b: number): number {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * 串流重採樣器
+ *
+ * @description AudioWorklet 每次只送 128 個樣本，逐塊重採樣會因取整而累積誤差；
+ * 此處累積到輸入/輸出樣本數皆為整數的區塊長度後才重採樣
+ */
+class StreamResampler {
+  private resampler: AudioResampler;
+  private pending: Float32Array = new Float32Array(0);
+  private sampleRate = 0;
+  private blockSize = 1;
+
+  constructor(private targetRate: number) {
+    this.resampler = new AudioResampler();
+  }
+
+  process(audio: Float32Array, sampleRate: number): Float32Array {
+    if (sampleRate === this.targetRate) {
+      return audio;
+    }
+
+    if (sampleRate !== this.sampleRate) {
+      this.sampleRate = sampleRate;
+      this.blockSize = sampleRate / gcd(sampleRate, this.targetRate);
+      this.pending = new Float32Array(0);
+    }
+
+    const merged = new Float32Array(this.pending.length + audio.length);
+    merged.set(this.pending);
+    merged.set(audio, this.pending.length);
+
+    const usable = Math.floor(merged.length / this.blockSize) * this.blockSize;
+    this.pending = merged.slice(usable);
+    if (usable === 0) {
+      return new Float32Array(0);
+    }
+
+    return this.resampler.resampleLinearTo(merged.subarray(0, usable), sampleRate, this.targetRate);
+  }
+
+  reset(): void {
+    this.pending = new Float32Array(0);
+  }
+}
+
+class AudioPipelineWorker {
+  private config = ConfigManager.getInstance();
+  private vad: VadService | null = null;
+  private segmenter: UtteranceSegmenter | null = null;
+  private wakeword: WakewordService | null = null;
+  private wakewordStates = new Map<string, WakewordState>();
+  private wakewordParams: (WakewordParams & { wakeword: string })[] = [];
+  private resampler!: StreamResampler;
+  private maxQueuedSamples = 0;
+  private ready = false;
+
+  // 待處理音訊佇列
+  private queue: Float32Array[] = [];
+  private queuedSamples = 0;
+  private draining: Promise<void> | null = null;
+
+  // 音訊來源
+  private port: MessagePort | null = null;
+  private sharedBuffer: SharedAudioRingBuffer | null = null;
+
+  // 統計資料
+  private statisticsTimer: ReturnType<typeof setInterval> | undefined;
+  private stats = {
+    samplesReceived: 0,
+    samplesProcessed: 0,
+    droppedSamples: 0,
+    totalProcessingTime: 0
+  };
+
+  /**
+   * 載入模型並建立管線
+   */
+  async initialize(options: PipelineWorkerInitOptions): Promise<void> {
+    try {
+      if (options.config) {
+        this.config.fromJSON(options.config);
+      }
+      // 已在 Worker 中，不再建立巢狀的推理 Worker
+      this.config.onnx.useWebWorker = false;
+      this.resolveModelPaths(options.baseUrl);
+
+      this.resampler = new StreamResampler(this.config.audio.sampleRate);
+      this.maxQueuedSamples = options.maxQueuedSamples ?? this.config.audio.ringBuffer.capacity;
+
+      // VAD 與語音分段
+      this.vad = new VadService();
+      this.vad.on(VadEvents.SPEECH_START, data => postEvent(PipelineEvents.SPEECH_START, data));
+      this.vad.on(VadEvents.SPEECH_END, data => postEvent(PipelineEvents.SPEECH_END, data));
+
+      this.segmenter = new UtteranceSegmenter(this.vad, {
+        ...options.segmenter,
+        vadParams: options.vadParams
+      });
+      this.segmenter.on(SegmenterEvents.SEGMENT, ({ segment, timestamp }) => {
+        postEvent(PipelineEvents.SEGMENT, { segment, timestamp }, [segment.audio.buffer]);
+      });
+      await this.segmenter.initialize(this.resolveUrl(options.vadModelUrl, options.baseUrl));
+
+      // 喚醒詞
+      const wakewords = options.wakewords ?? ['hey-jarvis'];
+      if (wakewords.length > 0) {
+        this.wakeword = new WakewordService({
+          thresholds: options.wakewordThresholds,
+          resetOnDetection: options.resetOnDetection ?? true
+        });
+        this.wakeword.on(WakewordEvents.WAKEWORD_DETECTED, data => {
+          postEvent(PipelineEvents.WAKEWORD_DETECTED, data);
+        });
+        await this.wakeword.initialize(wakewords);
+
+        this.wakewordParams = wakewords.map(word => this.wakeword!.createParams(word));
+        for (const word of wakewords) {
+          this.wakewordStates.set(word, this.wakeword.createState(word));
+        }
+      }
+
+      const interval = options.statisticsInterval ?? DEFAULT_STATISTICS_INTERVAL;
+      if (interval > 0) {
+        this.statisticsTimer = setInterval(() => this.emitStatistics(), interval);
+      }
+
+      this.ready = true;
+
+      postEvent(PipelineEvents.READY, {
+        wakewords,
+        sampleRate: this.config.audio.sampleRate,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      postError(error, 'initialize');
+    }
+  }
+
+  /**
+   * 連接 AudioWorklet 的 MessagePort
+   */
+  attachPort(port: MessagePort): void {
+    this.port?.close();
+    this.port = port;
+    port.onmessage = (event: MessageEvent) => {
+      if (event.data?.type === 'audio-data') {
+        this.enqueue(event.data.data, event.data.sampleRate);
+      }
+    };
+    port.start();
+  }
+
+  /**
+   * 連接共享環形緩衝區，持續讀取直到解除連接
+   */
+  async attachSharedBuffer(handle: SharedRingBufferHandle): Promise<void> {
+    const buffer = SharedAudioRingBuffer.fromHandle(handle);
+    this.sharedBuffer = buffer;
+
+    while (this.sharedBuffer === buffer) {
+      if (await buffer.waitForData(1, 100)) {
+        const sampleRate = buffer.getSampleRate() || this.config.audio.sampleRate;
+        this.enqueue(buffer.readAll(), sampleRate);
+      }
+    }
+  }
+
+  /**
+   * 將音訊加入處理佇列
+   */
+  enqueue(audio: Float32Array, sampleRate: number = this.config.audio.sampleRate): void {
+    // 模型載入完成前收到的音訊直接忽略
+    if (!this.ready) return;
+
+    this.stats.samplesReceived += audio.length;
+    const resampled = this.resampler.process(audio, sampleRate);
+    if (resampled.length === 0) return;
+
+    this.queue.push(resampled);
+    this.queuedSamples += resampled.length;
+
+    // 處理速度跟不上時丟棄最舊的音訊
+    while (this.queuedSamples > this.maxQueuedSamples && this.queue.length > 1) {
+      const dropped = this.queue.shift()!;
+      this.queuedSamples -= dropped.length;
+      this.stats.droppedSamples += dropped.length;
+    }
+
+    if (!this.draining) {
+      this.draining = this.drain().finally(() => {
+        this.draining = null;
+      });
+    }
+  }
+
+  /**
+   * 依序處理佇列中的音訊
+   */
+  private async drain(): Promise<void> {
+    try {
+      while (this.queue.length > 0) {
+        const audio = this.queue.shift()!;
+        this.queuedSamples -= audio.length;
+        const startTime = performance.now();
+
+        await this.segmenter!.process(audio);
+
+        if (this.wakeword) {
+          const { states } = await this.wakeword.processMultiple(audio, this.wakewordStates, this.wakewordParams);
+          this.wakewordStates = states;
+        }
+
+        this.stats.samplesProcessed += audio.length;
+        this.stats.totalProcessingTime += performance.now() - startTime;
+      }
+    } catch (error) {
+      postError(error, 'process');
+    }
+  }
+
+  /**
+   * 處理完佇列中的音訊後，強制結束目前的語音片段
+   */
+  async flush(): Promise<void> {
+    await this.draining;
+    this.segmenter?.flush();
+  }
+
+  /**
+   * 重置所有狀態（不發射未完成片段）
+   */
+  reset(): void {
+    this.queue = [];
+    this.queuedSamples = 0;
+    this.resampler?.reset();
+    this.segmenter?.reset();
+    if (this.wakeword) {
+      this.wakeword.reset();
+      for (const params of this.wakewordParams) {
+        this.wakewordStates.set(params.wakeword, this.wakeword.createState(params.wakeword));
+      }
+    }
+  }
+
+  /**
+   * 釋放資源
+   */
+  dispose(): void {
+    this.ready = false;
+    clearInterval(this.statisticsTimer);
+    this.port?.close();
+    this.port = null;
+    this.sharedBuffer = null;
+    this.reset();
+    this.segmenter?.dispose();
+    this.vad?.dispose();
+    this.wakeword?.dispose();
+  }
+
+  private emitStatistics(): void {
+    postEvent(PipelineEvents.STATISTICS, {
+      ...this.stats,
+      queuedSamples: this.queuedSamples,
+      sharedBuffer: this.sharedBuffer?.getStats(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * 將配置中的相對模型路徑解析為以主執行緒頁面為基準的絕對 URL
+   *
+   * @description Worker 中的相對 URL 以 Worker 腳本位置為基準，與主執行緒不同
+   */
+  private resolveModelPaths(baseUrl?: string): void {
+    if (!baseUrl) return;
+
+    this.config.vad.modelPath = this.resolveUrl(this.config.vad.modelPath, baseUrl)!;
+    for (const key of ['hey_jarvis', 'hey_mycroft', 'alexa'] as const) {
+      const model = this.config.wakeword[key];
+      model.detectorPath = this.resolveUrl(model.detectorPath, baseUrl)!;
+      model.melspecPath = this.resolveUrl(model.melspecPath, baseUrl)!;
+      model.embeddingPath = this.resolveUrl(model.embeddingPath, baseUrl)!;
+    }
+  }
+
+  private resolveUrl(url: string | undefined, baseUrl?: string): string | undefined {
+    if (!url || !baseUrl) return url;
+    return new URL(url, baseUrl).href;
+  }
+}
+
+// Worker 實例
+const pipeline = new AudioPipelineWorker();
+
+// 處理訊息
+self.addEventListener('message', (event: MessageEvent) => {
+  const request = event.data as PipelineWorkerRequest;
+
+  switch (request.type) {
+    case 'init':
+      void pipeline.initialize(request.data);
+      break;
+
+    case 'attach-port':
+      if (event.ports[0]) {
+        pipeline.attachPort(event.ports[0]);
+      }
+      break;
+
+    case 'attach-shared-buffer':
+      void pipeline.attachSharedBuffer(request.data.handle);
+      break;
+
+    case 'audio':
+      pipeline.enqueue(request.data.audio, request.data.sampleRate);
+      break;
+
+    case 'flush':
+      void pipeline.flush();
+      break;
+
+    case 'reset':
+      pipeline.reset();
+      break;
+
+    case 'dispose':
+      pipeline.dispose();
+      break;
+
+    default:
+      console.warn('[Pipeline Worker] Unknown message type:', (request as any).type);
+  }
+});
@@ -38,8 +38,10 @@ declare namespace ort {
     data: any;
   }
   class InferenceSession {
-    static create(path: string, options: any): Promise<InferenceSession>;
+    static create(model: string | Uint8Array, options: any): Promise<InferenceSession>;
     run(feeds: any): Promise<any>;
+    readonly inputNames: string[];
+    readonly outputNames: string[];
   }
   interface ExecutionProviderConfig {
     name: string;
@@ -72,6 +74,8 @@ try {
 interface ModelConfig {
   modelPath: string;
   executionProviders: string[];
+  /** 主執行緒透過 ModelStore 取得（已快取並驗證）的模型內容；未提供時直接從 modelPath 載入 */
+  modelData?: ArrayBuffer;
   webgpuOptions?: {
     powerPreference?: 'default' | 'low-power' | 'high-performance';
   };
@@ -81,11 +85,54 @@ interface ModelConfig {
   };
 }
 
+interface InferenceOptions {
+  streamId?: string;
+  state?: Float32Array;
+  threshold?: number;
+  sampleRate?: number;
+  words?: string[];
+  wakewordParams?: Record<string, {
+    threshold?: number;
+    melFramesPerChunk?: number;
+    requiredMelFrames?: number;
+    melStride?: number;
+  }>;
+}
+
+interface WakewordRegistration {
+  name: string;
+  melspec: ModelConfig;
+  embedding: ModelConfig;
+  detector: ModelConfig;
+  dims: {
+    embeddingBufferSize: number;
+    embeddingDimension: number;
+  };
+}
+
+interface WakewordStream {
+  /** 特徵模型鍵 → 梅爾頻譜幀緩衝區 */
+  melBuffers: Map<string, Float32Array[]>;
+  /** 喚醒詞 → 嵌入緩衝區 */
+  embeddingBuffers: Map<string, Float32Array[]>;
+}
+
+interface WakewordStreamBuffers {
+  /** 梅爾頻譜幀緩衝區 */
+  melBuffer: Float32Array[];
+  /** 嵌入緩衝區（尚未累積足夠梅爾幀時為 undefined） */
+  embeddingBuffer?: Float32Array[];
+}
+
+/** 同時保留緩衝區的喚醒詞串流上限（超過時淘汰最久未使用的串流） */
+const MAX_WAKEWORD_STREAMS = 32;
+
 interface InferenceRequest {
   id: string;
   type: 'vad' | 'wakeword';
   modelName: string;
   inputData: Float32Array;
+  options?: InferenceOptions;
   config?: ModelConfig;
 }
 
@@ -132,8 +179,10 @@ class WorkerEventBridge {
 
 class ONNXInferenceWorker {
   private sessions: Map<string, ort.InferenceSession> = new Map();
-  private vadStates: Map<string, Float32Array> = new Map();  // 保存 VAD LSTM 狀態
-  private vadActiveStates: Map<string, boolean> = new Map();  // 保存 VAD 活動狀態
+  private vadStates: Map<string, Float32Array> = new Map();  // 各串流的 VAD LSTM 狀態
+  private vadActiveStates: Map<string, boolean> = new Map();  // 各串流的 VAD 活動狀態
+  private wakewords: Map<string, WakewordRegistration> = new Map();  // 已註冊的喚醒詞
+  private wakewordStreams: Map<string, WakewordStream> = new Map();  // 各串流的喚醒詞緩衝區
   private isWebGPUAvailable = false;
 
   constructor() {
@@ -235,9 +284,6 @@ class ONNXInferenceWorker {
     }
 
     try {
-      // 先嘗試直接載入，如果失敗則使用 ArrayBuffer
-      let session: ort.InferenceSession;
-      
       // 修正路徑 - Worker 在 /dist/workers/ 下執行，需要調整相對路徑
       let modelUrl = config.modelPath;
       
@@ -249,30 +295,25 @@ class ONNXInferenceWorker {
         modelUrl = `/../../${modelUrl}`;
       }
       
-      try {
-        // 嘗試直接從路徑載入
-        session = await ort.InferenceSession.create(
-          modelUrl,
-          { executionProviders }
-        );
-      } catch (pathError: any) {
-        // 如果是外部數據文件錯誤，嘗試使用 ArrayBuffer
-        if (pathError.message?.includes('external data file')) {
-          console.log(`[ONNX Worker] Path loading failed, trying ArrayBuffer for ${modelName}`);
-          const response = await fetch(modelUrl);
-          if (!response.ok) {
-            throw new Error(`Failed to fetch model: ${response.status}`);
-          }
-          const modelBuffer = await response.arrayBuffer();
-          // ONNX Runtime accepts ArrayBuffer directly for binary model data
+      let session: ort.InferenceSession | null = null;
+      if (config.modelData) {
+        try {
           session = await ort.InferenceSession.create(
-            modelBuffer as any,  // Type assertion needed as ONNX Runtime types may be incomplete
+            new Uint8Array(config.modelData),
             { executionProviders }
           );
-        } else {
-          throw pathError;
+        } catch (bufferError: any) {
+          // 使用外部數據文件的模型需要模型路徑才能找到數據文件，改為直接從路徑載入
+          if (!bufferError?.message?.includes('external data file')) {
+            throw bufferError;
+          }
+          console.log(`[ONNX Worker] ArrayBuffer loading failed, trying path for ${modelName}`);
         }
       }
+      session ??= await ort.InferenceSession.create(
+        modelUrl,
+        { executionProviders }
+      );
       
       this.sessions.set(cacheKey, session);
       console.log(`[ONNX Worker] Model loaded successfully: ${modelName}`);
@@ -287,26 +328,24 @@ class ONNXInferenceWorker {
   private async runVADInference(
     session: ort.InferenceSession,
     inputData: Float32Array,
-    sessionKey: string = 'default'
+    options: InferenceOptions = {}
   ): Promise<any> {
     // Silero VAD v6 模型需要三個輸入：
     // 1. input: [1, 576] - 音訊數據（64 context + 512 new samples）
     // 2. state: [2, 1, 128] - LSTM 狀態
-    // 3. sr: [1] - 採樣率 (16000)
-    
-    // 獲取或創建 LSTM 狀態
-    let stateData = this.vadStates.get(sessionKey);
-    const wasActive = stateData ? this.isVadActive(sessionKey) : false;
+    // 3. sr: [1] - 採樣率
+    const streamId = options.streamId ?? 'default';
+    const threshold = options.threshold ?? 0.5;
+    const sampleRate = options.sampleRate ?? 16000;
     
-    if (!stateData) {
-      stateData = new Float32Array(2 * 1 * 128);  // 零初始化
-      this.vadStates.set(sessionKey, stateData);
-    }
+    // 優先使用呼叫端傳入的 LSTM 狀態，否則沿用該串流上次的狀態
+    const stateData = options.state ?? this.vadStates.get(streamId) ?? new Float32Array(2 * 1 * 128);
+    const wasActive = this.isVadActive(streamId);
     
     const state = new ort.Tensor('float32', stateData, [2, 1, 128]);
     
     // 創建採樣率張量
-    const sr = new ort.Tensor('int64', BigInt64Array.from([16000n]), [1]);
+    const sr = new ort.Tensor('int64', BigInt64Array.from([BigInt(sampleRate)]), [1]);
     
     const feeds: Record<string, ort.Tensor> = {
       'input': new ort.Tensor('float32', inputData, [1, inputData.length]),
@@ -319,40 +358,40 @@ class ONNXInferenceWorker {
     // 調試：列出所有輸出鍵
     // console.log(`[ONNX Worker] VAD model outputs:`, Object.keys(results));
     
-    // 更新 LSTM 狀態供下次使用
+    // 更新 LSTM 狀態供下次使用，並一併回傳給呼叫端
     const newState = results['state_out'] || results['stateN'] || results['state'];
-    if (newState && newState.data) {
-      const newStateData = new Float32Array(newState.data as Float32Array);
-      this.vadStates.set(sessionKey, newStateData);
-    }
+    const newStateData = newState && newState.data
+      ? new Float32Array(newState.data as Float32Array)
+      : new Float32Array(stateData);
+    this.vadStates.set(streamId, newStateData);
     
     // 提取輸出 - Silero VAD 的輸出鍵可能是 'output' 或其他
     const output = results['output'] || results['21'] || results[Object.keys(results)[0]];
     if (!output || !output.data) {
       console.error('[ONNX Worker] No valid output from VAD model');
-      return { isSpeech: false, probability: 0 };
+      return { isSpeech: false, probability: 0, state: newStateData };
     }
     
     const probability = output.data[0] as number;
-    
-    const threshold = 0.15;  // 進一步降低閾值
     const isSpeech = probability > threshold;
     
     // 發出語音狀態變更事件
     if (!wasActive && isSpeech) {
       WorkerEventBridge.emitEvent('speech-start', {
+        streamId,
         timestamp: Date.now(),
         probability: probability
       });
     } else if (wasActive && !isSpeech) {
       WorkerEventBridge.emitEvent('speech-end', {
+        streamId,
         timestamp: Date.now(),
         probability: probability
       });
     }
     
     // 保存當前狀態供下次比較
-    this.setVadActive(sessionKey, isSpeech);
+    this.setVadActive(streamId, isSpeech);
     
     // 總是輸出調試資訊以便觀察
     // console.log(`[ONNX Worker] VAD: probability=${probability.toFixed(4)}, threshold=${threshold}, isSpeech=${isSpeech}, inputLength=${inputData.length}`);
@@ -368,87 +407,184 @@ class ONNXInferenceWorker {
     
     return {
       isSpeech: isSpeech,
-      probability: probability
+      probability: probability,
+      state: newStateData
     };
   }
 
-  private async runWakeWordInference(
-    session: ort.InferenceSession,
-    inputData: Float32Array,
-    modelName: string = 'unknown'
-  ): Promise<any> {
-    // 判斷輸入數據的格式
-    // 如果 inputData 長度是 96 的倍數，則可能是 embedding tensor [T, D]
-    // 否則可能是原始音訊數據
-    let feeds: Record<string, ort.Tensor>;
-    
-    const embeddingDim = 96;
-    const isEmbeddingTensor = inputData.length % embeddingDim === 0 && inputData.length >= embeddingDim;
-    
-    if (isEmbeddingTensor) {
-      // 這是 embedding tensor，shape 應該是 [1, T, D]
-      const timeSteps = inputData.length / embeddingDim;
-      console.log(`[ONNX Worker] Detected embedding tensor: T=${timeSteps}, D=${embeddingDim}`);
-      feeds = {
-        'input': new ort.Tensor('float32', inputData, [1, timeSteps, embeddingDim])
-      };
+  /**
+   * 註冊喚醒詞模型並預先載入三階段模型
+   *
+   * @description 梅爾頻譜與嵌入模型以路徑為快取鍵，相同路徑的喚醒詞共用同一個會話
+   */
+  public async registerWakeword(registration: WakewordRegistration): Promise<void> {
+    await Promise.all([
+      this.loadModel(`wakeword_melspec:${registration.melspec.modelPath}`, registration.melspec),
+      this.loadModel(`wakeword_embedding:${registration.embedding.modelPath}`, registration.embedding),
+      this.loadModel(`wakeword_detector_${registration.name}`, registration.detector)
+    ]);
+    this.wakewords.set(registration.name, registration);
+    console.log(`[ONNX Worker] Registered wakeword: ${registration.name}`);
+  }
+
+  /**
+   * 取得串流的喚醒詞緩衝區（最近使用的串流移到最後，超過上限時淘汰最舊的串流）
+   */
+  private getWakewordStream(streamId: string): WakewordStream {
+    let stream = this.wakewordStreams.get(streamId);
+    if (stream) {
+      this.wakewordStreams.delete(streamId);
     } else {
-      // 這是原始音訊數據，shape 應該是 [1, 1, audio_length]
-      console.log(`[ONNX Worker] Detected raw audio tensor: length=${inputData.length}`);
-      feeds = {
-        'input': new ort.Tensor('float32', inputData, [1, 1, inputData.length])
-      };
+      stream = { melBuffers: new Map(), embeddingBuffers: new Map() };
     }
+    this.wakewordStreams.set(streamId, stream);
 
-    const results = await session.run(feeds);
-    
-    // 提取輸出
-    const output = results['output'] || results[Object.keys(results)[0]];
-    const scores = Array.from(output.data as Float32Array);
-    
-    // 找出最高分數的喚醒詞
-    let maxScore = 0;
-    let detectedWord = null;
-    
-    scores.forEach((score, index) => {
-      if (score > maxScore) {
-        maxScore = score;
-        detectedWord = index;
+    if (this.wakewordStreams.size > MAX_WAKEWORD_STREAMS) {
+      const oldest = this.wakewordStreams.keys().next().value!;
+      this.wakewordStreams.delete(oldest);
+    }
+    return stream;
+  }
+
+  /**
+   * 執行完整的喚醒詞管線：梅爾頻譜圖 → 嵌入向量 → 檢測器
+   *
+   * @description 使用相同梅爾頻譜與嵌入模型的喚醒詞共用一次特徵計算，
+   * 每個喚醒詞保有各自的嵌入緩衝區並回傳各自的分數
+   */
+  private async runWakewordPipeline(
+    audio: Float32Array,
+    options: InferenceOptions = {}
+  ): Promise<any> {
+    const streamId = options.streamId ?? 'default';
+    const stream = this.getWakewordStream(streamId);
+    const words = options.words ?? [];
+
+    // 依特徵模型分組
+    const groups = new Map<string, WakewordRegistration[]>();
+    for (const word of words) {
+      const registration = this.wakewords.get(word);
+      if (!registration) {
+        throw new Error(`Wakeword not registered in worker: ${word}`);
       }
-    });
-    
-    const isDetected = maxScore > 0.5;
-    
-    // 發出喚醒詞檢測事件
-    if (isDetected) {
-      WorkerEventBridge.emitEvent('wakeword-detected', {
-        word: modelName,
-        wordIndex: detectedWord,
-        confidence: maxScore,
-        timestamp: Date.now()
+      const key = `${registration.melspec.modelPath}|${registration.embedding.modelPath}`;
+      groups.set(key, [...(groups.get(key) ?? []), registration]);
+    }
+
+    const scores: Record<string, number> = {};
+    const triggered: string[] = [];
+    let embeddingComputed = false;
+
+    for (const [featureKey, registrations] of groups) {
+      const first = registrations[0];
+      const params = options.wakewordParams?.[first.name];
+      const melFramesPerChunk = params?.melFramesPerChunk ?? 5;
+      const requiredMelFrames = params?.requiredMelFrames ?? 76;
+      const melStride = params?.melStride ?? 8;
+      const melDim = 32;
+
+      const melspec = await this.loadModel(`wakeword_melspec:${first.melspec.modelPath}`, first.melspec);
+      const embedding = await this.loadModel(`wakeword_embedding:${first.embedding.modelPath}`, first.embedding);
+
+      // 階段 1：音訊 → 梅爾頻譜圖，縮放為 (x/10) + 2
+      const melOut = await melspec.run({
+        [melspec.inputNames[0]]: new ort.Tensor('float32', audio, [1, audio.length])
+      });
+      const melData = melOut[melspec.outputNames[0]].data as Float32Array;
+
+      const melBuffer = stream.melBuffers.get(featureKey) ?? [];
+      stream.melBuffers.set(featureKey, melBuffer);
+      for (let j = 0; j < melFramesPerChunk; j++) {
+        const frame = new Float32Array(melDim);
+        for (let k = 0; k < melDim; k++) {
+          frame[k] = melData[j * melDim + k] / 10.0 + 2.0;
+        }
+        melBuffer.push(frame);
+      }
+
+      for (const registration of registrations) {
+        scores[registration.name] = 0;
+      }
+
+      if (melBuffer.length < requiredMelFrames) {
+        continue;
+      }
+
+      // 階段 2：梅爾幀 [1, 76, 32, 1] → 嵌入向量（所有喚醒詞共用）
+      const flatMel = new Float32Array(requiredMelFrames * melDim);
+      for (let i = 0; i < requiredMelFrames; i++) {
+        flatMel.set(melBuffer[i], i * melDim);
+      }
+      const embOut = await embedding.run({
+        [embedding.inputNames[0]]: new ort.Tensor('float32', flatMel, [1, requiredMelFrames, melDim, 1])
       });
+      const newEmbedding = new Float32Array(embOut[embedding.outputNames[0]].data as Float32Array);
+      embeddingComputed = true;
+
+      // 階段 3：每個喚醒詞以各自的嵌入緩衝區執行檢測器
+      for (const registration of registrations) {
+        const { embeddingBufferSize, embeddingDimension } = registration.dims;
+        let buffer = stream.embeddingBuffers.get(registration.name)
+          ?? Array.from({ length: embeddingBufferSize }, () => new Float32Array(embeddingDimension));
+        buffer = buffer.slice(1);
+        buffer.push(newEmbedding);
+        stream.embeddingBuffers.set(registration.name, buffer);
+
+        const flatEmb = new Float32Array(embeddingBufferSize * embeddingDimension);
+        for (let i = 0; i < buffer.length; i++) {
+          flatEmb.set(buffer[i], i * embeddingDimension);
+        }
+
+        const detector = await this.loadModel(`wakeword_detector_${registration.name}`, registration.detector);
+        const detOut = await detector.run({
+          [detector.inputNames[0]]: new ort.Tensor('float32', flatEmb, [1, embeddingBufferSize, embeddingDimension])
+        });
+        const score = detOut[detector.outputNames[0]].data[0] as number;
+        scores[registration.name] = score;
+
+        const threshold = options.wakewordParams?.[registration.name]?.threshold ?? 0.5;
+        if (score > threshold) {
+          triggered.push(registration.name);
+          WorkerEventBridge.emitEvent('wakeword-detected', {
+            streamId,
+            word: registration.name,
+            score,
+            timestamp: Date.now()
+          });
+        }
+      }
+
+      // 按步長滑動梅爾緩衝區
+      melBuffer.splice(0, melStride);
     }
-    
-    return {
-      detected: isDetected,
-      confidence: maxScore,
-      wordIndex: detectedWord
-    };
+
+    // 回傳處理後的緩衝區，主執行緒的狀態隨之前進（Worker 失敗改用主執行緒時可接續）
+    const buffers: Record<string, WakewordStreamBuffers> = {};
+    for (const [featureKey, registrations] of groups) {
+      for (const registration of registrations) {
+        buffers[registration.name] = {
+          melBuffer: stream.melBuffers.get(featureKey) ?? [],
+          embeddingBuffer: stream.embeddingBuffers.get(registration.name)
+        };
+      }
+    }
+
+    return { scores, triggered, embeddingComputed, buffers };
   }
 
   public async processInference(request: InferenceRequest): Promise<InferenceResponse> {
     const startTime = performance.now();
     
     try {
-      // 載入或取得模型
-      const session = await this.loadModel(request.modelName, request.config!);
-      
       // 執行推理
       let result;
       if (request.type === 'vad') {
-        result = await this.runVADInference(session, request.inputData, request.id);
+        // 載入或取得模型
+        const session = await this.loadModel(request.modelName, request.config!);
+        result = await this.runVADInference(session, request.inputData, request.options);
       } else {
-        result = await this.runWakeWordInference(session, request.inputData, request.modelName);
+        // 喚醒詞使用 register-wakeword 註冊的三階段模型
+        result = await this.runWakewordPipeline(request.inputData, request.options);
       }
       
       const executionTime = performance.now() - startTime;
@@ -481,10 +617,27 @@ class ONNXInferenceWorker {
     console.log(`[ONNX Worker] Preloaded model: ${modelName}`);
   }
 
+  /**
+   * 清除指定串流的 VAD 狀態與喚醒詞緩衝區
+   *
+   * @description 指定 words 時只清空這些喚醒詞的嵌入緩衝區，保留共用的梅爾緩衝區
+   */
+  public resetStream(streamId: string, words?: string[]): void {
+    if (words) {
+      const stream = this.wakewordStreams.get(streamId);
+      words.forEach(word => stream?.embeddingBuffers.delete(word));
+      return;
+    }
+    this.vadStates.delete(streamId);
+    this.vadActiveStates.delete(streamId);
+    this.wakewordStreams.delete(streamId);
+  }
+
   public clearCache(): void {
     this.sessions.clear();
     this.vadStates.clear();
     this.vadActiveStates.clear();
+    this.wakewordStreams.clear();
     console.log('[ONNX Worker] Model cache and states cleared');
   }
 }
@@ -507,6 +660,22 @@ self.addEventListener('message', async (event: MessageEvent) => {
       self.postMessage({ type: 'preload-complete', data: { modelName: data.modelName } });
       break;
       
+    case 'register-wakeword':
+      try {
+        await worker.registerWakeword(data.registration);
+        self.postMessage({ type: 'wakeword-registered', data: { id: data.id } });
+      } catch (error) {
+        self.postMessage({
+          type: 'wakeword-registered',
+          data: { id: data.id, error: error instanceof Error ? error.message : String(error) }
+        });
+      }
+      break;
+      
+    case 'reset-stream':
+      worker.resetStream(data.streamId, data.words);
+      break;
+      
     case 'clear-cache':
       worker.clearCache();
       self.postMessage({ type: 'cache-cleared', data: {} });
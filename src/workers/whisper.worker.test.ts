@@ -0,0 +1,187 @@
+/**
+ * Whisper Worker 測試（Node.js）
+ *
+ * 以同一執行緒內的假 Worker 連接 WhisperService 與 Worker 腳本，
+ * 並以假的 transformers.js 管道取代模型，驗證 Worker 模式的載入、轉錄、取消與錯誤處理
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WhisperService } from '../services/WhisperService';
+import { isAbortError } from '../services/whisper';
+import { WhisperEvents } from '../types/events';
+
+type WorkerListener = (event: { data: any }) => void;
+
+const workerListeners: WorkerListener[] = [];
+let host: FakeWorker | null = null;
+
+/**
+ * 以結構化複製（含緩衝區轉移）把訊息轉給 Worker 腳本的假 Worker
+ */
+class FakeWorker {
+  private listeners = new Map<string, Array<(event: any) => void>>();
+
+  constructor() {
+    host = this;
+  }
+
+  addEventListener(type: string, listener: (event: any) => void): void {
+    this.listeners.set(type, [...(this.listeners.get(type) ?? []), listener]);
+  }
+
+  postMessage(data: any, transfer: Transferable[] = []): void {
+    const message = structuredClone(data, { transfer });
+    setTimeout(() => workerListeners.forEach(listener => listener({ data: message })));
+  }
+
+  terminate(): void {
+    if (host === this) host = null;
+  }
+
+  receive(data: any): void {
+    const message = structuredClone(data);
+    setTimeout(() => this.dispatch('message', { data: message }));
+  }
+
+  dispatch(type: string, event: any): void {
+    this.listeners.get(type)?.forEach(listener => listener(event));
+  }
+}
+
+/** 管道呼叫時收到的音訊長度 */
+const calls: number[] = [];
+/** 設定後管道會等到此 Promise 完成才傳回 */
+let gate: Promise<void> | null = null;
+
+/**
+ * 假的 WhisperTextStreamer，只保存回調讓假管道呼叫
+ */
+class FakeStreamer {
+  constructor(public tokenizer: unknown, public callbacks: Record<string, (...args: any[]) => void>) {}
+}
+
+/**
+ * 假的 transformers.js 管道
+ */
+async function fakePipeline(audio: Float32Array, options: { streamer?: FakeStreamer }) {
+  calls.push(audio.length);
+  await gate;
+  const text = ' hello world';
+  options.streamer?.callbacks.callback_function(text);
+  return { text, chunks: [{ text, timestamp: [0, 1] }] };
+}
+
+// loadWhisperResources 優先使用全域的 transformers；定義 window 也讓服務視為可使用 Worker 的環境
+Object.assign(globalThis, {
+  window: {
+    transformers: {
+      env: {},
+      WhisperTextStreamer: FakeStreamer,
+      pipeline: async (_task: string, modelId: string, options: { progress_callback?: (data: any) => void }) => {
+        if (modelId === 'missing-model') {
+          throw new Error('model not found');
+        }
+        options.progress_callback?.({ status: 'done', file: 'model.onnx' });
+        return fakePipeline;
+      }
+    }
+  },
+  self: {
+    addEventListener: (_type: string, listener: WorkerListener) => workerListeners.push(listener),
+    postMessage: (data: any) => host?.receive(data)
+  },
+  Worker: FakeWorker
+});
+await import('./whisper.worker');
+
+/**
+ * 建立並初始化 Worker 模式的服務
+ */
+async function createService(): Promise<WhisperService> {
+  const whisper = new WhisperService({ language: 'en', useWorker: true });
+  await whisper.initialize('fake-whisper');
+  return whisper;
+}
+
+test('Worker 模式在 Worker 中載入模型並轉錄，不轉移呼叫端的音訊', async () => {
+  calls.length = 0;
+  const progress: any[] = [];
+  const whisper = new WhisperService({ language: 'en', useWorker: true });
+  await whisper.initialize('fake-whisper', { progress_callback: (data: any) => progress.push(data) });
+
+  assert.equal(whisper.isUsingWorker(), true);
+  assert.equal(whisper.getModelId(), 'fake-whisper');
+  assert.deepEqual(progress, [{ status: 'done', file: 'model.onnx' }]);
+
+  // 串流回調在 Worker 中觸發，於主執行緒呼叫
+  const partials: string[] = [];
+  const audio = new Float32Array(16000);
+  const result = await whisper.transcribe(audio, {
+    streamCallbacks: { callback_function: partial => partials.push(partial) }
+  });
+  assert.equal(result.text, ' hello world');
+  assert.deepEqual(partials, [' hello world']);
+  assert.deepEqual(calls, [16000]);
+  assert.equal(audio.length, 16000);
+
+  whisper.dispose();
+});
+
+test('Worker 載入模型失敗時 initialize() 拒絕並終止 Worker', async () => {
+  const whisper = new WhisperService({ useWorker: true });
+  await assert.rejects(whisper.initialize('missing-model'), /model not found/);
+  assert.equal(whisper.isUsingWorker(), false);
+  assert.equal(host, null);
+});
+
+test('取消執行中的 Worker 工作以 AbortError 拒絕，之後的工作照常執行', async () => {
+  calls.length = 0;
+  const whisper = await createService();
+  const cancelled: number[] = [];
+  whisper.on(WhisperEvents.TRANSCRIPTION_CANCELLED, data => cancelled.push(data.jobId));
+
+  let release!: () => void;
+  gate = new Promise(resolve => { release = resolve; });
+  const job = whisper.enqueueTranscription(new Float32Array(1600));
+  const rejected = assert.rejects(job.result, error => isAbortError(error));
+
+  // 等到 Worker 開始執行才取消
+  while (calls.length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  whisper.cancelJob(job.id);
+  // 'cancel' 訊息送達 Worker 後才讓管道傳回
+  await new Promise(resolve => setTimeout(resolve, 10));
+  release();
+  gate = null;
+
+  await rejected;
+  assert.deepEqual(cancelled, [job.id]);
+  assert.equal((await whisper.transcribe(new Float32Array(800))).text, ' hello world');
+  assert.deepEqual(calls, [1600, 800]);
+
+  whisper.dispose();
+});
+
+test('Worker 發生錯誤時拒絕等待中的工作並發出錯誤事件', async () => {
+  calls.length = 0;
+  const whisper = await createService();
+  const errors: Array<{ context: string }> = [];
+  whisper.on(WhisperEvents.ERROR, data => errors.push(data));
+
+  let release!: () => void;
+  gate = new Promise(resolve => { release = resolve; });
+  const result = whisper.transcribe(new Float32Array(1600));
+  while (calls.length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  host!.dispatch('error', { message: 'worker crashed' });
+
+  await assert.rejects(result, /worker crashed/);
+  assert.ok(errors.some(error => error.context === 'worker'));
+  release();
+  gate = null;
+
+  whisper.dispose();
+});
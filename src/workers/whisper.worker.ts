@@ -0,0 +1,328 @@
+/**
+ * Whisper Worker
+ *
+ * 在專用 Worker 中載入 transformers.js 的 Whisper 管道並執行轉錄，
+ * 避免長時間的解碼凍結主執行緒。音訊以可轉移物件傳入，
+ * 核心 whisperEvents 的串流事件原樣轉發回主執行緒的 WhisperService。
+ */
+
+import { ConfigManager } from '../utils/config-manager';
+import {
+  loadWhisperResources,
+  transcribe,
+  transcribeLongForm,
+  detectLanguage,
+  whisperEvents,
+  AbortError,
+  DEFAULT_WHISPER_WASM_PATHS
+} from '../services/whisper';
+import type {
+  WhisperResources,
+  WhisperOptions,
+  WhisperLanguageDetectionOptions,
+  WhisperLongFormOptions,
+  WhisperStreamCallbacks,
+  WhisperWorkerInitOptions,
+  WhisperWorkerRequest,
+  WhisperWorkerMessage
+} from '../types';
+
+/** 需要轉發回主執行緒的核心串流事件 */
+const STREAM_EVENTS = ['stream-chunk-start', 'stream-partial', 'stream-chunk-end', 'stream-finalize'];
+
+/**
+ * 發送訊息到主執行緒
+ */
+function post(message: WhisperWorkerMessage): void {
+  self.postMessage(message);
+}
+
+/**
+ * 發送錯誤訊息（Error 轉為可複製的物件）
+ */
+function postError(error: unknown, context: string, id?: number): void {
+  const err = error instanceof Error ? error : new Error(String(error));
+  post({
+    type: 'error',
+    data: { id, error: { name: err.name, message: err.message, stack: err.stack }, context }
+  });
+}
+
+class WhisperWorker {
+  private config = ConfigManager.getInstance();
+  private resources: WhisperResources | null = null;
+
+  // 轉錄工作依序執行，同一時間只有一個工作使用管道
+  private queue: Promise<void> = Promise.resolve();
+  private currentJob: number | null = null;
+  // 尚未完成的工作與其取消控制器
+  private pendingJobs = new Map<number, AbortController>();
+
+  constructor() {
+    for (const type of STREAM_EVENTS) {
+      whisperEvents.addEventListener(type, (event: Event) => {
+        if (this.currentJob === null) return;
+        post({
+          type: 'stream',
+          data: { id: this.currentJob, event: type, detail: (event as CustomEvent).detail }
+        });
+      });
+    }
+  }
+
+  /**
+   * 載入 Whisper 模型
+   */
+  async initialize(options: WhisperWorkerInitOptions): Promise<void> {
+    try {
+      if (options.config) {
+        this.config.fromJSON(options.config);
+      }
+
+      const loadOptions = { ...options.loadOptions };
+      const localBasePath = loadOptions.localBasePath ?? this.config.whisper.localBasePath;
+      if (localBasePath) {
+        loadOptions.localBasePath = this.resolveUrl(localBasePath, options.baseUrl);
+      }
+      loadOptions.wasmPaths = this.resolveWasmPaths(
+        loadOptions.wasmPaths ?? this.config.whisper.wasmPaths,
+        options.baseUrl
+      );
+
+      this.resources = await loadWhisperResources(
+        options.modelId,
+        {
+          ...loadOptions,
+          progress_callback: (data: any) => post({ type: 'load-progress', data })
+        },
+        this.config
+      );
+
+      post({ type: 'ready', data: { modelId: this.resources.modelId } });
+    } catch (error) {
+      postError(error, 'initialize');
+    }
+  }
+
+  /**
+   * 將轉錄工作加入佇列
+   */
+  enqueue(
+    id: number,
+    audio: Float32Array,
+    options: WhisperOptions = {},
+    streamCallbacks: string[] = []
+  ): void {
+    this.pendingJobs.set(id, new AbortController());
+    this.queue = this.queue.then(() => this.run(id, audio, options, streamCallbacks));
+  }
+
+  /**
+   * 將長音訊轉錄工作加入佇列
+   */
+  enqueueLongForm(
+    id: number,
+    audio: Float32Array,
+    options: Omit<WhisperOptions & WhisperLongFormOptions, 'onChunk'> = {}
+  ): void {
+    this.pendingJobs.set(id, new AbortController());
+    this.queue = this.queue.then(() => this.runLongForm(id, audio, options));
+  }
+
+  /**
+   * 將語言偵測工作加入佇列
+   */
+  enqueueDetection(
+    id: number,
+    audio: Float32Array,
+    options: Omit<WhisperLanguageDetectionOptions, 'signal'> = {}
+  ): void {
+    this.pendingJobs.set(id, new AbortController());
+    this.queue = this.queue.then(() => this.runDetection(id, audio, options));
+  }
+
+  /**
+   * 取消轉錄工作；未指定 id 時取消所有工作
+   */
+  cancel(id?: number): void {
+    const ids = id === undefined ? [...this.pendingJobs.keys()] : [id];
+    for (const jobId of ids) {
+      this.pendingJobs.get(jobId)?.abort();
+    }
+  }
+
+  /**
+   * 釋放資源
+   */
+  dispose(): void {
+    this.cancel();
+    this.resources?.pipeline?.dispose?.();
+    this.resources = null;
+  }
+
+  private async run(
+    id: number,
+    audio: Float32Array,
+    options: WhisperOptions,
+    streamCallbacks: string[]
+  ): Promise<void> {
+    const signal = this.pendingJobs.get(id)!.signal;
+
+    try {
+      if (signal.aborted) {
+        throw new AbortError();
+      }
+      if (!this.resources) {
+        throw new Error('Whisper worker not initialized.');
+      }
+
+      this.currentJob = id;
+      // 核心 transcribe 在每個解碼步驟檢查 signal，取消時以 AbortError 中止生成
+      const result = await transcribe(this.resources, audio, {
+        ...options,
+        streamCallbacks: this.createStreamCallbacks(id, streamCallbacks),
+        signal
+      });
+
+      if (signal.aborted) {
+        throw new AbortError();
+      }
+      post({ type: 'result', data: { id, result } });
+    } catch (error) {
+      postError(signal.aborted ? new AbortError() : error, 'transcribe', id);
+    } finally {
+      this.currentJob = null;
+      this.pendingJobs.delete(id);
+    }
+  }
+
+  private async runLongForm(
+    id: number,
+    audio: Float32Array,
+    options: Omit<WhisperOptions & WhisperLongFormOptions, 'onChunk'>
+  ): Promise<void> {
+    const signal = this.pendingJobs.get(id)!.signal;
+
+    try {
+      if (!this.resources) {
+        throw new Error('Whisper worker not initialized.');
+      }
+
+      this.currentJob = id;
+      const result = await transcribeLongForm(this.resources, audio, {
+        ...options,
+        signal,
+        onChunk: progress => post({ type: 'long-form-progress', data: { id, progress } })
+      }, this.config);
+      post({ type: 'result', data: { id, result } });
+    } catch (error) {
+      postError(signal.aborted ? new AbortError() : error, 'transcribeLongForm', id);
+    } finally {
+      this.currentJob = null;
+      this.pendingJobs.delete(id);
+    }
+  }
+
+  private async runDetection(
+    id: number,
+    audio: Float32Array,
+    options: Omit<WhisperLanguageDetectionOptions, 'signal'>
+  ): Promise<void> {
+    const signal = this.pendingJobs.get(id)!.signal;
+
+    try {
+      if (!this.resources) {
+        throw new Error('Whisper worker not initialized.');
+      }
+
+      const languages = await detectLanguage(this.resources, audio, { ...options, signal });
+      post({ type: 'language', data: { id, languages } });
+    } catch (error) {
+      postError(error, 'detectLanguage', id);
+    } finally {
+      this.pendingJobs.delete(id);
+    }
+  }
+
+  /**
+   * 建立在主執行緒呼叫對應回調的串流回調
+   */
+  private createStreamCallbacks(id: number, names: string[]): WhisperStreamCallbacks | undefined {
+    if (names.length === 0) return undefined;
+
+    const callbacks: Record<string, (...args: any[]) => void> = {};
+    for (const name of names) {
+      callbacks[name] = (...args: any[]) => {
+        post({ type: 'stream-callback', data: { id, name: name as any, args } });
+      };
+    }
+    return callbacks as WhisperStreamCallbacks;
+  }
+
+  /**
+   * 將相對的 WASM 路徑解析為以主執行緒頁面為基準的絕對 URL
+   *
+   * @description Worker 中的相對 URL 以 Worker 腳本位置為基準，與主執行緒不同
+   */
+  private resolveWasmPaths(
+    wasmPaths: string | Record<string, string> | undefined,
+    baseUrl?: string
+  ): string | Record<string, string> {
+    if (typeof wasmPaths === 'string') {
+      return this.resolveUrl(wasmPaths, baseUrl);
+    }
+
+    const paths: Record<string, string> = {};
+    for (const [file, path] of Object.entries(wasmPaths ?? DEFAULT_WHISPER_WASM_PATHS)) {
+      paths[file] = this.resolveUrl(path, baseUrl);
+    }
+    return paths;
+  }
+
+  private resolveUrl(url: string, baseUrl?: string): string {
+    if (!baseUrl) return url;
+    return new URL(url, baseUrl).href;
+  }
+}
+
+// Worker 實例
+const whisperWorker = new WhisperWorker();
+
+// 處理訊息
+self.addEventListener('message', (event: MessageEvent) => {
+  const request = event.data as WhisperWorkerRequest;
+
+  switch (request.type) {
+    case 'init':
+      void whisperWorker.initialize(request.data);
+      break;
+
+    case 'transcribe':
+      whisperWorker.enqueue(
+        request.data.id,
+        request.data.audio,
+        request.data.options,
+        request.data.streamCallbacks
+      );
+      break;
+
+    case 'transcribe-long-form':
+      whisperWorker.enqueueLongForm(request.data.id, request.data.audio, request.data.options);
+      break;
+
+    case 'detect-language':
+      whisperWorker.enqueueDetection(request.data.id, request.data.audio, request.data.options);
+      break;
+
+    case 'cancel':
+      whisperWorker.cancel(request.data.id);
+      break;
+
+    case 'dispose':
+      whisperWorker.dispose();
+      break;
+
+    default:
+      console.warn('[Whisper Worker] Unknown message type:', (request as any).type);
+  }
+});